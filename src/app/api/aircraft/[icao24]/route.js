@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { getAircraftDatabaseConfig, lookupAircraft, normalizeIcao24 } from '@/lib/aircraft/registry';
+
+/**
+ * Aircraft registry lookup
+ * Returns registration, manufacturer/model, typecode and operator for an
+ * ICAO24 address from the local aircraft database (AIRCRAFT_DB_PATH).
+ *
+ * Path parameters:
+ * - icao24: 24-bit ICAO address as 6 hex digits
+ */
+
+export async function GET(request, { params }) {
+  try {
+    const icao24 = normalizeIcao24((await params).icao24);
+    if (!icao24) {
+      return NextResponse.json(
+        { error: 'icao24 must be 6 hex digits' },
+        { status: 400 }
+      );
+    }
+
+    if (!getAircraftDatabaseConfig()) {
+      return NextResponse.json(
+        { error: 'Aircraft database is not configured', details: 'Set AIRCRAFT_DB_PATH to an aircraft database CSV' },
+        { status: 404 }
+      );
+    }
+
+    const aircraft = await lookupAircraft(icao24);
+    if (!aircraft) {
+      return NextResponse.json(
+        { error: 'Aircraft not found', icao24 },
+        { status: 404, headers: { 'Cache-Control': 'public, max-age=3600' } }
+      );
+    }
+
+    return NextResponse.json(aircraft, {
+      headers: {
+        'Cache-Control': 'public, max-age=86400', // Registry data rarely changes
+      }
+    });
+
+  } catch (error) {
+    console.error('[Aircraft API] Error looking up aircraft:', error);
+    return NextResponse.json(
+      { error: 'Failed to look up aircraft', details: error.message },
+      { status: 500 }
+    );
+  }
+}
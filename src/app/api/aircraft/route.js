@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { getAircraftDatabaseConfig, normalizeRegistration, searchRegistrations } from '@/lib/aircraft/registry';
+
+/**
+ * Aircraft registry search by registration
+ * Used by the map's flight search to find aircraft whose callsign is not
+ * their registration.
+ *
+ * Query parameters:
+ * - registration: registration or its beginning, dashes optional ("D-AIB", "DAIB")
+ * - limit: maximum number of results (default 20, max 200)
+ */
+
+const MIN_QUERY_LENGTH = 2;
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const registration = searchParams.get('registration');
+
+    if (normalizeRegistration(registration).length < MIN_QUERY_LENGTH) {
+      return NextResponse.json(
+        { error: `registration must have at least ${MIN_QUERY_LENGTH} letters or digits` },
+        { status: 400 }
+      );
+    }
+
+    if (!getAircraftDatabaseConfig()) {
+      return NextResponse.json(
+        { error: 'Aircraft database is not configured', details: 'Set AIRCRAFT_DB_PATH to an aircraft database CSV' },
+        { status: 404 }
+      );
+    }
+
+    const limit = Math.min(Math.max(Math.floor(Number(searchParams.get('limit')) || 20), 1), 200);
+    const aircraft = await searchRegistrations(registration, limit);
+
+    return NextResponse.json(
+      { aircraft, count: aircraft.length },
+      {
+        headers: {
+          'Cache-Control': 'public, max-age=3600',
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error('[Aircraft API] Error searching registrations:', error);
+    return NextResponse.json(
+      { error: 'Failed to search registrations', details: error.message },
+      { status: 500 }
+    );
+  }
+}
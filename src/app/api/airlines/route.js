@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { AIRLINES, searchAirlines } from '@/lib/airlines';
+
+/**
+ * Airline directory (ICAO designator, IATA code, name, country, radio callsign)
+ *
+ * Query parameters:
+ * - q: search text matched against codes, names and radio callsigns (optional;
+ *   without it every known airline is listed)
+ * - limit: maximum number of results for a search (default 10, max 100)
+ */
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const query = searchParams.get('q');
+
+    const airlines = query
+      ? searchAirlines(query, Math.min(Math.max(Math.floor(Number(searchParams.get('limit')) || 10), 1), 100))
+      : Array.from(AIRLINES.values());
+
+    return NextResponse.json(
+      { airlines, count: airlines.length },
+      {
+        headers: {
+          'Cache-Control': 'public, max-age=86400', // The table only changes with a deploy
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error('[Airlines API] Error searching airlines:', error);
+    return NextResponse.json(
+      { error: 'Failed to search airlines', details: error.message },
+      { status: 500 }
+    );
+  }
+}
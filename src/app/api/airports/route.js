@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import {
+  getAirportDatabaseConfig,
+  loadAirportDatabase,
+  findAirport,
+  nearestAirports,
+  describeAirport
+} from '@/lib/airports/database';
+
+/**
+ * Airport lookup against the local airport database (AIRPORTS_DB_PATH)
+ *
+ * Query parameters (one of):
+ * - code: ICAO, IATA or ident code, returns that airport
+ * - lat, lon: returns the nearest airports with their distance in meters
+ *   - radius: search radius in meters (default 50000, max 500000)
+ *   - limit: number of airports (default 5, max 50)
+ */
+
+export async function GET(request) {
+  try {
+    if (!getAirportDatabaseConfig()) {
+      return NextResponse.json(
+        { error: 'Airport database is not configured', details: 'Set AIRPORTS_DB_PATH to an airports CSV' },
+        { status: 404 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const database = await loadAirportDatabase();
+
+    const code = searchParams.get('code');
+    if (code) {
+      const airport = findAirport(database, code);
+      if (!airport) {
+        return NextResponse.json({ error: 'Airport not found', code }, { status: 404 });
+      }
+      return NextResponse.json(describeAirport(airport), {
+        headers: { 'Cache-Control': 'public, max-age=86400' }
+      });
+    }
+
+    const lat = Number(searchParams.get('lat'));
+    const lon = Number(searchParams.get('lon'));
+    if (!searchParams.has('lat') || !searchParams.has('lon') ||
+        !Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return NextResponse.json(
+        { error: 'Either code or valid lat and lon parameters are required' },
+        { status: 400 }
+      );
+    }
+
+    const radius = Math.min(Number(searchParams.get('radius')) || 50000, 500000);
+    const limit = Math.min(Math.max(Math.floor(Number(searchParams.get('limit')) || 5), 1), 50);
+
+    const airports = nearestAirports(database, lat, lon, { maxDistance: radius, limit })
+      .map(({ airport, distance }) => describeAirport(airport, distance));
+
+    return NextResponse.json({ airports, count: airports.length }, {
+      headers: { 'Cache-Control': 'public, max-age=3600' }
+    });
+
+  } catch (error) {
+    console.error('[Airports API] Error looking up airports:', error);
+    return NextResponse.json(
+      { error: 'Failed to look up airports', details: error.message },
+      { status: 500 }
+    );
+  }
+}
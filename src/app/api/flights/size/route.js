@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { gzipSync } from 'node:zlib';
+import { parseBoundingBox, getSnapshot, buildSnapshotBody } from '@/lib/snapshots';
+import { encodeBody, WIRE_FORMATS } from '@/lib/flight-codec';
+
+/**
+ * Wire format size comparison
+ * Encodes the current shared snapshot in every format supported by
+ * /api/flights and reports the raw and gzipped sizes.
+ *
+ * Query parameters:
+ * - lamin, lomin, lamax, lomax: bounding box (optional)
+ */
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const bbox = parseBoundingBox(searchParams);
+
+    const { snapshot } = await getSnapshot(bbox);
+    const body = buildSnapshotBody(bbox, snapshot);
+
+    const formats = {};
+    for (const format of WIRE_FORMATS) {
+      const encoded = encodeBody(body, format);
+      const bytes = encoded instanceof Uint8Array ? encoded : Buffer.from(JSON.stringify(encoded));
+      formats[format] = { bytes: bytes.byteLength, gzipBytes: gzipSync(bytes).byteLength };
+    }
+
+    for (const size of Object.values(formats)) {
+      size.ratio = Math.round((size.bytes / formats.json.bytes) * 1000) / 1000;
+    }
+
+    return NextResponse.json(
+      { count: snapshot.flights.length, snapshotId: snapshot.id, formats },
+      {
+        headers: {
+          'Cache-Control': 'no-store, no-cache, must-revalidate',
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error('Error measuring flight payload sizes:', error);
+    return NextResponse.json(
+      { error: 'Failed to measure flight payload sizes', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,94 @@
+import { parseBoundingBox, buildSnapshotBody } from '@/lib/snapshots';
+import { subscribeToSnapshots } from '@/lib/flight-stream';
+import { encodeBody } from '@/lib/flight-codec';
+
+/**
+ * Flight states stream (Server-Sent Events)
+ * Pushes each new shared snapshot once, instead of clients re-downloading the
+ * list on a timer. Takes the same optional bounding box as /api/flights.
+ *
+ * Events:
+ * - snapshot: same body as /api/flights. The first event is a full list (or a
+ *   delta if `since` is still known); every later one is a delta against the
+ *   previous event
+ * - fetch-error: { error, details } when the provider fails; the stream stays open
+ *
+ * Query parameters:
+ * - lamin, lomin, lamax, lomax: bounding box (optional)
+ * - since: id of the snapshot the client already has (optional)
+ * - format: json (default) or columnar; SSE is text, so binary is sent as columnar
+ */
+
+export const dynamic = 'force-dynamic';
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 3000;
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const bbox = parseBoundingBox(searchParams);
+  // Snapshot this client has, so each event only carries changes
+  let lastSnapshotId = searchParams.get('since');
+  const format = ['columnar', 'binary'].includes(searchParams.get('format')) ? 'columnar' : 'json';
+  const encoder = new TextEncoder();
+
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+
+      const write = (text) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(text));
+        } catch {
+          cleanup();
+        }
+      };
+      const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+      write(`retry: ${RETRY_MS}\n\n`);
+
+      const unsubscribe = subscribeToSnapshots(bbox, {
+        onSnapshot: (snapshot) => {
+          send('snapshot', encodeBody(buildSnapshotBody(bbox, snapshot, lastSnapshotId), format));
+          lastSnapshotId = snapshot.id;
+        },
+        onError: (error) => send('fetch-error', { error: 'Failed to fetch flight data', details: error.message })
+      });
+
+      const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+      cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        try {
+          controller.close();
+        } catch {
+          // Already closed by the client
+        }
+      };
+
+      request.signal.addEventListener('abort', cleanup);
+    },
+
+    cancel() {
+      cleanup();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    }
+  });
+}
@@ -0,0 +1,138 @@
+import { NextResponse } from 'next/server';
+import { getRecorderConfig } from '@/lib/archive/recorder';
+import { describeArchive, listSnapshotsBetween, readArchivedSnapshot } from '@/lib/archive/reader';
+import { parseBoundingBox } from '@/lib/snapshots';
+import { filterByBounds } from '@/lib/providers/normalize';
+import { createDensityGrid } from '@/lib/traffic-density';
+
+/**
+ * Traffic density aggregated over archived snapshots (for the heatmap)
+ *
+ * Snapshots in the range are sampled evenly and their aircraft binned into a
+ * grid. Each cell holds the average number of aircraft present and the same
+ * average weighted towards low altitude (see src/lib/traffic-density.js).
+ *
+ * Query parameters:
+ * - from, to: ISO 8601 dates or unix seconds (default: `window` up to the end of the archive)
+ * - window: seconds before `to` when `from` is not given (60 to 30 days, default 86400)
+ * - cell: cell size in degrees (0.05–5, default 0.25)
+ * - samples: most snapshots to read (1–500, default 120)
+ * - lamin, lomin, lamax, lomax: bounding box (optional)
+ *
+ * Returns { from, to, snapshots, cell, cells: [[lon, lat, count, low], ...], maxCount, maxLow }
+ */
+
+const DEFAULT_WINDOW = 86400;
+const MAX_WINDOW = 30 * 86400;
+const DEFAULT_CELL = 0.25;
+const DEFAULT_SAMPLES = 120;
+const MAX_SAMPLES = 500;
+
+/**
+ * Parse a time as unix seconds or an ISO date
+ */
+function parseTime(value) {
+  if (/^\d+(\.\d+)?$/.test(value)) return Number(value);
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms / 1000;
+}
+
+/**
+ * Up to `count` items spread evenly over a list (first and last included)
+ */
+function sampleEvenly(items, count) {
+  if (items.length <= count) return items;
+  if (count === 1) return [items[items.length - 1]];
+  return Array.from({ length: count }, (_, i) => items[Math.round((i * (items.length - 1)) / (count - 1))]);
+}
+
+export async function GET(request) {
+  try {
+    const config = getRecorderConfig();
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Snapshot recording is disabled', details: 'Set RECORDER_DIR to enable the archive' },
+        { status: 404 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const fromParam = searchParams.get('from');
+    const toParam = searchParams.get('to');
+    const from = fromParam ? parseTime(fromParam) : undefined;
+    const to = toParam ? parseTime(toParam) : undefined;
+    if (from === null || to === null) {
+      return NextResponse.json(
+        { error: 'from and to must be ISO 8601 dates or unix seconds' },
+        { status: 400 }
+      );
+    }
+
+    const windowSeconds = searchParams.has('window') ? Number(searchParams.get('window')) : DEFAULT_WINDOW;
+    if (!Number.isFinite(windowSeconds) || windowSeconds < 60 || windowSeconds > MAX_WINDOW) {
+      return NextResponse.json(
+        { error: `window must be between 60 and ${MAX_WINDOW} seconds` },
+        { status: 400 }
+      );
+    }
+
+    const cell = searchParams.has('cell') ? Number(searchParams.get('cell')) : DEFAULT_CELL;
+    if (!Number.isFinite(cell) || cell < 0.05 || cell > 5) {
+      return NextResponse.json(
+        { error: 'cell must be between 0.05 and 5 degrees' },
+        { status: 400 }
+      );
+    }
+
+    const samples = searchParams.has('samples') ? Number(searchParams.get('samples')) : DEFAULT_SAMPLES;
+    if (!Number.isInteger(samples) || samples < 1 || samples > MAX_SAMPLES) {
+      return NextResponse.json(
+        { error: `samples must be an integer between 1 and ${MAX_SAMPLES}` },
+        { status: 400 }
+      );
+    }
+
+    // Default to the most recent part of the archive
+    let rangeTo = to;
+    if (rangeTo === undefined) {
+      rangeTo = (await describeArchive(config.dir)).to ?? Date.now() / 1000;
+    }
+    const rangeFrom = from ?? rangeTo - windowSeconds;
+    if (rangeFrom > rangeTo) {
+      return NextResponse.json({ error: 'from must be before to' }, { status: 400 });
+    }
+
+    const bbox = parseBoundingBox(searchParams);
+    const snapshots = sampleEvenly(await listSnapshotsBetween(config.dir, rangeFrom, rangeTo), samples);
+    const grid = createDensityGrid(cell);
+    for (const { file, entry } of snapshots) {
+      const snapshot = await readArchivedSnapshot(file, entry);
+      grid.add(filterByBounds(snapshot.flights, bbox));
+    }
+
+    const cells = grid.cells(Math.max(snapshots.length, 1));
+    let maxCount = 0;
+    let maxLow = 0;
+    for (const [, , count, low] of cells) {
+      maxCount = Math.max(maxCount, count);
+      maxLow = Math.max(maxLow, low);
+    }
+
+    return NextResponse.json(
+      { from: rangeFrom, to: rangeTo, snapshots: snapshots.length, cell, cells, maxCount, maxLow },
+      {
+        headers: {
+          // Ranges well in the past don't change; recent ones grow with the recording
+          'Cache-Control': Date.now() / 1000 - rangeTo > config.interval * 2 ? 'public, max-age=3600' : 'no-store',
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error('Error aggregating traffic density:', error);
+    return NextResponse.json(
+      { error: 'Failed to aggregate traffic density', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,89 @@
+import { NextResponse } from 'next/server';
+import { getRecorderConfig } from '@/lib/archive/recorder';
+import { findSnapshotAt, describeArchive } from '@/lib/archive/reader';
+import { parseBoundingBox } from '@/lib/snapshots';
+import { filterByBounds } from '@/lib/providers/normalize';
+
+/**
+ * Archived flight snapshots (written by the snapshot recorder)
+ *
+ * Without `at`: describes the archive ({ from, to, snapshots, files, bytes, interval }).
+ * With `at`: returns the archived snapshot closest to that time, at or before
+ * it, in the /api/flights response format.
+ *
+ * Query parameters:
+ * - at: ISO 8601 date or unix seconds (optional)
+ * - tolerance: how far before `at` a snapshot may be (seconds, default 2 recorder intervals)
+ * - lamin, lomin, lamax, lomax: bounding box (optional)
+ */
+
+/**
+ * Parse `at` as unix seconds or an ISO date
+ */
+function parseTime(value) {
+  if (/^\d+(\.\d+)?$/.test(value)) return Number(value);
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms / 1000;
+}
+
+export async function GET(request) {
+  try {
+    const config = getRecorderConfig();
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Snapshot recording is disabled', details: 'Set RECORDER_DIR to enable the archive' },
+        { status: 404 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const atParam = searchParams.get('at');
+
+    if (!atParam) {
+      const archive = await describeArchive(config.dir);
+      return NextResponse.json({ ...archive, interval: config.interval });
+    }
+
+    const at = parseTime(atParam);
+    if (at === null) {
+      return NextResponse.json(
+        { error: 'at must be an ISO 8601 date or unix seconds' },
+        { status: 400 }
+      );
+    }
+
+    const tolerance = Number(searchParams.get('tolerance')) || config.interval * 2;
+    const snapshot = await findSnapshotAt(config.dir, at, { tolerance });
+    if (!snapshot) {
+      return NextResponse.json(
+        { error: 'No archived snapshot near the requested time', at },
+        { status: 404 }
+      );
+    }
+
+    const flights = filterByBounds(snapshot.flights, parseBoundingBox(searchParams));
+
+    return NextResponse.json(
+      {
+        flights,
+        time: snapshot.time,
+        count: flights.length,
+        source: 'archive',
+        fetchedAt: snapshot.fetchedAt
+      },
+      {
+        headers: {
+          // Past answers never change; recent ones may be superseded by the next recording
+          'Cache-Control': Date.now() / 1000 - at > tolerance ? 'public, max-age=3600' : 'no-store',
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error('Error reading flight archive:', error);
+    return NextResponse.json(
+      { error: 'Failed to read flight archive', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,19 +1,47 @@
 'use client';
 
-import { useState } from 'react';
+import { Suspense, useCallback, useState } from 'react';
 import FlightMap from '@/components/FlightMap';
 import FlightInfoPanel from '@/components/FlightInfoPanel';
+import { LoadingState } from '@/components/map/LoadingState';
+import { useWatchlist } from '@/hooks/useWatchlist';
 
 export default function Home() {
   const [selectedFlight, setSelectedFlight] = useState(null);
+  // Route inferred from the selected flight's track ({ icao24, origin, destination })
+  const [route, setRoute] = useState(null);
+  // Watched aircraft and callsigns (starred in the info panel, tracked by the map)
+  const watchlist = useWatchlist();
+  // Camera follow for the selected aircraft ({ icao24, headingUp, chase, paused }), null when off
+  const [follow, setFollow] = useState(null);
+
+  const handleFlightSelect = useCallback((flight) => {
+    setSelectedFlight(flight);
+    // Follow ends when another aircraft (or none) is selected
+    setFollow(current => (current && current.icao24 === flight?.icao24 ? current : null));
+  }, []);
 
   return (
     <main className="relative w-full h-screen overflow-hidden">
-      <FlightMap onFlightSelect={setSelectedFlight} />
+      {/* FlightMap reads its starting view from the URL */}
+      <Suspense fallback={<LoadingState />}>
+        <FlightMap
+          onFlightSelect={handleFlightSelect}
+          onRouteChange={setRoute}
+          watchlist={watchlist}
+          follow={follow}
+          onFollowChange={setFollow}
+        />
+      </Suspense>
       {selectedFlight && (
         <FlightInfoPanel 
           flight={selectedFlight} 
-          onClose={() => setSelectedFlight(null)} 
+          route={route?.icao24 === selectedFlight.icao24 ? route : null}
+          isWatched={watchlist.isWatched}
+          onToggleWatch={watchlist.toggleWatch}
+          follow={follow?.icao24 === selectedFlight.icao24 ? follow : null}
+          onFollowChange={setFollow}
+          onClose={() => handleFlightSelect(null)} 
         />
       )}
     </main>
@@ -1,6 +1,8 @@
 'use client';
 
 import { memo, useMemo } from 'react';
+import { useAircraftInfo, formatAircraftType } from '../hooks/useAircraftInfo.js';
+import { parseCallsign } from '../lib/airlines/index.js';
 
 // Icon components
 const PlaneIcon = () => (
@@ -41,6 +43,38 @@ const IcaoIcon = () => (
   </svg>
 );
 
+const RegistrationIcon = () => (
+  <svg className="h-5 w-5" viewBox="0 0 24 24" fill="currentColor">
+    <path d="M20 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zM8 8.5a2 2 0 1 1 0 4 2 2 0 0 1 0-4zM12 16H4v-.57C4 14.1 5.79 13 8 13s4 1.1 4 2.43V16zm8-2h-6v-2h6v2zm0-4h-6V8h6v2z"/>
+  </svg>
+);
+
+const OperatorIcon = () => (
+  <svg className="h-5 w-5" viewBox="0 0 24 24" fill="currentColor">
+    <path d="M12 7V3H2v18h20V7H12zM6 19H4v-2h2v2zm0-4H4v-2h2v2zm0-4H4V9h2v2zm0-4H4V5h2v2zm4 12H8v-2h2v2zm0-4H8v-2h2v2zm0-4H8V9h2v2zm0-4H8V5h2v2zm10 12h-8v-2h2v-2h-2v-2h2v-2h-2V9h8v10zm-2-8h-2v2h2v-2zm0 4h-2v2h2v-2z"/>
+  </svg>
+);
+
+const RouteIcon = () => (
+  <svg className="h-5 w-5" viewBox="0 0 24 24" fill="currentColor">
+    <path d="M21 5.5C21 4.12 19.88 3 18.5 3S16 4.12 16 5.5c0 1.6 2.5 4.5 2.5 4.5S21 7.1 21 5.5zM18.5 6.5a1 1 0 1 1 0-2 1 1 0 0 1 0 2zM5.5 14C4.12 14 3 15.12 3 16.5 3 18.1 5.5 21 5.5 21S8 18.1 8 16.5C8 15.12 6.88 14 5.5 14zm0 3.5a1 1 0 1 1 0-2 1 1 0 0 1 0 2zM17 12h-6a1.5 1.5 0 0 1 0-3h3V7h-3a3.5 3.5 0 0 0 0 7h6a1.5 1.5 0 0 1 0 3H9.6c-.3.7-.8 1.4-1.2 2H17a3.5 3.5 0 0 0 0-7z"/>
+  </svg>
+);
+
+const StarIcon = ({ filled }) => (
+  <svg className="h-4 w-4" viewBox="0 0 24 24" fill={filled ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth={filled ? 0 : 2}>
+    <path strokeLinejoin="round" d="M12 2.5l2.94 5.96 6.56.95-4.75 4.63 1.12 6.54L12 17.49l-5.87 3.09 1.12-6.54L2.5 9.41l6.56-.95z"/>
+  </svg>
+);
+
+const CrosshairIcon = () => (
+  <svg className="h-4 w-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
+    <circle cx="12" cy="12" r="7"/>
+    <circle cx="12" cy="12" r="2" fill="currentColor" stroke="none"/>
+    <path d="M12 2v3M12 19v3M2 12h3M19 12h3"/>
+  </svg>
+);
+
 // Memoize formatting functions
 const formatSpeed = (speedMs) => {
   if (speedMs === null) return 'N/A';
@@ -94,11 +128,48 @@ const getPositionSource = (source) => {
     0: 'ADS-B (Automatic Dependent Surveillance-Broadcast)',
     1: 'ASTERIX (All Purpose Structured Eurocontrol Surveillance)',
     2: 'MLAT (Multilateration)',
-    3: 'FLARM (Flight Alarm)'
+    3: 'FLARM (Flight Alarm)',
+    4: 'TIS-B (Traffic Information Service-Broadcast)',
+    5: 'ADS-R (ADS-B Rebroadcast)'
   };
   return sources[source] || `Unknown (${source})`;
 };
 
+const getDataSource = (source) => {
+  const sources = {
+    opensky: 'OpenSky Network',
+    receiver: 'Local Receiver',
+    sbs: 'SBS-1 Feed',
+    modes: 'Mode-S Decoder',
+    synthetic: 'Simulation',
+    replay: 'Recording'
+  };
+  return sources[source] || source || 'N/A';
+};
+
+// Operator line: "Lufthansa (LH)", "GA/Private (D-EABC)" or the bare designator
+const formatOperator = (parsed) => {
+  if (!parsed || parsed.kind === 'unknown') return null;
+  if (parsed.kind === 'registration') return `GA/Private (${parsed.registration})`;
+  if (!parsed.airline) return `${parsed.operator} (unlisted operator)`;
+  return `${parsed.airline.name} (${parsed.airline.iata || parsed.airline.icao})`;
+};
+
+// Airport code for the route line ("EDDF"), "?" when unknown
+const formatAirportCode = (airport) => airport?.icao || airport?.iata || '?';
+
+const formatAirport = (airport) => {
+  if (!airport) return 'Unknown';
+  const codes = [airport.icao, airport.iata].filter(Boolean).join(' / ');
+  return `${airport.name} (${codes})`;
+};
+
+const formatAge = (seconds) => {
+  if (seconds === null || seconds === undefined) return 'N/A';
+  if (seconds < 60) return `${seconds.toFixed(1)} s ago`;
+  return `${Math.floor(seconds / 60)} min ${Math.round(seconds % 60)} s ago`;
+};
+
 // Memoized InfoRow component with icon
 const InfoRowWithIcon = memo(({ icon, label, value, iconColor = "text-blue-400" }) => (
   <div className="flex items-start gap-3">
@@ -124,7 +195,92 @@ const InfoRow = memo(({ label, value }) => (
 
 InfoRow.displayName = 'InfoRow';
 
-const FlightInfoPanel = memo(function FlightInfoPanel({ flight, onClose }) {
+// Star toggle for the watchlist
+const WatchButton = memo(({ watched, label, onClick }) => (
+  <button
+    onClick={onClick}
+    className={`flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-medium border transition-colors ${
+      watched
+        ? 'bg-yellow-500/20 text-yellow-300 border-yellow-500/40 hover:bg-yellow-500/30'
+        : 'bg-slate-700/50 text-slate-300 border-slate-600/50 hover:text-white hover:border-slate-400'
+    }`}
+    aria-pressed={watched}
+  >
+    <StarIcon filled={watched} />
+    {label}
+  </button>
+));
+
+WatchButton.displayName = 'WatchButton';
+
+// Small on/off switch in the follow bar
+const FollowOption = ({ label, active, disabled = false, onClick }) => (
+  <button
+    onClick={onClick}
+    disabled={disabled}
+    className={`px-2 py-0.5 rounded-full border transition-colors disabled:cursor-default ${
+      active
+        ? 'bg-sky-500/30 text-white border-sky-400/60'
+        : 'text-sky-200 border-sky-500/30 hover:text-white hover:border-sky-400/60'
+    }`}
+    aria-pressed={active}
+  >
+    {label}
+  </button>
+);
+
+// Follow options, or the notice that follow was paused by moving the map
+const FollowBar = memo(({ follow, onChange }) => {
+  if (follow.paused) {
+    return (
+      <div className="flex items-center justify-between gap-2 px-4 py-2 bg-amber-500/20 border-b border-amber-500/40 text-xs text-amber-200" role="status">
+        <span>Follow paused: the map was moved by hand</span>
+        <button
+          onClick={() => onChange({ ...follow, paused: false })}
+          className="font-semibold text-amber-100 hover:text-white transition-colors"
+        >
+          Resume
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2 px-4 py-2 bg-sky-500/15 border-b border-sky-500/30 text-xs text-sky-200" role="status">
+      <span className="flex-1">Following</span>
+      {/* The chase cam always looks ahead */}
+      <FollowOption
+        label="Heading up"
+        active={follow.headingUp || follow.chase}
+        disabled={follow.chase}
+        onClick={() => onChange({ ...follow, headingUp: !follow.headingUp })}
+      />
+      <FollowOption
+        label="Chase cam"
+        active={follow.chase}
+        onClick={() => onChange({ ...follow, chase: !follow.chase })}
+      />
+    </div>
+  );
+});
+
+FollowBar.displayName = 'FollowBar';
+
+const FlightInfoPanel = memo(function FlightInfoPanel({
+  flight,
+  route = null,
+  isWatched = null,
+  onToggleWatch = null,
+  follow = null,
+  onFollowChange = null,
+  onClose
+}) {
+  // Registry details from the local aircraft database (null when unknown)
+  const aircraft = useAircraftInfo(flight?.icao24 ?? null);
+  const aircraftType = formatAircraftType(aircraft);
+  const parsedCallsign = useMemo(() => parseCallsign(flight?.callsign), [flight?.callsign]);
+  const operatorLabel = formatOperator(parsedCallsign);
+
   // Memoize formatted values to prevent recalculation on every render
   const formattedValues = useMemo(() => {
     if (!flight) return null;
@@ -144,6 +300,8 @@ const FlightInfoPanel = memo(function FlightInfoPanel({ flight, onClose }) {
       positionTime: flight.time_position ? new Date(flight.time_position * 1000).toLocaleString() : null,
       positionTimeUnix: flight.time_position || 'N/A',
       positionSource: getPositionSource(flight.position_source),
+      positionAge: formatAge(flight.position_age),
+      dataSource: getDataSource(flight.data_source),
       latitude: flight.latitude != null ? flight.latitude.toFixed(4) + '°' : 'N/A',
       latitudeRaw: flight.latitude != null ? flight.latitude.toFixed(6) : 'N/A',
       longitude: flight.longitude != null ? flight.longitude.toFixed(4) + '°' : 'N/A',
@@ -160,21 +318,41 @@ const FlightInfoPanel = memo(function FlightInfoPanel({ flight, onClose }) {
 
   return (
     <div className="absolute bottom-4 left-4 z-1000 bg-slate-800/95 backdrop-blur-sm text-white rounded-xl shadow-2xl border border-slate-600/50 w-80 max-h-[80vh] overflow-y-auto">
-      {/* Header with Flight Number */}
-      <div className="sticky top-0 bg-slate-700/90 backdrop-blur-sm px-4 py-3 rounded-t-xl border-b border-slate-600/50 flex justify-between items-center">
-        <div className="flex items-center gap-2">
-          <PlaneIcon />
-          <h3 className="text-xl font-bold">{flight.callsign?.trim() || 'Unknown'}</h3>
+      <div className="sticky top-0 z-10 rounded-t-xl overflow-hidden bg-slate-800/95 backdrop-blur-sm">
+        {/* Header with Flight Number */}
+        <div className="bg-slate-700/90 backdrop-blur-sm px-4 py-3 border-b border-slate-600/50 flex justify-between items-center">
+          <div className="flex items-center gap-2">
+            <PlaneIcon />
+            <h3 className="text-xl font-bold">{flight.callsign?.trim() || 'Unknown'}</h3>
+          </div>
+          <div className="flex items-center gap-3">
+            {onFollowChange && (
+              <button
+                onClick={() => onFollowChange(follow ? null : { icao24: flight.icao24, headingUp: false, chase: false, paused: false })}
+                className={`flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-medium border transition-colors ${
+                  follow
+                    ? 'bg-sky-500/20 text-sky-300 border-sky-500/40 hover:bg-sky-500/30'
+                    : 'bg-slate-700/50 text-slate-300 border-slate-600/50 hover:text-white hover:border-slate-400'
+                }`}
+                aria-pressed={Boolean(follow)}
+                title="Keep the map centered on this aircraft"
+              >
+                <CrosshairIcon />
+                Follow
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="text-slate-300 hover:text-white transition-colors"
+              aria-label="Close"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
         </div>
-        <button
-          onClick={onClose}
-          className="text-slate-300 hover:text-white transition-colors"
-          aria-label="Close"
-        >
-          <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-          </svg>
-        </button>
+        {follow && onFollowChange && <FollowBar follow={follow} onChange={onFollowChange} />}
       </div>
 
       {/* Content */}
@@ -190,6 +368,24 @@ const FlightInfoPanel = memo(function FlightInfoPanel({ flight, onClose }) {
           </span>
         </div>
 
+        {/* Watchlist stars: this airframe, or whoever flies this callsign */}
+        {onToggleWatch && (
+          <div className="flex justify-center flex-wrap gap-2">
+            <WatchButton
+              watched={isWatched('icao24', flight.icao24)}
+              label={isWatched('icao24', flight.icao24) ? 'Watching aircraft' : 'Watch aircraft'}
+              onClick={() => onToggleWatch('icao24', flight.icao24, aircraft?.registration || flight.callsign?.trim() || null)}
+            />
+            {flight.callsign?.trim() && (
+              <WatchButton
+                watched={isWatched('callsign', flight.callsign)}
+                label={`${isWatched('callsign', flight.callsign) ? 'Watching' : 'Watch'} ${flight.callsign.trim()}`}
+                onClick={() => onToggleWatch('callsign', flight.callsign)}
+              />
+            )}
+          </div>
+        )}
+
         {/* Key Info with Icons */}
         <div className="space-y-3">
           <InfoRowWithIcon 
@@ -198,6 +394,46 @@ const FlightInfoPanel = memo(function FlightInfoPanel({ flight, onClose }) {
             value={flight.icao24?.toUpperCase() || 'N/A'}
             iconColor="text-pink-400"
           />
+          {operatorLabel && (
+            <InfoRowWithIcon 
+              icon={<OperatorIcon />}
+              label={parsedCallsign.kind === 'registration' ? 'Flight Type' : 'Airline'}
+              value={operatorLabel}
+              iconColor="text-cyan-400"
+            />
+          )}
+          {(route?.origin || route?.destination) && (
+            <InfoRowWithIcon 
+              icon={<RouteIcon />}
+              label="Route"
+              value={`${formatAirportCode(route.origin)} → ${formatAirportCode(route.destination)}`}
+              iconColor="text-amber-400"
+            />
+          )}
+          {aircraft?.registration && (
+            <InfoRowWithIcon 
+              icon={<RegistrationIcon />}
+              label="Registration"
+              value={aircraft.registration}
+              iconColor="text-emerald-400"
+            />
+          )}
+          {aircraftType && (
+            <InfoRowWithIcon 
+              icon={<PlaneIcon />}
+              label="Aircraft Type"
+              value={aircraftType}
+              iconColor="text-sky-400"
+            />
+          )}
+          {aircraft?.operator && (
+            <InfoRowWithIcon 
+              icon={<OperatorIcon />}
+              label="Operator"
+              value={aircraft.operatorIcao ? `${aircraft.operator} (${aircraft.operatorIcao})` : aircraft.operator}
+              iconColor="text-violet-400"
+            />
+          )}
           <InfoRowWithIcon 
             icon={<CountryIcon />}
             label="Country"
@@ -219,6 +455,37 @@ const FlightInfoPanel = memo(function FlightInfoPanel({ flight, onClose }) {
         </div>
 
         {/* Detailed Info - Collapsible sections */}
+        {(route?.origin || route?.destination) && (
+          <details className="pt-3 border-t border-slate-600/50">
+            <summary className="text-sm font-semibold text-slate-300 mb-3 uppercase tracking-wide cursor-pointer hover:text-white transition-colors">
+              Route Details
+            </summary>
+            <div className="space-y-2 mt-3 pl-2">
+              <InfoRow label="Departure" value={formatAirport(route.origin)} />
+              <InfoRow label="Destination" value={formatAirport(route.destination)} />
+              <p className="text-xs text-zinc-500">Inferred from the flight track</p>
+            </div>
+          </details>
+        )}
+
+        {aircraft && (
+          <details className="pt-3 border-t border-slate-600/50">
+            <summary className="text-sm font-semibold text-slate-300 mb-3 uppercase tracking-wide cursor-pointer hover:text-white transition-colors">
+              Aircraft Details
+            </summary>
+            <div className="space-y-2 mt-3 pl-2">
+              <InfoRow label="Registration" value={aircraft.registration || 'N/A'} />
+              <InfoRow label="Manufacturer" value={aircraft.manufacturer || 'N/A'} />
+              <InfoRow label="Model" value={aircraft.model || 'N/A'} />
+              <InfoRow label="Type Code" value={aircraft.typecode || 'N/A'} />
+              <InfoRow label="Operator" value={aircraft.operator || 'N/A'} />
+              <InfoRow label="Operator Callsign" value={aircraft.operatorCallsign || 'N/A'} />
+              <InfoRow label="Owner" value={aircraft.owner || 'N/A'} />
+              <InfoRow label="Built" value={aircraft.built || 'N/A'} />
+            </div>
+          </details>
+        )}
+
         <details className="pt-3 border-t border-slate-600/50">
           <summary className="text-sm font-semibold text-slate-300 mb-3 uppercase tracking-wide cursor-pointer hover:text-white transition-colors">
             Position Details
@@ -270,6 +537,16 @@ const FlightInfoPanel = memo(function FlightInfoPanel({ flight, onClose }) {
             Additional Info
           </summary>
           <div className="space-y-2 mt-3 pl-2">
+            {parsedCallsign?.kind === 'airline' && (
+              <>
+                <InfoRow label="Flight Number" value={`${parsedCallsign.operator} ${parsedCallsign.flightNumber}`} />
+                <InfoRow label="Radio Callsign" value={parsedCallsign.airline?.callsign || 'N/A'} />
+                <InfoRow label="Airline Country" value={parsedCallsign.airline?.country || 'N/A'} />
+              </>
+            )}
+            {parsedCallsign?.kind === 'registration' && (
+              <InfoRow label="Registered In" value={parsedCallsign.country} />
+            )}
             <InfoRow label="Squawk Code" value={flight.squawk || 'N/A'} />
             <InfoRow label="SPI" value={formattedValues.spi} />
             <InfoRow label="On Ground Status" value={flight.on_ground ? 'Yes' : 'No'} />
@@ -298,10 +575,18 @@ const FlightInfoPanel = memo(function FlightInfoPanel({ flight, onClose }) {
               label="Position Time (Unix)" 
               value={formattedValues.positionTimeUnix} 
             />
+            <InfoRow 
+              label="Position Age" 
+              value={formattedValues.positionAge} 
+            />
             <InfoRow 
               label="Position Source" 
               value={formattedValues.positionSource} 
             />
+            <InfoRow 
+              label="Data Source" 
+              value={formattedValues.dataSource} 
+            />
             <InfoRow 
               label="Sensor(s)" 
               value={formattedValues.sensors} 
@@ -6,36 +6,216 @@
  * Map interactions now decoupled from flight data for better performance
  */
 
-import { useCallback } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { useFlightData } from '../hooks/useFlightData.js';
+import { useFlightReplay } from '../hooks/useFlightReplay.js';
+import { useEmergencyAlerts } from '../hooks/useEmergencyAlerts.js';
+import { useGeofences } from '../hooks/useGeofences.js';
+import { useGeofenceEvents } from '../hooks/useGeofenceEvents.js';
+import { useWatchlistStatus } from '../hooks/useWatchlistStatus.js';
+import { useNotifications } from '../hooks/useNotifications.js';
+import { useMapBounds } from '../hooks/useMapBounds.js';
+import { useFlightFilters } from '../hooks/useFlightFilters.js';
+import { useSavedQueries } from '../hooks/useSavedQueries.js';
+import { useInitialDeepLink, useDeepLinkSync } from '../hooks/useDeepLink.js';
 import { LoadingState, ErrorState } from './map/LoadingState.jsx';
 import { MapInfoOverlay, RefreshButton } from './map/MapOverlay.jsx';
+import { ReplayControls, ReplayToggleButton } from './map/ReplayControls.jsx';
+import { AlertsDrawer, AlertsToggleButton } from './map/AlertsDrawer.jsx';
+import { GeofencePanel, GeofenceToggleButton, GeofenceDrawHint } from './map/GeofencePanel.jsx';
+import { WatchlistPanel, WatchlistToggleButton } from './map/WatchlistPanel.jsx';
+import { FlightSearch } from './map/FlightSearch.jsx';
+import { FilterPanel, FilterToggleButton, FilterChips } from './map/FilterPanel.jsx';
 import { AltitudeLegend } from './map/AltitudeLegend.jsx';
 import MapLibreContainer from './map/MapLibreContainer.jsx';
+import { INTERPOLATION_CONFIG } from './map/constants.jsx';
 import ErrorBoundary from './ErrorBoundary.jsx';
+import { applyFlightFilters, countFlightCountries } from '../lib/flight-filters.js';
 
 /**
  * FlightMap - Main component for rendering flight tracking map
+ * The view, selection, filters and replay time are mirrored in the URL, so
+ * links can be shared (render inside <Suspense>, see useInitialDeepLink).
  * @param {Object} props
  * @param {Function} props.onFlightSelect - Callback when a flight is selected
+ * @param {Function} props.onRouteChange - Callback with the selected flight's inferred route
+ * @param {Object} props.watchlist - Watchlist from useWatchlist
+ * @param {Object|null} props.follow - Camera follow ({ icao24, headingUp, chase, paused }), null when off
+ * @param {Function} props.onFollowChange - Callback with the new follow state (paused when the map is dragged)
  */
-export default function FlightMap({ onFlightSelect }) {
-  // Polling-based flight data (decoupled from map state)
-  const { flights, loading, error, lastUpdate, dataSource, fetchFlights } = useFlightData();
+export default function FlightMap({ onFlightSelect, onRouteChange, watchlist, follow = null, onFollowChange }) {
+  // Link the page was opened with
+  const link = useInitialDeepLink();
+
+  // Viewport reported by the map, used to limit fetches to the visible area
+  const { mapBounds, mapZoom, handleBoundsChange } = useMapBounds();
+
+  // Camera, projection and theme as last reported by the map (kept here so a
+  // remounted map comes back where it was)
+  const [view, setView] = useState(() => ({ ...link.camera, projection: link.projection, theme: link.theme }));
+
+  // Replay mode shows recorded snapshots instead of live data
+  const [replayMode, setReplayMode] = useState(link.replayTime !== null);
+
+  // Streamed flight data with polling fallback (decoupled from map rendering)
+  const { flights: liveFlights, flightTable, loading, error, lastUpdate, dataSource, fetchBounds, streaming, fetchFlights } = useFlightData({
+    bounds: mapBounds,
+    zoom: mapZoom,
+    enabled: !replayMode,
+  });
+
+  const replay = useFlightReplay({
+    enabled: replayMode,
+    bounds: mapBounds,
+    zoom: mapZoom,
+    initialTime: link.replayTime,
+  });
+
+  const flights = replayMode ? replay.flights : liveFlights;
+
+  // Filters narrow what the map shows; alerts, geofences and the watchlist still see everything
+  const { filters, updateFilters, clearFilter, resetFilters } = useFlightFilters(link.filters);
+  const filtered = useMemo(() => applyFlightFilters(flights, filters), [flights, filters]);
+  const savedQueries = useSavedQueries();
+
+  // Emergency squawks in live data
+  const { alerts, activeCount, emergencyCount } = useEmergencyAlerts(liveFlights, { receivedAt: lastUpdate, enabled: !replayMode });
+
+  // Browser notifications for geofence and watchlist events
+  const notifications = useNotifications();
+
+  // Saved geofences and their enter/exit events in live data
+  const { fences, addGeofence, updateGeofence, removeGeofence } = useGeofences();
+  const geofenceEvents = useGeofenceEvents(liveFlights, fences, {
+    receivedAt: lastUpdate,
+    enabled: !replayMode,
+    notify: notifications.notify
+  });
+
+  // Live status of watched aircraft
+  const { statuses: watchStatuses } = useWatchlistStatus(liveFlights, watchlist.entries, {
+    receivedAt: lastUpdate,
+    coverage: fetchBounds,
+    enabled: !replayMode,
+    notify: notifications.notify
+  });
+  const trackedCount = watchlist.entries.filter(entry => ['airborne', 'ground'].includes(watchStatuses[entry.id]?.status)).length;
+  // Shape being drawn on the map ('polygon' or 'circle')
+  const [drawing, setDrawing] = useState(null);
+
+  // Side drawer on the right ('alerts', 'geofences', 'watchlist' or 'filters'); one at a time
+  const [openDrawer, setOpenDrawer] = useState(null);
+  const [seenEmergencyCount, setSeenEmergencyCount] = useState(0);
+  // Open the alerts whenever a new emergency squawk appears (not for SPI idents)
+  if (emergencyCount !== seenEmergencyCount) {
+    setSeenEmergencyCount(emergencyCount);
+    if (emergencyCount > seenEmergencyCount) setOpenDrawer('alerts');
+  }
+
+  // Imperative map handle ({ flyToFlight, selectFlightById })
+  const mapHandleRef = useRef(null);
+
+  // Selected aircraft, and the linked one still waiting to show up in the data
+  const [selectedIcao24, setSelectedIcao24] = useState(null);
+  const [pendingFlight, setPendingFlight] = useState(link.flight);
+
+  const handleFlightSelect = useCallback((flight) => {
+    setPendingFlight(null);
+    setSelectedIcao24(flight?.icao24 ?? null);
+    onFlightSelect?.(flight);
+  }, [onFlightSelect]);
+
+  // Select the linked aircraft once it is on the map (selecting clears it)
+  useEffect(() => {
+    if (pendingFlight) mapHandleRef.current?.selectFlightById(pendingFlight);
+  }, [pendingFlight, filtered.flights]);
+
+  useDeepLinkSync({
+    camera: Number.isFinite(view.zoom) ? view : null,
+    projection: view.projection ?? undefined,
+    theme: view.theme ?? undefined,
+    flight: selectedIcao24 ?? pendingFlight,
+    replayTime: replayMode ? replay.playbackTime : null,
+    filters
+  });
+
+  // Live aircraft glide between reports; recorded snapshots are shown as recorded
+  const interpolating = INTERPOLATION_CONFIG.ENABLED && !replayMode;
+
+  const replayStatus = useMemo(() => (
+    replayMode ? { time: replay.snapshotTime, playing: replay.playing, speed: replay.speed } : null
+  ), [replayMode, replay.snapshotTime, replay.playing, replay.speed]);
 
   // Handle manual refresh (without showing loading screen)
   const handleRefresh = useCallback(() => {
-    fetchFlights(null, false, null);
+    fetchFlights();
   }, [fetchFlights]);
 
+  const handleReplayToggle = useCallback(() => {
+    setReplayMode(active => !active);
+  }, []);
+
+  const handleAlertsToggle = useCallback(() => {
+    setOpenDrawer(open => (open === 'alerts' ? null : 'alerts'));
+  }, []);
+
+  const handleGeofencesToggle = useCallback(() => {
+    setOpenDrawer(open => (open === 'geofences' ? null : 'geofences'));
+  }, []);
+
+  const handleWatchlistToggle = useCallback(() => {
+    setOpenDrawer(open => (open === 'watchlist' ? null : 'watchlist'));
+  }, []);
+
+  const handleFiltersToggle = useCallback(() => {
+    setOpenDrawer(open => (open === 'filters' ? null : 'filters'));
+  }, []);
+
+  // Countries offered by the filter panel (only counted while it is open)
+  const filterCountries = useMemo(() => (
+    openDrawer === 'filters' ? countFlightCountries(flights) : []
+  ), [openDrawer, flights]);
+
+  const handleDrawerClose = useCallback(() => {
+    setOpenDrawer(null);
+  }, []);
+
+  // Fly to the aircraft behind an alert or geofence event (or where it was last seen)
+  const handleAircraftSelect = useCallback((item) => {
+    mapHandleRef.current?.flyToFlight(item.icao24, item);
+  }, []);
+
+  // Fly to a watched aircraft where it was last seen
+  const handleWatchSelect = useCallback((entry, status) => {
+    if (status?.icao24) mapHandleRef.current?.flyToFlight(status.icao24, status);
+  }, []);
+
+  // Fly to a search result, select it and load its trail
+  const handleSearchSelect = useCallback((flight) => {
+    mapHandleRef.current?.flyToFlight(flight.icao24, flight);
+  }, []);
+
+  const handleDraw = useCallback((shape) => {
+    setDrawing(current => (current === shape ? null : shape));
+  }, []);
+
+  const handleDrawComplete = useCallback((geometry) => {
+    addGeofence(geometry);
+    setDrawing(null);
+  }, [addGeofence]);
+
+  const handleDrawCancel = useCallback(() => {
+    setDrawing(null);
+  }, []);
+
   // Show loading state (only on initial load)
-  if (loading && flights.length === 0) {
+  if (!replayMode && loading && flights.length === 0) {
     return <LoadingState />;
   }
 
   // Show error state
-  if (error) {
-    return <ErrorState error={error} onRetry={fetchFlights} />;
+  if (!replayMode && error) {
+    return <ErrorState error={error} onRetry={handleRefresh} />;
   }
 
   // Render main map view with error boundary
@@ -45,17 +225,119 @@ export default function FlightMap({ onFlightSelect }) {
       <div className="relative w-full h-screen">
         <MapInfoOverlay 
           totalFlights={flights.length}
+          hiddenFlights={filtered.hidden}
           lastUpdate={lastUpdate}
           dataSource={dataSource}
+          regional={(replayMode ? replay.fetchBounds : fetchBounds) !== null}
+          streaming={streaming}
+          replay={replayStatus}
+          interpolating={interpolating}
         />
         
-        <RefreshButton onRefresh={handleRefresh} />
+        {!replayMode && <RefreshButton onRefresh={handleRefresh} />}
+
+        <ReplayToggleButton active={replayMode} onToggle={handleReplayToggle} />
+
+        <AlertsToggleButton activeCount={activeCount} emergencyCount={emergencyCount} open={openDrawer === 'alerts'} onToggle={handleAlertsToggle} />
+
+        <GeofenceToggleButton open={openDrawer === 'geofences'} count={fences.length} onToggle={handleGeofencesToggle} />
+
+        <WatchlistToggleButton open={openDrawer === 'watchlist'} liveCount={trackedCount} onToggle={handleWatchlistToggle} />
+
+        <FilterToggleButton open={openDrawer === 'filters'} activeCount={filtered.active.length} onToggle={handleFiltersToggle} />
+
+        {openDrawer === 'alerts' && (
+          <AlertsDrawer alerts={alerts} onSelect={handleAircraftSelect} onClose={handleDrawerClose} />
+        )}
+
+        {openDrawer === 'geofences' && (
+          <GeofencePanel
+            fences={fences}
+            insideCounts={geofenceEvents.insideCounts}
+            events={geofenceEvents.events}
+            drawing={drawing}
+            notificationPermission={notifications.permission}
+            paused={replayMode}
+            onDraw={handleDraw}
+            onUpdate={updateGeofence}
+            onRemove={removeGeofence}
+            onEventSelect={handleAircraftSelect}
+            onClearEvents={geofenceEvents.clearEvents}
+            onRequestNotifications={notifications.requestPermission}
+            onClose={handleDrawerClose}
+          />
+        )}
+
+        {openDrawer === 'watchlist' && (
+          <WatchlistPanel
+            entries={watchlist.entries}
+            statuses={watchStatuses}
+            notificationPermission={notifications.permission}
+            paused={replayMode}
+            onSelect={handleWatchSelect}
+            onRemove={watchlist.removeEntry}
+            onImport={watchlist.importWatchlist}
+            onExport={watchlist.exportWatchlist}
+            onRequestNotifications={notifications.requestPermission}
+            onClose={handleDrawerClose}
+          />
+        )}
+
+        {openDrawer === 'filters' && (
+          <FilterPanel
+            filters={filters}
+            countries={filterCountries}
+            hidden={filtered.hidden}
+            total={flights.length}
+            savedQueries={savedQueries.queries}
+            onChange={updateFilters}
+            onReset={resetFilters}
+            onSaveQuery={savedQueries.saveQuery}
+            onRemoveQuery={savedQueries.removeQuery}
+            onClose={handleDrawerClose}
+          />
+        )}
+
+        {!drawing && <FilterChips active={filtered.active} hidden={filtered.hidden} onClear={clearFilter} onReset={resetFilters} />}
+
+        {drawing
+          ? <GeofenceDrawHint shape={drawing} onCancel={handleDrawCancel} />
+          : <FlightSearch flights={filtered.flights} onSelect={handleSearchSelect} />}
+
+        {replayMode && (
+          <ReplayControls
+            archive={replay.archive}
+            playbackTime={replay.playbackTime}
+            snapshotTime={replay.snapshotTime}
+            playing={replay.playing}
+            speed={replay.speed}
+            loading={replay.loading}
+            error={replay.error}
+            onPlay={replay.play}
+            onPause={replay.pause}
+            onSeek={replay.seek}
+            onSpeedChange={replay.setSpeed}
+          />
+        )}
         
         <AltitudeLegend />
         
         <MapLibreContainer
-          flights={flights}
-          onFlightSelect={onFlightSelect}
+          ref={mapHandleRef}
+          flights={filtered.flights}
+          flightTable={replayMode ? null : flightTable}
+          onFlightSelect={handleFlightSelect}
+          onRouteChange={onRouteChange}
+          onBoundsChange={handleBoundsChange}
+          initialView={view}
+          onViewChange={setView}
+          follow={follow}
+          onFollowChange={onFollowChange}
+          interpolate={interpolating}
+          geofences={fences}
+          drawing={drawing}
+          onDrawComplete={handleDrawComplete}
+          onDrawCancel={handleDrawCancel}
         />
       </div>
     </ErrorBoundary>
@@ -0,0 +1,144 @@
+/**
+ * Emergency alerts drawer (7500/7600/7700 squawks and SPI)
+ */
+
+'use client';
+
+import { memo } from 'react';
+import { Z_INDEX } from './constants.jsx';
+import { EMERGENCY_KINDS } from '../../lib/emergencies.js';
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+const formatDuration = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return '<1 min';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+/**
+ * Button that opens the alerts drawer; red and pulsing during emergency
+ * squawks, amber while only SPI idents are active
+ */
+export const AlertsToggleButton = memo(({ activeCount, emergencyCount, open, onToggle }) => (
+  <button
+    onClick={onToggle}
+    className={`absolute top-28 right-4 ${
+      emergencyCount > 0
+        ? 'bg-red-600 hover:bg-red-700 animate-pulse'
+        : activeCount > 0
+          ? 'bg-amber-600 hover:bg-amber-700'
+          : open ? 'bg-zinc-600 hover:bg-zinc-500' : 'bg-zinc-700 hover:bg-zinc-600'
+    } text-white px-4 py-2 rounded-lg shadow-xl transition-colors flex items-center gap-2`}
+    style={{ zIndex: Z_INDEX.OVERLAY }}
+    aria-pressed={open}
+    aria-label={activeCount > 0 ? `${activeCount} active emergency alerts` : 'Emergency alerts'}
+  >
+    <AlertIcon />
+    Alerts
+    {activeCount > 0 && (
+      <span className={`bg-white ${emergencyCount > 0 ? 'text-red-600' : 'text-amber-700'} text-xs font-bold rounded-full px-1.5 min-w-5 text-center`}>{activeCount}</span>
+    )}
+  </button>
+));
+
+AlertsToggleButton.displayName = 'AlertsToggleButton';
+
+/**
+ * One alert in the drawer
+ */
+const AlertItem = memo(({ alert, onSelect }) => {
+  const kind = EMERGENCY_KINDS[alert.kind];
+  return (
+    <li>
+      <button
+        onClick={() => onSelect(alert)}
+        className="w-full text-left px-3 py-2 rounded-md hover:bg-zinc-800 transition-colors flex items-start gap-3"
+        aria-label={`Fly to ${alert.callsign || alert.icao24}`}
+      >
+        <span
+          className={`mt-1.5 h-2.5 w-2.5 rounded-full shrink-0 ${alert.active ? 'animate-pulse' : 'opacity-50'}`}
+          style={{ backgroundColor: kind.color }}
+        />
+        <span className="flex-1 min-w-0">
+          <span className="flex justify-between gap-2">
+            <span className="font-semibold truncate">{alert.callsign || alert.icao24.toUpperCase()}</span>
+            <span className="text-xs text-zinc-400 shrink-0">{formatTime(alert.firstSeen)}</span>
+          </span>
+          <span className="block text-xs" style={{ color: kind.color }}>{kind.label}</span>
+          <span className="block text-xs text-zinc-400">
+            {alert.active
+              ? `Active for ${formatDuration(alert.lastSeen - alert.firstSeen)}`
+              : `Ended ${formatTime(alert.endedAt)} after ${formatDuration(alert.endedAt - alert.firstSeen)}`}
+          </span>
+        </span>
+      </button>
+    </li>
+  );
+});
+
+AlertItem.displayName = 'AlertItem';
+
+/**
+ * Drawer listing active and recent emergencies; clicking one flies to the aircraft
+ * @param {Object} props
+ * @param {Array} props.alerts - Alerts from useEmergencyAlerts
+ * @param {Function} props.onSelect - Called with the clicked alert
+ * @param {Function} props.onClose - Close the drawer
+ */
+export const AlertsDrawer = memo(({ alerts, onSelect, onClose }) => {
+  const active = alerts.filter(alert => alert.active);
+  const recent = alerts.filter(alert => !alert.active);
+
+  return (
+    <div
+      className="absolute top-76 right-4 w-80 max-h-[60vh] overflow-y-auto bg-zinc-900/95 backdrop-blur-sm text-white rounded-lg shadow-xl border border-zinc-700"
+      style={{ zIndex: Z_INDEX.OVERLAY }}
+    >
+      <div className="sticky top-0 bg-zinc-900/95 px-4 py-3 border-b border-zinc-700 flex justify-between items-center">
+        <h3 className="font-bold">Emergency Alerts</h3>
+        <button
+          onClick={onClose}
+          className="text-zinc-400 hover:text-white transition-colors"
+          aria-label="Close alerts"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="p-2 text-sm">
+        <h4 className="px-3 pt-1 pb-1 text-xs font-semibold text-zinc-400 uppercase tracking-wide">Active</h4>
+        {active.length > 0 ? (
+          <ul>
+            {active.map(alert => <AlertItem key={`${alert.id}:${alert.firstSeen}`} alert={alert} onSelect={onSelect} />)}
+          </ul>
+        ) : (
+          <p className="px-3 py-2 text-zinc-500">No active emergencies</p>
+        )}
+
+        {recent.length > 0 && (
+          <>
+            <h4 className="px-3 pt-3 pb-1 text-xs font-semibold text-zinc-400 uppercase tracking-wide">Recent</h4>
+            <ul>
+              {recent.map(alert => <AlertItem key={`${alert.id}:${alert.firstSeen}`} alert={alert} onSelect={onSelect} />)}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+});
+
+AlertsDrawer.displayName = 'AlertsDrawer';
+
+/**
+ * Icons
+ */
+const AlertIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+    <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+  </svg>
+);
@@ -0,0 +1,85 @@
+/**
+ * 3D altitude view controls
+ * Toggle for the 3D view and, while it is on, the vertical exaggeration and
+ * the trail style. Styled like the theme and projection buttons next to it.
+ */
+
+'use client';
+
+import { memo } from 'react';
+import { ALTITUDE_3D_CONFIG } from './constants.jsx';
+
+const TRAIL_STYLE_LABELS = { line: 'Line', curtain: 'Curtain' };
+
+/**
+ * @param {Object} props
+ * @param {string} props.theme - 'dark' or 'light'
+ * @param {boolean} props.enabled - 3D view is on
+ * @param {number} props.exaggeration - Vertical exaggeration
+ * @param {string} props.trailStyle - 'line' or 'curtain'
+ * @param {Function} props.onToggle - Switch the 3D view on or off
+ * @param {Function} props.onExaggerationChange - (exaggeration)
+ * @param {Function} props.onTrailStyleChange - (style)
+ */
+export const Altitude3DControls = memo(({ theme, enabled, exaggeration, trailStyle, onToggle, onExaggerationChange, onTrailStyleChange }) => {
+  const dark = theme === 'dark';
+
+  return (
+    <div className={`rounded-lg ${
+      dark ? 'bg-black/70 border-white/20 text-white' : 'bg-white/90 border-gray-300 text-gray-800'
+    } border text-sm select-none shadow-lg`}>
+      {enabled && (
+        <div className={`px-4 pt-3 pb-2 space-y-2 border-b ${dark ? 'border-white/10' : 'border-gray-200'}`}>
+          <label className="flex items-center gap-3">
+            <span className="text-xs font-medium whitespace-nowrap">Vertical ×</span>
+            <input
+              type="range"
+              min="1"
+              max={ALTITUDE_3D_CONFIG.MAX_EXAGGERATION}
+              step="1"
+              value={exaggeration}
+              onChange={(e) => onExaggerationChange(Number(e.target.value))}
+              className={`w-24 h-2 ${dark ? 'bg-white/20' : 'bg-gray-300'} rounded-lg appearance-none cursor-pointer slider`}
+              style={{ accentColor: '#60A5FA' }}
+              aria-label="Vertical exaggeration"
+            />
+            <span className={`text-xs font-mono w-6 ${dark ? 'text-blue-400' : 'text-blue-600'}`}>{exaggeration}×</span>
+          </label>
+          <div className="flex items-center gap-3">
+            <span className="text-xs font-medium">Trail</span>
+            <div className={`flex rounded-md overflow-hidden border ${dark ? 'border-white/20' : 'border-gray-300'}`}>
+              {Object.entries(TRAIL_STYLE_LABELS).map(([style, label]) => (
+                <button
+                  key={style}
+                  onClick={() => onTrailStyleChange(style)}
+                  className={`px-2 py-0.5 text-xs transition-colors ${
+                    trailStyle === style
+                      ? 'bg-blue-500 text-white'
+                      : dark ? 'hover:bg-white/10' : 'hover:bg-gray-100'
+                  }`}
+                  aria-pressed={trailStyle === style}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <p className={`text-[10px] ${dark ? 'text-white/50' : 'text-gray-500'}`}>Right-drag or Ctrl-drag to rotate and tilt</p>
+        </div>
+      )}
+      <button
+        onClick={onToggle}
+        className={`w-full px-4 py-2 rounded-lg ${dark ? 'hover:bg-black/90' : 'hover:bg-white'} font-medium transition-all duration-200`}
+        title="Show aircraft and trails at their altitude"
+        aria-pressed={enabled}
+      >
+        <div className="flex items-center gap-2">
+          <span className="text-lg">🛫</span>
+          <span>{enabled ? '2D Altitude' : '3D Altitude'}</span>
+        </div>
+      </button>
+    </div>
+  );
+});
+
+Altitude3DControls.displayName = 'Altitude3DControls';
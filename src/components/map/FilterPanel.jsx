@@ -0,0 +1,328 @@
+/**
+ * Flight filter panel and the chips summarizing active filters
+ */
+
+'use client';
+
+import { memo, useState } from 'react';
+import { Z_INDEX } from './constants.jsx';
+import { POSITION_SOURCES } from '../../lib/flight-filters.js';
+import { QueryBar } from './QueryBar.jsx';
+
+/**
+ * Button that opens the filter panel
+ */
+export const FilterToggleButton = memo(({ open, activeCount, onToggle }) => (
+  <button
+    onClick={onToggle}
+    className={`absolute top-64 right-4 ${open || activeCount > 0 ? 'bg-indigo-600 hover:bg-indigo-500' : 'bg-zinc-700 hover:bg-zinc-600'} text-white px-4 py-2 rounded-lg shadow-xl transition-colors flex items-center gap-2`}
+    style={{ zIndex: Z_INDEX.OVERLAY }}
+    aria-pressed={open}
+    aria-label={activeCount > 0 ? `Filters, ${activeCount} active` : 'Filters'}
+  >
+    <FilterIcon />
+    Filters
+    {activeCount > 0 && (
+      <span className="bg-white/20 text-xs font-bold rounded-full px-1.5 min-w-5 text-center">{activeCount}</span>
+    )}
+  </button>
+));
+
+FilterToggleButton.displayName = 'FilterToggleButton';
+
+/**
+ * Active filters under the search box, each with the aircraft it hides
+ * @param {Object} props
+ * @param {Array} props.active - Active filters ({ key, label, hidden }) from applyFlightFilters
+ * @param {number} props.hidden - Aircraft hidden in total
+ * @param {Function} props.onClear - (key) remove one filter
+ * @param {Function} props.onReset - Remove every filter
+ */
+export const FilterChips = memo(({ active, hidden, onClear, onReset }) => {
+  if (active.length === 0) return null;
+
+  return (
+    <div
+      className="absolute top-16 left-1/2 transform -translate-x-1/2 w-[min(40rem,calc(100%-2rem))] flex flex-wrap justify-center gap-1.5"
+      style={{ zIndex: Z_INDEX.OVERLAY }}
+    >
+      {active.map(filter => (
+        <span
+          key={filter.key}
+          className="bg-indigo-600/90 text-white text-xs rounded-full pl-3 pr-1.5 py-1 shadow-lg flex items-center gap-1.5"
+          title={`${filter.hidden.toLocaleString()} aircraft don't match this filter`}
+        >
+          {filter.label}
+          <span className="text-indigo-200">−{filter.hidden.toLocaleString()}</span>
+          <button
+            onClick={() => onClear(filter.key)}
+            className="rounded-full hover:bg-white/20 p-0.5"
+            aria-label={`Remove filter ${filter.label}`}
+          >
+            <CloseIcon />
+          </button>
+        </span>
+      ))}
+      <span className="bg-zinc-900/90 text-zinc-300 text-xs rounded-full px-3 py-1 shadow-lg flex items-center gap-2">
+        {hidden.toLocaleString()} hidden
+        {active.length > 1 && (
+          <button onClick={onReset} className="text-indigo-300 hover:text-white font-medium">Clear all</button>
+        )}
+      </span>
+    </div>
+  );
+});
+
+FilterChips.displayName = 'FilterChips';
+
+const inputClass = 'w-full bg-zinc-800 border border-zinc-700 rounded px-2 py-1 text-sm text-white placeholder-zinc-500 focus:outline-none focus:border-indigo-500';
+
+const parseNumber = (value) => (value === '' ? null : Number(value));
+
+/**
+ * Min/max pair of number inputs
+ */
+const RangeInputs = ({ label, unit, min, max, minField, maxField, onChange, minPlaceholder = 'Any', maxPlaceholder = 'Any' }) => (
+  <fieldset>
+    <legend className="text-xs font-semibold text-zinc-400 uppercase tracking-wide pb-1">{label} ({unit})</legend>
+    <div className="flex gap-2 text-xs text-zinc-400">
+      <label className="block flex-1">
+        Min
+        <input
+          type="number"
+          className={inputClass}
+          value={min ?? ''}
+          placeholder={minPlaceholder}
+          onChange={(e) => onChange({ [minField]: parseNumber(e.target.value) })}
+        />
+      </label>
+      <label className="block flex-1">
+        Max
+        <input
+          type="number"
+          className={inputClass}
+          value={max ?? ''}
+          placeholder={maxPlaceholder}
+          onChange={(e) => onChange({ [maxField]: parseNumber(e.target.value) })}
+        />
+      </label>
+    </div>
+  </fieldset>
+);
+
+/**
+ * Country multi-select with a name filter
+ */
+const CountrySelect = ({ countries, selected, onChange }) => {
+  const [search, setSearch] = useState('');
+  const selectedSet = new Set(selected);
+
+  // Selected countries stay listed even when none of their aircraft are in view
+  const options = [
+    ...selected.filter(country => !countries.some(option => option.country === country)).map(country => ({ country, count: 0 })),
+    ...countries
+  ].filter(({ country }) => country.toLowerCase().includes(search.trim().toLowerCase()));
+
+  const toggle = (country) => {
+    onChange({ countries: selectedSet.has(country) ? selected.filter(c => c !== country) : [...selected, country] });
+  };
+
+  return (
+    <fieldset>
+      <legend className="text-xs font-semibold text-zinc-400 uppercase tracking-wide pb-1">Country of registration</legend>
+      <input
+        className={inputClass}
+        value={search}
+        placeholder="Find a country"
+        onChange={(e) => setSearch(e.target.value)}
+        aria-label="Find a country"
+      />
+      <ul className="mt-1 max-h-40 overflow-y-auto">
+        {options.map(({ country, count }) => (
+          <li key={country}>
+            <label className="flex items-center gap-2 px-1 py-0.5 rounded hover:bg-zinc-800 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={selectedSet.has(country)}
+                onChange={() => toggle(country)}
+                className="accent-indigo-500"
+              />
+              <span className="flex-1 truncate">{country}</span>
+              <span className="text-xs text-zinc-500">{count.toLocaleString()}</span>
+            </label>
+          </li>
+        ))}
+        {options.length === 0 && <li className="px-1 py-0.5 text-zinc-500">No matching countries</li>}
+      </ul>
+      {selected.length > 0 && (
+        <button onClick={() => onChange({ countries: [] })} className="mt-1 text-xs text-indigo-300 hover:text-white">
+          Clear {selected.length} selected
+        </button>
+      )}
+    </fieldset>
+  );
+};
+
+/**
+ * Filter panel
+ * @param {Object} props
+ * @param {Object} props.filters - Filters from useFlightFilters
+ * @param {Array} props.countries - Countries in the data with counts (countFlightCountries)
+ * @param {number} props.hidden - Aircraft hidden by the filters
+ * @param {number} props.total - Aircraft before filtering
+ * @param {Array} props.savedQueries - Saved queries from useSavedQueries
+ * @param {Function} props.onChange - (changes) update filter fields
+ * @param {Function} props.onReset - Remove every filter
+ * @param {Function} props.onSaveQuery - (name, query) save a query
+ * @param {Function} props.onRemoveQuery - (id) delete a saved query
+ * @param {Function} props.onClose - Close the panel
+ */
+export const FilterPanel = memo(({
+  filters,
+  countries,
+  hidden,
+  total,
+  savedQueries,
+  onChange,
+  onReset,
+  onSaveQuery,
+  onRemoveQuery,
+  onClose
+}) => {
+  const segmentClass = (active) => `flex-1 px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+    active ? 'bg-indigo-600 text-white' : 'bg-zinc-800 hover:bg-zinc-700 text-zinc-200'
+  }`;
+
+  const toggleSource = (code) => {
+    onChange({
+      sources: filters.sources.includes(code) ? filters.sources.filter(c => c !== code) : [...filters.sources, code]
+    });
+  };
+
+  return (
+    <div
+      className="absolute top-76 right-4 w-80 max-h-[60vh] overflow-y-auto bg-zinc-900/95 backdrop-blur-sm text-white rounded-lg shadow-xl border border-zinc-700"
+      style={{ zIndex: Z_INDEX.OVERLAY }}
+    >
+      <div className="sticky top-0 z-10 bg-zinc-900/95 px-4 py-3 border-b border-zinc-700 flex justify-between items-center">
+        <h3 className="font-bold">Filters</h3>
+        <button
+          onClick={onClose}
+          className="text-zinc-400 hover:text-white transition-colors"
+          aria-label="Close filters"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="p-3 text-sm space-y-4">
+        <p className="text-xs text-zinc-400">
+          Showing {(total - hidden).toLocaleString()} of {total.toLocaleString()} aircraft
+          {hidden > 0 && (
+            <button onClick={onReset} className="ml-2 text-indigo-300 hover:text-white font-medium">Reset</button>
+          )}
+        </p>
+
+        <QueryBar
+          query={filters.query}
+          savedQueries={savedQueries}
+          onApply={(query) => onChange({ query })}
+          onSave={onSaveQuery}
+          onRemoveSaved={onRemoveQuery}
+        />
+
+        <fieldset>
+          <legend className="text-xs font-semibold text-zinc-400 uppercase tracking-wide pb-1">State</legend>
+          <div className="flex gap-2">
+            <button onClick={() => onChange({ state: 'all' })} className={segmentClass(filters.state === 'all')} aria-pressed={filters.state === 'all'}>All</button>
+            <button onClick={() => onChange({ state: 'airborne' })} className={segmentClass(filters.state === 'airborne')} aria-pressed={filters.state === 'airborne'}>Airborne</button>
+            <button onClick={() => onChange({ state: 'ground' })} className={segmentClass(filters.state === 'ground')} aria-pressed={filters.state === 'ground'}>On ground</button>
+          </div>
+        </fieldset>
+
+        <RangeInputs
+          label="Altitude"
+          unit="ft"
+          min={filters.minAltitude}
+          max={filters.maxAltitude}
+          minField="minAltitude"
+          maxField="maxAltitude"
+          minPlaceholder="Ground"
+          maxPlaceholder="Unlimited"
+          onChange={onChange}
+        />
+
+        <RangeInputs
+          label="Speed"
+          unit="kt"
+          min={filters.minSpeed}
+          max={filters.maxSpeed}
+          minField="minSpeed"
+          maxField="maxSpeed"
+          onChange={onChange}
+        />
+
+        <RangeInputs
+          label="Vertical rate"
+          unit="ft/min"
+          min={filters.minVerticalRate}
+          max={filters.maxVerticalRate}
+          minField="minVerticalRate"
+          maxField="maxVerticalRate"
+          minPlaceholder="e.g. -500"
+          maxPlaceholder="e.g. 500"
+          onChange={onChange}
+        />
+
+        <fieldset>
+          <legend className="text-xs font-semibold text-zinc-400 uppercase tracking-wide pb-1">Position source</legend>
+          <div className="flex flex-wrap gap-1.5">
+            {POSITION_SOURCES.map(({ code, label }) => (
+              <button
+                key={code}
+                onClick={() => toggleSource(code)}
+                className={`px-2.5 py-1 rounded-full text-xs font-medium transition-colors ${
+                  filters.sources.includes(code) ? 'bg-indigo-600 text-white' : 'bg-zinc-800 hover:bg-zinc-700 text-zinc-300'
+                }`}
+                aria-pressed={filters.sources.includes(code)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </fieldset>
+
+        <label className="block">
+          <span className="block text-xs font-semibold text-zinc-400 uppercase tracking-wide pb-1">Squawk</span>
+          <input
+            className={inputClass}
+            value={filters.squawk}
+            placeholder="Any (e.g. 7700, 75*, 1200)"
+            onChange={(e) => onChange({ squawk: e.target.value })}
+          />
+        </label>
+
+        <CountrySelect countries={countries} selected={filters.countries} onChange={onChange} />
+      </div>
+    </div>
+  );
+});
+
+FilterPanel.displayName = 'FilterPanel';
+
+/**
+ * Icons
+ */
+const FilterIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+    <path strokeLinecap="round" strokeLinejoin="round" d="M3 5h18l-7 8.5V19l-4 2v-7.5z" />
+  </svg>
+);
+
+const CloseIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={3}>
+    <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+  </svg>
+);
@@ -0,0 +1,173 @@
+/**
+ * Flight search box with autocomplete
+ * Press "/" to focus it, arrow keys to move through suggestions, Enter to
+ * fly to the highlighted aircraft and Escape to clear.
+ */
+
+'use client';
+
+import { memo, useEffect, useId, useRef, useState } from 'react';
+import { Z_INDEX } from './constants.jsx';
+import { useFlightSearch } from '../../hooks/useFlightSearch.js';
+import { describeOperator, parseCallsign } from '../../lib/airlines/index.js';
+
+/**
+ * Second line of a suggestion: why it matched, or who operates it
+ */
+const describeMatch = ({ flight, field, label }) => {
+  if (field === 'registration') return `Registration ${label}`;
+  if (field === 'airline') return label;
+  if (field === 'icao24') return `ICAO24 ${label}`;
+  return describeOperator(parseCallsign(flight.callsign)) ?? flight.origin_country ?? null;
+};
+
+const formatAltitude = (flight) => {
+  if (flight.on_ground) return 'On ground';
+  return Number.isFinite(flight.baro_altitude) ? `${Math.round(flight.baro_altitude * 3.28084).toLocaleString()} ft` : null;
+};
+
+/**
+ * One suggestion
+ */
+const SearchResult = memo(({ id, result, active, onSelect, onHover }) => (
+  <li
+    id={id}
+    role="option"
+    aria-selected={active}
+    onClick={() => onSelect(result)}
+    onMouseEnter={onHover}
+    className={`px-3 py-2 cursor-pointer flex justify-between gap-3 ${active ? 'bg-zinc-800' : ''}`}
+  >
+    <span className="min-w-0">
+      <span className="block font-semibold truncate">{result.flight.callsign?.trim() || result.flight.icao24.toUpperCase()}</span>
+      <span className="block text-xs text-zinc-400 truncate">{describeMatch(result)}</span>
+    </span>
+    <span className="text-xs text-zinc-400 shrink-0 pt-0.5">{formatAltitude(result.flight)}</span>
+  </li>
+));
+
+SearchResult.displayName = 'SearchResult';
+
+/**
+ * Search box
+ * @param {Object} props
+ * @param {Array} props.flights - Flights on the map
+ * @param {Function} props.onSelect - Called with the chosen flight
+ */
+export const FlightSearch = memo(({ flights, onSelect }) => {
+  const inputRef = useRef(null);
+  const listId = useId();
+  const [query, setQuery] = useState('');
+  const [focused, setFocused] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const results = useFlightSearch(flights, query);
+  const active = Math.min(activeIndex, results.length - 1);
+  const open = focused && query.trim() !== '';
+
+  // "/" focuses the search from anywhere outside a text field
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key !== '/' || event.target.closest?.('input, textarea')) return;
+      event.preventDefault();
+      inputRef.current?.focus();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const handleSelect = (result) => {
+    console.log('[Search] Flying to', result.flight.icao24, result.flight.callsign);
+    onSelect(result.flight);
+    setQuery('');
+    inputRef.current?.blur();
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (results.length === 0) return;
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((active + step + results.length) % results.length);
+    } else if (event.key === 'Enter') {
+      if (results[active]) handleSelect(results[active]);
+    } else if (event.key === 'Escape') {
+      if (query) setQuery('');
+      else inputRef.current?.blur();
+    }
+  };
+
+  return (
+    <div
+      className="absolute top-4 left-1/2 transform -translate-x-1/2 w-[min(24rem,calc(100%-2rem))]"
+      style={{ zIndex: Z_INDEX.OVERLAY }}
+    >
+      <div className="relative">
+        <span className="absolute left-3 top-1/2 -translate-y-1/2 text-zinc-400 pointer-events-none">
+          <SearchIcon />
+        </span>
+        <input
+          ref={inputRef}
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          onFocus={() => setFocused(true)}
+          onBlur={() => setFocused(false)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search callsign, ICAO24, registration or airline"
+          className="w-full bg-zinc-900/95 backdrop-blur-sm text-white text-sm placeholder-zinc-500 pl-10 pr-10 py-2.5 rounded-lg shadow-xl border border-zinc-700 focus:outline-none focus:border-blue-500"
+          role="combobox"
+          aria-label="Search flights"
+          aria-expanded={open}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={open && active >= 0 ? `${listId}-${active}` : undefined}
+          autoComplete="off"
+          spellCheck={false}
+        />
+        {!focused && !query && (
+          <kbd className="absolute right-3 top-1/2 -translate-y-1/2 text-xs text-zinc-500 border border-zinc-700 rounded px-1.5 pointer-events-none">/</kbd>
+        )}
+      </div>
+
+      {open && (
+        <ul
+          id={listId}
+          role="listbox"
+          // Keep focus in the input so clicks land on the suggestion
+          onMouseDown={(e) => e.preventDefault()}
+          className="mt-1 max-h-[50vh] overflow-y-auto bg-zinc-900/95 backdrop-blur-sm text-white text-sm rounded-lg shadow-xl border border-zinc-700 py-1"
+        >
+          {results.length > 0 ? (
+            results.map((result, index) => (
+              <SearchResult
+                key={result.flight.icao24}
+                id={`${listId}-${index}`}
+                result={result}
+                active={index === active}
+                onSelect={handleSelect}
+                onHover={() => setActiveIndex(index)}
+              />
+            ))
+          ) : (
+            <li className="px-3 py-2 text-zinc-500">No matching flights on the map</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+FlightSearch.displayName = 'FlightSearch';
+
+/**
+ * Icons
+ */
+const SearchIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+    <path strokeLinecap="round" strokeLinejoin="round" d="M21 21l-4.35-4.35M17 10.5a6.5 6.5 0 11-13 0 6.5 6.5 0 0113 0z" />
+  </svg>
+);
@@ -0,0 +1,223 @@
+/**
+ * Geofence map layers and drawing
+ * Rendered inside the map: outlines the saved fences and, while `drawing`
+ * is set, turns clicks into a polygon or circle.
+ *
+ * Polygon: click to add vertices; click the first vertex, double-click or
+ * press Enter to finish; Backspace removes the last vertex.
+ * Circle: click the center, then click again to set the radius.
+ * Escape cancels either.
+ */
+
+'use client';
+
+import { memo, useEffect, useMemo } from 'react';
+import { Source, Layer, useMap } from 'react-map-gl/maplibre';
+import { GEOFENCE_CONFIG } from './constants.jsx';
+import { geofencesToGeoJSON, geofenceRing, unwrapRing } from '../../lib/geofences.js';
+import { haversineDistance } from '../../lib/geo.js';
+
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+const DRAFT_COLOR = '#f8fafc';
+
+/**
+ * In-progress shape as GeoJSON
+ * @param {string} shape - 'polygon' or 'circle'
+ * @param {Array<[number, number]>} vertices - Clicked points
+ * @param {[number, number]|null} cursor - Pointer position
+ */
+const draftGeoJSON = (shape, vertices, cursor) => {
+  const features = vertices.map(vertex => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: vertex },
+    properties: {}
+  }));
+
+  if (shape === 'circle') {
+    if (vertices.length === 1 && cursor) {
+      const [center] = vertices;
+      const radius = haversineDistance(center[1], center[0], cursor[1], cursor[0]);
+      if (radius > 0) {
+        features.push({
+          type: 'Feature',
+          geometry: { type: 'Polygon', coordinates: [geofenceRing({ shape, center, radius })] },
+          properties: {}
+        });
+      }
+    }
+    return { type: 'FeatureCollection', features };
+  }
+
+  const ring = unwrapRing(cursor ? [...vertices, cursor] : vertices);
+  if (ring.length >= 3) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] },
+      properties: {}
+    });
+  } else if (ring.length === 2) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: ring },
+      properties: {}
+    });
+  }
+  return { type: 'FeatureCollection', features };
+};
+
+/**
+ * Saved fences plus the drawing interaction
+ * @param {Object} props
+ * @param {Array} props.fences - Geofences from useGeofences
+ * @param {string|null} props.drawing - Shape being drawn ('polygon' or 'circle'), or null
+ * @param {string} [props.beforeId] - Layer the fences are drawn under
+ * @param {Function} props.onDrawComplete - Called with { shape, coordinates } or { shape, center, radius }
+ * @param {Function} props.onDrawCancel - Called when drawing is abandoned
+ */
+export const GeofenceLayers = memo(({ fences, drawing, beforeId, onDrawComplete, onDrawCancel }) => {
+  const { current: mapRef } = useMap();
+
+  const fenceData = useMemo(() => geofencesToGeoJSON(fences), [fences]);
+
+  useEffect(() => {
+    const map = mapRef?.getMap();
+    if (!map || !drawing) return;
+
+    const vertices = [];
+    let cursor = null;
+
+    const render = () => {
+      map.getSource('geofence-draft-source')?.setData(draftGeoJSON(drawing, vertices, cursor));
+    };
+
+    const pixelDistance = (a, b) => {
+      const pa = map.project(a);
+      const pb = map.project(b);
+      return Math.hypot(pa.x - pb.x, pa.y - pb.y);
+    };
+
+    const finishPolygon = () => {
+      // Double-clicks add the same point twice
+      const ring = vertices.filter((vertex, i) => i === 0 || pixelDistance(vertex, vertices[i - 1]) > GEOFENCE_CONFIG.CLOSE_DISTANCE);
+      if (ring.length < 3) return;
+      onDrawComplete({ shape: 'polygon', coordinates: unwrapRing(ring) });
+    };
+
+    const handleClick = (event) => {
+      const point = [event.lngLat.lng, event.lngLat.lat];
+
+      if (drawing === 'circle') {
+        if (vertices.length === 0) {
+          vertices.push(point);
+          render();
+          return;
+        }
+        const [center] = vertices;
+        const radius = haversineDistance(center[1], center[0], point[1], point[0]);
+        if (radius > 0) onDrawComplete({ shape: 'circle', center, radius });
+        return;
+      }
+
+      if (vertices.length >= 3 && pixelDistance(point, vertices[0]) <= GEOFENCE_CONFIG.CLOSE_DISTANCE) {
+        finishPolygon();
+        return;
+      }
+      vertices.push(point);
+      render();
+    };
+
+    const handleDoubleClick = (event) => {
+      event.preventDefault();
+      if (drawing === 'polygon') finishPolygon();
+    };
+
+    const handleMouseMove = (event) => {
+      cursor = [event.lngLat.lng, event.lngLat.lat];
+      render();
+    };
+
+    const handleKeyDown = (event) => {
+      // Leave typing in the panel's fields alone
+      if (event.target.closest?.('input, textarea')) return;
+      if (event.key === 'Escape') {
+        onDrawCancel();
+      } else if (event.key === 'Enter' && drawing === 'polygon') {
+        finishPolygon();
+      } else if (event.key === 'Backspace' && vertices.length > 0) {
+        vertices.pop();
+        render();
+      }
+    };
+
+    console.log(`[Geofences] Drawing a ${drawing}`);
+    map.getCanvas().style.cursor = 'crosshair';
+    map.on('click', handleClick);
+    map.on('dblclick', handleDoubleClick);
+    map.on('mousemove', handleMouseMove);
+    window.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      map.getCanvas().style.cursor = '';
+      map.off('click', handleClick);
+      map.off('dblclick', handleDoubleClick);
+      map.off('mousemove', handleMouseMove);
+      window.removeEventListener('keydown', handleKeyDown);
+      map.getSource('geofence-draft-source')?.setData(EMPTY_COLLECTION);
+    };
+  }, [mapRef, drawing, onDrawComplete, onDrawCancel]);
+
+  return (
+    <>
+      <Source id="geofences-source" type="geojson" data={fenceData}>
+        <Layer
+          id="geofences-fill-layer"
+          type="fill"
+          beforeId={beforeId}
+          paint={{
+            'fill-color': ['get', 'color'],
+            'fill-opacity': ['case', ['get', 'enabled'], 0.12, 0.04]
+          }}
+        />
+        <Layer
+          id="geofences-line-layer"
+          type="line"
+          beforeId={beforeId}
+          paint={{
+            'line-color': ['get', 'color'],
+            'line-width': 2,
+            'line-opacity': ['case', ['get', 'enabled'], 0.9, 0.35]
+          }}
+        />
+      </Source>
+
+      <Source id="geofence-draft-source" type="geojson" data={EMPTY_COLLECTION}>
+        <Layer
+          id="geofence-draft-fill-layer"
+          type="fill"
+          filter={['==', ['geometry-type'], 'Polygon']}
+          paint={{ 'fill-color': DRAFT_COLOR, 'fill-opacity': 0.1 }}
+        />
+        <Layer
+          id="geofence-draft-line-layer"
+          type="line"
+          filter={['!=', ['geometry-type'], 'Point']}
+          paint={{ 'line-color': DRAFT_COLOR, 'line-width': 2, 'line-dasharray': [2, 2] }}
+        />
+        <Layer
+          id="geofence-draft-vertex-layer"
+          type="circle"
+          filter={['==', ['geometry-type'], 'Point']}
+          paint={{
+            'circle-radius': 4,
+            'circle-color': DRAFT_COLOR,
+            'circle-stroke-width': 1.5,
+            'circle-stroke-color': '#0f172a'
+          }}
+        />
+      </Source>
+    </>
+  );
+});
+
+GeofenceLayers.displayName = 'GeofenceLayers';
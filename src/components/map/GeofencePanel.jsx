@@ -0,0 +1,305 @@
+/**
+ * Geofence panel (saved areas, drawing tools and the enter/exit log)
+ */
+
+'use client';
+
+import { memo, useState } from 'react';
+import { Z_INDEX } from './constants.jsx';
+import { NotificationStatus } from './NotificationStatus.jsx';
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+const formatRadius = (meters) => (meters >= 10000 ? `${Math.round(meters / 1000)} km` : `${(meters / 1000).toFixed(1)} km`);
+
+const describeEvent = (event) => {
+  if (event.type === 'enter') return 'entered';
+  return event.lost ? 'lost inside' : 'left';
+};
+
+/**
+ * Button that opens the geofence panel
+ */
+export const GeofenceToggleButton = memo(({ open, count, onToggle }) => (
+  <button
+    onClick={onToggle}
+    className={`absolute top-40 right-4 ${open ? 'bg-sky-700 hover:bg-sky-600' : 'bg-zinc-700 hover:bg-zinc-600'} text-white px-4 py-2 rounded-lg shadow-xl transition-colors flex items-center gap-2`}
+    style={{ zIndex: Z_INDEX.OVERLAY }}
+    aria-pressed={open}
+    aria-label="Geofences"
+  >
+    <FenceIcon />
+    Geofences
+    {count > 0 && (
+      <span className="bg-white/20 text-xs font-bold rounded-full px-1.5 min-w-5 text-center">{count}</span>
+    )}
+  </button>
+));
+
+GeofenceToggleButton.displayName = 'GeofenceToggleButton';
+
+/**
+ * Instructions shown while a fence is being drawn
+ */
+export const GeofenceDrawHint = memo(({ shape, onCancel }) => (
+  <div
+    className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-zinc-900/95 backdrop-blur-sm text-white text-sm px-4 py-2 rounded-lg shadow-xl border border-sky-600/60 flex items-center gap-3"
+    style={{ zIndex: Z_INDEX.OVERLAY }}
+  >
+    <span>
+      {shape === 'circle'
+        ? 'Click the center, then click again to set the radius'
+        : 'Click to add points; click the first point, double-click or press Enter to finish'}
+      <span className="text-zinc-400"> · Esc to cancel</span>
+    </span>
+    <button onClick={onCancel} className="text-sky-400 hover:text-sky-300 font-medium">Cancel</button>
+  </div>
+));
+
+GeofenceDrawHint.displayName = 'GeofenceDrawHint';
+
+const inputClass = 'w-full bg-zinc-800 border border-zinc-700 rounded px-2 py-1 text-sm text-white placeholder-zinc-500 focus:outline-none focus:border-sky-500';
+
+/**
+ * One saved fence; expands into its settings
+ */
+const GeofenceItem = memo(({ fence, inside, expanded, onExpand, onUpdate, onRemove }) => {
+  const parseAltitude = (value) => (value === '' ? null : Number(value));
+
+  return (
+    <li className="rounded-md border border-zinc-800">
+      <div className="flex items-center gap-2 px-3 py-2">
+        <input
+          type="checkbox"
+          checked={fence.enabled}
+          onChange={(e) => onUpdate(fence.id, { enabled: e.target.checked })}
+          className="accent-sky-500"
+          aria-label={`Monitor ${fence.name}`}
+        />
+        <span className="h-2.5 w-2.5 rounded-full shrink-0" style={{ backgroundColor: fence.color }} />
+        <button
+          onClick={() => onExpand(expanded ? null : fence.id)}
+          className="flex-1 min-w-0 text-left"
+          aria-expanded={expanded}
+        >
+          <span className="block font-semibold truncate">{fence.name}</span>
+          <span className="block text-xs text-zinc-400">
+            {fence.shape === 'circle' ? `Circle, ${formatRadius(fence.radius)}` : `Polygon, ${fence.coordinates.length} points`}
+            {fence.enabled && ` · ${inside ?? 0} inside`}
+          </span>
+        </button>
+        <button
+          onClick={() => onRemove(fence.id)}
+          className="text-zinc-500 hover:text-red-400 transition-colors"
+          aria-label={`Delete ${fence.name}`}
+        >
+          <TrashIcon />
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="px-3 pb-3 space-y-2 text-xs text-zinc-400">
+          <label className="block">
+            Name
+            <input
+              className={inputClass}
+              value={fence.name}
+              maxLength={80}
+              onChange={(e) => onUpdate(fence.id, { name: e.target.value })}
+            />
+          </label>
+          <div className="flex gap-2">
+            <label className="block flex-1">
+              Min altitude (ft)
+              <input
+                type="number"
+                className={inputClass}
+                value={fence.minAltitude ?? ''}
+                placeholder="Ground"
+                onChange={(e) => onUpdate(fence.id, { minAltitude: parseAltitude(e.target.value) })}
+              />
+            </label>
+            <label className="block flex-1">
+              Max altitude (ft)
+              <input
+                type="number"
+                className={inputClass}
+                value={fence.maxAltitude ?? ''}
+                placeholder="Unlimited"
+                onChange={(e) => onUpdate(fence.id, { maxAltitude: parseAltitude(e.target.value) })}
+              />
+            </label>
+          </div>
+          <label className="block">
+            Callsigns
+            <input
+              className={inputClass}
+              value={fence.callsigns}
+              placeholder="All aircraft (e.g. BAW*, EZY, N12?4)"
+              onChange={(e) => onUpdate(fence.id, { callsigns: e.target.value })}
+            />
+          </label>
+        </div>
+      )}
+    </li>
+  );
+});
+
+GeofenceItem.displayName = 'GeofenceItem';
+
+/**
+ * One enter/exit event
+ */
+const GeofenceEventItem = memo(({ event, onSelect }) => (
+  <li>
+    <button
+      onClick={() => onSelect(event)}
+      className="w-full text-left px-3 py-1.5 rounded-md hover:bg-zinc-800 transition-colors flex items-start gap-3"
+      aria-label={`Fly to ${event.callsign || event.icao24}`}
+    >
+      <span className="mt-1.5 h-2 w-2 rounded-full shrink-0" style={{ backgroundColor: event.color }} />
+      <span className="flex-1 min-w-0">
+        <span className="flex justify-between gap-2">
+          <span className="truncate">
+            <span className="font-semibold">{event.callsign || event.icao24.toUpperCase()}</span>
+            {' '}
+            <span className={event.type === 'enter' ? 'text-green-400' : 'text-zinc-400'}>{describeEvent(event)}</span>
+            {' '}
+            {event.fenceName}
+          </span>
+          <span className="text-xs text-zinc-400 shrink-0">{formatTime(event.time)}</span>
+        </span>
+        {Number.isFinite(event.altitude) && (
+          <span className="block text-xs text-zinc-500">{Math.round(event.altitude * 3.28084).toLocaleString()} ft</span>
+        )}
+      </span>
+    </button>
+  </li>
+));
+
+GeofenceEventItem.displayName = 'GeofenceEventItem';
+
+/**
+ * Geofence panel
+ * @param {Object} props
+ * @param {Array} props.fences - Geofences from useGeofences
+ * @param {Object} props.insideCounts - Aircraft inside each fence (by id)
+ * @param {Array} props.events - Enter/exit events, newest first
+ * @param {string|null} props.drawing - Shape being drawn, or null
+ * @param {string} props.notificationPermission - Browser notification permission
+ * @param {boolean} props.paused - Monitoring is paused (replay)
+ * @param {Function} props.onDraw - Start drawing a shape ('polygon' or 'circle')
+ * @param {Function} props.onUpdate - (id, changes) edit a fence
+ * @param {Function} props.onRemove - (id) delete a fence
+ * @param {Function} props.onEventSelect - Called with the clicked event
+ * @param {Function} props.onClearEvents - Empty the event log
+ * @param {Function} props.onRequestNotifications - Ask for notification permission
+ * @param {Function} props.onClose - Close the panel
+ */
+export const GeofencePanel = memo(({
+  fences,
+  insideCounts,
+  events,
+  drawing,
+  notificationPermission,
+  paused,
+  onDraw,
+  onUpdate,
+  onRemove,
+  onEventSelect,
+  onClearEvents,
+  onRequestNotifications,
+  onClose
+}) => {
+  const [expandedId, setExpandedId] = useState(null);
+
+  const drawButtonClass = (shape) => `flex-1 px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+    drawing === shape ? 'bg-sky-600 text-white' : 'bg-zinc-800 hover:bg-zinc-700 text-zinc-200'
+  }`;
+
+  return (
+    <div
+      className="absolute top-76 right-4 w-80 max-h-[60vh] overflow-y-auto bg-zinc-900/95 backdrop-blur-sm text-white rounded-lg shadow-xl border border-zinc-700"
+      style={{ zIndex: Z_INDEX.OVERLAY }}
+    >
+      <div className="sticky top-0 bg-zinc-900/95 px-4 py-3 border-b border-zinc-700 flex justify-between items-center">
+        <h3 className="font-bold">Geofences</h3>
+        <button
+          onClick={onClose}
+          className="text-zinc-400 hover:text-white transition-colors"
+          aria-label="Close geofences"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="p-2 text-sm space-y-3">
+        <div className="px-1 flex gap-2">
+          <button onClick={() => onDraw('polygon')} className={drawButtonClass('polygon')} aria-pressed={drawing === 'polygon'}>
+            Draw polygon
+          </button>
+          <button onClick={() => onDraw('circle')} className={drawButtonClass('circle')} aria-pressed={drawing === 'circle'}>
+            Draw circle
+          </button>
+        </div>
+
+        {fences.length > 0 ? (
+          <ul className="space-y-1">
+            {fences.map(fence => (
+              <GeofenceItem
+                key={fence.id}
+                fence={fence}
+                inside={insideCounts[fence.id]}
+                expanded={expandedId === fence.id}
+                onExpand={setExpandedId}
+                onUpdate={onUpdate}
+                onRemove={onRemove}
+              />
+            ))}
+          </ul>
+        ) : (
+          <p className="px-3 text-zinc-500">No geofences yet. Draw an area to start monitoring it.</p>
+        )}
+
+        <NotificationStatus permission={notificationPermission} onRequest={onRequestNotifications} />
+
+        <div>
+          <div className="px-3 pb-1 flex justify-between items-center">
+            <h4 className="text-xs font-semibold text-zinc-400 uppercase tracking-wide">Events</h4>
+            {events.length > 0 && (
+              <button onClick={onClearEvents} className="text-xs text-zinc-400 hover:text-white">Clear</button>
+            )}
+          </div>
+          {paused && <p className="px-3 pb-1 text-xs text-amber-400">Monitoring is paused while replaying</p>}
+          {events.length > 0 ? (
+            <ul>
+              {events.map(event => <GeofenceEventItem key={event.id} event={event} onSelect={onEventSelect} />)}
+            </ul>
+          ) : (
+            <p className="px-3 py-1 text-zinc-500">No aircraft have crossed a geofence yet</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+});
+
+GeofencePanel.displayName = 'GeofencePanel';
+
+/**
+ * Icons
+ */
+const FenceIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+    <path strokeLinecap="round" strokeLinejoin="round" d="M4 7l6-3 8 3 2 9-8 4-8-4z" />
+    <circle cx="12" cy="11" r="2" />
+  </svg>
+);
+
+const TrashIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+    <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+  </svg>
+);
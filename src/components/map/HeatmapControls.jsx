@@ -0,0 +1,106 @@
+/**
+ * Traffic heatmap controls
+ * Toggle for the heatmap and, while it is on, its source (live traffic or the
+ * recording), weighting and recorded time range. Styled like the theme and
+ * projection buttons below it.
+ */
+
+'use client';
+
+import { memo } from 'react';
+import { HEATMAP_CONFIG } from './constants.jsx';
+
+const SOURCE_LABELS = { live: 'Now', history: 'Recorded' };
+const WEIGHT_LABELS = { count: 'Count', low: 'Low altitude' };
+
+/**
+ * Label for a recorded range ("1 h", "7 d")
+ */
+const formatRange = (seconds) => (seconds >= 86400 ? `${seconds / 86400} d` : `${seconds / 3600} h`);
+
+/**
+ * Row of mutually exclusive options
+ */
+const Segments = ({ dark, options, value, onChange }) => (
+  <div className={`flex rounded-md overflow-hidden border ${dark ? 'border-white/20' : 'border-gray-300'}`}>
+    {Object.entries(options).map(([option, label]) => (
+      <button
+        key={option}
+        onClick={() => onChange(option)}
+        className={`px-2 py-0.5 text-xs transition-colors ${
+          value === option
+            ? 'bg-blue-500 text-white'
+            : dark ? 'hover:bg-white/10' : 'hover:bg-gray-100'
+        }`}
+        aria-pressed={value === option}
+      >
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+/**
+ * @param {Object} props
+ * @param {string} props.theme - 'dark' or 'light'
+ * @param {Object} props.settings - { enabled, source: 'live'|'history', weight: 'count'|'low', range }
+ * @param {Object|null} props.density - Aggregated density (see useTrafficDensity)
+ * @param {boolean} props.loading - Aggregated density is loading
+ * @param {string|null} props.error - Why the aggregated density could not be loaded
+ * @param {Function} props.onChange - (changes) merge into the settings
+ */
+export const HeatmapControls = memo(({ theme, settings, density, loading, error, onChange }) => {
+  const dark = theme === 'dark';
+  const muted = dark ? 'text-white/50' : 'text-gray-500';
+
+  let status = `Below zoom ${HEATMAP_CONFIG.HANDOVER_ZOOM - HEATMAP_CONFIG.FADE_ZOOMS}; zoom in for aircraft`;
+  if (settings.source === 'history') {
+    if (error) status = error;
+    else if (loading) status = 'Loading recording…';
+    else if (density) status = `Average of ${density.snapshots} recorded snapshot${density.snapshots === 1 ? '' : 's'}`;
+  }
+
+  return (
+    <div className={`rounded-lg ${
+      dark ? 'bg-black/70 border-white/20 text-white' : 'bg-white/90 border-gray-300 text-gray-800'
+    } border text-sm select-none shadow-lg`}>
+      {settings.enabled && (
+        <div className={`px-4 pt-3 pb-2 space-y-2 border-b ${dark ? 'border-white/10' : 'border-gray-200'}`}>
+          <div className="flex items-center justify-between gap-3">
+            <span className="text-xs font-medium">Traffic</span>
+            <Segments dark={dark} options={SOURCE_LABELS} value={settings.source} onChange={source => onChange({ source })} />
+          </div>
+          {settings.source === 'history' && (
+            <div className="flex items-center justify-between gap-3">
+              <span className="text-xs font-medium">Last</span>
+              <Segments
+                dark={dark}
+                options={Object.fromEntries(HEATMAP_CONFIG.HISTORY_RANGES.map(range => [range, formatRange(range)]))}
+                value={String(settings.range)}
+                onChange={range => onChange({ range: Number(range) })}
+              />
+            </div>
+          )}
+          <div className="flex items-center justify-between gap-3">
+            <span className="text-xs font-medium">Weight</span>
+            <Segments dark={dark} options={WEIGHT_LABELS} value={settings.weight} onChange={weight => onChange({ weight })} />
+          </div>
+          <p className={`text-[10px] max-w-56 ${error && settings.source === 'history' ? 'text-red-400' : muted}`}>{status}</p>
+        </div>
+      )}
+      <button
+        onClick={() => onChange({ enabled: !settings.enabled })}
+        className={`w-full px-4 py-2 rounded-lg ${dark ? 'hover:bg-black/90' : 'hover:bg-white'} font-medium transition-all duration-200`}
+        title="Show traffic density instead of icons when zoomed out"
+        aria-pressed={settings.enabled}
+      >
+        <div className="flex items-center gap-2">
+          <span className="text-lg">🔥</span>
+          <span>{settings.enabled ? 'Hide Heatmap' : 'Heatmap'}</span>
+        </div>
+      </button>
+    </div>
+  );
+});
+
+HeatmapControls.displayName = 'HeatmapControls';
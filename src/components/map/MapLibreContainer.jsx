@@ -5,21 +5,122 @@
 
 'use client';
 
-import { useRef, useCallback, useEffect, useState, memo, useMemo } from 'react';
+import { useRef, useCallback, useEffect, useLayoutEffect, useImperativeHandle, useState, memo, useMemo } from 'react';
 import Map, { Source, Layer, Popup } from 'react-map-gl/maplibre';
 import 'maplibre-gl/dist/maplibre-gl.css';
-import { MAP_CONFIG, API_ENDPOINTS } from './constants.jsx';
+import { MAP_CONFIG, API_ENDPOINTS, INTERPOLATION_CONFIG, ALERT_CONFIG, FOLLOW_CONFIG, ALTITUDE_3D_CONFIG, HEATMAP_CONFIG } from './constants.jsx';
+import { createDeadReckoner } from '../../lib/dead-reckoning.js';
+import { arrowRing, buildAircraftExtrusions, buildTrailExtrusions } from '../../lib/altitude-3d.js';
+import { getEmergencyKind, EMERGENCY_KINDS } from '../../lib/emergencies.js';
+import { LOW_ALTITUDE_CEILING, LOW_ALTITUDE_TOP } from '../../lib/traffic-density.js';
+import { useAircraftInfo, formatAircraftType } from '../../hooks/useAircraftInfo.js';
+import { useTrafficDensity } from '../../hooks/useTrafficDensity.js';
+import { parseCallsign, describeOperator } from '../../lib/airlines/index.js';
+import { GeofenceLayers } from './GeofenceLayers.jsx';
+import { Altitude3DControls } from './Altitude3DControls.jsx';
+import { HeatmapControls } from './HeatmapControls.jsx';
 import ColoredPlaneIconProcessor, { getIconKeyForAltitude } from '../graphics/ColoredPlaneIconProcessor.jsx';
 
+// Marker color per emergency kind (features carry the kind in `emergency`)
+const EMERGENCY_COLOR = [
+  'match', ['get', 'emergency'],
+  ...Object.entries(EMERGENCY_KINDS).flatMap(([kind, { color }]) => [kind, color]),
+  EMERGENCY_KINDS.emergency.color
+];
+
+// Heatmap ramp from sparse (transparent blue) to dense (red)
+const HEATMAP_COLOR = [
+  'interpolate', ['linear'], ['heatmap-density'],
+  0, 'rgba(33, 102, 172, 0)',
+  0.2, 'rgb(103, 169, 207)',
+  0.4, 'rgb(209, 229, 240)',
+  0.6, 'rgb(253, 219, 199)',
+  0.8, 'rgb(239, 138, 98)',
+  1, 'rgb(178, 24, 43)'
+];
+
+// Aircraft weight for the live heatmap by low altitude (matches lowAltitudeWeight)
+const LOW_ALTITUDE_WEIGHT = [
+  'case', ['boolean', ['get', 'on_ground'], false], 1,
+  ['interpolate', ['linear'], ['coalesce', ['get', 'baro_altitude'], 0], LOW_ALTITUDE_CEILING, 1, LOW_ALTITUDE_TOP, 0.05]
+];
+
+const HEATMAP_RADIUS = ['interpolate', ['linear'], ['zoom'], 0, 3, HEATMAP_CONFIG.HANDOVER_ZOOM, 20];
+
+/**
+ * Opacity expression handing over from the heatmap to the icons: `below` when
+ * zoomed out past the fade, `above` from HANDOVER_ZOOM in
+ */
+const handoverOpacity = (below, above) => [
+  'interpolate', ['linear'], ['zoom'],
+  HEATMAP_CONFIG.HANDOVER_ZOOM - HEATMAP_CONFIG.FADE_ZOOMS, below,
+  HEATMAP_CONFIG.HANDOVER_ZOOM, above
+];
+
+/**
+ * Numbers an aircraft is drawn with, from its flight table row when it has one
+ * @param {Object} flight - Flight object
+ * @param {Object|null} table - Flight table (src/lib/flight-table.js)
+ * @returns {Object} longitude, latitude, baro_altitude, velocity, true_track, on_ground
+ */
+const readDrawnValues = (flight, table) => {
+  const row = table?.row(flight.icao24);
+  if (row === undefined) return flight;
+
+  const { columns } = table;
+  const read = (field) => (Number.isNaN(columns[field][row]) ? null : columns[field][row]);
+  const onGround = read('on_ground');
+  return {
+    longitude: read('longitude'),
+    latitude: read('latitude'),
+    baro_altitude: read('baro_altitude'),
+    velocity: read('velocity'),
+    true_track: read('true_track'),
+    on_ground: onGround === null ? null : onGround === 1
+  };
+};
+
 /**
  * Main MapLibre map container with GPU-accelerated rendering
  * Uses native MapLibre layers for WebGL rendering (no DOM elements)
+ * `flightTable` (live data only, see src/lib/flight-table.js) supplies the
+ * positions, altitudes, tracks and speeds the flights layer is drawn from;
+ * without it they are read from the flight objects.
+ * With `interpolate` set, aircraft are dead-reckoned every animation frame by
+ * writing straight to the flights source (no React re-renders).
+ * `ref` exposes { flyToFlight(icao24, fallback) } to fly to and select an aircraft
+ * and { selectFlightById(icao24) } to select one without moving the camera.
+ * `initialView` ({ longitude, latitude, zoom, pitch, bearing, projection, theme },
+ * any part optional) sets the starting view; `onViewChange` receives the same
+ * shape whenever the view settles.
+ * `follow` ({ icao24, headingUp, chase, paused }) keeps the camera on an
+ * aircraft; dragging the map pauses it through `onFollowChange`.
+ * The 3D altitude view raises aircraft and the selected trail to their
+ * altitude as fill-extrusions and enables rotating and tilting.
+ * The heatmap (live or aggregated over the recording) replaces the icons
+ * below HEATMAP_CONFIG.HANDOVER_ZOOM.
+ * While `drawing` is set, clicks draw a geofence instead of selecting aircraft.
  */
 const MapLibreContainer = memo(({ 
+  ref,
   flights, 
-  onFlightSelect 
+  flightTable = null,
+  onFlightSelect,
+  onBoundsChange,
+  onRouteChange,
+  initialView = null,
+  onViewChange,
+  follow = null,
+  onFollowChange,
+  interpolate = false,
+  geofences = [],
+  drawing = null,
+  onDrawComplete,
+  onDrawCancel
 }) => {
   const mapRef = useRef(null);
+  const popupRef = useRef(null);
+  const reckonerRef = useRef(null);
   const [selectedFlight, setSelectedFlight] = useState(null);
   const [flightTrack, setFlightTrack] = useState(null);
   const [loadingTrack, setLoadingTrack] = useState(false);
@@ -28,14 +129,14 @@ const MapLibreContainer = memo(({
   const coloredIconsRef = useRef(null);
   const [iconsReady, setIconsReady] = useState(false);
   const [mapReady, setMapReady] = useState(false);
-  const [viewState, setViewState] = useState({
-    longitude: MAP_CONFIG.INITIAL_CENTER[1],
-    latitude: MAP_CONFIG.INITIAL_CENTER[0],
-    zoom: MAP_CONFIG.INITIAL_ZOOM,
+  const [viewState, setViewState] = useState(() => ({
+    longitude: initialView?.longitude ?? MAP_CONFIG.INITIAL_CENTER[1],
+    latitude: initialView?.latitude ?? MAP_CONFIG.INITIAL_CENTER[0],
+    zoom: initialView?.zoom ?? MAP_CONFIG.INITIAL_ZOOM,
     // Fallbacks in case pitch/bearing are not configured
-    pitch: Number.isFinite(MAP_CONFIG.INITIAL_PITCH) ? MAP_CONFIG.INITIAL_PITCH : 0,
-    bearing: Number.isFinite(MAP_CONFIG.INITIAL_BEARING) ? MAP_CONFIG.INITIAL_BEARING : 0
-  });
+    pitch: initialView?.pitch ?? (Number.isFinite(MAP_CONFIG.INITIAL_PITCH) ? MAP_CONFIG.INITIAL_PITCH : 0),
+    bearing: initialView?.bearing ?? (Number.isFinite(MAP_CONFIG.INITIAL_BEARING) ? MAP_CONFIG.INITIAL_BEARING : 0)
+  }));
 
   // Stable callback for when colored plane icons are ready
   const handleColoredIconsReady = useCallback((coloredIcons) => {
@@ -44,9 +145,27 @@ const MapLibreContainer = memo(({
     setIconsReady(true);
   }, []);
 
-  const [projection, setProjection] = useState('globe');
+  const [projection, setProjection] = useState(initialView?.projection ?? 'globe');
   const [iconSizeMultiplier, setIconSizeMultiplier] = useState(3.6);
-  const [theme, setTheme] = useState('dark'); // 'dark' or 'light'
+  const [theme, setTheme] = useState(initialView?.theme ?? 'dark'); // 'dark' or 'light'
+
+  // 3D altitude view
+  const [altitude3d, setAltitude3d] = useState(false);
+  const [exaggeration, setExaggeration] = useState(ALTITUDE_3D_CONFIG.DEFAULT_EXAGGERATION);
+  const [trailStyle, setTrailStyle] = useState('line');
+
+  // Traffic density heatmap at low zoom
+  const [heatmap, setHeatmap] = useState({
+    enabled: HEATMAP_CONFIG.DEFAULT_ENABLED,
+    source: 'live', // 'live' or 'history' (aggregated over the recording)
+    weight: 'count', // 'count' or 'low' (low altitude)
+    range: HEATMAP_CONFIG.HISTORY_RANGES[2]
+  });
+  const density = useTrafficDensity({ enabled: heatmap.enabled && heatmap.source === 'history', range: heatmap.range });
+
+  const handleHeatmapChange = useCallback((changes) => {
+    setHeatmap(current => ({ ...current, ...changes }));
+  }, []);
 
   // Toggle projection between globe and 2D
   const toggleProjection = useCallback(() => {
@@ -153,6 +272,10 @@ const MapLibreContainer = memo(({
         console.log('[MapLibre] First waypoint:', data.track.path[0]);
         console.log('[MapLibre] Last waypoint:', data.track.path[data.track.path.length - 1]);
         setFlightTrack(data.track);
+        // Inferred origin/destination (only with an airport database)
+        if (onRouteChange) {
+          onRouteChange(data.route ? { icao24, ...data.route } : null);
+        }
         
         // Calculate best popup position based on track
         const flight = flights.find(f => f.icao24 === icao24);
@@ -165,56 +288,275 @@ const MapLibreContainer = memo(({
         console.log('[MapLibre] Response data:', data);
         setFlightTrack(null);
         setPopupAnchor('bottom'); // Reset to default
+        // Don't leave the previous aircraft's route showing
+        onRouteChange?.(null);
       }
     } catch (error) {
       console.error('[MapLibre] ✗ Error fetching track:', error);
       setFlightTrack(null);
+      onRouteChange?.(null);
     } finally {
       setLoadingTrack(false);
     }
-  }, [flights, calculatePopupAnchor]);
+  }, [flights, calculatePopupAnchor, onRouteChange]);
 
-  // Update viewport state
+  // Mirror the camera in state (the map itself is uncontrolled). Follow moves
+  // the camera every frame; those are mirrored when they settle, now and then,
+  // so following doesn't re-render the container each frame.
   const handleMove = useCallback((evt) => {
+    if (evt.follow) return;
     setViewState(evt.viewState);
   }, []);
 
-  // Convert flights to GeoJSON for GPU rendering (filter invalid coords)
+  // Report the visible area once a move settles so data can be fetched for it
+  const reportBounds = useCallback(() => {
+    const map = mapRef.current?.getMap();
+    if (!map || !onBoundsChange) return;
+    onBoundsChange(map.getBounds(), map.getZoom());
+  }, [onBoundsChange]);
+
+  // Report the settled camera, projection and theme (for shareable links)
+  const reportView = useCallback(() => {
+    const map = mapRef.current?.getMap();
+    if (!map || !onViewChange) return;
+    const center = map.getCenter().wrap();
+    onViewChange({
+      longitude: center.lng,
+      latitude: center.lat,
+      zoom: map.getZoom(),
+      pitch: map.getPitch(),
+      bearing: map.getBearing(),
+      projection,
+      theme
+    });
+  }, [onViewChange, projection, theme]);
+
+  // Projection and theme changes are reported without a move
+  useEffect(() => {
+    reportView();
+  }, [reportView]);
+
+  const lastFollowReportRef = useRef(0);
+
+  const handleMoveEnd = useCallback((evt) => {
+    // Follow moves the camera every frame; report those moves now and then
+    if (evt?.follow) {
+      const now = Date.now();
+      if (now - lastFollowReportRef.current < FOLLOW_CONFIG.REPORT_INTERVAL) return;
+      lastFollowReportRef.current = now;
+      setViewState(evt.viewState);
+    }
+    reportBounds();
+    reportView();
+  }, [reportBounds, reportView]);
+
+  // Panning by hand pauses follow
+  const handleDragStart = useCallback(() => {
+    if (follow && !follow.paused && onFollowChange) {
+      onFollowChange({ ...follow, paused: true });
+    }
+  }, [follow, onFollowChange]);
+
+  const handleMapLoad = useCallback(() => {
+    setMapReady(true);
+    reportBounds();
+    reportView();
+  }, [reportBounds, reportView]);
+
+  // Flights that can be placed on the map (valid coords)
+  const plottedFlights = useMemo(() => (
+    flights.filter((flight) => Number.isFinite(flight.longitude) && Number.isFinite(flight.latitude))
+  ), [flights]);
+
+  // Convert flights to GeoJSON for GPU rendering (features line up with plottedFlights)
   const geojsonData = useMemo(() => ({
     type: 'FeatureCollection',
-    features: flights
-      .filter((flight) => Number.isFinite(flight.longitude) && Number.isFinite(flight.latitude))
+    features: plottedFlights
       .map(flight => {
+        const drawn = readDrawnValues(flight, flightTable);
+
         // Calculate altitude in feet and get appropriate icon key
         // Grounded planes get special 'ground' key (solid red)
         let altitudeFeet;
-        if (flight.on_ground) {
+        if (drawn.on_ground) {
           altitudeFeet = 'ground';
         } else {
-          altitudeFeet = flight.baro_altitude ? Math.round(flight.baro_altitude * 3.28084) : 0;
+          altitudeFeet = drawn.baro_altitude ? Math.round(drawn.baro_altitude * 3.28084) : 0;
         }
         
         const iconKey = getIconKeyForAltitude(altitudeFeet);
+        const emergency = getEmergencyKind(flight);
         
         return {
           type: 'Feature',
           geometry: {
             type: 'Point',
-            coordinates: [flight.longitude, flight.latitude]
+            coordinates: [drawn.longitude, drawn.latitude]
           },
           properties: {
             icao24: flight.icao24,
             callsign: flight.callsign || 'Unknown',
             origin_country: flight.origin_country,
-            velocity: flight.velocity,
-            baro_altitude: flight.baro_altitude,
-            on_ground: flight.on_ground,
-            rotation: flight.true_track || 0,
-            iconKey: `plane-${iconKey}`
+            velocity: drawn.velocity,
+            baro_altitude: drawn.baro_altitude,
+            on_ground: drawn.on_ground,
+            rotation: drawn.true_track || 0,
+            iconKey: `plane-${iconKey}`,
+            // Only set for emergencies so layers can filter with ['has', 'emergency']
+            ...(emergency ? { emergency } : {})
           }
         };
       })
-  }), [flights]);
+  }), [plottedFlights, flightTable]);
+
+  const hasEmergency = useMemo(() => (
+    geojsonData.features.some(feature => feature.properties.emergency)
+  ), [geojsonData]);
+
+  // Pulse the emergency markers while any aircraft is squawking
+  useEffect(() => {
+    if (!iconReady || !hasEmergency) return;
+
+    let frame = null;
+    const pulse = (timestamp) => {
+      frame = requestAnimationFrame(pulse);
+      const map = mapRef.current?.getMap();
+      if (!map?.getLayer('emergency-pulse-layer')) return;
+
+      const phase = (timestamp % ALERT_CONFIG.PULSE_PERIOD) / ALERT_CONFIG.PULSE_PERIOD;
+      map.setPaintProperty('emergency-pulse-layer', 'circle-radius', 12 + 22 * phase);
+      map.setPaintProperty('emergency-pulse-layer', 'circle-opacity', 0.55 * (1 - phase));
+    };
+
+    frame = requestAnimationFrame(pulse);
+    return () => cancelAnimationFrame(frame);
+  }, [iconReady, hasEmergency]);
+
+  // Dead-reckon plotted aircraft: positions are written into the feature
+  // geometries in place and pushed to the source, so React never re-renders
+  useLayoutEffect(() => {
+    if (!reckonerRef.current) {
+      reckonerRef.current = createDeadReckoner({
+        maxExtrapolation: INTERPOLATION_CONFIG.MAX_EXTRAPOLATION,
+        blendDuration: INTERPOLATION_CONFIG.BLEND_DURATION,
+        maxBlendDistance: INTERPOLATION_CONFIG.MAX_BLEND_DISTANCE
+      });
+    }
+    const reckoner = reckonerRef.current;
+    const { features } = geojsonData;
+
+    if (!interpolate) {
+      reckoner.clear();
+      features.forEach((feature, i) => {
+        feature.geometry.coordinates = [plottedFlights[i].longitude, plottedFlights[i].latitude];
+      });
+      mapRef.current?.getMap()?.getSource('flights-source')?.setData(geojsonData);
+      return;
+    }
+
+    reckoner.update(plottedFlights, Date.now());
+
+    const placeAircraft = () => {
+      const now = Date.now();
+      features.forEach((feature, i) => {
+        const position = reckoner.position(plottedFlights[i].icao24, now);
+        if (position) feature.geometry.coordinates = position;
+      });
+
+      const map = mapRef.current?.getMap();
+      map?.getSource('flights-source')?.setData(geojsonData);
+
+      // Keep the selected aircraft's popup on the moving icon
+      const popup = popupRef.current;
+      const selected = popup && reckoner.position(popup.icao24, now);
+      if (selected) popup.instance.setLngLat(selected);
+    };
+
+    let frame = null;
+    let lastFrame = performance.now();
+
+    const step = (timestamp) => {
+      frame = requestAnimationFrame(step);
+      if (timestamp - lastFrame < INTERPOLATION_CONFIG.FRAME_INTERVAL) return;
+      lastFrame = timestamp;
+      placeAircraft();
+    };
+
+    // Place aircraft before the first paint of the new data
+    placeAircraft();
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [geojsonData, plottedFlights, interpolate]);
+
+  // Follow mode: center the followed aircraft every frame (at its dead-reckoned
+  // position when interpolating), turning heading-up and tilting for the chase cam
+  useEffect(() => {
+    if (!follow || follow.paused || !mapReady) return;
+
+    const flight = plottedFlights.find(f => f.icao24 === follow.icao24) ?? null;
+    const headingUp = (follow.headingUp || follow.chase) && Number.isFinite(flight?.true_track);
+    let frame = null;
+    let lastPosition = null;
+
+    const step = () => {
+      frame = requestAnimationFrame(step);
+      const map = mapRef.current?.getMap();
+      const position = reckonerRef.current?.position(follow.icao24, Date.now()) ??
+        (flight ? [flight.longitude, flight.latitude] : null);
+      if (!map || !position) return;
+
+      const camera = {};
+      if (!lastPosition || position[0] !== lastPosition[0] || position[1] !== lastPosition[1]) {
+        camera.center = position;
+      }
+      if (headingUp) {
+        // Turn the short way round
+        const delta = ((flight.true_track - map.getBearing() + 540) % 360) - 180;
+        if (Math.abs(delta) > 0.1) camera.bearing = map.getBearing() + delta * FOLLOW_CONFIG.TURN_RATE;
+      }
+      if (follow.chase) {
+        const delta = FOLLOW_CONFIG.CHASE_PITCH - map.getPitch();
+        if (Math.abs(delta) > 0.1) camera.pitch = map.getPitch() + delta * FOLLOW_CONFIG.TURN_RATE;
+      }
+      if (Object.keys(camera).length === 0) return;
+
+      lastPosition = position;
+      map.jumpTo(camera, { follow: true });
+    };
+
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [follow, mapReady, plottedFlights]);
+
+  // Level the camera again when heading-up or the chase cam is switched off
+  const followHeadingUp = Boolean(follow?.headingUp || follow?.chase);
+  const followChase = Boolean(follow?.chase);
+  const followModeRef = useRef({ headingUp: false, chase: false });
+  useEffect(() => {
+    const previous = followModeRef.current;
+    followModeRef.current = { headingUp: followHeadingUp, chase: followChase };
+
+    const camera = {};
+    if (previous.headingUp && !followHeadingUp) camera.bearing = 0;
+    if (previous.chase && !followChase) camera.pitch = 0;
+    if (Object.keys(camera).length > 0) {
+      mapRef.current?.getMap()?.easeTo({ ...camera, duration: 800 });
+    }
+  }, [followHeadingUp, followChase]);
+
+  // Toggle the 3D altitude view: tilt the camera going in, level it coming out
+  // (unless follow is steering it)
+  const toggleAltitude3d = useCallback(() => {
+    const enabled = !altitude3d;
+    setAltitude3d(enabled);
+    const map = mapRef.current?.getMap();
+    if (!map) return;
+    if (enabled && map.getPitch() < 10) {
+      map.easeTo({ pitch: ALTITUDE_3D_CONFIG.PITCH, duration: 800 });
+    } else if (!enabled && !followChase) {
+      map.easeTo({ pitch: 0, bearing: followHeadingUp ? map.getBearing() : 0, duration: 800 });
+    }
+  }, [altitude3d, followChase, followHeadingUp]);
 
   // Helper function to get color based on altitude (matching plane icon colors)
   // Returns RGB array for smooth interpolation
@@ -341,16 +683,133 @@ const MapLibreContainer = memo(({
     return expr;
   }, [trackGeojsonData]);
 
+  // Meters per screen pixel around the center, in coarse steps so the 3D
+  // geometry is only rebuilt when the scale changes noticeably
+  const scaleZoom = Math.round(viewState.zoom * 2) / 2;
+  const scaleLatitude = Math.min(Math.round(viewState.latitude / 5) * 5, 80);
+  const metersPerPixel = (156543.03 * Math.cos(scaleLatitude * Math.PI / 180)) / 2 ** scaleZoom;
+  const aircraftSize = ALTITUDE_3D_CONFIG.AIRCRAFT_SIZE * metersPerPixel;
+
+  // Aircraft raised to their altitude (features line up with plottedFlights)
+  const aircraft3dData = useMemo(() => (
+    altitude3d
+      ? buildAircraftExtrusions(plottedFlights, { exaggeration, size: aircraftSize, colorFor: altitude => getAltitudeColor(altitude).hex })
+      : null
+  ), [altitude3d, plottedFlights, exaggeration, aircraftSize, getAltitudeColor]);
+
+  // Selected trail as raised ribbons or curtains
+  const trail3dData = useMemo(() => (
+    altitude3d && flightTrack?.path?.length > 1
+      ? buildTrailExtrusions(flightTrack.path, {
+        exaggeration,
+        width: ALTITUDE_3D_CONFIG.TRAIL_WIDTH * metersPerPixel,
+        style: trailStyle,
+        colorFor: altitude => getAltitudeColor(altitude).hex
+      })
+      : null
+  ), [altitude3d, flightTrack, exaggeration, metersPerPixel, trailStyle, getAltitudeColor]);
+
+  // Aggregated density cells as weighted points
+  const densityData = useMemo(() => {
+    if (!heatmap.enabled || heatmap.source !== 'history' || !density.density) return null;
+    return {
+      type: 'FeatureCollection',
+      features: density.density.cells.map(([longitude, latitude, count, low]) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties: { count, low }
+      }))
+    };
+  }, [heatmap.enabled, heatmap.source, density.density]);
+
+  const densityMax = (heatmap.weight === 'low' ? density.density?.maxLow : density.density?.maxCount) || 1;
+  const liveHeatmap = heatmap.enabled && heatmap.source === 'live';
+
+  // Dead-reckon raised aircraft the same way as the flat ones
+  useLayoutEffect(() => {
+    if (!aircraft3dData || !interpolate) return;
+    const reckoner = reckonerRef.current;
+    const { features } = aircraft3dData;
+
+    const placeAircraft = () => {
+      const now = Date.now();
+      features.forEach((feature, i) => {
+        const position = reckoner?.position(plottedFlights[i].icao24, now);
+        if (position) feature.geometry.coordinates = [arrowRing(position, plottedFlights[i].true_track, aircraftSize)];
+      });
+      mapRef.current?.getMap()?.getSource('aircraft-3d-source')?.setData(aircraft3dData);
+    };
+
+    let frame = null;
+    let lastFrame = performance.now();
+
+    const step = (timestamp) => {
+      frame = requestAnimationFrame(step);
+      if (timestamp - lastFrame < INTERPOLATION_CONFIG.FRAME_INTERVAL) return;
+      lastFrame = timestamp;
+      placeAircraft();
+    };
+
+    placeAircraft();
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [aircraft3dData, plottedFlights, interpolate, aircraftSize]);
+
+  // Select a flight: popup, details panel and track
+  const selectFlight = useCallback((flight) => {
+    console.log('[MapLibre] Selected flight:', flight.icao24, flight.callsign);
+    setSelectedFlight(flight);
+    setPopupAnchor('bottom'); // Start with default, will update if track found
+    if (onFlightSelect) {
+      onFlightSelect(flight);
+    }
+    
+    // Fetch the flight track for the selected aircraft
+    console.log('[MapLibre] Fetching track for:', flight.icao24);
+    fetchFlightTrack(flight.icao24);
+  }, [onFlightSelect, fetchFlightTrack]);
+
+  // Fly to an aircraft and select it; `fallback` ({ latitude, longitude }) is
+  // used when the aircraft is no longer in the data
+  const flyToFlight = useCallback((icao24, fallback = null) => {
+    const map = mapRef.current?.getMap();
+    if (!map) return false;
+
+    const flight = flights.find(f => f.icao24 === icao24);
+    const position = reckonerRef.current?.position(icao24, Date.now()) ??
+      (flight ? [flight.longitude, flight.latitude] : null) ??
+      (fallback && Number.isFinite(fallback.latitude) ? [fallback.longitude, fallback.latitude] : null);
+    if (!position) return false;
+
+    map.flyTo({ center: position, zoom: Math.max(map.getZoom(), MAP_CONFIG.FLY_TO_ZOOM), essential: true });
+    if (flight) {
+      selectFlight(flight);
+    }
+    return true;
+  }, [flights, selectFlight]);
+
+  // Select an aircraft where it is; false while it is not in the data
+  const selectFlightById = useCallback((icao24) => {
+    const flight = flights.find(f => f.icao24 === icao24);
+    if (!flight) return false;
+    selectFlight(flight);
+    return true;
+  }, [flights, selectFlight]);
+
+  useImperativeHandle(ref, () => ({ flyToFlight, selectFlightById }), [flyToFlight, selectFlightById]);
+
   // Handle map click to select flights
   const handleMapClick = useCallback((event) => {
     const map = mapRef.current?.getMap();
-    if (!map) return;
+    if (!map || drawing) return;
 
     // Only query if the layer exists (i.e., icon is ready)
     if (!iconReady || !map.getLayer('flights-layer')) return;
 
-    const features = map.queryRenderedFeatures(event.point, {
-      layers: ['flights-layer']
+    // Icons faded out under the heatmap can't be picked
+    const iconsHidden = heatmap.enabled && map.getZoom() < HEATMAP_CONFIG.HANDOVER_ZOOM - HEATMAP_CONFIG.FADE_ZOOMS / 2;
+    const features = iconsHidden ? [] : map.queryRenderedFeatures(event.point, {
+      layers: map.getLayer('aircraft-3d-layer') ? ['aircraft-3d-layer', 'flights-layer'] : ['flights-layer']
     });
 
     if (features.length > 0) {
@@ -360,16 +819,7 @@ const MapLibreContainer = memo(({
       const fullFlight = flights.find(f => f.icao24 === props.icao24);
       
       if (fullFlight) {
-        console.log('[MapLibre] Selected flight:', fullFlight.icao24, fullFlight.callsign);
-        setSelectedFlight(fullFlight);
-        setPopupAnchor('bottom'); // Start with default, will update if track found
-        if (onFlightSelect) {
-          onFlightSelect(fullFlight);
-        }
-        
-        // Fetch the flight track for the selected aircraft
-        console.log('[MapLibre] Fetching track for:', fullFlight.icao24);
-        fetchFlightTrack(fullFlight.icao24);
+        selectFlight(fullFlight);
       }
     } else {
       // Clicked on map (not on a plane) - close all flight details and clear track
@@ -380,7 +830,7 @@ const MapLibreContainer = memo(({
         onFlightSelect(null);
       }
     }
-  }, [iconReady, onFlightSelect, fetchFlightTrack, flights]);
+  }, [iconReady, drawing, heatmap.enabled, onFlightSelect, selectFlight, flights]);
 
   // Handle popup close
   const handlePopupClose = useCallback(() => {
@@ -544,10 +994,12 @@ const MapLibreContainer = memo(({
         <Map
           key={theme}
           ref={mapRef}
-          {...viewState}
+          initialViewState={viewState}
           onMove={handleMove}
+          onMoveEnd={handleMoveEnd}
+          onDragStart={handleDragStart}
           onClick={handleMapClick}
-          onLoad={() => setMapReady(true)}
+          onLoad={handleMapLoad}
           mapStyle={
             theme === 'dark' 
               ? "https://basemaps.cartocdn.com/gl/dark-matter-gl-style/style.json"
@@ -560,15 +1012,15 @@ const MapLibreContainer = memo(({
           maxZoom={20}
           minPitch={0}
           maxPitch={85}
-          dragRotate={false}
+          dragRotate={altitude3d}
           dragPan={true}
           scrollZoom={true}
           touchZoomRotate={true}
           touchPitch={true}
           keyboard={true}
-          doubleClickZoom={true}
+          doubleClickZoom={!drawing}
           antialias={true}
-          interactiveLayerIds={['flights-layer']}
+          interactiveLayerIds={altitude3d ? ['aircraft-3d-layer', 'flights-layer'] : ['flights-layer']}
         >
          {/* Flight track/trail line - render first so it appears below planes */}
          {trackGeojsonData && (
@@ -599,7 +1051,8 @@ const MapLibreContainer = memo(({
                    10, 6.5,
                    14, 7
                  ],
-                'line-opacity': 1,
+                // Only a ground shadow under the raised trail in 3D
+                'line-opacity': altitude3d ? 0.35 : 1,
                 ...(trackGradientExpression ? { 'line-gradient': trackGradientExpression } : {})
                }}
                layout={{
@@ -617,6 +1070,31 @@ const MapLibreContainer = memo(({
             type="geojson"
             data={geojsonData}
           >
+            {/* Emergency squawks: pulsing halo (animated above) and a fixed ring under the plane */}
+            <Layer
+              id="emergency-pulse-layer"
+              type="circle"
+              filter={['has', 'emergency']}
+              paint={{
+                'circle-color': EMERGENCY_COLOR,
+                'circle-radius': 12,
+                'circle-opacity': 0.4,
+                'circle-pitch-alignment': 'map'
+              }}
+            />
+            <Layer
+              id="emergency-ring-layer"
+              type="circle"
+              filter={['has', 'emergency']}
+              paint={{
+                'circle-color': 'rgba(0, 0, 0, 0)',
+                'circle-radius': 12,
+                'circle-stroke-width': 2.5,
+                'circle-stroke-color': EMERGENCY_COLOR,
+                'circle-pitch-alignment': 'map'
+              }}
+            />
+
             {/* Symbol layer with altitude-colored plane icons */}
             <Layer
               id="flights-layer"
@@ -640,7 +1118,9 @@ const MapLibreContainer = memo(({
                 'icon-pitch-alignment': 'map'
               }}
               paint={{
-                'icon-opacity': [
+                // Flat icons become ground shadows under the raised aircraft in 3D,
+                // and give way to the heatmap when zoomed out
+                'icon-opacity': heatmap.enabled ? handoverOpacity(0, altitude3d ? 0.35 : 0.95) : altitude3d ? 0.35 : [
                   'interpolate',
                   ['linear'],
                   ['zoom'],
@@ -650,12 +1130,91 @@ const MapLibreContainer = memo(({
                 ]
               }}
             />
+
+            {/* Live traffic heatmap, under the emergency markers */}
+            {liveHeatmap && (
+              <Layer
+                id="heatmap-layer"
+                type="heatmap"
+                beforeId="emergency-pulse-layer"
+                maxzoom={HEATMAP_CONFIG.HANDOVER_ZOOM}
+                paint={{
+                  'heatmap-weight': heatmap.weight === 'low' ? LOW_ALTITUDE_WEIGHT : 1,
+                  'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 0, 0.5, HEATMAP_CONFIG.HANDOVER_ZOOM, 2],
+                  'heatmap-radius': HEATMAP_RADIUS,
+                  'heatmap-color': HEATMAP_COLOR,
+                  'heatmap-opacity': handoverOpacity(0.85, 0)
+                }}
+              />
+            )}
           </Source>
         )}
 
+        {/* Traffic heatmap aggregated over the recording */}
+        {iconReady && densityData && (
+          <Source id="density-source" type="geojson" data={densityData}>
+            <Layer
+              id="density-layer"
+              type="heatmap"
+              beforeId="emergency-pulse-layer"
+              maxzoom={HEATMAP_CONFIG.HANDOVER_ZOOM}
+              paint={{
+                'heatmap-weight': ['/', ['get', heatmap.weight === 'low' ? 'low' : 'count'], densityMax],
+                'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 0, 1, HEATMAP_CONFIG.HANDOVER_ZOOM, 3],
+                'heatmap-radius': HEATMAP_RADIUS,
+                'heatmap-color': HEATMAP_COLOR,
+                'heatmap-opacity': handoverOpacity(0.85, 0)
+              }}
+            />
+          </Source>
+        )}
+
+        {/* 3D altitude view: selected trail and aircraft raised to their altitude */}
+        {trail3dData && (
+          <Source id="trail-3d-source" type="geojson" data={trail3dData}>
+            <Layer
+              id="trail-3d-layer"
+              type="fill-extrusion"
+              paint={{
+                'fill-extrusion-color': ['get', 'color'],
+                'fill-extrusion-base': ['get', 'base'],
+                'fill-extrusion-height': ['get', 'height'],
+                'fill-extrusion-opacity': trailStyle === 'curtain' ? 0.5 : 0.9
+              }}
+            />
+          </Source>
+        )}
+        {iconReady && aircraft3dData && (
+          <Source id="aircraft-3d-source" type="geojson" data={aircraft3dData}>
+            <Layer
+              id="aircraft-3d-layer"
+              type="fill-extrusion"
+              minzoom={heatmap.enabled ? HEATMAP_CONFIG.HANDOVER_ZOOM - HEATMAP_CONFIG.FADE_ZOOMS / 2 : 0}
+              paint={{
+                'fill-extrusion-color': ['get', 'color'],
+                'fill-extrusion-base': ['get', 'base'],
+                'fill-extrusion-height': ['get', 'height'],
+                'fill-extrusion-opacity': 0.95
+              }}
+            />
+          </Source>
+        )}
+
+        {/* Geofences, drawn under the aircraft once their layers exist */}
+        <GeofenceLayers
+          fences={geofences}
+          drawing={drawing}
+          beforeId={iconReady ? 'emergency-pulse-layer' : undefined}
+          onDrawComplete={onDrawComplete}
+          onDrawCancel={onDrawCancel}
+        />
+
         {/* Popup for selected flight */}
         {selectedFlight && (
           <Popup
+            ref={(instance) => {
+              popupRef.current = instance ? { instance, icao24: selectedFlight.icao24 } : null;
+            }}
             longitude={selectedFlight.longitude}
             latitude={selectedFlight.latitude}
             anchor={popupAnchor}
@@ -678,6 +1237,27 @@ const MapLibreContainer = memo(({
         onReady={handleColoredIconsReady}
       />
 
+      {/* Map layer controls above the theme button; they grow upwards when opened */}
+      <div className="absolute right-3 bottom-52 z-20 flex flex-col-reverse items-end gap-2">
+        <Altitude3DControls
+          theme={theme}
+          enabled={altitude3d}
+          exaggeration={exaggeration}
+          trailStyle={trailStyle}
+          onToggle={toggleAltitude3d}
+          onExaggerationChange={setExaggeration}
+          onTrailStyleChange={setTrailStyle}
+        />
+        <HeatmapControls
+          theme={theme}
+          settings={heatmap}
+          density={density.density}
+          loading={density.loading}
+          error={density.error}
+          onChange={handleHeatmapChange}
+        />
+      </div>
+
       {/* Theme Toggle Button */}
       <button
         onClick={toggleTheme}
@@ -749,92 +1329,127 @@ export default MapLibreContainer;
 /**
  * Flight popup content component with enhanced styling
  */
-const FlightPopupContent = memo(({ flight }) => (
-  <div 
-    className="text-xs" 
-    style={{ 
-      width: '100%', 
-      maxWidth: '200px',
-      borderRadius: '8px',
-      overflow: 'hidden',
-      boxShadow: '0 10px 20px rgba(0, 0, 0, 0.9), 0 0 10px rgba(59, 130, 246, 0.15)',
-      border: '1px solid rgba(75, 85, 99, 0.5)'
-    }}
-  >
-    {/* Header with callsign */}
-    <div className="px-2.5 py-2" style={{ 
-      background: 'linear-gradient(135deg, #1e293b 0%, #0f172a 100%)',
-      borderBottom: '1px solid rgba(59, 130, 246, 0.2)'
-    }}>
-      <div className="flex items-center gap-1.5 mb-1">
-        <span className="text-base">✈️</span>
-        <h3 className="font-bold text-base tracking-wide" style={{ color: '#e0e7ff' }}>
-          {flight.callsign || 'Unknown'}
-        </h3>
-      </div>
-      <div className="flex items-center gap-1.5">
-        <span className="text-xs font-medium px-2 py-0.5 rounded-full" style={{ 
-          backgroundColor: flight.on_ground ? 'rgba(251, 146, 60, 0.2)' : 'rgba(52, 211, 153, 0.2)',
-          color: flight.on_ground ? '#fb923c' : '#34d399',
-          border: `1px solid ${flight.on_ground ? 'rgba(251, 146, 60, 0.4)' : 'rgba(52, 211, 153, 0.4)'}`
-        }}>
-          {flight.on_ground ? 'On Ground' : 'In Flight'}
-        </span>
-      </div>
-    </div>
+const FlightPopupContent = memo(({ flight }) => {
+  // Registry details from the local aircraft database (null when unknown)
+  const aircraft = useAircraftInfo(flight.icao24);
+  const aircraftType = formatAircraftType(aircraft);
+  const operator = describeOperator(parseCallsign(flight.callsign));
 
-    {/* Content */}
-    <div className="px-2.5 py-2 space-y-2" style={{ 
-      backgroundColor: '#111827',
-      color: '#e5e7eb'
-    }}>
-      {/* ICAO & Country Section */}
-      <div className="space-y-1.5">
-        <InfoItem 
-          icon="🔖" 
-          label="ICAO24" 
-          value={flight.icao24?.toUpperCase() || 'N/A'} 
-        />
-        <InfoItem 
-          icon="🌍" 
-          label="Country" 
-          value={flight.origin_country || 'Unknown'} 
-        />
+  return (
+    <div 
+      className="text-xs" 
+      style={{ 
+        width: '100%', 
+        maxWidth: '200px',
+        borderRadius: '8px',
+        overflow: 'hidden',
+        boxShadow: '0 10px 20px rgba(0, 0, 0, 0.9), 0 0 10px rgba(59, 130, 246, 0.15)',
+        border: '1px solid rgba(75, 85, 99, 0.5)'
+      }}
+    >
+      {/* Header with callsign */}
+      <div className="px-2.5 py-2" style={{ 
+        background: 'linear-gradient(135deg, #1e293b 0%, #0f172a 100%)',
+        borderBottom: '1px solid rgba(59, 130, 246, 0.2)'
+      }}>
+        <div className="flex items-center gap-1.5 mb-1">
+          <span className="text-base">✈️</span>
+          <h3 className="font-bold text-base tracking-wide" style={{ color: '#e0e7ff' }}>
+            {flight.callsign || 'Unknown'}
+          </h3>
+        </div>
+        <div className="flex items-center gap-1.5">
+          <span className="text-xs font-medium px-2 py-0.5 rounded-full" style={{ 
+            backgroundColor: flight.on_ground ? 'rgba(251, 146, 60, 0.2)' : 'rgba(52, 211, 153, 0.2)',
+            color: flight.on_ground ? '#fb923c' : '#34d399',
+            border: `1px solid ${flight.on_ground ? 'rgba(251, 146, 60, 0.4)' : 'rgba(52, 211, 153, 0.4)'}`
+          }}>
+            {flight.on_ground ? 'On Ground' : 'In Flight'}
+          </span>
+        </div>
       </div>
 
-      {/* Divider */}
-      <div style={{ height: '1px', background: 'rgba(75, 85, 99, 0.3)' }} />
-
-      {/* Flight Data Section */}
-      <div className="space-y-1.5">
-        {flight.velocity !== null && (
+      {/* Content */}
+      <div className="px-2.5 py-2 space-y-2" style={{ 
+        backgroundColor: '#111827',
+        color: '#e5e7eb'
+      }}>
+        {/* ICAO & Country Section */}
+        <div className="space-y-1.5">
           <InfoItem 
-            icon="⚡" 
-            label="Speed" 
-            value={`${Math.round(flight.velocity * 3.6)} km/h`}
-            subvalue={`${Math.round(flight.velocity * 2.23694)} mph`}
-            highlight={true}
+            icon="🔖" 
+            label="ICAO24" 
+            value={flight.icao24?.toUpperCase() || 'N/A'} 
           />
-        )}
-        {flight.baro_altitude !== null && (
+          {operator && (
+            <InfoItem 
+              icon="🏷️" 
+              label="Airline" 
+              value={operator} 
+            />
+          )}
+          {aircraft?.registration && (
+            <InfoItem 
+              icon="🪪" 
+              label="Reg" 
+              value={aircraft.registration} 
+            />
+          )}
+          {aircraftType && (
+            <InfoItem 
+              icon="🛩️" 
+              label="Type" 
+              value={aircraftType} 
+            />
+          )}
+          {aircraft?.operator && (
+            <InfoItem 
+              icon="🏢" 
+              label="Operator" 
+              value={aircraft.operator} 
+            />
+          )}
           <InfoItem 
-            icon="📏" 
-            label="Altitude" 
-            value={`${Math.round(flight.baro_altitude).toLocaleString()} m`}
-            subvalue={`${Math.round(flight.baro_altitude * 3.28084).toLocaleString()} ft`}
-            highlight={true}
+            icon="🌍" 
+            label="Country" 
+            value={flight.origin_country || 'Unknown'} 
           />
-        )}
+        </div>
+
+        {/* Divider */}
+        <div style={{ height: '1px', background: 'rgba(75, 85, 99, 0.3)' }} />
+
+        {/* Flight Data Section */}
+        <div className="space-y-1.5">
+          {flight.velocity !== null && (
+            <InfoItem 
+              icon="⚡" 
+              label="Speed" 
+              value={`${Math.round(flight.velocity * 3.6)} km/h`}
+              subvalue={`${Math.round(flight.velocity * 2.23694)} mph`}
+              highlight={true}
+            />
+          )}
+          {flight.baro_altitude !== null && (
+            <InfoItem 
+              icon="📏" 
+              label="Altitude" 
+              value={`${Math.round(flight.baro_altitude).toLocaleString()} m`}
+              subvalue={`${Math.round(flight.baro_altitude * 3.28084).toLocaleString()} ft`}
+              highlight={true}
+            />
+          )}
+        </div>
       </div>
-    </div>
 
-    {/* Footer gradient */}
-    <div style={{ 
-      height: '1px',
-      background: 'linear-gradient(90deg, rgba(59, 130, 246, 0.4), rgba(139, 92, 246, 0.4), rgba(236, 72, 153, 0.4))'
-    }} />
-  </div>
-));
+      {/* Footer gradient */}
+      <div style={{ 
+        height: '1px',
+        background: 'linear-gradient(90deg, rgba(59, 130, 246, 0.4), rgba(139, 92, 246, 0.4), rgba(236, 72, 153, 0.4))'
+      }} />
+    </div>
+  );
+});
 
 FlightPopupContent.displayName = 'FlightPopupContent';
 
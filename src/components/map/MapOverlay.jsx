@@ -28,6 +28,12 @@ const LiveIcon = () => (
   </svg>
 );
 
+const HistoricalIcon = () => (
+  <svg className="h-4 w-4 inline-block" viewBox="0 0 20 20" fill="currentColor">
+    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
+  </svg>
+);
+
 const LoadingIcon = () => (
   <svg className="h-4 w-4 inline-block animate-spin" viewBox="0 0 20 20" fill="currentColor">
     <path fillRule="evenodd" d="M4 2a1 1 0 011 1v2.101a7.002 7.002 0 0111.601 2.566 1 1 0 11-1.885.666A5.002 5.002 0 005.999 7H9a1 1 0 010 2H4a1 1 0 01-1-1V3a1 1 0 011-1zm.008 9.057a1 1 0 011.276.61A5.002 5.002 0 0014.001 13H11a1 1 0 110-2h5a1 1 0 011 1v5a1 1 0 11-2 0v-2.101a7.002 7.002 0 01-11.601-2.566 1 1 0 01.61-1.276z" clipRule="evenodd" />
@@ -36,10 +42,20 @@ const LoadingIcon = () => (
 
 /**
  * Info overlay showing flight statistics
+ * In replay mode (`replay` set to { time, playing, speed }) it shows the
+ * recording time and a Historical status instead of live status.
+ * `interpolating` notes that positions are dead-reckoned between reports.
+ * `hiddenFlights` is the number of aircraft the map filters hide.
  */
-export const MapInfoOverlay = memo(({ totalFlights, lastUpdate, dataSource }) => {
+export const MapInfoOverlay = memo(({ totalFlights, hiddenFlights = 0, lastUpdate, dataSource, regional = false, streaming = false, replay = null, interpolating = false }) => {
   // Get data source badge info with proper icon components
   const getSourceBadge = (source) => {
+    if (replay) return {
+      icon: <HistoricalIcon />,
+      text: 'Historical',
+      color: 'text-amber-400'
+    };
+    
     if (!source) return { 
       icon: <LoadingIcon />, 
       text: 'Loading', 
@@ -103,11 +119,44 @@ export const MapInfoOverlay = memo(({ totalFlights, lastUpdate, dataSource }) =>
         <p>
           <span className="text-zinc-400">Total Flights:</span>{' '}
           <span className="font-semibold text-blue-400">{totalFlights.toLocaleString()}</span>
+          {hiddenFlights > 0 && (
+            <span className="text-indigo-300"> ({(totalFlights - hiddenFlights).toLocaleString()} shown)</span>
+          )}
+        </p>
+        {replay ? (
+          <p>
+            <span className="text-zinc-400">Recorded:</span>{' '}
+            <span className="font-semibold text-amber-400">
+              {replay.time ? new Date(replay.time * 1000).toLocaleString() : '—'}
+            </span>
+          </p>
+        ) : (
+          <p>
+            <span className="text-zinc-400">Last Update:</span>{' '}
+            <span className="font-semibold">{lastUpdate?.toLocaleTimeString()}</span>
+          </p>
+        )}
+        <p>
+          <span className="text-zinc-400">Coverage:</span>{' '}
+          <span className="font-semibold">{regional ? 'Visible Area' : 'Worldwide'}</span>
         </p>
         <p>
-          <span className="text-zinc-400">Last Update:</span>{' '}
-          <span className="font-semibold">{lastUpdate?.toLocaleTimeString()}</span>
+          <span className="text-zinc-400">Updates:</span>{' '}
+          {replay ? (
+            <span className="font-semibold text-amber-400">{replay.playing ? `Replay ${replay.speed}x` : 'Replay paused'}</span>
+          ) : (
+            <span className={`font-semibold ${streaming ? 'text-green-400' : 'text-zinc-300'}`}>{streaming ? 'Live' : 'Polling'}</span>
+          )}
         </p>
+        {interpolating && (
+          <p className="flex items-center gap-1.5">
+            <span className="text-zinc-400">Positions:</span>{' '}
+            <span className="font-semibold text-purple-400 flex items-center gap-1.5">
+              <InterpolatedIcon />
+              Interpolated
+            </span>
+          </p>
+        )}
         <p className="flex items-center gap-1.5">
           <span className="text-zinc-400">Status:</span>{' '}
           <span className={`font-semibold ${sourceBadge.color} flex items-center gap-1.5`}>
@@ -0,0 +1,28 @@
+/**
+ * Browser notification permission line for the monitoring panels
+ */
+
+'use client';
+
+import { memo } from 'react';
+
+/**
+ * Shows whether notifications are on, with a button to ask for permission
+ * @param {Object} props
+ * @param {string} props.permission - 'default', 'granted', 'denied' or 'unsupported'
+ * @param {Function} props.onRequest - Ask for permission
+ */
+export const NotificationStatus = memo(({ permission, onRequest }) => (
+  <div className="px-3 text-xs text-zinc-400">
+    {permission === 'granted' && 'Browser notifications are on'}
+    {permission === 'denied' && 'Browser notifications are blocked in site settings'}
+    {permission === 'unsupported' && 'This browser does not support notifications'}
+    {permission === 'default' && (
+      <button onClick={onRequest} className="text-sky-400 hover:text-sky-300 font-medium">
+        Enable browser notifications
+      </button>
+    )}
+  </div>
+));
+
+NotificationStatus.displayName = 'NotificationStatus';
@@ -0,0 +1,179 @@
+/**
+ * Query bar for the flight query language (see src/lib/flight-query.js)
+ * The query is checked as you type and applied with Enter; saved queries
+ * are listed underneath.
+ */
+
+'use client';
+
+import { memo, useState } from 'react';
+import { parseFlightQuery, QUERY_FIELDS, QuerySyntaxError } from '../../lib/flight-query.js';
+
+const EXAMPLE_QUERY = 'alt > 30000 and country = "Germany" and callsign ~ "^DLH"';
+
+/**
+ * Problem with a query, or null when it parses
+ */
+const validateQuery = (text) => {
+  try {
+    parseFlightQuery(text);
+    return null;
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) return error;
+    throw error;
+  }
+};
+
+/**
+ * Query editor with saved queries
+ * @param {Object} props
+ * @param {string} props.query - Applied query
+ * @param {Array} props.savedQueries - Saved queries from useSavedQueries
+ * @param {Function} props.onApply - (query) apply a query ('' removes it)
+ * @param {Function} props.onSave - (name, query) save a query
+ * @param {Function} props.onRemoveSaved - (id) delete a saved query
+ */
+export const QueryBar = memo(({ query, savedQueries, onApply, onSave, onRemoveSaved }) => {
+  const [draft, setDraft] = useState(query);
+  const [appliedQuery, setAppliedQuery] = useState(query);
+  // Name being entered for a save, or null
+  const [saveName, setSaveName] = useState(null);
+
+  // Follow the applied query when it changes elsewhere (chip removed, saved query chosen)
+  if (query !== appliedQuery) {
+    setAppliedQuery(query);
+    setDraft(query);
+  }
+
+  const error = validateQuery(draft);
+  const dirty = draft.trim() !== query.trim();
+
+  const apply = () => {
+    if (!error) onApply(draft.trim());
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      apply();
+    }
+  };
+
+  const confirmSave = () => {
+    onSave(saveName.trim() || draft.trim(), draft.trim());
+    setSaveName(null);
+  };
+
+  return (
+    <fieldset className="space-y-1.5">
+      <legend className="text-xs font-semibold text-zinc-400 uppercase tracking-wide pb-1">Query</legend>
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        rows={2}
+        spellCheck={false}
+        placeholder={EXAMPLE_QUERY}
+        aria-label="Flight query"
+        aria-invalid={Boolean(error)}
+        className={`w-full bg-zinc-800 border rounded px-2 py-1 font-mono text-xs text-white placeholder-zinc-500 focus:outline-none resize-y ${
+          error ? 'border-red-500/70 focus:border-red-500' : 'border-zinc-700 focus:border-indigo-500'
+        }`}
+      />
+      {error && <p className="text-xs text-red-400" role="alert">{error.message}</p>}
+
+      <div className="flex gap-2">
+        <button
+          onClick={apply}
+          disabled={Boolean(error) || !dirty}
+          className="flex-1 px-3 py-1 rounded-md text-xs font-medium bg-indigo-600 hover:bg-indigo-500 text-white transition-colors disabled:opacity-50 disabled:hover:bg-indigo-600"
+        >
+          Apply
+        </button>
+        <button
+          onClick={() => setSaveName('')}
+          disabled={Boolean(error) || !draft.trim()}
+          className="flex-1 px-3 py-1 rounded-md text-xs font-medium bg-zinc-800 hover:bg-zinc-700 text-zinc-200 transition-colors disabled:opacity-50 disabled:hover:bg-zinc-800"
+        >
+          Save…
+        </button>
+        {query && (
+          <button
+            onClick={() => onApply('')}
+            className="px-3 py-1 rounded-md text-xs font-medium bg-zinc-800 hover:bg-zinc-700 text-zinc-200 transition-colors"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {saveName !== null && (
+        <div className="flex gap-2">
+          <input
+            autoFocus
+            value={saveName}
+            onChange={(e) => setSaveName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') confirmSave();
+              else if (e.key === 'Escape') setSaveName(null);
+            }}
+            maxLength={80}
+            placeholder="Name, e.g. Low MLAT traffic"
+            aria-label="Query name"
+            className="flex-1 bg-zinc-800 border border-zinc-700 rounded px-2 py-1 text-xs text-white placeholder-zinc-500 focus:outline-none focus:border-indigo-500"
+          />
+          <button onClick={confirmSave} className="text-xs text-indigo-300 hover:text-white font-medium">Save</button>
+        </div>
+      )}
+
+      {savedQueries.length > 0 && (
+        <ul className="space-y-0.5">
+          {savedQueries.map(saved => (
+            <li key={saved.id} className="flex items-center gap-2 rounded hover:bg-zinc-800">
+              <button
+                onClick={() => onApply(saved.query)}
+                className={`flex-1 min-w-0 text-left px-2 py-1 ${saved.query === query ? 'text-indigo-300' : ''}`}
+                title={saved.query}
+              >
+                <span className="block truncate text-sm">{saved.name}</span>
+                {saved.name !== saved.query && <span className="block truncate font-mono text-[10px] text-zinc-500">{saved.query}</span>}
+              </button>
+              <button
+                onClick={() => onRemoveSaved(saved.id)}
+                className="mr-2 text-zinc-500 hover:text-red-400 transition-colors"
+                aria-label={`Delete saved query ${saved.name}`}
+              >
+                <TrashIcon />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <details className="text-xs text-zinc-400">
+        <summary className="cursor-pointer hover:text-zinc-200">Syntax</summary>
+        <p className="mt-1">
+          Compare fields with <code>= != &lt; &lt;= &gt; &gt;=</code>, match text with <code>~</code> (regular expression)
+          or <code>!~</code>, list values with <code>in (a, b)</code> and combine with <code>and</code>, <code>or</code>,
+          {' '}<code>not</code> and parentheses.
+        </p>
+        <ul className="mt-1 grid grid-cols-2 gap-x-2">
+          {Object.entries(QUERY_FIELDS).map(([name, { description }]) => (
+            <li key={name} title={description} className="truncate"><code className="text-zinc-200">{name}</code> {description}</li>
+          ))}
+        </ul>
+      </details>
+    </fieldset>
+  );
+});
+
+QueryBar.displayName = 'QueryBar';
+
+/**
+ * Icons
+ */
+const TrashIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+    <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+  </svg>
+);
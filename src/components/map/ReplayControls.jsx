@@ -0,0 +1,157 @@
+/**
+ * Historical replay controls (timeline scrubber, play/pause, speed)
+ */
+
+'use client';
+
+import { memo } from 'react';
+import { Z_INDEX, REPLAY_CONFIG } from './constants.jsx';
+
+const formatDateTime = (time) => (time === null || time === undefined
+  ? '—'
+  : new Date(time * 1000).toLocaleString([], { dateStyle: 'short', timeStyle: 'medium' }));
+
+/**
+ * Button that switches between live data and replay
+ */
+export const ReplayToggleButton = memo(({ active, onToggle }) => (
+  <button
+    onClick={onToggle}
+    className={`absolute top-16 right-4 ${active ? 'bg-amber-600 hover:bg-amber-700' : 'bg-zinc-700 hover:bg-zinc-600'} text-white px-4 py-2 rounded-lg shadow-xl transition-colors flex items-center gap-2`}
+    style={{ zIndex: Z_INDEX.OVERLAY }}
+    aria-pressed={active}
+    aria-label={active ? 'Return to live data' : 'Replay recorded flights'}
+  >
+    <HistoryIcon />
+    {active ? 'Back to Live' : 'Replay'}
+  </button>
+));
+
+ReplayToggleButton.displayName = 'ReplayToggleButton';
+
+/**
+ * Replay control panel
+ * @param {Object} props
+ * @param {Object|null} props.archive - Archive range ({ from, to, interval })
+ * @param {number|null} props.playbackTime - Current playback time (unix seconds)
+ * @param {number|null} props.snapshotTime - Time of the snapshot on the map
+ * @param {boolean} props.playing - Playback is running
+ * @param {number} props.speed - Playback speed multiplier
+ * @param {boolean} props.loading - A snapshot is loading
+ * @param {string|null} props.error - Error message
+ */
+export const ReplayControls = memo(({
+  archive,
+  playbackTime,
+  snapshotTime,
+  playing,
+  speed,
+  loading,
+  error,
+  onPlay,
+  onPause,
+  onSeek,
+  onSpeedChange,
+}) => {
+  if (!archive) {
+    return (
+      <div
+        className="absolute bottom-28 left-1/2 transform -translate-x-1/2 bg-zinc-900/95 backdrop-blur-sm text-white px-5 py-3 rounded-lg shadow-xl border border-amber-600/60 text-sm"
+        style={{ zIndex: Z_INDEX.OVERLAY }}
+      >
+        {error ? <span className="text-red-400">{error}</span> : <span className="text-zinc-400">Loading archive…</span>}
+      </div>
+    );
+  }
+
+  const atEnd = playbackTime !== null && playbackTime >= archive.to;
+
+  return (
+    <div
+      className="absolute bottom-28 left-1/2 transform -translate-x-1/2 w-[min(42rem,calc(100%-2rem))] bg-zinc-900/95 backdrop-blur-sm text-white px-5 py-3 rounded-lg shadow-xl border border-amber-600/60"
+      style={{ zIndex: Z_INDEX.OVERLAY }}
+    >
+      <div className="flex items-center gap-3">
+        <button
+          onClick={playing ? onPause : onPlay}
+          disabled={atEnd && !playing}
+          className="bg-amber-600 hover:bg-amber-700 disabled:bg-zinc-700 disabled:text-zinc-400 text-white w-9 h-9 rounded-full flex items-center justify-center transition-colors shrink-0"
+          aria-label={playing ? 'Pause replay' : 'Play replay'}
+        >
+          {playing ? <PauseIcon /> : <PlayIcon />}
+        </button>
+
+        <div className="flex-1 min-w-0">
+          <input
+            type="range"
+            min={archive.from}
+            max={archive.to}
+            step={1}
+            value={playbackTime ?? archive.from}
+            onChange={(event) => onSeek(Number(event.target.value))}
+            className="w-full accent-amber-500 cursor-pointer"
+            aria-label="Replay time"
+          />
+          <div className="flex justify-between text-[11px] text-zinc-400">
+            <span>{formatDateTime(archive.from)}</span>
+            <span>{formatDateTime(archive.to)}</span>
+          </div>
+        </div>
+
+        <div className="flex gap-1 shrink-0" role="group" aria-label="Replay speed">
+          {REPLAY_CONFIG.SPEEDS.map(value => (
+            <button
+              key={value}
+              onClick={() => onSpeedChange(value)}
+              className={`px-2 py-1 rounded text-xs font-semibold transition-colors ${
+                value === speed ? 'bg-amber-600 text-white' : 'bg-zinc-800 text-zinc-300 hover:bg-zinc-700'
+              }`}
+              aria-pressed={value === speed}
+            >
+              {value}x
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="mt-2 flex items-center justify-between text-sm">
+        <span>
+          <span className="text-zinc-400">Playback:</span>{' '}
+          <span className="font-semibold text-amber-400">{formatDateTime(playbackTime)}</span>
+        </span>
+        <span className="text-xs text-zinc-400">
+          {error
+            ? <span className="text-red-400">{error}</span>
+            : loading
+              ? 'Loading snapshot…'
+              : snapshotTime === null
+                ? 'No recording at this time'
+                : `Snapshot from ${formatDateTime(snapshotTime)}`}
+        </span>
+      </div>
+    </div>
+  );
+});
+
+ReplayControls.displayName = 'ReplayControls';
+
+/**
+ * Icons
+ */
+const HistoryIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
+  </svg>
+);
+
+const PlayIcon = () => (
+  <svg className="h-4 w-4 ml-0.5" viewBox="0 0 20 20" fill="currentColor">
+    <path d="M6.3 2.841A1.5 1.5 0 004 4.11v11.78a1.5 1.5 0 002.3 1.269l9.344-5.89a1.5 1.5 0 000-2.538L6.3 2.84z" />
+  </svg>
+);
+
+const PauseIcon = () => (
+  <svg className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+    <path d="M5.75 3a.75.75 0 00-.75.75v12.5c0 .414.336.75.75.75h1.5a.75.75 0 00.75-.75V3.75A.75.75 0 007.25 3h-1.5zM12.75 3a.75.75 0 00-.75.75v12.5c0 .414.336.75.75.75h1.5a.75.75 0 00.75-.75V3.75a.75.75 0 00-.75-.75h-1.5z" />
+  </svg>
+);
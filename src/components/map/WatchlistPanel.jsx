@@ -0,0 +1,220 @@
+/**
+ * Watchlist sidebar (watched aircraft and callsigns with live status)
+ */
+
+'use client';
+
+import { memo, useRef, useState } from 'react';
+import { Z_INDEX } from './constants.jsx';
+import { NotificationStatus } from './NotificationStatus.jsx';
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Label, dot color and whether the aircraft can be shown on the map
+const STATUS_DISPLAY = {
+  airborne: { label: 'Airborne', color: '#22c55e', live: true },
+  ground: { label: 'On ground', color: '#a1a1aa', live: true },
+  outside: { label: 'Out of view', color: '#f59e0b', live: false },
+  lost: { label: 'Out of coverage', color: '#ef4444', live: false },
+  unseen: { label: 'Not seen', color: '#52525b', live: false },
+};
+
+/**
+ * Button that opens the watchlist
+ */
+export const WatchlistToggleButton = memo(({ open, liveCount, onToggle }) => (
+  <button
+    onClick={onToggle}
+    className={`absolute top-52 right-4 ${open ? 'bg-yellow-600 hover:bg-yellow-500' : 'bg-zinc-700 hover:bg-zinc-600'} text-white px-4 py-2 rounded-lg shadow-xl transition-colors flex items-center gap-2`}
+    style={{ zIndex: Z_INDEX.OVERLAY }}
+    aria-pressed={open}
+    aria-label={liveCount > 0 ? `Watchlist, ${liveCount} tracked` : 'Watchlist'}
+  >
+    <StarIcon />
+    Watchlist
+    {liveCount > 0 && (
+      <span className="bg-white/20 text-xs font-bold rounded-full px-1.5 min-w-5 text-center">{liveCount}</span>
+    )}
+  </button>
+));
+
+WatchlistToggleButton.displayName = 'WatchlistToggleButton';
+
+/**
+ * One watched aircraft or callsign
+ */
+const WatchItem = memo(({ entry, status, onSelect, onRemove }) => {
+  const display = STATUS_DISPLAY[status?.status ?? 'unseen'];
+  const tracked = display.live;
+  const details = [];
+  if (tracked && status.status !== 'ground' && Number.isFinite(status.altitude)) {
+    details.push(`${Math.round(status.altitude * 3.28084).toLocaleString()} ft`);
+  }
+  if (tracked && Number.isFinite(status.velocity)) {
+    details.push(`${Math.round(status.velocity * 1.94384)} kt`);
+  }
+  if (status?.callsign && status.callsign !== entry.value && status.callsign !== entry.label) {
+    details.push(status.callsign);
+  }
+
+  return (
+    <li className="flex items-start gap-2 rounded-md hover:bg-zinc-800 transition-colors">
+      <button
+        onClick={() => onSelect(entry, status)}
+        disabled={!status?.icao24}
+        className="flex-1 min-w-0 text-left px-3 py-2 flex items-start gap-3 disabled:cursor-default"
+        aria-label={`Fly to ${entry.label || entry.value}`}
+      >
+        <span
+          className={`mt-1.5 h-2.5 w-2.5 rounded-full shrink-0 ${tracked ? '' : 'opacity-70'}`}
+          style={{ backgroundColor: display.color }}
+        />
+        <span className="flex-1 min-w-0">
+          <span className="flex justify-between gap-2">
+            <span className="font-semibold truncate">{entry.label || entry.value.toUpperCase()}</span>
+            <span className="text-xs text-zinc-500 shrink-0">{entry.type === 'icao24' ? 'Aircraft' : 'Callsign'}</span>
+          </span>
+          <span className="block text-xs" style={{ color: display.color }}>
+            {display.label}
+            {status && status.status !== 'unseen' && <span className="text-zinc-500"> since {formatTime(status.since)}</span>}
+          </span>
+          {details.length > 0 && <span className="block text-xs text-zinc-400">{details.join(' · ')}</span>}
+        </span>
+      </button>
+      <button
+        onClick={() => onRemove(entry.id)}
+        className="mt-2 mr-2 text-yellow-400 hover:text-zinc-400 transition-colors"
+        aria-label={`Stop watching ${entry.label || entry.value}`}
+        title="Stop watching"
+      >
+        <StarIcon />
+      </button>
+    </li>
+  );
+});
+
+WatchItem.displayName = 'WatchItem';
+
+/**
+ * Watchlist sidebar
+ * @param {Object} props
+ * @param {Array} props.entries - Entries from useWatchlist
+ * @param {Object} props.statuses - Live status by entry id (useWatchlistStatus)
+ * @param {string} props.notificationPermission - Browser notification permission
+ * @param {boolean} props.paused - Tracking is paused (replay)
+ * @param {Function} props.onSelect - (entry, status) fly to a tracked aircraft
+ * @param {Function} props.onRemove - (id) stop watching
+ * @param {Function} props.onImport - (text) merge an exported watchlist; returns { added, duplicates, skipped }
+ * @param {Function} props.onExport - Returns the watchlist JSON
+ * @param {Function} props.onRequestNotifications - Ask for notification permission
+ * @param {Function} props.onClose - Close the sidebar
+ */
+export const WatchlistPanel = memo(({
+  entries,
+  statuses,
+  notificationPermission,
+  paused,
+  onSelect,
+  onRemove,
+  onImport,
+  onExport,
+  onRequestNotifications,
+  onClose
+}) => {
+  const fileInputRef = useRef(null);
+  // Result of the last import ({ ok, text })
+  const [importMessage, setImportMessage] = useState(null);
+
+  const handleExport = () => {
+    const url = URL.createObjectURL(new Blob([onExport()], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'avara-watchlist.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const { added, duplicates, skipped } = onImport(await file.text());
+      const notes = [
+        duplicates > 0 && `${duplicates} already watched`,
+        skipped > 0 && `${skipped} unreadable`
+      ].filter(Boolean);
+      setImportMessage({ ok: true, text: `Imported ${added} ${added === 1 ? 'entry' : 'entries'}${notes.length ? ` (${notes.join(', ')})` : ''}` });
+    } catch (error) {
+      setImportMessage({ ok: false, text: `Import failed: ${error.message}` });
+    }
+  };
+
+  return (
+    <div
+      className="absolute top-76 right-4 w-80 max-h-[60vh] overflow-y-auto bg-zinc-900/95 backdrop-blur-sm text-white rounded-lg shadow-xl border border-zinc-700"
+      style={{ zIndex: Z_INDEX.OVERLAY }}
+    >
+      <div className="sticky top-0 bg-zinc-900/95 px-4 py-3 border-b border-zinc-700 flex justify-between items-center">
+        <h3 className="font-bold">Watchlist</h3>
+        <button
+          onClick={onClose}
+          className="text-zinc-400 hover:text-white transition-colors"
+          aria-label="Close watchlist"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="p-2 text-sm space-y-3">
+        {paused && <p className="px-3 text-xs text-amber-400">Tracking is paused while replaying</p>}
+
+        {entries.length > 0 ? (
+          <ul>
+            {entries.map(entry => (
+              <WatchItem key={entry.id} entry={entry} status={statuses[entry.id]} onSelect={onSelect} onRemove={onRemove} />
+            ))}
+          </ul>
+        ) : (
+          <p className="px-3 text-zinc-500">Star an aircraft or callsign in the flight details to watch it.</p>
+        )}
+
+        <NotificationStatus permission={notificationPermission} onRequest={onRequestNotifications} />
+
+        <div className="px-1 flex gap-2">
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="flex-1 px-3 py-1.5 rounded-md text-sm font-medium bg-zinc-800 hover:bg-zinc-700 text-zinc-200 transition-colors"
+          >
+            Import
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={entries.length === 0}
+            className="flex-1 px-3 py-1.5 rounded-md text-sm font-medium bg-zinc-800 hover:bg-zinc-700 text-zinc-200 transition-colors disabled:opacity-50 disabled:hover:bg-zinc-800"
+          >
+            Export
+          </button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+        </div>
+        {importMessage && (
+          <p className={`px-3 text-xs ${importMessage.ok ? 'text-zinc-400' : 'text-red-400'}`}>{importMessage.text}</p>
+        )}
+      </div>
+    </div>
+  );
+});
+
+WatchlistPanel.displayName = 'WatchlistPanel';
+
+/**
+ * Icons
+ */
+const StarIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 24 24" fill="currentColor">
+    <path d="M12 2.5l2.94 5.96 6.56.95-4.75 4.63 1.12 6.54L12 17.49l-5.87 3.09 1.12-6.54L2.5 9.41l6.56-.95z" />
+  </svg>
+);
@@ -9,6 +9,7 @@ export const MAP_CONFIG = {
   INITIAL_CENTER: [39.8, -98.5], // Center of USA (Kansas)
   INITIAL_ZOOM: 3,
   PREFER_CANVAS: true,
+  FLY_TO_ZOOM: 9, // Minimum zoom when flying to an aircraft
 };
 
 // Icon configuration
@@ -26,6 +27,98 @@ export const PERFORMANCE_CONFIG = {
   MAX_VISIBLE_MARKERS: 500, // Maximum markers to render at once
   CLUSTER_DISTANCE: 30, // Minimum pixel distance for clustering
   THROTTLE_DELAY: 100, // ms for throttling map events
+  GLOBAL_FETCH_ZOOM: 5, // Fetch the whole world below this zoom level
+  FETCH_BOUNDS_MARGIN: 0.5, // Fraction of the viewport added on each side of regional fetches
+  FETCH_BOUNDS_GRID: 1, // Degrees; regional fetch boxes snap to this grid so clients share snapshots
+  STREAM_RECONNECT_DELAY: 2000, // ms before reopening a dropped update stream (doubles per attempt)
+  STREAM_MAX_RECONNECT_DELAY: 30000, // ms cap for the reconnect backoff
+  WIRE_FORMAT: 'binary', // json, columnar or binary (see src/lib/flight-codec.js); streams use columnar for binary
+};
+
+// Dead-reckoning between position reports (see src/lib/dead-reckoning.js)
+export const INTERPOLATION_CONFIG = {
+  ENABLED: true,
+  MAX_EXTRAPOLATION: 60, // Seconds a report is projected forward before the aircraft holds still
+  BLEND_DURATION: 1500, // ms to glide from the displayed position onto a fresh report
+  MAX_BLEND_DISTANCE: 0.5, // Degrees; larger corrections snap instead of gliding
+  FRAME_INTERVAL: 0, // Minimum ms between position updates (0 = every animation frame)
+};
+
+// Emergency squawk alerts (see src/lib/emergencies.js)
+export const ALERT_CONFIG = {
+  MAX_ALERTS: 100, // Alerts kept in the drawer
+  RECENT_RETENTION: 3600000, // ms an ended alert stays in the recent list
+  PULSE_PERIOD: 1500, // ms per pulse of the emergency map marker
+};
+
+// Geofences (see src/lib/geofences.js)
+export const GEOFENCE_CONFIG = {
+  STORAGE_KEY: 'avara.geofences', // localStorage key for saved fences
+  MAX_EVENTS: 200, // Enter/exit events kept in the log
+  LOST_TIMEOUT: 300000, // ms an aircraft missing from the data still counts as inside
+  NOTIFY_LIMIT: 5, // Browser notifications per snapshot
+  CLOSE_DISTANCE: 12, // Pixels from the first vertex that close a polygon
+};
+
+// Watchlist (see src/lib/watchlist.js)
+export const WATCHLIST_CONFIG = {
+  STORAGE_KEY: 'avara.watchlist', // localStorage key for watched aircraft and callsigns
+  LOST_TIMEOUT: 300000, // ms a watched aircraft may be missing before it counts as out of coverage
+};
+
+// Map filters (see src/lib/flight-filters.js)
+export const FILTER_CONFIG = {
+  STORAGE_KEY: 'avara.filters', // localStorage key for the active filters
+  QUERIES_STORAGE_KEY: 'avara.queries', // localStorage key for saved queries
+  MAX_SAVED_QUERIES: 50,
+};
+
+// Follow mode (camera locked onto the selected aircraft)
+export const FOLLOW_CONFIG = {
+  CHASE_PITCH: 60, // Degrees of tilt for the chase cam
+  TURN_RATE: 0.08, // Share of the remaining bearing/pitch change made each frame
+  REPORT_INTERVAL: 1000, // Minimum ms between viewport reports while the camera follows
+};
+
+// 3D altitude view (see src/lib/altitude-3d.js)
+export const ALTITUDE_3D_CONFIG = {
+  DEFAULT_EXAGGERATION: 5, // Vertical exaggeration when the view is first opened
+  MAX_EXAGGERATION: 20,
+  PITCH: 60, // Tilt applied when the 3D view is switched on over a flat map
+  AIRCRAFT_SIZE: 24, // Arrowhead length in screen pixels
+  TRAIL_WIDTH: 4, // Trail ribbon width in screen pixels
+};
+
+// Traffic density heatmap (see src/lib/traffic-density.js)
+export const HEATMAP_CONFIG = {
+  DEFAULT_ENABLED: true, // Heatmap replaces the icons at low zoom out of the box
+  HANDOVER_ZOOM: 5, // Icons are fully back at this zoom
+  FADE_ZOOMS: 1, // Zoom levels over which heatmap and icons cross-fade
+  HISTORY_RANGES: [3600, 21600, 86400, 604800], // Seconds of recording offered for the aggregated heatmap
+  CELL_SIZE: 0.25, // Degrees per cell of the aggregated heatmap
+  SAMPLES: 120, // Snapshots read for the aggregated heatmap
+  HISTORY_REFRESH_INTERVAL: 300000, // ms between reloads of the aggregated heatmap
+};
+
+// Shareable links (see src/lib/deep-link.js)
+export const DEEP_LINK_CONFIG = {
+  WRITE_DELAY: 500, // Minimum ms between URL updates
+};
+
+// Flight search (see src/lib/flight-search.js)
+export const SEARCH_CONFIG = {
+  MAX_RESULTS: 8, // Suggestions shown under the search box
+  DEBOUNCE: 250, // ms of typing pause before registrations are looked up on the server
+  MIN_REGISTRATION_QUERY: 3, // Characters before registrations are looked up
+  REGISTRATION_LIMIT: 100, // Registry matches requested per lookup
+};
+
+// Historical replay configuration
+export const REPLAY_CONFIG = {
+  SPEEDS: [1, 5, 10, 30, 60], // Playback speed multipliers
+  DEFAULT_WINDOW: 3600, // Seconds before the end of the archive where playback starts
+  TICK_INTERVAL: 250, // ms between playback clock updates
+  ARCHIVE_REFRESH_INTERVAL: 60000, // ms between archive range refreshes
 };
 
 // Z-index layers
@@ -39,6 +132,10 @@ export const Z_INDEX = {
 // API endpoints
 export const API_ENDPOINTS = {
   FLIGHTS: '/api/flights',
+  FLIGHTS_STREAM: '/api/flights/stream',
   TRACKS: '/api/tracks',
+  HISTORY: '/api/history',
+  AIRCRAFT: '/api/aircraft',
+  HISTORY_DENSITY: '/api/history/density',
 };
 
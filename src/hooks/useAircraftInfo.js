@@ -0,0 +1,80 @@
+/**
+ * Custom hook for aircraft registry details (registration, type, operator)
+ * Lookups are cached for the session, so the panel and the popup share one
+ * request per aircraft.
+ */
+
+import { useState, useEffect } from 'react';
+import { API_ENDPOINTS } from '../components/map/constants.jsx';
+
+// icao24 -> Promise<Object|null>
+const aircraftCache = new Map();
+
+/**
+ * Fetch registry details for an aircraft
+ * Unknown aircraft (and a missing database) resolve to null; failed requests
+ * are not cached so they are retried.
+ * @param {string} icao24 - Aircraft address
+ * @returns {Promise<Object|null>} Aircraft details
+ */
+export const fetchAircraftInfo = (icao24) => {
+  const key = icao24.toLowerCase();
+
+  if (!aircraftCache.has(key)) {
+    const request = fetch(`${API_ENDPOINTS.AIRCRAFT}/${key}`)
+      .then(async (response) => {
+        if (response.status === 404) return null;
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .catch((err) => {
+        aircraftCache.delete(key);
+        throw err;
+      });
+    aircraftCache.set(key, request);
+  }
+
+  return aircraftCache.get(key);
+};
+
+/**
+ * Hook to look up registry details for an aircraft
+ * @param {string|null} icao24 - Aircraft address
+ * @returns {Object|null} Aircraft details, or null while loading or when unknown
+ */
+export const useAircraftInfo = (icao24) => {
+  const [result, setResult] = useState({ icao24: null, aircraft: null });
+
+  useEffect(() => {
+    if (!icao24) return;
+    let cancelled = false;
+
+    fetchAircraftInfo(icao24)
+      .then((aircraft) => {
+        if (!cancelled) setResult({ icao24, aircraft });
+      })
+      .catch((err) => {
+        console.error('[useAircraftInfo] Error looking up aircraft:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [icao24]);
+
+  return result.icao24 === icao24 ? result.aircraft : null;
+};
+
+/**
+ * Readable aircraft type, e.g. "Airbus A320-214 (A320)"
+ * @param {Object|null} aircraft - Aircraft details
+ * @returns {string|null}
+ */
+export const formatAircraftType = (aircraft) => {
+  if (!aircraft) return null;
+  const name = [aircraft.manufacturer, aircraft.model].filter(Boolean).join(' ');
+  if (!name) return aircraft.typecode;
+  return aircraft.typecode && !name.includes(aircraft.typecode) ? `${name} (${aircraft.typecode})` : name;
+};
@@ -0,0 +1,49 @@
+/**
+ * Custom hooks for shareable map links (see src/lib/deep-link.js)
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { buildDeepLink, parseDeepLink } from '../lib/deep-link.js';
+import { DEEP_LINK_CONFIG } from '../components/map/constants.jsx';
+
+/**
+ * Hook to read the link the page was opened with
+ * Only the first URL counts; later changes come from useDeepLinkSync itself.
+ * Components using it must be inside a <Suspense> boundary.
+ * @returns {Object} Parsed link (see parseDeepLink)
+ */
+export const useInitialDeepLink = () => {
+  const searchParams = useSearchParams();
+  const [link] = useState(() => parseDeepLink(searchParams));
+  return link;
+};
+
+/**
+ * Hook to keep the URL in step with what the map shows
+ * The URL is replaced (not pushed), at most once per WRITE_DELAY, so moving
+ * the map or playing a replay doesn't flood the browser history.
+ * @param {Object} state - Same shape as buildDeepLink's argument
+ */
+export const useDeepLinkSync = ({ camera, projection, theme, flight, replayTime, filters }) => {
+  const search = buildDeepLink({ camera, projection, theme, flight, replayTime, filters });
+  const latestRef = useRef(search);
+  const timerRef = useRef(null);
+
+  useEffect(() => {
+    latestRef.current = search;
+    if (timerRef.current) return;
+
+    timerRef.current = setTimeout(() => {
+      timerRef.current = null;
+      const query = latestRef.current ? `?${latestRef.current}` : '';
+      if (query === window.location.search) return;
+      window.history.replaceState(null, '', `${window.location.pathname}${query}${window.location.hash}`);
+    }, DEEP_LINK_CONFIG.WRITE_DELAY);
+  }, [search]);
+
+  useEffect(() => () => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+  }, []);
+};
@@ -0,0 +1,125 @@
+/**
+ * Custom hook for tracking emergency squawks across snapshots
+ * Every snapshot is checked for 7500/7600/7700 and SPI. An alert stays active
+ * while the aircraft keeps the code and moves to the recent list once it
+ * stops squawking or leaves the data.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getEmergencyKind, EMERGENCY_KINDS } from '../lib/emergencies.js';
+import { ALERT_CONFIG } from '../components/map/constants.jsx';
+
+/**
+ * Fold one snapshot into the alert list
+ * @param {Array} alerts - Current alerts
+ * @param {Array} flights - Snapshot flights
+ * @param {number} now - ms since epoch
+ * @returns {Array} Updated alerts (same array when nothing changed)
+ */
+export const updateAlerts = (alerts, flights, now) => {
+  const current = new Map();
+  for (const flight of flights) {
+    const kind = getEmergencyKind(flight);
+    if (kind) current.set(`${flight.icao24}:${kind}`, { flight, kind });
+  }
+
+  let changed = false;
+  const next = [];
+
+  for (const alert of alerts) {
+    const seen = alert.active ? current.get(alert.id) : null;
+    if (seen) {
+      current.delete(alert.id);
+      const { flight } = seen;
+      next.push({
+        ...alert,
+        lastSeen: now,
+        callsign: flight.callsign?.trim() || alert.callsign,
+        latitude: flight.latitude ?? alert.latitude,
+        longitude: flight.longitude ?? alert.longitude
+      });
+      changed = true;
+      continue;
+    }
+
+    if (alert.active) {
+      next.push({ ...alert, active: false, endedAt: now });
+      changed = true;
+      continue;
+    }
+
+    // Forget ended alerts after a while
+    if (now - alert.endedAt > ALERT_CONFIG.RECENT_RETENTION) {
+      changed = true;
+      continue;
+    }
+    next.push(alert);
+  }
+
+  for (const [id, { flight, kind }] of current) {
+    next.push({
+      id,
+      icao24: flight.icao24,
+      kind,
+      callsign: flight.callsign?.trim() || null,
+      squawk: flight.squawk,
+      latitude: flight.latitude,
+      longitude: flight.longitude,
+      firstSeen: now,
+      lastSeen: now,
+      active: true,
+      endedAt: null
+    });
+    changed = true;
+  }
+
+  if (!changed) return alerts;
+
+  // Active first, most severe first, then newest
+  return next
+    .sort((a, b) => (
+      Number(b.active) - Number(a.active) ||
+      EMERGENCY_KINDS[a.kind].priority - EMERGENCY_KINDS[b.kind].priority ||
+      b.firstSeen - a.firstSeen
+    ))
+    .slice(0, ALERT_CONFIG.MAX_ALERTS);
+};
+
+/**
+ * Hook to detect emergencies in the flights the map receives
+ * @param {Array} flights - Latest snapshot flights
+ * @param {Object} options
+ * @param {Date|null} options.receivedAt - When the snapshot arrived (alert timestamps)
+ * @param {boolean} options.enabled - Detection runs (paused during replay)
+ * @returns {{alerts: Array, activeCount: number, emergencyCount: number}}
+ *   emergencyCount leaves out SPI idents
+ */
+export const useEmergencyAlerts = (flights, { receivedAt = null, enabled = true } = {}) => {
+  // Alerts plus the snapshot they were last updated from
+  const [state, setState] = useState({ flights: null, alerts: [] });
+
+  // Fold in each new snapshot while rendering it (no extra effect pass)
+  if (enabled && receivedAt && flights !== state.flights) {
+    setState({ flights, alerts: updateAlerts(state.alerts, flights, receivedAt.getTime()) });
+  }
+
+  const { alerts } = state;
+
+  // Log new alerts once committed; the render above may be replayed
+  const loggedRef = useRef(new Set());
+  useEffect(() => {
+    const active = alerts.filter(alert => alert.active);
+    for (const alert of active) {
+      if (!loggedRef.current.has(alert.id)) {
+        console.log(`[Alerts] ${EMERGENCY_KINDS[alert.kind].label} from ${alert.callsign || alert.icao24}`);
+      }
+    }
+    loggedRef.current = new Set(active.map(alert => alert.id));
+  }, [alerts]);
+
+  return {
+    alerts,
+    activeCount: alerts.filter(alert => alert.active).length,
+    emergencyCount: alerts.filter(alert => alert.active && alert.kind !== 'ident').length
+  };
+};
@@ -5,106 +5,403 @@
 
 import { useState, useCallback, useEffect, useRef } from 'react';
 import { API_ENDPOINTS, PERFORMANCE_CONFIG } from '../components/map/constants.jsx';
+import { getFetchBounds, boundsContain, toBoundsQuery } from '../lib/bounds.js';
+import { decodeBody, decodeBinaryColumns, flightsFromColumns, BINARY_CONTENT_TYPE } from '../lib/flight-codec.js';
+import { createFlightTable } from '../lib/flight-table.js';
+
+/**
+ * Resolve the area to request for a viewport using the configured thresholds
+ */
+export const resolveFetchBounds = (bounds, zoom) => getFetchBounds(bounds, zoom, {
+  globalZoom: PERFORMANCE_CONFIG.GLOBAL_FETCH_ZOOM,
+  margin: PERFORMANCE_CONFIG.FETCH_BOUNDS_MARGIN,
+  grid: PERFORMANCE_CONFIG.FETCH_BOUNDS_GRID,
+});
+
+/**
+ * Query string for a flights request
+ */
+const buildQuery = (requestBounds, since, format) => [
+  toBoundsQuery(requestBounds),
+  since && `since=${since}`,
+  format !== 'json' && `format=${format}`,
+].filter(Boolean).join('&');
+
+/**
+ * Read a /api/flights response in whichever wire format the server used
+ * @returns {Promise<{data: Object, decoded: Object|null}>} Body with flight objects,
+ *   and for binary responses the typed columns they were read from
+ */
+const readFlightResponse = async (response) => {
+  if (response.headers.get('Content-Type')?.startsWith(BINARY_CONTENT_TYPE)) {
+    const decoded = decodeBinaryColumns(await response.arrayBuffer());
+    return { data: flightsFromColumns(decoded), decoded };
+  }
+  return { data: decodeBody(await response.json()), decoded: null };
+};
+
+/**
+ * Short description of a snapshot body for logging
+ */
+const describeSnapshot = (data) => (data.delta
+  ? `delta (+${data.added.length} ~${data.updated.length} -${data.removed.length}, ${data.count} flights)`
+  : `${data.flights.length} flights`);
+
+/**
+ * Whether data for the given area still serves the viewport
+ * Global data covers everything but is narrowed once the viewport qualifies
+ * for a regional area.
+ */
+export const coversViewport = (area, bounds, zoom) => {
+  const wanted = resolveFetchBounds(bounds, zoom);
+  if (area === null) return wanted === null;
+  return wanted !== null && boundsContain(area, bounds);
+};
 
 /**
  * Hook to fetch and manage flight data - simplified for smooth performance
  * Fetching happens in background without blocking map interactions
+ * Requests only the visible area (plus a margin) when zoomed in, and the
+ * whole world when zoomed out
+ *
+ * Updates are pushed over the /api/flights/stream SSE endpoint. While the
+ * stream is down (or EventSource is unavailable) the hook polls every
+ * FETCH_INTERVAL and keeps trying to reconnect with backoff.
+ *
+ * Flights are kept in a store keyed by ICAO24. After the first full list the
+ * server only sends deltas (added, updated, removed) against the snapshot the
+ * hook holds, and unchanged flights keep their object identity.
+ *
+ * The map layer draws from `flightTable`, typed-array columns of the same
+ * flights (see src/lib/flight-table.js). Binary frames are copied into it
+ * straight from their columns.
+ * @param {Object} viewport
+ * @param {Object|null} viewport.bounds - Current map bounds (LngLatBounds)
+ * @param {number|null} viewport.zoom - Current map zoom
+ * @param {boolean} viewport.enabled - Set to false to pause live updates (e.g. during replay)
  * @returns {Object} Flight data state and controls
  */
-export const useFlightData = () => {
+export const useFlightData = ({ bounds = null, zoom = null, enabled = true } = {}) => {
   const [flights, setFlights] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
   const [dataSource, setDataSource] = useState(null);
+  const [fetchBounds, setFetchBounds] = useState(null);
+  const [streaming, setStreaming] = useState(false);
+  const [flightTable] = useState(createFlightTable);
   const abortControllerRef = useRef(null);
   const isFetchingRef = useRef(false);
+  const inFlightKeyRef = useRef(null);
   const mountedRef = useRef(true);
+  const enabledRef = useRef(enabled);
+  const viewportRef = useRef({ bounds, zoom });
+  // Area covered by the current flights: undefined until the first fetch, null for global
+  const fetchedBoundsRef = useRef(undefined);
+  const eventSourceRef = useRef(null);
+  // Area the open stream watches: undefined while no stream is open, null for global
+  const streamBoundsRef = useRef(undefined);
+  const streamingRef = useRef(false);
+  const reconnectTimerRef = useRef(null);
+  const reconnectAttemptsRef = useRef(0);
+  // Flights by ICAO24 and the id of the snapshot they reflect
+  const flightStoreRef = useRef(new Map());
+  const snapshotIdRef = useRef(null);
+
+  /**
+   * Snapshot id to send as `since` when requesting an area, if the store holds that area
+   */
+  const getSinceId = (requestBounds) => (
+    fetchedBoundsRef.current !== undefined &&
+    toBoundsQuery(fetchedBoundsRef.current) === toBoundsQuery(requestBounds)
+      ? snapshotIdRef.current
+      : null
+  );
+
+  /**
+   * Store a full snapshot or delta received from the API or the stream
+   * @param {Object} data - Body with flight objects
+   * @param {Object|null} requestBounds - Area it covers
+   * @param {Object|null} decoded - Typed columns of a binary body (decodeBinaryColumns)
+   * @returns {boolean} False if a delta doesn't apply to the stored snapshot
+   */
+  const applySnapshot = useCallback((data, requestBounds, decoded = null) => {
+    const store = flightStoreRef.current;
+    const sameArea = fetchedBoundsRef.current !== undefined &&
+      toBoundsQuery(fetchedBoundsRef.current) === toBoundsQuery(requestBounds);
+
+    // Already applied (e.g. a manual refresh raced the stream)
+    if (sameArea && data.id === snapshotIdRef.current) return true;
+
+    if (data.delta) {
+      if (!sameArea || data.since !== snapshotIdRef.current) return false;
+
+      for (const icao24 of data.removed) {
+        store.delete(icao24);
+        flightTable.remove(icao24);
+      }
+      for (const flight of data.added) {
+        store.set(flight.icao24, flight);
+      }
+      for (const changes of data.updated) {
+        store.set(changes.icao24, { ...store.get(changes.icao24), ...changes });
+        flightTable.set(changes);
+      }
+    } else {
+      store.clear();
+      flightTable.clear();
+      for (const flight of data.flights) {
+        store.set(flight.icao24, flight);
+      }
+    }
+
+    // New aircraft: column to column for binary frames
+    const list = data.delta ? data.added : data.flights;
+    if (decoded) {
+      flightTable.setColumns(decoded);
+    } else {
+      list.forEach(flightTable.set);
+    }
+
+    snapshotIdRef.current = data.id;
+    fetchedBoundsRef.current = requestBounds;
+    setFlights(Array.from(store.values()));
+    setFetchBounds(requestBounds);
+    setLastUpdate(new Date());
+    setDataSource(data.source || 'api');
+    setError(null);
+    setLoading(false);
+    return true;
+  }, [flightTable]);
 
   /**
    * Fetch flights from API - runs in background
    * Non-blocking - updates happen without interrupting UI
+   * Bounds and zoom default to the latest reported viewport
    */
-  const fetchFlights = useCallback(async (bounds = null, showLoading = false, zoom = null) => {
-    // Skip if already fetching to prevent duplicate requests
-    if (isFetchingRef.current) {
+  const fetchFlights = useCallback(async (bounds = viewportRef.current.bounds, showLoading = false, zoom = viewportRef.current.zoom) => {
+    const requestBounds = resolveFetchBounds(bounds, zoom);
+    const requestQuery = toBoundsQuery(requestBounds);
+
+    // Skip if the same area is already being fetched to prevent duplicate requests
+    if (isFetchingRef.current && inFlightKeyRef.current === requestQuery) {
       console.log('[useFlightData] Fetch already in progress, skipping');
       return;
     }
-    
-    // Cancel any pending request
+
+    // Cancel any pending request for a different area
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
     }
-    
+
     // Create new abort controller
-    abortControllerRef.current = new AbortController();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
     isFetchingRef.current = true;
-    
+    inFlightKeyRef.current = requestQuery;
+
     // Only show loading on initial fetch
     if (showLoading && flights.length === 0) {
       setLoading(true);
     }
     setError(null);
-    
+
     try {
-      console.log('[useFlightData] Fetching flight data...');
-      
-      // Fetch from API
-      const response = await fetch(API_ENDPOINTS.FLIGHTS, {
-        signal: abortControllerRef.current.signal,
+      console.log(`[useFlightData] Fetching flight data (${requestQuery || 'global'})...`);
+
+      // Fetch from API, asking only for changes if the store already holds this area
+      const query = buildQuery(requestBounds, getSinceId(requestBounds), PERFORMANCE_CONFIG.WIRE_FORMAT);
+      const url = query ? `${API_ENDPOINTS.FLIGHTS}?${query}` : API_ENDPOINTS.FLIGHTS;
+      const response = await fetch(url, {
+        signal: controller.signal,
         headers: {
           'Cache-Control': 'no-cache',
         }
       });
-      
+
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
-      
-      const data = await response.json();
-      console.log(`[useFlightData] Fetched ${data.flights.length} flights`);
-      
+
+      const { data, decoded } = await readFlightResponse(response);
+      console.log(`[useFlightData] Fetched ${describeSnapshot(data)}`);
+
       if (!mountedRef.current) return;
-      
-      // Update state without blocking
-      setFlights(data.flights);
-      setLastUpdate(new Date());
-      setDataSource(data.source || 'api');
-      setLoading(false);
-      
+
+      // Update state without blocking; a delta that no longer applies is
+      // dropped and the next fetch asks for the full list
+      if (!applySnapshot(data, requestBounds, decoded)) {
+        snapshotIdRef.current = null;
+      }
+
     } catch (err) {
       if (err.name === 'AbortError') {
         console.log('[useFlightData] Request aborted');
         return;
       }
-      
+
       console.error('[useFlightData] Error fetching flights:', err);
-      
+
       if (mountedRef.current) {
         setError(err.message);
         setLoading(false);
       }
     } finally {
-      isFetchingRef.current = false;
+      // A newer request may have replaced this one
+      if (abortControllerRef.current === controller) {
+        isFetchingRef.current = false;
+        inFlightKeyRef.current = null;
+      }
+    }
+  }, [flights.length, applySnapshot]);
+
+  /**
+   * Close the update stream and cancel any pending reconnect
+   */
+  const closeStream = useCallback(() => {
+    clearTimeout(reconnectTimerRef.current);
+    reconnectTimerRef.current = null;
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
+      eventSourceRef.current = null;
+    }
+    streamBoundsRef.current = undefined;
+    streamingRef.current = false;
+    setStreaming(false);
+  }, []);
+
+  /**
+   * (Re)open the update stream for the current viewport
+   * On failure polling takes over until a reconnect succeeds.
+   */
+  const openStream = useCallback(() => {
+    if (typeof EventSource === 'undefined') return;
+    closeStream();
+
+    const { bounds, zoom } = viewportRef.current;
+    const requestBounds = resolveFetchBounds(bounds, zoom);
+    const requestQuery = toBoundsQuery(requestBounds);
+    // Event streams are text, so the stream sends columnar JSON instead of binary
+    const format = PERFORMANCE_CONFIG.WIRE_FORMAT === 'json' ? 'json' : 'columnar';
+    const query = buildQuery(requestBounds, getSinceId(requestBounds), format);
+    const url = query ? `${API_ENDPOINTS.FLIGHTS_STREAM}?${query}` : API_ENDPOINTS.FLIGHTS_STREAM;
+
+    console.log(`[useFlightData] Opening update stream (${requestQuery || 'global'})...`);
+    const eventSource = new EventSource(url);
+    eventSourceRef.current = eventSource;
+    streamBoundsRef.current = requestBounds;
+
+    eventSource.addEventListener('open', () => {
+      reconnectAttemptsRef.current = 0;
+      streamingRef.current = true;
+      setStreaming(true);
+    });
+
+    eventSource.addEventListener('snapshot', (event) => {
+      if (!mountedRef.current) return;
+      const data = decodeBody(JSON.parse(event.data));
+      console.log(`[useFlightData] Stream delivered ${describeSnapshot(data)}`);
+
+      // Out of step with the stream: reopen it to get a fresh base
+      if (!applySnapshot(data, requestBounds)) {
+        snapshotIdRef.current = null;
+        openStream();
+      }
+    });
+
+    eventSource.addEventListener('fetch-error', (event) => {
+      if (!mountedRef.current) return;
+      const data = JSON.parse(event.data);
+      console.error('[useFlightData] Stream reported an error:', data.details);
+      setError(data.details || data.error);
+      setLoading(false);
+    });
+
+    eventSource.addEventListener('error', () => {
+      if (eventSourceRef.current !== eventSource) return;
+
+      // Reconnect ourselves so the delay backs off and polling covers the gap
+      eventSource.close();
+      eventSourceRef.current = null;
+      streamBoundsRef.current = undefined;
+      streamingRef.current = false;
+      setStreaming(false);
+
+      // Fill the gap right away instead of waiting for the next poll
+      if (reconnectAttemptsRef.current === 0) {
+        fetchFlights();
+      }
+
+      const delay = Math.min(
+        PERFORMANCE_CONFIG.STREAM_RECONNECT_DELAY * 2 ** reconnectAttemptsRef.current,
+        PERFORMANCE_CONFIG.STREAM_MAX_RECONNECT_DELAY
+      );
+      reconnectAttemptsRef.current += 1;
+      console.log(`[useFlightData] Update stream lost, polling and reconnecting in ${delay}ms`);
+      reconnectTimerRef.current = setTimeout(() => {
+        if (mountedRef.current && enabledRef.current) openStream();
+      }, delay);
+    });
+  }, [closeStream, applySnapshot, fetchFlights]);
+
+  // Track the viewport and switch area right away when it leaves the covered one
+  useEffect(() => {
+    viewportRef.current = { bounds, zoom };
+    if (!bounds || !enabled) return;
+
+    if (eventSourceRef.current) {
+      if (!coversViewport(streamBoundsRef.current, bounds, zoom)) {
+        openStream();
+      }
+      return;
+    }
+
+    // Polling: global data already covers any viewport; the next poll narrows it down
+    const fetched = fetchedBoundsRef.current;
+    if (fetched === undefined || fetched === null) return;
+
+    if (!coversViewport(fetched, bounds, zoom)) {
+      fetchFlights(bounds, false, zoom);
+    }
+  }, [bounds, zoom, enabled, fetchFlights, openStream]);
+
+  // Subscribe to the stream (with polling as fallback) while enabled
+  useEffect(() => {
+    enabledRef.current = enabled;
+
+    if (!enabled) {
+      closeStream();
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+      return;
     }
-  }, [flights.length]);
 
-  // Initialize on mount and set up polling
+    // Initial data arrives over the stream; fetch directly without one
+    if (typeof EventSource === 'undefined') {
+      fetchFlights(undefined, true);
+    } else {
+      openStream();
+    }
+    // openStream and fetchFlights change with the flight count; only react to enabled
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [enabled]);
+
+  // Set up the polling fallback on mount
   useEffect(() => {
     mountedRef.current = true;
-    
-    // Initial fetch
-    fetchFlights(null, true, null);
-    
-    // Set up periodic refresh without blocking map
+
+    // Poll only while enabled and the stream is down
     const fetchInterval = setInterval(() => {
-      fetchFlights(null, false, null);
+      if (enabledRef.current && !streamingRef.current) {
+        fetchFlights();
+      }
     }, PERFORMANCE_CONFIG.FETCH_INTERVAL);
-    
+
     return () => {
       mountedRef.current = false;
       clearInterval(fetchInterval);
+      closeStream();
       if (abortControllerRef.current) {
         abortControllerRef.current.abort();
       }
@@ -114,10 +411,13 @@ export const useFlightData = () => {
 
   return {
     flights,
+    flightTable,
     loading,
     error,
     lastUpdate,
     dataSource,
+    fetchBounds,
+    streaming,
     fetchFlights,
   };
 };
@@ -0,0 +1,52 @@
+/**
+ * Custom hook for the map's flight filters
+ * Filters are saved in localStorage, so an analyst's view survives reloads.
+ */
+
+import { useCallback, useState } from 'react';
+import { DEFAULT_FILTERS, FILTER_GROUPS, normalizeFilters } from '../lib/flight-filters.js';
+import { readStoredJSON, writeStoredJSON } from '../lib/local-storage.js';
+import { FILTER_CONFIG } from '../components/map/constants.jsx';
+
+/**
+ * Read saved filters (none during server rendering)
+ */
+const loadFilters = () => normalizeFilters(readStoredJSON(FILTER_CONFIG.STORAGE_KEY, DEFAULT_FILTERS));
+
+/**
+ * Hook to edit the active filters
+ * @param {Object|null} [initialFilters] - Filters to start with instead of the saved ones
+ *   (from a shared link); they are saved once edited
+ * @returns {{filters: Object, updateFilters: Function, clearFilter: Function, resetFilters: Function}}
+ *   updateFilters(changes) merges field changes; clearFilter(key) resets one
+ *   group from FILTER_GROUPS (e.g. 'altitude'); resetFilters() shows everything
+ */
+export const useFlightFilters = (initialFilters = null) => {
+  const [filters, setFilters] = useState(() => initialFilters ?? loadFilters());
+
+  const commit = useCallback((update) => {
+    setFilters((current) => {
+      const next = normalizeFilters(update(current));
+      writeStoredJSON(FILTER_CONFIG.STORAGE_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const updateFilters = useCallback((changes) => {
+    commit(current => ({ ...current, ...changes }));
+  }, [commit]);
+
+  const clearFilter = useCallback((key) => {
+    commit((current) => {
+      const next = { ...current };
+      for (const field of FILTER_GROUPS[key] ?? []) next[field] = DEFAULT_FILTERS[field];
+      return next;
+    });
+  }, [commit]);
+
+  const resetFilters = useCallback(() => {
+    commit(() => DEFAULT_FILTERS);
+  }, [commit]);
+
+  return { filters, updateFilters, clearFilter, resetFilters };
+};
@@ -0,0 +1,188 @@
+/**
+ * Custom hook for playing back archived flight snapshots
+ * Drives a playback clock over the recorder's archive (/api/history) and loads
+ * the snapshot for the current playback time.
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { API_ENDPOINTS, REPLAY_CONFIG } from '../components/map/constants.jsx';
+import { toBoundsQuery } from '../lib/bounds.js';
+import { resolveFetchBounds, coversViewport } from './useFlightData.js';
+
+/**
+ * Hook to replay recorded flights
+ * @param {Object} options
+ * @param {boolean} options.enabled - Replay mode is active
+ * @param {Object|null} options.bounds - Current map bounds (LngLatBounds)
+ * @param {number|null} options.zoom - Current map zoom
+ * @param {number|null} options.initialTime - Where the first replay starts (unix seconds,
+ *   clamped to the archive); defaults to a while before the end
+ * @returns {Object} Replay state and controls
+ */
+export const useFlightReplay = ({ enabled = false, bounds = null, zoom = null, initialTime = null } = {}) => {
+  const [archive, setArchive] = useState(null);
+  const [playbackTime, setPlaybackTime] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(REPLAY_CONFIG.SPEEDS[0]);
+  const [flights, setFlights] = useState([]);
+  const [snapshotTime, setSnapshotTime] = useState(null);
+  // Area of the snapshot on screen (null = worldwide)
+  const [fetchBounds, setFetchBounds] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const playbackTimeRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  // Last request: playback time asked for and the area it covered
+  const requestedRef = useRef(null);
+  const initialTimeRef = useRef(initialTime);
+
+  /**
+   * Load the archive's time range
+   * @returns {Promise<Object|null>} Archive description
+   */
+  const loadArchive = useCallback(async () => {
+    try {
+      const response = await fetch(API_ENDPOINTS.HISTORY);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || `HTTP ${response.status}`);
+      }
+      if (data.from === null) {
+        throw new Error('The archive has no recorded snapshots yet');
+      }
+      setArchive(data);
+      return data;
+    } catch (err) {
+      console.error('[useFlightReplay] Error loading archive:', err);
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Jump to a playback time (unix seconds)
+   */
+  const seek = useCallback((time) => {
+    playbackTimeRef.current = time;
+    setPlaybackTime(time);
+  }, []);
+
+  const play = useCallback(() => setPlaying(true), []);
+  const pause = useCallback(() => setPlaying(false), []);
+
+  // Enter replay: load the archive and start at the initial time or a while before its end
+  useEffect(() => {
+    if (!enabled) {
+      setPlaying(false);
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+      requestedRef.current = null;
+      return;
+    }
+
+    setError(null);
+    loadArchive().then((data) => {
+      if (data && playbackTimeRef.current === null) {
+        const start = initialTimeRef.current ?? data.to - REPLAY_CONFIG.DEFAULT_WINDOW;
+        initialTimeRef.current = null;
+        seek(Math.min(Math.max(data.from, start), data.to));
+      }
+    });
+
+    // Keep extending the range while the recorder is writing
+    const refreshInterval = setInterval(loadArchive, REPLAY_CONFIG.ARCHIVE_REFRESH_INTERVAL);
+    return () => clearInterval(refreshInterval);
+  }, [enabled, loadArchive, seek]);
+
+  // Playback clock: advance by real elapsed time times the speed
+  useEffect(() => {
+    if (!enabled || !playing || !archive) return;
+
+    const startedAt = performance.now();
+    const startTime = playbackTimeRef.current ?? archive.from;
+
+    const tick = setInterval(() => {
+      const time = startTime + ((performance.now() - startedAt) / 1000) * speed;
+      if (time >= archive.to) {
+        seek(archive.to);
+        setPlaying(false);
+        return;
+      }
+      seek(time);
+    }, REPLAY_CONFIG.TICK_INTERVAL);
+
+    return () => clearInterval(tick);
+  }, [enabled, playing, speed, archive, seek]);
+
+  // Load a snapshot when playback moves past the next recording or the viewport
+  // leaves the loaded area
+  useEffect(() => {
+    if (!enabled || !archive || playbackTime === null) return;
+
+    const requested = requestedRef.current;
+    const movedOn = !requested ||
+      playbackTime < requested.time ||
+      playbackTime >= requested.time + archive.interval;
+    const areaChanged = requested && bounds && !coversViewport(requested.area, bounds, zoom);
+    if (!movedOn && !areaChanged) return;
+
+    const area = resolveFetchBounds(bounds, zoom);
+    const time = Math.floor(playbackTime);
+    requestedRef.current = { time, area };
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    const query = [`at=${time}`, toBoundsQuery(area)].filter(Boolean).join('&');
+    setLoading(true);
+
+    fetch(`${API_ENDPOINTS.HISTORY}?${query}`, { signal: controller.signal })
+      .then(async (response) => {
+        const data = await response.json();
+        if (response.status === 404) {
+          // A gap in the recording: show nothing rather than stale traffic
+          setFlights([]);
+          setSnapshotTime(null);
+          setFetchBounds(area);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(data.details || data.error || `HTTP ${response.status}`);
+        }
+        setFlights(data.flights);
+        setSnapshotTime(data.time);
+        setFetchBounds(area);
+        setError(null);
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        console.error('[useFlightReplay] Error loading snapshot:', err);
+        setError(err.message);
+      })
+      .finally(() => {
+        if (abortControllerRef.current === controller) {
+          setLoading(false);
+        }
+      });
+  }, [enabled, archive, playbackTime, bounds, zoom]);
+
+  return {
+    archive,
+    playbackTime,
+    snapshotTime,
+    playing,
+    speed,
+    flights,
+    fetchBounds,
+    loading,
+    error,
+    play,
+    pause,
+    seek,
+    setSpeed,
+  };
+};
@@ -0,0 +1,87 @@
+/**
+ * Custom hook for searching the flights on the map
+ * Callsigns, addresses and airlines are matched locally against the current
+ * snapshot. Registrations are looked up in the aircraft database on the
+ * server, because most airliners don't fly under their registration.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { searchFlights, normalizeSearchText } from '../lib/flight-search.js';
+import { API_ENDPOINTS, SEARCH_CONFIG } from '../components/map/constants.jsx';
+
+// Normalized query -> Promise<Map<icao24, registration>>
+const registrationCache = new Map();
+
+// Set once the server reports that no aircraft database is configured
+let registryAvailable = true;
+
+/**
+ * Fetch aircraft whose registration starts with a query
+ * Failed requests are not cached so they are retried.
+ * @param {string} prefix - Normalized query
+ * @returns {Promise<Map<string, string>>} icao24 → registration (empty without a database)
+ */
+const fetchRegistrations = (prefix) => {
+  if (!registrationCache.has(prefix)) {
+    const params = new URLSearchParams({ registration: prefix, limit: String(SEARCH_CONFIG.REGISTRATION_LIMIT) });
+    const request = fetch(`${API_ENDPOINTS.AIRCRAFT}?${params}`)
+      .then(async (response) => {
+        if (response.status === 404) {
+          registryAvailable = false;
+          return new Map();
+        }
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const { aircraft } = await response.json();
+        return new Map(aircraft.map(({ icao24, registration }) => [icao24, registration]));
+      })
+      .catch((err) => {
+        registrationCache.delete(prefix);
+        throw err;
+      });
+    registrationCache.set(prefix, request);
+  }
+
+  return registrationCache.get(prefix);
+};
+
+/**
+ * Hook to search flights as the user types
+ * @param {Array} flights - Flights on the map
+ * @param {string} query - Search text
+ * @returns {Array} Matches from searchFlights, best first
+ */
+export const useFlightSearch = (flights, query) => {
+  const text = normalizeSearchText(query);
+  // Registry matches for the last looked-up query ({ prefix, registrations })
+  const [registry, setRegistry] = useState({ prefix: null, registrations: null });
+
+  useEffect(() => {
+    if (!registryAvailable || text.length < SEARCH_CONFIG.MIN_REGISTRATION_QUERY) return;
+    let cancelled = false;
+
+    const timer = setTimeout(() => {
+      fetchRegistrations(text)
+        .then((registrations) => {
+          if (!cancelled) setRegistry({ prefix: text, registrations });
+        })
+        .catch((err) => {
+          console.error('[useFlightSearch] Error searching registrations:', err);
+        });
+    }, SEARCH_CONFIG.DEBOUNCE);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [text]);
+
+  // Matches for a shorter query still apply while the next lookup is pending
+  const registrations = registry.prefix && text.startsWith(registry.prefix) ? registry.registrations : null;
+
+  return useMemo(() => searchFlights(flights, query, {
+    registrations: registrations ?? undefined,
+    limit: SEARCH_CONFIG.MAX_RESULTS
+  }), [flights, query, registrations]);
+};
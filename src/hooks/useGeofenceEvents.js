@@ -0,0 +1,85 @@
+/**
+ * Custom hook for geofence enter/exit events
+ * Every snapshot is evaluated against the enabled fences (see
+ * evaluateGeofences); new events go to an on-screen log and to browser
+ * notifications.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { evaluateGeofences } from '../lib/geofences.js';
+import { GEOFENCE_CONFIG } from '../components/map/constants.jsx';
+
+/**
+ * Notification text for an event
+ */
+const describeNotification = (event) => {
+  const aircraft = event.callsign || event.icao24.toUpperCase();
+  const action = event.type === 'enter' ? 'entered' : event.lost ? 'was lost in' : 'left';
+  return {
+    title: `${aircraft} ${action} ${event.fenceName}`,
+    body: Number.isFinite(event.altitude) ? `Altitude ${Math.round(event.altitude * 3.28084).toLocaleString()} ft` : undefined,
+    tag: event.id
+  };
+};
+
+/**
+ * Hook to raise events as aircraft cross geofences
+ * @param {Array} flights - Latest snapshot flights
+ * @param {Array} fences - Geofences from useGeofences
+ * @param {Object} options
+ * @param {Date|null} options.receivedAt - When the snapshot arrived (event timestamps)
+ * @param {boolean} options.enabled - Evaluation runs (paused during replay)
+ * @param {Function|null} options.notify - notify(title, options) from useNotifications
+ * @returns {{events: Array, insideCounts: Object, clearEvents: Function}}
+ *   insideCounts maps fence id → aircraft inside
+ */
+export const useGeofenceEvents = (flights, fences, { receivedAt = null, enabled = true, notify = null } = {}) => {
+  // Membership and events plus the snapshot and fences they were computed from
+  const [state, setState] = useState({ flights: null, fences: null, membership: new Map(), events: [] });
+
+  const clearEvents = useCallback(() => {
+    setState(current => ({ ...current, events: [] }));
+  }, []);
+
+  // Evaluate each new snapshot (or fence edit) while rendering it
+  if (enabled && receivedAt && (flights !== state.flights || fences !== state.fences)) {
+    const { state: membership, events } = evaluateGeofences(fences, flights, state.membership, {
+      now: receivedAt.getTime(),
+      lostTimeout: GEOFENCE_CONFIG.LOST_TIMEOUT
+    });
+    setState({
+      flights,
+      fences,
+      membership,
+      events: events.length > 0
+        ? [...events.reverse(), ...state.events].slice(0, GEOFENCE_CONFIG.MAX_EVENTS)
+        : state.events
+    });
+  }
+
+  // Notify about events added since the last render
+  const notifiedRef = useRef(null);
+  useEffect(() => {
+    const previous = notifiedRef.current;
+    notifiedRef.current = state.events[0]?.id ?? null;
+    if (!notify) return;
+
+    const fresh = [];
+    for (const event of state.events) {
+      if (event.id === previous) break;
+      fresh.push(event);
+    }
+    // A burst (e.g. a fence drawn over a busy area) stays in the log only
+    fresh.slice(0, GEOFENCE_CONFIG.NOTIFY_LIMIT).forEach((event) => {
+      const { title, ...options } = describeNotification(event);
+      notify(title, options);
+    });
+  }, [state.events, notify]);
+
+  const insideCounts = {};
+  for (const [id, { members }] of state.membership) {
+    insideCounts[id] = members.size;
+  }
+
+  return { events: state.events, insideCounts, clearEvents };
+};
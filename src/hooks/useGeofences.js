@@ -0,0 +1,61 @@
+/**
+ * Custom hook for the user's saved geofences
+ * Fences live in localStorage, so they survive reloads but stay in this browser.
+ */
+
+import { useCallback, useState } from 'react';
+import { normalizeGeofence, createGeofence, GEOFENCE_COLORS } from '../lib/geofences.js';
+import { readStoredJSON, writeStoredJSON } from '../lib/local-storage.js';
+import { GEOFENCE_CONFIG } from '../components/map/constants.jsx';
+
+/**
+ * Read saved fences (none during server rendering)
+ */
+const loadGeofences = () => {
+  const stored = readStoredJSON(GEOFENCE_CONFIG.STORAGE_KEY, []);
+  return Array.isArray(stored) ? stored.map(normalizeGeofence).filter(Boolean) : [];
+};
+
+/**
+ * Hook to create, edit and remove geofences
+ * @returns {{fences: Array, addGeofence: Function, updateGeofence: Function, removeGeofence: Function}}
+ *   addGeofence(geometry) returns the new fence (or null for an unusable shape);
+ *   updateGeofence(id, changes) applies edits such as name, band or filter
+ */
+export const useGeofences = () => {
+  const [fences, setFences] = useState(loadGeofences);
+
+  const commit = useCallback((update) => {
+    setFences((current) => {
+      const next = update(current);
+      writeStoredJSON(GEOFENCE_CONFIG.STORAGE_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const addGeofence = useCallback((geometry) => {
+    const fence = createGeofence(geometry, {
+      name: `Area ${fences.length + 1}`,
+      color: GEOFENCE_COLORS[fences.length % GEOFENCE_COLORS.length],
+      now: Date.now()
+    });
+    if (!fence) return null;
+
+    console.log(`[Geofences] Added ${fence.name} (${fence.shape})`);
+    commit(current => [...current, fence]);
+    return fence;
+  }, [fences.length, commit]);
+
+  const updateGeofence = useCallback((id, changes) => {
+    commit(current => current.map((fence) => {
+      if (fence.id !== id) return fence;
+      return normalizeGeofence({ ...fence, ...changes, updatedAt: Date.now() }) ?? fence;
+    }));
+  }, [commit]);
+
+  const removeGeofence = useCallback((id) => {
+    commit(current => current.filter(fence => fence.id !== id));
+  }, [commit]);
+
+  return { fences, addGeofence, updateGeofence, removeGeofence };
+};
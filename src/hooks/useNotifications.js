@@ -0,0 +1,37 @@
+/**
+ * Custom hook for browser notifications
+ * Tracks the permission and shows notifications once the user allows them.
+ */
+
+import { useCallback, useState } from 'react';
+
+const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * Hook for permission-aware browser notifications
+ * @returns {{permission: string, requestPermission: Function, notify: Function}}
+ *   permission is 'default', 'granted', 'denied' or 'unsupported';
+ *   notify(title, { body, tag }) does nothing until permission is granted
+ */
+export const useNotifications = () => {
+  const [permission, setPermission] = useState(() => (
+    notificationsSupported() ? Notification.permission : 'unsupported'
+  ));
+
+  const requestPermission = useCallback(async () => {
+    if (!notificationsSupported()) return;
+    setPermission(await Notification.requestPermission());
+  }, []);
+
+  const notify = useCallback((title, { body, tag } = {}) => {
+    if (permission !== 'granted') return;
+    try {
+      new Notification(title, { body, tag });
+    } catch (error) {
+      // Some mobile browsers only allow notifications from a service worker
+      console.warn('[Notifications] Notification failed:', error.message);
+    }
+  }, [permission]);
+
+  return { permission, requestPermission, notify };
+};
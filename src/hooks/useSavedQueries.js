@@ -0,0 +1,64 @@
+/**
+ * Custom hook for saved flight queries
+ * Queries (see src/lib/flight-query.js) are saved in localStorage under a
+ * name, so complex filters can be reapplied with one click.
+ */
+
+import { useCallback, useState } from 'react';
+import { readStoredJSON, writeStoredJSON } from '../lib/local-storage.js';
+import { FILTER_CONFIG } from '../components/map/constants.jsx';
+
+/**
+ * Normalize a saved query from storage
+ * @returns {Object|null} { id, name, query, savedAt }, or null if unusable
+ */
+const normalizeSavedQuery = (raw) => {
+  const query = typeof raw?.query === 'string' ? raw.query.trim() : '';
+  if (!query) return null;
+  return {
+    id: query,
+    name: String(raw.name || query).trim().slice(0, 80),
+    query,
+    savedAt: Number(raw.savedAt) || 0
+  };
+};
+
+/**
+ * Read saved queries (none during server rendering)
+ */
+const loadSavedQueries = () => {
+  const stored = readStoredJSON(FILTER_CONFIG.QUERIES_STORAGE_KEY, []);
+  return Array.isArray(stored) ? stored.map(normalizeSavedQuery).filter(Boolean) : [];
+};
+
+/**
+ * Hook to save, list and delete queries
+ * @returns {{queries: Array, saveQuery: Function, removeQuery: Function}}
+ *   saveQuery(name, query) stores a query (renaming it if it is already saved);
+ *   removeQuery(id) deletes one
+ */
+export const useSavedQueries = () => {
+  const [queries, setQueries] = useState(loadSavedQueries);
+
+  const commit = useCallback((update) => {
+    setQueries((current) => {
+      const next = update(current);
+      writeStoredJSON(FILTER_CONFIG.QUERIES_STORAGE_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const saveQuery = useCallback((name, query) => {
+    const saved = normalizeSavedQuery({ name, query, savedAt: Date.now() });
+    if (!saved) return;
+
+    console.log(`[Queries] Saved "${saved.name}"`);
+    commit(current => [saved, ...current.filter(existing => existing.id !== saved.id)].slice(0, FILTER_CONFIG.MAX_SAVED_QUERIES));
+  }, [commit]);
+
+  const removeQuery = useCallback((id) => {
+    commit(current => current.filter(saved => saved.id !== id));
+  }, [commit]);
+
+  return { queries, saveQuery, removeQuery };
+};
@@ -0,0 +1,58 @@
+/**
+ * Custom hook for traffic density aggregated over the recording
+ * Loads /api/history/density for the aggregated heatmap and reloads it now
+ * and then while the recorder keeps writing.
+ */
+
+import { useEffect, useState } from 'react';
+import { API_ENDPOINTS, HEATMAP_CONFIG } from '../components/map/constants.jsx';
+
+/**
+ * Hook to load aggregated traffic density
+ * @param {Object} options
+ * @param {boolean} options.enabled - Load while true
+ * @param {number} options.range - Seconds of recording to aggregate, up to its end
+ * @returns {{density: Object|null, loading: boolean, error: string|null}}
+ *   density is the API response ({ cells, maxCount, maxLow, snapshots, ... })
+ */
+export const useTrafficDensity = ({ enabled = false, range = 86400 } = {}) => {
+  // Last answer and the range it was for
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let controller = null;
+
+    const load = async () => {
+      controller?.abort();
+      controller = new AbortController();
+      const query = `window=${range}&cell=${HEATMAP_CONFIG.CELL_SIZE}&samples=${HEATMAP_CONFIG.SAMPLES}`;
+      try {
+        const response = await fetch(`${API_ENDPOINTS.HISTORY_DENSITY}?${query}`, { signal: controller.signal });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.details || data.error || `HTTP ${response.status}`);
+        }
+        setResult({ range, density: data, error: null });
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error('[useTrafficDensity] Error loading density:', err);
+        setResult({ range, density: null, error: err.message });
+      }
+    };
+
+    load();
+    const refreshInterval = setInterval(load, HEATMAP_CONFIG.HISTORY_REFRESH_INTERVAL);
+    return () => {
+      clearInterval(refreshInterval);
+      controller?.abort();
+    };
+  }, [enabled, range]);
+
+  const current = enabled && result?.range === range ? result : null;
+  return {
+    density: current?.density ?? null,
+    loading: enabled && !current,
+    error: current?.error ?? null
+  };
+};
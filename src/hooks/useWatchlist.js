@@ -0,0 +1,79 @@
+/**
+ * Custom hook for the aircraft watchlist
+ * Entries live in localStorage and can be exported to and imported from JSON.
+ */
+
+import { useCallback, useState } from 'react';
+import { normalizeWatchEntry, parseWatchlist, serializeWatchlist, watchEntryId } from '../lib/watchlist.js';
+import { readStoredJSON, writeStoredJSON } from '../lib/local-storage.js';
+import { WATCHLIST_CONFIG } from '../components/map/constants.jsx';
+
+/**
+ * Read saved entries (none during server rendering)
+ */
+const loadWatchlist = () => {
+  const stored = readStoredJSON(WATCHLIST_CONFIG.STORAGE_KEY, []);
+  return Array.isArray(stored) ? stored.map(normalizeWatchEntry).filter(Boolean) : [];
+};
+
+/**
+ * Hook to manage watched aircraft and callsigns
+ * @returns {{entries: Array, isWatched: Function, toggleWatch: Function, removeEntry: Function,
+ *   importWatchlist: Function, exportWatchlist: Function}}
+ *   toggleWatch(type, value, label) adds or removes an entry;
+ *   importWatchlist(text) merges a file and returns { added, duplicates, skipped } (throws if unreadable);
+ *   exportWatchlist() returns the JSON to save
+ */
+export const useWatchlist = () => {
+  const [entries, setEntries] = useState(loadWatchlist);
+
+  const commit = useCallback((update) => {
+    setEntries((current) => {
+      const next = update(current);
+      writeStoredJSON(WATCHLIST_CONFIG.STORAGE_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const isWatched = useCallback((type, value) => {
+    const id = watchEntryId(type, value);
+    return entries.some(entry => entry.id === id);
+  }, [entries]);
+
+  const toggleWatch = useCallback((type, value, label = null) => {
+    const entry = normalizeWatchEntry({ type, value, label, addedAt: Date.now() });
+    if (!entry) return;
+
+    commit((current) => {
+      if (current.some(existing => existing.id === entry.id)) {
+        console.log(`[Watchlist] Removed ${entry.id}`);
+        return current.filter(existing => existing.id !== entry.id);
+      }
+      console.log(`[Watchlist] Added ${entry.id}`);
+      return [...current, entry];
+    });
+  }, [commit]);
+
+  const removeEntry = useCallback((id) => {
+    commit(current => current.filter(entry => entry.id !== id));
+  }, [commit]);
+
+  const importWatchlist = useCallback((text) => {
+    const { entries: imported, skipped } = parseWatchlist(text);
+    const known = new Set(entries.map(entry => entry.id));
+    const added = [];
+    for (const entry of imported) {
+      if (known.has(entry.id)) continue;
+      known.add(entry.id);
+      added.push(entry);
+    }
+
+    console.log(`[Watchlist] Imported ${added.length} entries (${imported.length - added.length} already watched, ${skipped} skipped)`);
+    commit(current => [...current, ...added.filter(entry => !current.some(existing => existing.id === entry.id))]);
+    return { added: added.length, duplicates: imported.length - added.length, skipped };
+  }, [entries, commit]);
+
+  const exportWatchlist = useCallback(() => serializeWatchlist(entries, Date.now()), [entries]);
+
+  return { entries, isWatched, toggleWatch, removeEntry, importWatchlist, exportWatchlist };
+};
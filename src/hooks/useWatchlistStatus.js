@@ -0,0 +1,56 @@
+/**
+ * Custom hook for the live status of watched aircraft
+ * Every snapshot updates each entry (see updateWatchStatuses); appearances,
+ * takeoffs, landings and losses are sent as browser notifications.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { updateWatchStatuses } from '../lib/watchlist.js';
+import { WATCHLIST_CONFIG } from '../components/map/constants.jsx';
+
+const EVENT_TEXT = {
+  appeared: 'is now being tracked',
+  takeoff: 'took off',
+  landed: 'landed',
+  lost: 'went out of coverage'
+};
+
+/**
+ * Hook to follow watched aircraft in the flights the map receives
+ * @param {Array} flights - Latest snapshot flights
+ * @param {Array} entries - Watchlist entries from useWatchlist
+ * @param {Object} options
+ * @param {Date|null} options.receivedAt - When the snapshot arrived (status timestamps)
+ * @param {Object|null} options.coverage - Area the snapshot covers (null = whole world)
+ * @param {boolean} options.enabled - Tracking runs (paused during replay)
+ * @param {Function|null} options.notify - notify(title, options) from useNotifications
+ * @returns {{statuses: Object, events: Array}} Status by entry id, and the events of the latest snapshot
+ */
+export const useWatchlistStatus = (flights, entries, { receivedAt = null, coverage = null, enabled = true, notify = null } = {}) => {
+  const [state, setState] = useState({ flights: null, entries: null, statuses: {}, events: [] });
+
+  // Update statuses for each new snapshot (or watchlist change) while rendering it
+  if (enabled && receivedAt && (flights !== state.flights || entries !== state.entries)) {
+    const { statuses, events } = updateWatchStatuses(state.statuses, entries, flights, {
+      now: receivedAt.getTime(),
+      coverage,
+      lostTimeout: WATCHLIST_CONFIG.LOST_TIMEOUT
+    });
+    setState({ flights, entries, statuses, events });
+  }
+
+  // Notify once per event
+  const notifiedRef = useRef(state.events);
+  useEffect(() => {
+    if (notifiedRef.current === state.events) return;
+    notifiedRef.current = state.events;
+    if (!notify) return;
+
+    for (const event of state.events) {
+      const callsign = event.callsign && event.callsign !== event.label ? ` (${event.callsign})` : '';
+      notify(`${event.label}${callsign} ${EVENT_TEXT[event.type]}`, { tag: event.id });
+    }
+  }, [state.events, notify]);
+
+  return { statuses: state.statuses, events: state.events };
+};
@@ -0,0 +1,26 @@
+/**
+ * Server startup hook (Next.js instrumentation)
+ * Starts the snapshot recorder when RECORDER_DIR is set and imports the
+ * aircraft and airport databases when AIRCRAFT_DB_PATH and AIRPORTS_DB_PATH
+ * are set.
+ */
+
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+
+  if (process.env.RECORDER_DIR) {
+    const { startSnapshotRecorder } = await import('@/lib/archive/recorder');
+    startSnapshotRecorder();
+  }
+
+  if (process.env.AIRCRAFT_DB_PATH) {
+    const { loadAircraftDatabase } = await import('@/lib/aircraft/registry');
+    // Import in the background; lookups wait for it to finish
+    loadAircraftDatabase().catch(() => {});
+  }
+
+  if (process.env.AIRPORTS_DB_PATH) {
+    const { loadAirportDatabase } = await import('@/lib/airports/database');
+    loadAirportDatabase().catch(() => {});
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Local aircraft registry (icao24 → registration, type, operator)
+ * Imports an aircraft database CSV in the OpenSky dump format into an
+ * in-memory index. Lookups never leave the server, so enrichment works
+ * offline once the file is loaded.
+ *
+ * Enabled by setting AIRCRAFT_DB_PATH; imported at startup from
+ * src/instrumentation.js or on the first lookup.
+ */
+
+import { stat } from 'node:fs/promises';
+import { readCsvRecords } from '@/lib/csv';
+
+/**
+ * Fields kept per aircraft and the CSV column they come from
+ * Headers are matched case-insensitively (readCsvRecords lowercases them), so
+ * the same names fit aircraftDatabase.csv (`manufacturername`) and the
+ * aircraft-database-complete dumps (`manufacturerName`).
+ */
+export const AIRCRAFT_FIELDS = [
+  ['registration', 'registration'],
+  ['manufacturer', 'manufacturername'],
+  ['model', 'model'],
+  ['typecode', 'typecode'],
+  ['operator', 'operator'],
+  ['operatorIcao', 'operatoricao'],
+  ['operatorCallsign', 'operatorcallsign'],
+  ['owner', 'owner'],
+  ['built', 'built'],
+];
+
+const ICAO24_PATTERN = /^[0-9a-f]{6}$/;
+
+/**
+ * Normalize an ICAO24 address
+ * @param {string} value - Address as given
+ * @returns {string|null} Lowercase hex address, or null if invalid
+ */
+export function normalizeIcao24(value) {
+  const icao24 = String(value ?? '').trim().toLowerCase();
+  return ICAO24_PATTERN.test(icao24) ? icao24 : null;
+}
+
+/**
+ * Registry settings from the environment
+ * @returns {{file: string}|null} Settings, or null when no database is configured
+ */
+export function getAircraftDatabaseConfig() {
+  const file = process.env.AIRCRAFT_DB_PATH;
+  return file ? { file } : null;
+}
+
+/**
+ * Import an aircraft database CSV
+ * Records are stored as tab-joined strings to keep the index compact.
+ * @param {string} file - CSV path
+ * @returns {Promise<{records: Map<string, string>, count: number, importedAt: number, file: string}>}
+ */
+export async function importAircraftDatabase(file) {
+  await stat(file);
+
+  const records = new Map();
+  let columns = null;
+  let icaoColumn = -1;
+
+  for await (const { header, fields } of readCsvRecords(file)) {
+    if (columns === null) {
+      icaoColumn = header.indexOf('icao24');
+      if (icaoColumn === -1) {
+        throw new Error(`${file} has no icao24 column`);
+      }
+      columns = AIRCRAFT_FIELDS.map(([, column]) => header.indexOf(column));
+    }
+
+    const icao24 = normalizeIcao24(fields[icaoColumn]);
+    if (!icao24) continue;
+
+    const values = columns.map(index => (index === -1 ? '' : (fields[index] ?? '').replace(/\s+/g, ' ').trim()));
+    if (values.every(value => value === '')) continue;
+
+    records.set(icao24, values.join('\t'));
+  }
+
+  return { records, count: records.size, importedAt: Date.now(), file };
+}
+
+/**
+ * Expand a stored record
+ * @param {string} icao24 - Aircraft address
+ * @param {string} packed - Tab-joined field values
+ * @returns {Object} Aircraft details (missing values are null)
+ */
+function unpackRecord(icao24, packed) {
+  const values = packed.split('\t');
+  const aircraft = { icao24 };
+  AIRCRAFT_FIELDS.forEach(([field], i) => {
+    aircraft[field] = values[i] || null;
+  });
+  return aircraft;
+}
+
+/**
+ * The imported database, loading it once per server process
+ * A failed import is retried on the next call.
+ * @returns {Promise<Object>} Database ({ records, count, importedAt, file })
+ */
+export function loadAircraftDatabase() {
+  const config = getAircraftDatabaseConfig();
+  if (!config) {
+    return Promise.reject(new Error('AIRCRAFT_DB_PATH is not set'));
+  }
+
+  if (!globalThis.__avaraAircraftDb) {
+    const startedAt = Date.now();
+    console.log(`[AircraftDB] Importing ${config.file}`);
+
+    globalThis.__avaraAircraftDb = importAircraftDatabase(config.file)
+      .then((database) => {
+        console.log(`[AircraftDB] Indexed ${database.count.toLocaleString()} aircraft in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+        return database;
+      })
+      .catch((error) => {
+        console.error('[AircraftDB] Import failed:', error.message);
+        globalThis.__avaraAircraftDb = null;
+        throw error;
+      });
+  }
+
+  return globalThis.__avaraAircraftDb;
+}
+
+/**
+ * Look up one aircraft
+ * @param {string} icao24 - Aircraft address
+ * @returns {Promise<Object|null>} Aircraft details, or null if unknown
+ */
+export async function lookupAircraft(icao24) {
+  const key = normalizeIcao24(icao24);
+  if (!key) return null;
+
+  const { records } = await loadAircraftDatabase();
+  const packed = records.get(key);
+  return packed ? unpackRecord(key, packed) : null;
+}
+
+/**
+ * Canonical registration for searching ("D-AIBL", "d aibl" → "DAIBL")
+ * @param {string} value - Registration as given
+ * @returns {string} Uppercase letters and digits only
+ */
+export function normalizeRegistration(value) {
+  return String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Database → registrations sorted by normalized form ([normalized, icao24] pairs)
+const registrationIndexes = new WeakMap();
+
+/**
+ * Registration index for prefix searches, built on the first search
+ * @param {Object} database - Imported database
+ * @returns {Array<[string, string]>}
+ */
+function registrationIndex(database) {
+  let index = registrationIndexes.get(database);
+  if (!index) {
+    index = [];
+    for (const [icao24, packed] of database.records) {
+      const registration = normalizeRegistration(packed.slice(0, packed.indexOf('\t')));
+      if (registration) index.push([registration, icao24]);
+    }
+    index.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    registrationIndexes.set(database, index);
+    console.log(`[AircraftDB] Indexed ${index.length.toLocaleString()} registrations`);
+  }
+  return index;
+}
+
+/**
+ * Find aircraft whose registration starts with a query
+ * Dashes and spaces are ignored, so "DAIB" finds D-AIBA to D-AIBZ.
+ * @param {string} query - Registration or its beginning
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Array<Object>>} Aircraft details, in registration order
+ */
+export async function searchRegistrations(query, limit = 20) {
+  const prefix = normalizeRegistration(query);
+  if (!prefix) return [];
+
+  const database = await loadAircraftDatabase();
+  const index = registrationIndex(database);
+
+  // First entry not before the prefix
+  let low = 0;
+  let high = index.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (index[mid][0] < prefix) low = mid + 1;
+    else high = mid;
+  }
+
+  const results = [];
+  for (let i = low; i < index.length && results.length < limit && index[i][0].startsWith(prefix); i++) {
+    const icao24 = index[i][1];
+    results.push(unpackRecord(icao24, database.records.get(icao24)));
+  }
+  return results;
+}
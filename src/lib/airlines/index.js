@@ -0,0 +1,140 @@
+/**
+ * Airline decoding from callsigns
+ *
+ * Airline flights use the operator's ICAO designator followed by a flight
+ * number ("DLH4AB" is Lufthansa 4AB). GA and private aircraft usually use
+ * their registration instead ("DEABC", "N123AB"). Shared by the server (the
+ * /api/flights airline filter, /api/airlines) and the UI.
+ */
+
+import { AIRLINE_ROWS } from './table.js';
+import { parseRegistration } from './registrations.js';
+
+export { parseRegistration } from './registrations.js';
+
+/**
+ * Airlines by ICAO designator
+ * @type {Map<string, {icao: string, iata: string|null, name: string, country: string, callsign: string}>}
+ */
+export const AIRLINES = new Map(AIRLINE_ROWS.map(([icao, iata, name, country, callsign]) => (
+  [icao, { icao, iata, name, country, callsign }]
+)));
+
+// Designator plus a flight number that starts with a digit ("DLH4AB", "BAW12K")
+const AIRLINE_CALLSIGN = /^([A-Z]{3})([0-9][A-Z0-9]{0,4})$/;
+
+// Parsed callsigns; there are only a few thousand distinct ones at a time
+const parseCache = new Map();
+const PARSE_CACHE_LIMIT = 50000;
+
+/**
+ * Split a callsign into operator and flight number, or recognize a registration
+ * @param {string|null} callsign - Callsign as reported
+ * @returns {{callsign: string, kind: 'airline'|'registration'|'unknown', operator: string|null,
+ *   flightNumber: string|null, airline: Object|null, registration: string|null, country: string|null}|null}
+ *   null when there is no callsign
+ */
+export function parseCallsign(callsign) {
+  const normalized = callsign?.trim().toUpperCase();
+  if (!normalized) return null;
+
+  const cached = parseCache.get(normalized);
+  if (cached) return cached;
+
+  let parsed;
+  const airlineMatch = AIRLINE_CALLSIGN.exec(normalized);
+  const registration = airlineMatch ? null : parseRegistration(normalized);
+
+  if (airlineMatch) {
+    const airline = AIRLINES.get(airlineMatch[1]) ?? null;
+    parsed = {
+      callsign: normalized,
+      kind: 'airline',
+      operator: airlineMatch[1],
+      flightNumber: airlineMatch[2],
+      airline,
+      registration: null,
+      country: airline?.country ?? null
+    };
+  } else if (registration) {
+    parsed = {
+      callsign: normalized,
+      kind: 'registration',
+      operator: null,
+      flightNumber: null,
+      airline: null,
+      registration: registration.registration,
+      country: registration.country
+    };
+  } else {
+    parsed = {
+      callsign: normalized,
+      kind: 'unknown',
+      operator: null,
+      flightNumber: null,
+      airline: null,
+      registration: null,
+      country: null
+    };
+  }
+
+  if (parseCache.size >= PARSE_CACHE_LIMIT) parseCache.clear();
+  parseCache.set(normalized, parsed);
+  return parsed;
+}
+
+/**
+ * Short label for a parsed callsign
+ * "Lufthansa", "DLH" (unknown designator), "GA/Private" or null
+ */
+export function describeOperator(parsed) {
+  if (!parsed) return null;
+  if (parsed.kind === 'registration') return 'GA/Private';
+  if (parsed.kind === 'airline') return parsed.airline?.name ?? parsed.operator;
+  return null;
+}
+
+/**
+ * ICAO designators for an airline code
+ * IATA codes can be shared by several operators ("BA" is BAW and SHT).
+ * @param {string} code - ICAO or IATA code
+ * @returns {string[]} ICAO designators (empty if unknown)
+ */
+export function resolveAirlineCode(code) {
+  const normalized = String(code).trim().toUpperCase();
+  if (/^[A-Z]{3}$/.test(normalized)) return [normalized];
+
+  const matches = [];
+  for (const airline of AIRLINES.values()) {
+    if (airline.iata === normalized) matches.push(airline.icao);
+  }
+  return matches;
+}
+
+/**
+ * Search airlines by code, name or radiotelephony callsign
+ * Exact ICAO/IATA matches first, then names and callsigns starting with the
+ * query, then those containing it.
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum results
+ * @returns {Array<Object>} Airlines
+ */
+export function searchAirlines(query, limit = 10) {
+  const text = String(query ?? '').trim().toUpperCase();
+  if (!text) return [];
+
+  const ranked = [];
+  for (const airline of AIRLINES.values()) {
+    const name = airline.name.toUpperCase();
+    let rank = null;
+    if (airline.icao === text || airline.iata === text) rank = 0;
+    else if (name.startsWith(text) || airline.callsign.startsWith(text)) rank = 1;
+    else if (name.includes(text) || airline.callsign.includes(text)) rank = 2;
+    if (rank !== null) ranked.push({ airline, rank });
+  }
+
+  return ranked
+    .sort((a, b) => a.rank - b.rank || a.airline.name.localeCompare(b.airline.name))
+    .slice(0, limit)
+    .map(({ airline }) => airline);
+}
@@ -0,0 +1,98 @@
+/**
+ * Nationality prefixes of aircraft registrations
+ * GA and private aircraft usually fly under their registration without the
+ * dash ("DEABC" for D-EABC), so a callsign matching one of these patterns is
+ * labelled as a registration rather than an airline flight.
+ * [prefix, country, pattern for the part after the prefix]
+ */
+
+const LETTERS = /^[A-Z]{3,4}$/;
+
+export const REGISTRATION_PREFIXES = [
+  ['N', 'United States', /^[1-9][0-9]{0,4}[A-Z]{0,2}$/],
+  ['JA', 'Japan', /^([0-9]{3,4}[A-Z]?|[0-9]{2}[A-Z]{2})$/],
+  ['HL', 'South Korea', /^[0-9]{4}$/],
+  ['B', 'China', /^[0-9]{4}[A-Z]?$/],
+  ['C', 'Canada', /^[FGI][A-Z]{3}$/],
+  ['D', 'Germany', LETTERS],
+  ['F', 'France', LETTERS],
+  ['G', 'United Kingdom', LETTERS],
+  ['I', 'Italy', LETTERS],
+  ['M', 'Isle of Man', LETTERS],
+  ['EC', 'Spain', LETTERS],
+  ['PH', 'Netherlands', LETTERS],
+  ['OO', 'Belgium', LETTERS],
+  ['HB', 'Switzerland', LETTERS],
+  ['OE', 'Austria', LETTERS],
+  ['SE', 'Sweden', LETTERS],
+  ['LN', 'Norway', LETTERS],
+  ['OY', 'Denmark', LETTERS],
+  ['OH', 'Finland', LETTERS],
+  ['TF', 'Iceland', LETTERS],
+  ['EI', 'Ireland', LETTERS],
+  ['SP', 'Poland', LETTERS],
+  ['OK', 'Czechia', LETTERS],
+  ['OM', 'Slovakia', LETTERS],
+  ['HA', 'Hungary', LETTERS],
+  ['YR', 'Romania', LETTERS],
+  ['LZ', 'Bulgaria', LETTERS],
+  ['SX', 'Greece', LETTERS],
+  ['TC', 'Turkey', LETTERS],
+  ['CS', 'Portugal', LETTERS],
+  ['LX', 'Luxembourg', LETTERS],
+  ['9H', 'Malta', LETTERS],
+  ['5B', 'Cyprus', LETTERS],
+  ['S5', 'Slovenia', LETTERS],
+  ['9A', 'Croatia', LETTERS],
+  ['UR', 'Ukraine', LETTERS],
+  ['ES', 'Estonia', LETTERS],
+  ['YL', 'Latvia', LETTERS],
+  ['LY', 'Lithuania', LETTERS],
+  ['4X', 'Israel', LETTERS],
+  ['A6', 'United Arab Emirates', LETTERS],
+  ['A7', 'Qatar', LETTERS],
+  ['HZ', 'Saudi Arabia', LETTERS],
+  ['SU', 'Egypt', LETTERS],
+  ['CN', 'Morocco', LETTERS],
+  ['ZS', 'South Africa', LETTERS],
+  ['5Y', 'Kenya', LETTERS],
+  ['VT', 'India', LETTERS],
+  ['9V', 'Singapore', LETTERS],
+  ['9M', 'Malaysia', LETTERS],
+  ['HS', 'Thailand', LETTERS],
+  ['RP', 'Philippines', /^C[0-9]{3,4}$/],
+  ['VH', 'Australia', LETTERS],
+  ['ZK', 'New Zealand', LETTERS],
+  ['PP', 'Brazil', LETTERS],
+  ['PR', 'Brazil', LETTERS],
+  ['PS', 'Brazil', LETTERS],
+  ['PT', 'Brazil', LETTERS],
+  ['LV', 'Argentina', LETTERS],
+  ['CC', 'Chile', LETTERS],
+  ['XA', 'Mexico', LETTERS],
+  ['XB', 'Mexico', LETTERS],
+];
+
+// Written without a dash after these prefixes
+const UNDASHED = new Set(['N', 'JA', 'HL']);
+
+/**
+ * Recognize a registration used as a callsign
+ * @param {string} callsign - Trimmed, uppercase callsign
+ * @returns {{registration: string, country: string}|null} Registration as written ("D-EABC")
+ */
+export function parseRegistration(callsign) {
+  let match = null;
+  for (const [prefix, country, pattern] of REGISTRATION_PREFIXES) {
+    if (!callsign.startsWith(prefix)) continue;
+    const rest = callsign.slice(prefix.length);
+    // Longest matching prefix wins ("CS" Portugal over "C" Canada)
+    if (pattern.test(rest) && (!match || prefix.length > match.prefix.length)) {
+      match = { prefix, country, rest };
+    }
+  }
+  if (!match) return null;
+
+  const separator = UNDASHED.has(match.prefix) ? '' : '-';
+  return { registration: `${match.prefix}${separator}${match.rest}`, country: match.country };
+}
@@ -0,0 +1,157 @@
+/**
+ * Airlines by ICAO three-letter designator
+ * [ICAO, IATA, name, country, radiotelephony callsign]
+ * Covers the major passenger, cargo and regional operators; unknown prefixes
+ * still parse, they just have no airline details.
+ */
+
+export const AIRLINE_ROWS = [
+  // North America
+  ['AAL', 'AA', 'American Airlines', 'United States', 'AMERICAN'],
+  ['UAL', 'UA', 'United Airlines', 'United States', 'UNITED'],
+  ['DAL', 'DL', 'Delta Air Lines', 'United States', 'DELTA'],
+  ['SWA', 'WN', 'Southwest Airlines', 'United States', 'SOUTHWEST'],
+  ['JBU', 'B6', 'JetBlue Airways', 'United States', 'JETBLUE'],
+  ['ASA', 'AS', 'Alaska Airlines', 'United States', 'ALASKA'],
+  ['NKS', 'NK', 'Spirit Airlines', 'United States', 'SPIRIT WINGS'],
+  ['FFT', 'F9', 'Frontier Airlines', 'United States', 'FRONTIER FLIGHT'],
+  ['HAL', 'HA', 'Hawaiian Airlines', 'United States', 'HAWAIIAN'],
+  ['AAY', 'G4', 'Allegiant Air', 'United States', 'ALLEGIANT'],
+  ['SCX', 'SY', 'Sun Country Airlines', 'United States', 'SUN COUNTRY'],
+  ['SKW', 'OO', 'SkyWest Airlines', 'United States', 'SKYWEST'],
+  ['RPA', 'YX', 'Republic Airways', 'United States', 'BRICKYARD'],
+  ['ENY', 'MQ', 'Envoy Air', 'United States', 'ENVOY'],
+  ['EDV', '9E', 'Endeavor Air', 'United States', 'ENDEAVOR'],
+  ['JIA', 'OH', 'PSA Airlines', 'United States', 'BLUE STREAK'],
+  ['ASH', 'YV', 'Mesa Airlines', 'United States', 'AIR SHUTTLE'],
+  ['FDX', 'FX', 'FedEx Express', 'United States', 'FEDEX'],
+  ['UPS', '5X', 'UPS Airlines', 'United States', 'UPS'],
+  ['GTI', '5Y', 'Atlas Air', 'United States', 'GIANT'],
+  ['ABX', 'GB', 'ABX Air', 'United States', 'ABEX'],
+  ['CKS', 'K4', 'Kalitta Air', 'United States', 'CONNIE'],
+  ['EJA', null, 'NetJets', 'United States', 'EXECJET'],
+  ['ACA', 'AC', 'Air Canada', 'Canada', 'AIR CANADA'],
+  ['JZA', 'QK', 'Jazz Aviation', 'Canada', 'JAZZ'],
+  ['WJA', 'WS', 'WestJet', 'Canada', 'WESTJET'],
+  ['TSC', 'TS', 'Air Transat', 'Canada', 'AIR TRANSAT'],
+  ['POE', 'PD', 'Porter Airlines', 'Canada', 'PORTER'],
+  ['AMX', 'AM', 'Aeroméxico', 'Mexico', 'AEROMEXICO'],
+  ['VOI', 'Y4', 'Volaris', 'Mexico', 'VOLARIS'],
+  ['VIV', 'VB', 'Viva Aerobus', 'Mexico', 'AEROENLACES'],
+
+  // Latin America
+  ['LAN', 'LA', 'LATAM Airlines', 'Chile', 'LAN CHILE'],
+  ['TAM', 'JJ', 'LATAM Airlines Brasil', 'Brazil', 'TAM'],
+  ['GLO', 'G3', 'Gol Linhas Aéreas', 'Brazil', 'GOL TRANSPORTE'],
+  ['AZU', 'AD', 'Azul Brazilian Airlines', 'Brazil', 'AZUL'],
+  ['AVA', 'AV', 'Avianca', 'Colombia', 'AVIANCA'],
+  ['CMP', 'CM', 'Copa Airlines', 'Panama', 'COPA'],
+  ['ARG', 'AR', 'Aerolíneas Argentinas', 'Argentina', 'ARGENTINA'],
+
+  // Europe
+  ['DLH', 'LH', 'Lufthansa', 'Germany', 'LUFTHANSA'],
+  ['CLH', 'CL', 'Lufthansa CityLine', 'Germany', 'HANSALINE'],
+  ['GEC', 'LH', 'Lufthansa Cargo', 'Germany', 'LUFTHANSA CARGO'],
+  ['EWG', 'EW', 'Eurowings', 'Germany', 'EUROWINGS'],
+  ['CFG', 'DE', 'Condor', 'Germany', 'CONDOR'],
+  ['TUI', 'X3', 'TUIfly', 'Germany', 'TUIFLY'],
+  ['BCS', 'QY', 'European Air Transport', 'Germany', 'EUROTRANS'],
+  ['BAW', 'BA', 'British Airways', 'United Kingdom', 'SPEEDBIRD'],
+  ['SHT', 'BA', 'British Airways Shuttle', 'United Kingdom', 'SHUTTLE'],
+  ['VIR', 'VS', 'Virgin Atlantic', 'United Kingdom', 'VIRGIN'],
+  ['EZY', 'U2', 'easyJet', 'United Kingdom', 'EASY'],
+  ['EXS', 'LS', 'Jet2', 'United Kingdom', 'CHANNEX'],
+  ['TOM', 'BY', 'TUI Airways', 'United Kingdom', 'TOMSON'],
+  ['LOG', 'LM', 'Loganair', 'United Kingdom', 'LOGAN'],
+  ['RUK', 'RK', 'Ryanair UK', 'United Kingdom', 'BLUE JEWEL'],
+  ['DHK', 'D0', 'DHL Air', 'United Kingdom', 'WORLD EXPRESS'],
+  ['AFR', 'AF', 'Air France', 'France', 'AIRFRANS'],
+  ['HOP', 'A5', 'HOP!', 'France', 'AIR HOP'],
+  ['TVF', 'TO', 'Transavia France', 'France', 'FRANCE SOLEIL'],
+  ['KLM', 'KL', 'KLM Royal Dutch Airlines', 'Netherlands', 'KLM'],
+  ['KLC', 'WA', 'KLM Cityhopper', 'Netherlands', 'CITY'],
+  ['TRA', 'HV', 'Transavia', 'Netherlands', 'TRANSAVIA'],
+  ['IBE', 'IB', 'Iberia', 'Spain', 'IBERIA'],
+  ['IBS', 'I2', 'Iberia Express', 'Spain', 'IBEREXPRES'],
+  ['VLG', 'VY', 'Vueling', 'Spain', 'VUELING'],
+  ['AEA', 'UX', 'Air Europa', 'Spain', 'EUROPA'],
+  ['ITY', 'AZ', 'ITA Airways', 'Italy', 'ITARROW'],
+  ['SWR', 'LX', 'Swiss International Air Lines', 'Switzerland', 'SWISS'],
+  ['EZS', 'DS', 'easyJet Switzerland', 'Switzerland', 'TOPSWISS'],
+  ['AUA', 'OS', 'Austrian Airlines', 'Austria', 'AUSTRIAN'],
+  ['BEL', 'SN', 'Brussels Airlines', 'Belgium', 'BEE-LINE'],
+  ['TAP', 'TP', 'TAP Air Portugal', 'Portugal', 'AIR PORTUGAL'],
+  ['NJE', null, 'NetJets Europe', 'Portugal', 'FRACTION'],
+  ['SAS', 'SK', 'Scandinavian Airlines', 'Sweden', 'SCANDINAVIAN'],
+  ['NOZ', 'DY', 'Norwegian Air Shuttle', 'Norway', 'NORSHUTTLE'],
+  ['NSZ', 'D8', 'Norwegian Air Sweden', 'Sweden', 'REDNOSE'],
+  ['FIN', 'AY', 'Finnair', 'Finland', 'FINNAIR'],
+  ['ICE', 'FI', 'Icelandair', 'Iceland', 'ICEAIR'],
+  ['EIN', 'EI', 'Aer Lingus', 'Ireland', 'SHAMROCK'],
+  ['RYR', 'FR', 'Ryanair', 'Ireland', 'RYANAIR'],
+  ['LOT', 'LO', 'LOT Polish Airlines', 'Poland', 'LOT'],
+  ['CSA', 'OK', 'Czech Airlines', 'Czechia', 'CSA'],
+  ['WZZ', 'W6', 'Wizz Air', 'Hungary', 'WIZZ AIR'],
+  ['AEE', 'A3', 'Aegean Airlines', 'Greece', 'AEGEAN'],
+  ['CLX', 'CV', 'Cargolux', 'Luxembourg', 'CARGOLUX'],
+  ['THY', 'TK', 'Turkish Airlines', 'Turkey', 'TURKISH'],
+  ['PGT', 'PC', 'Pegasus Airlines', 'Turkey', 'SUNTURK'],
+  ['AFL', 'SU', 'Aeroflot', 'Russia', 'AEROFLOT'],
+
+  // Middle East and Africa
+  ['UAE', 'EK', 'Emirates', 'United Arab Emirates', 'EMIRATES'],
+  ['ETD', 'EY', 'Etihad Airways', 'United Arab Emirates', 'ETIHAD'],
+  ['FDB', 'FZ', 'flydubai', 'United Arab Emirates', 'SKYDUBAI'],
+  ['ABY', 'G9', 'Air Arabia', 'United Arab Emirates', 'ARABIA'],
+  ['QTR', 'QR', 'Qatar Airways', 'Qatar', 'QATARI'],
+  ['SVA', 'SV', 'Saudia', 'Saudi Arabia', 'SAUDIA'],
+  ['GFA', 'GF', 'Gulf Air', 'Bahrain', 'GULF AIR'],
+  ['OMA', 'WY', 'Oman Air', 'Oman', 'OMAN AIR'],
+  ['KAC', 'KU', 'Kuwait Airways', 'Kuwait', 'KUWAITI'],
+  ['ELY', 'LY', 'El Al', 'Israel', 'ELAL'],
+  ['MSR', 'MS', 'EgyptAir', 'Egypt', 'EGYPTAIR'],
+  ['RAM', 'AT', 'Royal Air Maroc', 'Morocco', 'ROYALAIR MAROC'],
+  ['ETH', 'ET', 'Ethiopian Airlines', 'Ethiopia', 'ETHIOPIAN'],
+  ['KQA', 'KQ', 'Kenya Airways', 'Kenya', 'KENYA'],
+  ['SAA', 'SA', 'South African Airways', 'South Africa', 'SPRINGBOK'],
+
+  // Asia and Pacific
+  ['AIC', 'AI', 'Air India', 'India', 'AIRINDIA'],
+  ['IGO', '6E', 'IndiGo', 'India', 'IFLY'],
+  ['SEJ', 'SG', 'SpiceJet', 'India', 'SPICEJET'],
+  ['PIA', 'PK', 'Pakistan International Airlines', 'Pakistan', 'PAKISTAN'],
+  ['SIA', 'SQ', 'Singapore Airlines', 'Singapore', 'SINGAPORE'],
+  ['TGW', 'TR', 'Scoot', 'Singapore', 'SCOOTER'],
+  ['MAS', 'MH', 'Malaysia Airlines', 'Malaysia', 'MALAYSIAN'],
+  ['AXM', 'AK', 'AirAsia', 'Malaysia', 'RED CAP'],
+  ['THA', 'TG', 'Thai Airways', 'Thailand', 'THAI'],
+  ['GIA', 'GA', 'Garuda Indonesia', 'Indonesia', 'INDONESIA'],
+  ['PAL', 'PR', 'Philippine Airlines', 'Philippines', 'PHILIPPINE'],
+  ['CEB', '5J', 'Cebu Pacific', 'Philippines', 'CEBU'],
+  ['HVN', 'VN', 'Vietnam Airlines', 'Vietnam', 'VIET NAM AIRLINES'],
+  ['VJC', 'VJ', 'VietJet Air', 'Vietnam', 'VIETJET'],
+  ['CPA', 'CX', 'Cathay Pacific', 'Hong Kong', 'CATHAY'],
+  ['HKE', 'UO', 'HK Express', 'Hong Kong', 'HONGKONG SHUTTLE'],
+  ['CAL', 'CI', 'China Airlines', 'Taiwan', 'DYNASTY'],
+  ['EVA', 'BR', 'EVA Air', 'Taiwan', 'EVA'],
+  ['CCA', 'CA', 'Air China', 'China', 'AIR CHINA'],
+  ['CES', 'MU', 'China Eastern Airlines', 'China', 'CHINA EASTERN'],
+  ['CSN', 'CZ', 'China Southern Airlines', 'China', 'CHINA SOUTHERN'],
+  ['CHH', 'HU', 'Hainan Airlines', 'China', 'HAINAN'],
+  ['CSZ', 'ZH', 'Shenzhen Airlines', 'China', 'SHENZHEN AIR'],
+  ['CXA', 'MF', 'XiamenAir', 'China', 'XIAMEN AIR'],
+  ['CSC', '3U', 'Sichuan Airlines', 'China', 'SI CHUAN'],
+  ['JAL', 'JL', 'Japan Airlines', 'Japan', 'JAPANAIR'],
+  ['ANA', 'NH', 'All Nippon Airways', 'Japan', 'ALL NIPPON'],
+  ['KAL', 'KE', 'Korean Air', 'South Korea', 'KOREANAIR'],
+  ['AAR', 'OZ', 'Asiana Airlines', 'South Korea', 'ASIANA'],
+  ['JJA', '7C', 'Jeju Air', 'South Korea', 'JEJU AIR'],
+  ['QFA', 'QF', 'Qantas', 'Australia', 'QANTAS'],
+  ['VOZ', 'VA', 'Virgin Australia', 'Australia', 'VELOCITY'],
+  ['JST', 'JQ', 'Jetstar', 'Australia', 'JETSTAR'],
+  ['ANZ', 'NZ', 'Air New Zealand', 'New Zealand', 'NEW ZEALAND'],
+  ['FJI', 'FJ', 'Fiji Airways', 'Fiji', 'PACIFIC'],
+
+  // Military transport
+  ['RCH', null, 'US Air Force Air Mobility Command', 'United States', 'REACH'],
+];
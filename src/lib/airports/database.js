@@ -0,0 +1,216 @@
+/**
+ * Local airport database
+ * Imports airports (and optionally runways) from CSVs in the OurAirports
+ * format into an in-memory index with a 1° grid for nearest-airport searches.
+ *
+ * Enabled by setting AIRPORTS_DB_PATH (airports.csv); RUNWAYS_DB_PATH
+ * (runways.csv) adds runway details. Imported at startup from
+ * src/instrumentation.js or on the first lookup.
+ */
+
+import { stat } from 'node:fs/promises';
+import { readCsvRecords } from '@/lib/csv';
+import { haversineDistance } from '@/lib/geo';
+
+// Airport types kept from the dataset (heliports, seaplane bases and closed fields are skipped)
+export const AIRPORT_TYPES = ['large_airport', 'medium_airport', 'small_airport'];
+
+const FEET_TO_METERS = 0.3048;
+const METERS_PER_DEGREE = 111195;
+
+/**
+ * Airport database settings from the environment
+ * @returns {{airportsFile: string, runwaysFile: string|null}|null} Settings, or null when not configured
+ */
+export function getAirportDatabaseConfig() {
+  const airportsFile = process.env.AIRPORTS_DB_PATH;
+  if (!airportsFile) return null;
+  return { airportsFile, runwaysFile: process.env.RUNWAYS_DB_PATH || null };
+}
+
+/**
+ * Read a CSV into objects keyed by (lowercased) header names
+ */
+async function* readCsvObjects(file) {
+  for await (const { header, fields } of readCsvRecords(file)) {
+    const row = {};
+    header.forEach((name, i) => {
+      row[name] = (fields[i] ?? '').trim();
+    });
+    yield row;
+  }
+}
+
+const toNumber = (value) => (value === '' ? null : Number(value));
+
+const gridKey = (latCell, lonCell) => `${latCell}:${lonCell}`;
+
+/**
+ * Import airports and runways
+ * @param {Object} options
+ * @param {string} options.airportsFile - airports.csv path
+ * @param {string|null} options.runwaysFile - runways.csv path (optional)
+ * @returns {Promise<Object>} Database ({ airports, byCode, grid, count, importedAt })
+ */
+export async function importAirportDatabase({ airportsFile, runwaysFile = null }) {
+  await stat(airportsFile);
+
+  const airports = [];
+  const byIdent = new Map();
+
+  for await (const row of readCsvObjects(airportsFile)) {
+    if (!AIRPORT_TYPES.includes(row.type)) continue;
+    const latitude = toNumber(row.latitude_deg);
+    const longitude = toNumber(row.longitude_deg);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) continue;
+
+    const airport = {
+      ident: row.ident,
+      icao: row.icao_code || row.gps_code || row.ident,
+      iata: row.iata_code || null,
+      name: row.name,
+      type: row.type,
+      latitude,
+      longitude,
+      elevation: toNumber(row.elevation_ft), // feet
+      country: row.iso_country || null,
+      municipality: row.municipality || null,
+      scheduled: row.scheduled_service === 'yes',
+      runways: []
+    };
+    airports.push(airport);
+    byIdent.set(airport.ident, airport);
+  }
+
+  if (runwaysFile) {
+    for await (const row of readCsvObjects(runwaysFile)) {
+      const airport = byIdent.get(row.airport_ident);
+      if (!airport || row.closed === '1') continue;
+      airport.runways.push({
+        ends: [row.le_ident, row.he_ident].filter(Boolean),
+        length: toNumber(row.length_ft), // feet
+        width: toNumber(row.width_ft), // feet
+        surface: row.surface || null,
+        lighted: row.lighted === '1'
+      });
+    }
+  }
+
+  // Codes people search by: ICAO, IATA and the dataset ident
+  const byCode = new Map();
+  const grid = new Map();
+  for (const airport of airports) {
+    for (const code of [airport.ident, airport.iata, airport.icao]) {
+      if (code && !byCode.has(code.toUpperCase())) byCode.set(code.toUpperCase(), airport);
+    }
+    const key = gridKey(Math.floor(airport.latitude), Math.floor(airport.longitude));
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(airport);
+  }
+
+  return { airports, byCode, grid, count: airports.length, importedAt: Date.now() };
+}
+
+/**
+ * The imported database, loading it once per server process
+ * A failed import is retried on the next call.
+ * @returns {Promise<Object>} Database
+ */
+export function loadAirportDatabase() {
+  const config = getAirportDatabaseConfig();
+  if (!config) {
+    return Promise.reject(new Error('AIRPORTS_DB_PATH is not set'));
+  }
+
+  if (!globalThis.__avaraAirportDb) {
+    const startedAt = Date.now();
+    console.log(`[AirportDB] Importing ${config.airportsFile}${config.runwaysFile ? ` and ${config.runwaysFile}` : ''}`);
+
+    globalThis.__avaraAirportDb = importAirportDatabase(config)
+      .then((database) => {
+        console.log(`[AirportDB] Indexed ${database.count.toLocaleString()} airports in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+        return database;
+      })
+      .catch((error) => {
+        console.error('[AirportDB] Import failed:', error.message);
+        globalThis.__avaraAirportDb = null;
+        throw error;
+      });
+  }
+
+  return globalThis.__avaraAirportDb;
+}
+
+/**
+ * Airport by ICAO, IATA or ident code
+ * @param {Object} database - Imported database
+ * @param {string} code - Airport code
+ * @returns {Object|null} Airport
+ */
+export function findAirport(database, code) {
+  return database.byCode.get(String(code).trim().toUpperCase()) ?? null;
+}
+
+/**
+ * Airports near a point, nearest first
+ * @param {Object} database - Imported database
+ * @param {number} latitude - Degrees
+ * @param {number} longitude - Degrees
+ * @param {Object} options
+ * @param {number} options.maxDistance - Search radius in meters
+ * @param {number} options.limit - Maximum number of airports
+ * @param {Function} options.filter - Optional (airport, distance) => boolean
+ * @returns {Array<{airport: Object, distance: number}>} Matches with distance in meters
+ */
+export function nearestAirports(database, latitude, longitude, { maxDistance = 50000, limit = 5, filter = null } = {}) {
+  const latSpan = maxDistance / METERS_PER_DEGREE;
+  const lonSpan = Math.min(latSpan / Math.max(Math.cos(latitude * Math.PI / 180), 0.01), 180);
+  const lonCells = Math.min(Math.ceil(lonSpan) * 2 + 1, 360);
+  const firstLonCell = Math.floor(longitude - lonSpan);
+
+  const matches = [];
+  for (let latCell = Math.floor(latitude - latSpan); latCell <= Math.floor(latitude + latSpan); latCell++) {
+    for (let i = 0; i < lonCells; i++) {
+      // Wrap cells across the antimeridian into [-180, 180)
+      const lonCell = ((firstLonCell + i + 540) % 360) - 180;
+      for (const airport of database.grid.get(gridKey(latCell, lonCell)) ?? []) {
+        const distance = haversineDistance(latitude, longitude, airport.latitude, airport.longitude);
+        if (distance > maxDistance) continue;
+        if (filter && !filter(airport, distance)) continue;
+        matches.push({ airport, distance });
+      }
+    }
+  }
+
+  return matches.sort((a, b) => a.distance - b.distance).slice(0, limit);
+}
+
+/**
+ * Airport elevation in meters (0 when unknown)
+ */
+export function airportElevation(airport) {
+  return (airport.elevation ?? 0) * FEET_TO_METERS;
+}
+
+/**
+ * Compact airport description for API responses
+ * @param {Object} airport - Airport
+ * @param {number} [distance] - Distance in meters
+ */
+export function describeAirport(airport, distance) {
+  const { ident, icao, iata, name, type, latitude, longitude, elevation, country, municipality, runways } = airport;
+  return {
+    ident,
+    icao,
+    iata,
+    name,
+    type,
+    latitude,
+    longitude,
+    elevation,
+    country,
+    municipality,
+    runways,
+    ...(distance !== undefined ? { distance: Math.round(distance) } : {})
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Origin/destination inference from a flight track
+ *
+ * Departure: the airport at the track's last on-ground point before takeoff,
+ * or, when the track starts airborne, at its lowest point early in the track
+ * if that is close to the ground.
+ * Destination: the airport at the final on-ground point, or, while the
+ * aircraft is descending, the nearest airport ahead along its track.
+ */
+
+import { initialBearing } from '@/lib/geo';
+import { nearestAirports, airportElevation, describeAirport } from './database';
+
+// Seconds at the start of a track searched for a departure low point
+const DEPARTURE_WINDOW = 600;
+// Height above the airport (m) that still counts as departing or arriving
+const DEPARTURE_MAX_HEIGHT = 1000;
+const DESCENT_MAX_HEIGHT = 4000;
+// Minimum altitude lost (m) over the last DESCENT_WINDOW seconds to count as descending
+const DESCENT_MIN_DROP = 150;
+const DESCENT_WINDOW = 300;
+// Search radii (m)
+const GROUND_RADIUS = 5000;
+const LOW_POINT_RADIUS = 20000;
+const DESCENT_MIN_RADIUS = 20000;
+const DESCENT_MAX_RADIUS = 150000;
+// Airports within this angle of the track count as ahead
+const AHEAD_ANGLE = 60;
+// Glide slope used to size the descent search (degrees)
+const GLIDE_SLOPE = 3;
+
+// Bigger airports are preferred when candidates are at similar distances
+const TYPE_WEIGHT = { large_airport: 1, medium_airport: 1.2, small_airport: 2 };
+
+const angleDifference = (a, b) => Math.abs(((a - b + 540) % 360) - 180);
+
+/**
+ * Pick the most likely airport among nearby matches
+ */
+function pickAirport(matches) {
+  let best = null;
+  for (const match of matches) {
+    const score = match.distance * (TYPE_WEIGHT[match.airport.type] ?? 2);
+    if (!best || score < best.score) best = { ...match, score };
+  }
+  return best ? describeAirport(best.airport, best.distance) : null;
+}
+
+/**
+ * Height of a point above the nearest airport within a radius
+ */
+function isNearGround(database, point, radius, maxHeight) {
+  if (!Number.isFinite(point.baro_altitude)) return false;
+  const [nearest] = nearestAirports(database, point.latitude, point.longitude, { maxDistance: radius, limit: 1 });
+  const elevation = nearest ? airportElevation(nearest.airport) : 0;
+  return point.baro_altitude - elevation <= maxHeight;
+}
+
+/**
+ * Likely departure airport
+ */
+function inferOrigin(database, path) {
+  const takeoff = path.findIndex(point => !point.on_ground);
+  if (takeoff > 0 || takeoff === -1) {
+    const lastOnGround = path[takeoff === -1 ? path.length - 1 : takeoff - 1];
+    return pickAirport(nearestAirports(database, lastOnGround.latitude, lastOnGround.longitude, { maxDistance: GROUND_RADIUS }));
+  }
+
+  // Track starts airborne: lowest point early in the track
+  const windowEnd = path[0].time + DEPARTURE_WINDOW;
+  let low = null;
+  for (const point of path) {
+    if (point.time > windowEnd) break;
+    if (Number.isFinite(point.baro_altitude) && (!low || point.baro_altitude < low.baro_altitude)) low = point;
+  }
+  if (!low || !isNearGround(database, low, LOW_POINT_RADIUS, DEPARTURE_MAX_HEIGHT)) return null;
+
+  return pickAirport(nearestAirports(database, low.latitude, low.longitude, { maxDistance: LOW_POINT_RADIUS }));
+}
+
+/**
+ * Likely destination airport
+ */
+function inferDestination(database, path) {
+  const last = path[path.length - 1];
+  if (last.on_ground) {
+    // Landed (or still taxiing out if it never took off, which inferOrigin covers)
+    if (path.every(point => point.on_ground)) return null;
+    return pickAirport(nearestAirports(database, last.latitude, last.longitude, { maxDistance: GROUND_RADIUS }));
+  }
+
+  if (!Number.isFinite(last.baro_altitude)) return null;
+
+  // Descending: compare with the altitude a few minutes earlier
+  const earlier = path.findLast(point => point.time <= last.time - DESCENT_WINDOW && Number.isFinite(point.baro_altitude)) ??
+    path.find(point => Number.isFinite(point.baro_altitude));
+  if (!earlier || earlier.baro_altitude - last.baro_altitude < DESCENT_MIN_DROP) return null;
+  if (!isNearGround(database, last, DESCENT_MAX_RADIUS, DESCENT_MAX_HEIGHT)) return null;
+
+  // Distance a standard approach needs from this height, with margin
+  const glideDistance = last.baro_altitude / Math.tan(GLIDE_SLOPE * Math.PI / 180) * 1.5;
+  const radius = Math.min(Math.max(glideDistance, DESCENT_MIN_RADIUS), DESCENT_MAX_RADIUS);
+
+  const track = Number.isFinite(last.true_track)
+    ? last.true_track
+    : initialBearing(earlier.latitude, earlier.longitude, last.latitude, last.longitude);
+
+  const ahead = nearestAirports(database, last.latitude, last.longitude, {
+    maxDistance: radius,
+    limit: 20,
+    filter: (airport, distance) => distance < GROUND_RADIUS ||
+      angleDifference(initialBearing(last.latitude, last.longitude, airport.latitude, airport.longitude), track) <= AHEAD_ANGLE
+  });
+
+  return pickAirport(ahead);
+}
+
+/**
+ * Infer a flight's route from its track
+ * @param {Object} database - Imported airport database
+ * @param {Object} track - Track from /api/tracks ({ path: [{ time, latitude, longitude, baro_altitude, true_track, on_ground }] })
+ * @returns {{origin: Object|null, destination: Object|null}} Airports (see describeAirport)
+ */
+export function inferRoute(database, track) {
+  const path = (track?.path ?? []).filter(point => Number.isFinite(point.latitude) && Number.isFinite(point.longitude));
+  if (path.length === 0) return { origin: null, destination: null };
+
+  return {
+    origin: inferOrigin(database, path),
+    destination: inferDestination(database, path)
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * Geometry for the 3D altitude view
+ *
+ * MapLibre can't lift symbols or lines off the ground, so the 3D view is built
+ * from fill-extrusions: each aircraft is a thin arrowhead raised to its
+ * altitude and pointing along its track, and each trail segment is a ribbon at
+ * the altitude flown (a "line") or a wall down to the ground (a "curtain").
+ * Altitudes are multiplied by a vertical exaggeration so climbs, descents and
+ * stacks stand out at map scale.
+ */
+
+import { destinationPoint, initialBearing } from './geo.js';
+
+export const TRAIL_STYLES = ['line', 'curtain'];
+
+// Trail segments are split so the altitude steps stay small
+const TRAIL_STEPS = 4;
+
+/**
+ * Altitude to draw at in meters: barometric, else geometric; 0 on the ground
+ * @param {Object} point - Flight or track point
+ * @returns {number}
+ */
+export const displayAltitude = (point) => {
+  if (point.on_ground) return 0;
+  const altitude = Number.isFinite(point.baro_altitude) ? point.baro_altitude : point.geo_altitude;
+  return Number.isFinite(altitude) ? Math.max(altitude, 0) : 0;
+};
+
+/**
+ * Point `distance` meters from [lon, lat] along a bearing, kept on the same
+ * side of the antimeridian as the start
+ */
+const offsetPoint = ([lon, lat], bearing, distance) => {
+  const point = destinationPoint(lat, lon, bearing, distance);
+  return [lon + ((point.longitude - lon + 540) % 360) - 180, point.latitude];
+};
+
+/**
+ * Arrowhead outline around a position, pointing along `track`
+ * @param {number[]} center - [lon, lat]
+ * @param {number|null} track - Degrees clockwise from north (north when unknown)
+ * @param {number} size - Length in meters
+ * @returns {number[][]} Closed ring
+ */
+export const arrowRing = (center, track, size) => {
+  const heading = Number.isFinite(track) ? track : 0;
+  const nose = offsetPoint(center, heading, size * 0.6);
+  return [
+    nose,
+    offsetPoint(center, heading - 140, size * 0.5),
+    offsetPoint(center, heading + 180, size * 0.15),
+    offsetPoint(center, heading + 140, size * 0.5),
+    nose
+  ];
+};
+
+/**
+ * Raised aircraft (features line up with `flights`)
+ * @param {Array} flights - Flights with valid coordinates
+ * @param {Object} options
+ * @param {number} options.exaggeration - Vertical exaggeration
+ * @param {number} options.size - Arrowhead length in meters
+ * @param {Function} options.colorFor - (altitudeMeters) => CSS color
+ * @returns {Object} GeoJSON FeatureCollection with `base`, `height` and `color` properties
+ */
+export const buildAircraftExtrusions = (flights, { exaggeration, size, colorFor }) => ({
+  type: 'FeatureCollection',
+  features: flights.map((flight) => {
+    const altitude = displayAltitude(flight) * exaggeration;
+    return {
+      type: 'Feature',
+      geometry: {
+        type: 'Polygon',
+        coordinates: [arrowRing([flight.longitude, flight.latitude], flight.true_track, size)]
+      },
+      properties: {
+        icao24: flight.icao24,
+        color: colorFor(flight.on_ground ? 0 : flight.baro_altitude),
+        base: altitude,
+        // Thick enough to be seen edge-on
+        height: altitude + size * 0.2
+      }
+    };
+  })
+});
+
+/**
+ * Trail as raised ribbons or curtains
+ * @param {Array} path - Track points { latitude, longitude, baro_altitude, on_ground }
+ * @param {Object} options
+ * @param {number} options.exaggeration - Vertical exaggeration
+ * @param {number} options.width - Ribbon width (and thickness) in meters
+ * @param {string} options.style - 'line' or 'curtain'
+ * @param {Function} options.colorFor - (altitudeMeters) => CSS color
+ * @returns {Object} GeoJSON FeatureCollection with `base`, `height` and `color` properties
+ */
+export const buildTrailExtrusions = (path, { exaggeration, width, style, colorFor }) => {
+  const points = path.filter(point => Number.isFinite(point.latitude) && Number.isFinite(point.longitude));
+  const features = [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const from = points[i];
+    const to = points[i + 1];
+    if (from.latitude === to.latitude && from.longitude === to.longitude) continue;
+
+    const bearing = initialBearing(from.latitude, from.longitude, to.latitude, to.longitude);
+    const fromAltitude = displayAltitude(from);
+    const toAltitude = displayAltitude(to);
+
+    for (let step = 0; step < TRAIL_STEPS; step++) {
+      const t0 = step / TRAIL_STEPS;
+      const t1 = (step + 1) / TRAIL_STEPS;
+      const start = [from.longitude + (to.longitude - from.longitude) * t0, from.latitude + (to.latitude - from.latitude) * t0];
+      const end = [from.longitude + (to.longitude - from.longitude) * t1, from.latitude + (to.latitude - from.latitude) * t1];
+      const altitude = fromAltitude + (toAltitude - fromAltitude) * ((t0 + t1) / 2);
+      const height = altitude * exaggeration;
+
+      const startLeft = offsetPoint(start, bearing - 90, width / 2);
+      features.push({
+        type: 'Feature',
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            startLeft,
+            offsetPoint(end, bearing - 90, width / 2),
+            offsetPoint(end, bearing + 90, width / 2),
+            offsetPoint(start, bearing + 90, width / 2),
+            startLeft
+          ]]
+        },
+        properties: {
+          color: colorFor(altitude),
+          base: style === 'curtain' ? 0 : Math.max(height - width / 2, 0),
+          height: Math.max(height, width / 2)
+        }
+      });
+    }
+  }
+
+  return { type: 'FeatureCollection', features };
+};
@@ -0,0 +1,49 @@
+/**
+ * Snapshot archive layout
+ *
+ * The recorder writes one data file per rotation period, named after the UTC
+ * start of the period: flights-20261019T1400Z.ndjson.gz
+ *
+ * Each snapshot is appended as its own gzip member holding one NDJSON line
+ * ({ time, fetchedAt, source, count, flights }), so the file is valid gzip
+ * after every write and plain `gunzip` / the replay provider read it whole.
+ * A sidecar index (same name + .idx) lists { time, fetchedAt, offset, length }
+ * per snapshot, so single snapshots can be read without decompressing the file.
+ */
+
+import path from 'node:path';
+
+const FILE_PATTERN = /^flights-(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})Z\.ndjson\.gz$/;
+
+export const INDEX_SUFFIX = '.idx';
+
+/**
+ * Data file name for the rotation period starting at a time
+ * @param {number} periodStart - Period start (ms since epoch)
+ * @returns {string} File name
+ */
+export function archiveFileName(periodStart) {
+  const iso = new Date(periodStart).toISOString(); // 2026-10-19T14:00:00.000Z
+  const stamp = iso.slice(0, 16).replace(/[-:]/g, ''); // 20261019T1400
+  return `flights-${stamp}Z.ndjson.gz`;
+}
+
+/**
+ * Parse the period start from a data file name
+ * @param {string} name - File name
+ * @returns {number|null} Period start (ms since epoch), or null for other files
+ */
+export function parseArchiveFileName(name) {
+  const match = FILE_PATTERN.exec(name);
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match.map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute);
+}
+
+/**
+ * Full paths of a data file and its index
+ */
+export function archivePaths(dir, name) {
+  const file = path.join(dir, name);
+  return { file, index: file + INDEX_SUFFIX };
+}
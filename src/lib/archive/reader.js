@@ -0,0 +1,157 @@
+/**
+ * Snapshot archive reader
+ * Finds archived snapshots by time using the per-file indexes (see ./files.js).
+ */
+
+import { readdir, readFile, open, stat } from 'node:fs/promises';
+import { gunzipSync } from 'node:zlib';
+import { parseArchiveFileName, archivePaths } from './files';
+
+/**
+ * Data files in an archive directory, oldest first
+ * @param {string} dir - Archive directory
+ * @returns {Promise<Array<{name: string, file: string, index: string, start: number}>>}
+ */
+export async function listArchiveFiles(dir) {
+  let names;
+  try {
+    names = await readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return names
+    .map(name => ({ name, start: parseArchiveFileName(name) }))
+    .filter(entry => entry.start !== null)
+    .sort((a, b) => a.start - b.start)
+    .map(({ name, start }) => ({ name, start, ...archivePaths(dir, name) }));
+}
+
+/**
+ * Index entries of one data file
+ * A trailing partial line (the recorder was interrupted mid-write) is ignored.
+ * @param {string} indexFile - Index path
+ * @returns {Promise<Array<{time: number, fetchedAt: number, offset: number, length: number}>>}
+ */
+export async function readArchiveIndex(indexFile) {
+  let text;
+  try {
+    text = await readFile(indexFile, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (line.trim() === '') continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Partial last line
+    }
+  }
+  return entries;
+}
+
+/**
+ * Read one archived snapshot
+ * @param {string} file - Data file path
+ * @param {Object} entry - Index entry ({ offset, length })
+ * @returns {Promise<Object>} Snapshot ({ time, fetchedAt, source, count, flights })
+ */
+export async function readArchivedSnapshot(file, { offset, length }) {
+  const handle = await open(file, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, offset);
+    return JSON.parse(gunzipSync(buffer).toString('utf8'));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Find the archived snapshot closest to a time, at or before it
+ * @param {string} dir - Archive directory
+ * @param {number} time - Unix seconds
+ * @param {Object} options
+ * @param {number} options.tolerance - Ignore snapshots older than this before `time` (seconds)
+ * @returns {Promise<Object|null>} Snapshot, or null if none is close enough
+ */
+export async function findSnapshotAt(dir, time, { tolerance = 300 } = {}) {
+  const files = await listArchiveFiles(dir);
+  const timeMs = time * 1000;
+
+  // Newest file starting at or before the time, then the one before it in case
+  // the match is the last snapshot of the previous period
+  const candidates = files.filter(entry => entry.start <= timeMs).slice(-2).reverse();
+
+  for (const candidate of candidates) {
+    const index = await readArchiveIndex(candidate.index);
+    let match = null;
+    for (const entry of index) {
+      if (entry.time > time) break;
+      match = entry;
+    }
+
+    if (match) {
+      if (time - match.time > tolerance) return null;
+      return readArchivedSnapshot(candidate.file, match);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Time span and size of an archive
+ * @param {string} dir - Archive directory
+ * @returns {Promise<{from: number|null, to: number|null, snapshots: number, files: number, bytes: number}>}
+ *   from/to in unix seconds
+ */
+export async function describeArchive(dir) {
+  const files = await listArchiveFiles(dir);
+  let from = null;
+  let to = null;
+  let snapshots = 0;
+  let bytes = 0;
+
+  for (const entry of files) {
+    const index = await readArchiveIndex(entry.index);
+    if (index.length > 0) {
+      from ??= index[0].time;
+      to = index[index.length - 1].time;
+      snapshots += index.length;
+    }
+    bytes += (await stat(entry.file).catch(() => null))?.size ?? 0;
+  }
+
+  return { from, to, snapshots, files: files.length, bytes };
+}
+
+/**
+ * Index entries of all snapshots in a time range
+ * @param {string} dir - Archive directory
+ * @param {number} from - Unix seconds
+ * @param {number} to - Unix seconds
+ * @returns {Promise<Array<{file: string, entry: Object}>>} Oldest first
+ */
+export async function listSnapshotsBetween(dir, from, to) {
+  const files = await listArchiveFiles(dir);
+  const snapshots = [];
+
+  for (let i = 0; i < files.length; i++) {
+    // Skip files that end before the range (the next one starts after `from`)
+    const next = files[i + 1];
+    if (next && next.start <= from * 1000) continue;
+    if (files[i].start > to * 1000) break;
+
+    for (const entry of await readArchiveIndex(files[i].index)) {
+      if (entry.time >= from && entry.time <= to) snapshots.push({ file: files[i].file, entry });
+    }
+  }
+
+  return snapshots;
+}
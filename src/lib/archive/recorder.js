@@ -0,0 +1,189 @@
+/**
+ * Snapshot recorder
+ * Periodically takes the shared flight snapshot and appends it to a rotating,
+ * gzip-compressed NDJSON archive (layout in ./files.js). Old files are deleted
+ * once they exceed the configured age (checked on rotation) or the archive
+ * exceeds its size budget (checked on rotation and whenever a write crosses it).
+ * The file being written is never deleted.
+ *
+ * Enabled by setting RECORDER_DIR; started from src/instrumentation.js.
+ */
+
+import { mkdir, appendFile, stat, unlink } from 'node:fs/promises';
+import { gzipSync } from 'node:zlib';
+import { getSnapshot } from '@/lib/snapshots';
+import { archiveFileName, archivePaths } from './files';
+import { listArchiveFiles } from './reader';
+
+/**
+ * Recorder settings from the environment
+ * @returns {Object|null} Settings, or null when recording is disabled
+ */
+export function getRecorderConfig() {
+  const dir = process.env.RECORDER_DIR;
+  if (!dir) return null;
+
+  let bbox = null;
+  if (process.env.RECORDER_BOUNDS) {
+    const [lamin, lomin, lamax, lomax] = process.env.RECORDER_BOUNDS.split(',').map(Number);
+    if (![lamin, lomin, lamax, lomax].every(Number.isFinite)) {
+      throw new Error('RECORDER_BOUNDS must be "lamin,lomin,lamax,lomax"');
+    }
+    bbox = { lamin, lomin, lamax, lomax };
+  }
+
+  return {
+    dir,
+    bbox,
+    interval: Number(process.env.RECORDER_INTERVAL_SECONDS) || 60,
+    rotateMinutes: Number(process.env.RECORDER_ROTATE_MINUTES) || 60,
+    maxAgeHours: Number(process.env.RECORDER_MAX_AGE_HOURS) || 168,
+    maxSizeMb: Number(process.env.RECORDER_MAX_SIZE_MB) || 1024,
+  };
+}
+
+/**
+ * Create a snapshot recorder
+ * @param {Object} options
+ * @param {string} options.dir - Archive directory
+ * @param {Object|null} options.bbox - Area to record, or null for everything
+ * @param {number} options.interval - Seconds between recorded snapshots
+ * @param {number} options.rotateMinutes - Length of each archive file's period
+ * @param {number} options.maxAgeHours - Delete files older than this
+ * @param {number} options.maxSizeMb - Delete the oldest files while the archive is larger
+ * @returns {{start: Function, stop: Function, recordNow: Function}} Recorder
+ */
+export function createSnapshotRecorder({ dir, bbox = null, interval = 60, rotateMinutes = 60, maxAgeHours = 168, maxSizeMb = 1024 }) {
+  const periodMs = rotateMinutes * 60 * 1000;
+  let timer = null;
+  let lastFetchedAt = null;
+  let currentName = null;
+  let currentSize = 0;
+  // Size of the whole archive (data and index files) as of the last check plus writes since
+  let archiveSize = 0;
+  let pending = Promise.resolve();
+  const budget = maxSizeMb * 1024 * 1024;
+
+  /**
+   * Delete files past the age limit, then the oldest while over the size budget
+   * @returns {Promise<number>} Size of the remaining archive in bytes
+   */
+  const enforceRetention = async () => {
+    const files = await listArchiveFiles(dir);
+    const cutoff = Date.now() - maxAgeHours * 3600 * 1000;
+
+    const remaining = [];
+    for (const entry of files) {
+      // A file's data ends when the next period starts
+      if (entry.name !== currentName && entry.start + periodMs < cutoff) {
+        await removeArchiveFile(entry);
+        continue;
+      }
+      const sizes = await Promise.all([entry.file, entry.index].map(file => stat(file).then(s => s.size, () => 0)));
+      remaining.push({ ...entry, size: sizes[0] + sizes[1] });
+    }
+
+    let total = remaining.reduce((sum, entry) => sum + entry.size, 0);
+    for (const entry of remaining) {
+      if (total <= budget || entry.name === currentName) break;
+      await removeArchiveFile(entry);
+      total -= entry.size;
+    }
+    return total;
+  };
+
+  /**
+   * Append one snapshot to the archive
+   */
+  const writeSnapshot = async (snapshot) => {
+    const name = archiveFileName(Math.floor(snapshot.fetchedAt / periodMs) * periodMs);
+    const { file, index } = archivePaths(dir, name);
+
+    if (name !== currentName) {
+      await mkdir(dir, { recursive: true });
+      currentName = name;
+      currentSize = (await stat(file).catch(() => null))?.size ?? 0;
+      archiveSize = await enforceRetention();
+      console.log(`[Recorder] Writing to ${file}`);
+    }
+
+    const record = {
+      time: snapshot.time,
+      fetchedAt: snapshot.fetchedAt,
+      source: snapshot.source,
+      count: snapshot.flights.length,
+      flights: snapshot.flights
+    };
+    const member = gzipSync(JSON.stringify(record) + '\n');
+
+    const indexLine = JSON.stringify({
+      time: snapshot.time,
+      fetchedAt: snapshot.fetchedAt,
+      offset: currentSize,
+      length: member.length
+    }) + '\n';
+
+    await appendFile(file, member);
+    await appendFile(index, indexLine);
+    currentSize += member.length;
+    archiveSize += member.length + Buffer.byteLength(indexLine);
+
+    // Don't wait for the next rotation once the archive outgrows its budget
+    if (archiveSize > budget) {
+      archiveSize = await enforceRetention();
+    }
+  };
+
+  /**
+   * Record the current snapshot unless it was already recorded
+   */
+  const recordNow = () => {
+    // Chain writes so offsets stay consistent even if a write is slow
+    pending = pending.then(async () => {
+      try {
+        const { snapshot } = await getSnapshot(bbox);
+        if (snapshot.fetchedAt === lastFetchedAt) return;
+        await writeSnapshot(snapshot);
+        lastFetchedAt = snapshot.fetchedAt;
+      } catch (error) {
+        console.error('[Recorder] Failed to record snapshot:', error.message);
+      }
+    });
+    return pending;
+  };
+
+  return {
+    start() {
+      if (timer) return;
+      console.log(`[Recorder] Recording ${bbox ? 'bounded' : 'global'} snapshots every ${interval}s to ${dir}`);
+      recordNow();
+      timer = setInterval(recordNow, interval * 1000);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    recordNow
+  };
+}
+
+/**
+ * Delete a data file and its index
+ */
+async function removeArchiveFile(entry) {
+  console.log(`[Recorder] Removing ${entry.file}`);
+  await Promise.all([entry.file, entry.index].map(file => unlink(file).catch(() => {})));
+}
+
+/**
+ * Start the recorder configured by the environment (once per server process)
+ */
+export function startSnapshotRecorder() {
+  const config = getRecorderConfig();
+  if (!config || globalThis.__avaraRecorder) return;
+
+  globalThis.__avaraRecorder = createSnapshotRecorder(config);
+  globalThis.__avaraRecorder.start();
+}
@@ -0,0 +1,109 @@
+/**
+ * Bounding box utilities shared by the map and the flight API
+ * Boxes use the OpenSky query parameter names: { lamin, lomin, lamax, lomax }
+ */
+
+/**
+ * Convert MapLibre LngLatBounds (or a plain box) to a plain box
+ * @param {Object} bounds - LngLatBounds-like object or plain box
+ * @returns {{lamin: number, lomin: number, lamax: number, lomax: number}|null}
+ */
+export const toBoundingBox = (bounds) => {
+  if (!bounds) return null;
+  if (typeof bounds.getSouth === 'function') {
+    return {
+      lamin: bounds.getSouth(),
+      lomin: bounds.getWest(),
+      lamax: bounds.getNorth(),
+      lomax: bounds.getEast()
+    };
+  }
+  return bounds;
+};
+
+/**
+ * Wrap a longitude into the [-180, 180] range
+ */
+const wrapLongitude = (lng) => ((((lng + 180) % 360) + 360) % 360) - 180;
+
+/**
+ * Move a box from a wrapped world copy (west edge past ±180) into the main
+ * world, shifting both edges alike
+ */
+const toMainWorld = (box) => {
+  if (box.lomin >= -180 && box.lomin <= 180) return box;
+  const shift = wrapLongitude(box.lomin) - box.lomin;
+  return { ...box, lomin: box.lomin + shift, lomax: box.lomax + shift };
+};
+
+/**
+ * Compute the area to request for a viewport
+ * Expands the visible area by a margin and snaps it outward to a grid so that
+ * nearby viewports share the same server-side snapshot. Returns null (global
+ * fetch) when zoomed out, or when the area is too wide or crosses the antimeridian.
+ * @param {Object|null} bounds - Visible bounds (LngLatBounds or plain box)
+ * @param {number|null} zoom - Current zoom level
+ * @param {Object} options
+ * @param {number} options.globalZoom - Fetch globally below this zoom
+ * @param {number} options.margin - Fraction of the viewport span added on each side
+ * @param {number} options.grid - Grid size in degrees to snap to
+ * @returns {{lamin: number, lomin: number, lamax: number, lomax: number}|null}
+ */
+export const getFetchBounds = (bounds, zoom, { globalZoom = 5, margin = 0.5, grid = 1 } = {}) => {
+  const viewport = toBoundingBox(bounds);
+  if (!viewport || !Number.isFinite(zoom) || zoom < globalZoom) return null;
+  const box = toMainWorld(viewport);
+
+  const latSpan = box.lamax - box.lamin;
+  const lngSpan = box.lomax - box.lomin;
+  if (!(latSpan > 0) || !(lngSpan > 0) || lngSpan * (1 + 2 * margin) >= 360) return null;
+
+  const lamin = Math.max(-90, Math.floor((box.lamin - latSpan * margin) / grid) * grid);
+  const lamax = Math.min(90, Math.ceil((box.lamax + latSpan * margin) / grid) * grid);
+  const west = Math.floor((box.lomin - lngSpan * margin) / grid) * grid;
+  const east = Math.ceil((box.lomax + lngSpan * margin) / grid) * grid;
+
+  // Clamp to the world edge when the padded box only just touches it
+  const lomin = west < -180 && box.lomin >= -180 ? -180 : wrapLongitude(west);
+  const lomax = east > 180 && box.lomax <= 180 ? 180 : wrapLongitude(east);
+
+  // OpenSky cannot query across the antimeridian
+  if (lomin >= lomax) return null;
+
+  return { lamin, lomin, lamax, lomax };
+};
+
+/**
+ * Check whether the outer box fully contains the inner bounds
+ * Inner bounds in a wrapped world copy are compared in the main world, like
+ * the fetch boxes built from them.
+ * @param {Object} outer - Plain box
+ * @param {Object} inner - LngLatBounds or plain box
+ * @returns {boolean}
+ */
+export const boundsContain = (outer, inner) => {
+  const viewport = toBoundingBox(inner);
+  if (!outer || !viewport) return false;
+  const box = toMainWorld(viewport);
+  return (
+    box.lamin >= outer.lamin &&
+    box.lamax <= outer.lamax &&
+    box.lomin >= outer.lomin &&
+    box.lomax <= outer.lomax
+  );
+};
+
+/**
+ * Build the query string for a bounding box request
+ * @param {Object|null} box - Plain box
+ * @returns {string} Query string without leading '?', empty for global
+ */
+export const toBoundsQuery = (box) => {
+  if (!box) return '';
+  return new URLSearchParams({
+    lamin: String(box.lamin),
+    lomin: String(box.lomin),
+    lamax: String(box.lamax),
+    lomax: String(box.lomax)
+  }).toString();
+};
@@ -0,0 +1,99 @@
+/**
+ * Streaming CSV reader for the aircraft and airport database imports
+ * Handles both quoting styles in use: double quotes (OurAirports,
+ * aircraftDatabase.csv) and single quotes (aircraft-database-complete-*.csv).
+ * A doubled quote inside a quoted field is a literal quote.
+ */
+
+import { createReadStream } from 'node:fs';
+import { createInterface } from 'node:readline';
+
+// Longest record accepted when a quoted field spans lines
+const MAX_RECORD_LINES = 20;
+
+/**
+ * Split one CSV record into fields
+ * @param {string} text - Record text (may span lines inside quoted fields)
+ * @param {string} quote - Quote character
+ * @returns {string[]} Fields
+ */
+export function splitCsvRecord(text, quote) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== quote) {
+        field += char;
+      } else if (text[i + 1] === quote) {
+        field += quote;
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === quote) {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Count occurrences of a character
+ */
+function countChar(text, char) {
+  let count = 0;
+  for (let i = text.indexOf(char); i !== -1; i = text.indexOf(char, i + 1)) count++;
+  return count;
+}
+
+/**
+ * Read a CSV file record by record
+ * The quote character is taken from the header line.
+ * @param {string} file - CSV path
+ * @yields {{header: string[], fields: string[]}} Header (lowercased) and record fields
+ */
+export async function* readCsvRecords(file) {
+  const lines = createInterface({ input: createReadStream(file, 'utf8'), crlfDelay: Infinity });
+
+  let header = null;
+  let quote = '"';
+  let pending = null;
+  let pendingLines = 0;
+
+  for await (const line of lines) {
+    if (header === null) {
+      const first = line.replace(/^\uFEFF/, '');
+      if (first.startsWith("'")) quote = "'";
+      header = splitCsvRecord(first, quote).map(name => name.trim().toLowerCase());
+      continue;
+    }
+
+    const text = pending === null ? line : `${pending}\n${line}`;
+    // An odd number of quotes means a quoted field continues on the next line
+    if (countChar(text, quote) % 2 === 1) {
+      // A stray unescaped quote would otherwise swallow the rest of the file
+      if (++pendingLines > MAX_RECORD_LINES) {
+        pending = null;
+        pendingLines = 0;
+        continue;
+      }
+      pending = text;
+      continue;
+    }
+    pending = null;
+    pendingLines = 0;
+
+    if (text.trim() === '') continue;
+    yield { header, fields: splitCsvRecord(text, quote) };
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Dead-reckoning between position reports
+ *
+ * Aircraft are projected forward from their last fix along `true_track` at
+ * `velocity`, measured from `time_position`, so they keep moving between
+ * updates. When a fresh report arrives the displayed position glides onto the
+ * new projection instead of snapping to it.
+ */
+
+import { destinationPoint } from './geo.js';
+
+/**
+ * Wrap a longitude difference into [-180, 180)
+ */
+const wrapLongitude = (lon) => ((lon + 540) % 360) - 180;
+
+/**
+ * Ease-in-out curve for blends (0..1 → 0..1)
+ */
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+/**
+ * Project a flight's reported position to a point in time
+ * @param {Object} flight - Normalized flight
+ * @param {number} now - Time to project to (ms since epoch)
+ * @param {number} maxExtrapolation - Longest projection in seconds; older fixes hold at this horizon
+ * @returns {{latitude: number, longitude: number}}
+ */
+export const projectPosition = (flight, now, maxExtrapolation) => {
+  const { latitude, longitude, velocity, true_track, time_position } = flight;
+  if (!Number.isFinite(velocity) || velocity <= 0 ||
+      !Number.isFinite(true_track) || !Number.isFinite(time_position)) {
+    return { latitude, longitude };
+  }
+
+  const elapsed = Math.min(Math.max(now / 1000 - time_position, 0), maxExtrapolation);
+  if (elapsed === 0) return { latitude, longitude };
+
+  return destinationPoint(latitude, longitude, true_track, velocity * elapsed);
+};
+
+/**
+ * Create a dead reckoner that tracks the displayed position of each aircraft
+ * @param {Object} options
+ * @param {number} options.maxExtrapolation - Seconds a fix may be projected forward
+ * @param {number} options.blendDuration - ms to glide onto a fresh report
+ * @param {number} options.maxBlendDistance - Degrees; larger corrections snap
+ * @returns {{update: Function, position: Function, clear: Function}}
+ */
+export const createDeadReckoner = ({ maxExtrapolation, blendDuration, maxBlendDistance }) => {
+  // icao24 -> { flight, blend: { start, dLat, dLon } | null }
+  let states = new Map();
+
+  /**
+   * Displayed position of an aircraft
+   * @param {string} icao24 - Aircraft address
+   * @param {number} now - ms since epoch
+   * @returns {[number, number]|null} [longitude, latitude] or null when unknown
+   */
+  const position = (icao24, now) => {
+    const state = states.get(icao24);
+    if (!state) return null;
+
+    const { latitude, longitude } = projectPosition(state.flight, now, maxExtrapolation);
+    const { blend } = state;
+    if (!blend) return [longitude, latitude];
+
+    const progress = (now - blend.start) / blendDuration;
+    if (progress >= 1) {
+      state.blend = null;
+      return [longitude, latitude];
+    }
+
+    // Remaining share of the correction still to be absorbed
+    const remaining = 1 - smoothstep(Math.max(progress, 0));
+    return [
+      wrapLongitude(longitude + blend.dLon * remaining),
+      latitude + blend.dLat * remaining
+    ];
+  };
+
+  /**
+   * Take in the latest reports; aircraft no longer listed are dropped
+   * @param {Array} flights - Normalized flights
+   * @param {number} now - ms since epoch
+   */
+  const update = (flights, now) => {
+    const next = new Map();
+
+    for (const flight of flights) {
+      if (!Number.isFinite(flight.latitude) || !Number.isFinite(flight.longitude)) continue;
+
+      const previous = states.get(flight.icao24);
+      if (previous && previous.flight === flight) {
+        next.set(flight.icao24, previous);
+        continue;
+      }
+
+      let blend = null;
+      if (previous) {
+        const [shownLon, shownLat] = position(flight.icao24, now);
+        const target = projectPosition(flight, now, maxExtrapolation);
+        const dLat = shownLat - target.latitude;
+        const dLon = wrapLongitude(shownLon - target.longitude);
+        const distance = Math.max(Math.abs(dLat), Math.abs(dLon));
+        if (distance > 0 && distance <= maxBlendDistance) {
+          blend = { start: now, dLat, dLon };
+        }
+      }
+
+      next.set(flight.icao24, { flight, blend });
+    }
+
+    states = next;
+  };
+
+  const clear = () => {
+    states = new Map();
+  };
+
+  return { update, position, clear };
+};
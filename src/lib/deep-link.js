@@ -0,0 +1,159 @@
+/**
+ * Shareable map links
+ * The URL carries the camera, projection, theme, selected aircraft, filters
+ * and replay time, e.g.
+ *
+ *   /?map=7.5/50.0333/8.5706/30/45&flight=3c6444&state=airborne&alt=..10000&source=MLAT
+ *
+ * Parameters:
+ * - map: zoom/latitude/longitude[/bearing[/pitch]]
+ * - projection: mercator (globe is the default), theme: light (dark is the default)
+ * - flight: ICAO24 address of the selected aircraft
+ * - t: replay time (ISO 8601 or unix seconds); opens the replay
+ * - alt, speed, vrate: min..max bands (either end may be empty)
+ * - country (repeatable), state, source (comma-separated labels), squawk, q:
+ *   the map filters (see flight-filters.js)
+ */
+
+import { DEFAULT_FILTERS, POSITION_SOURCES, normalizeFilters } from './flight-filters.js';
+
+const PROJECTIONS = ['globe', 'mercator'];
+const THEMES = ['dark', 'light'];
+
+// Parameters that describe filters; a link with any of them replaces the saved filters
+const FILTER_PARAMS = ['alt', 'speed', 'vrate', 'country', 'state', 'source', 'squawk', 'q'];
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Parse "min..max" ("..10000", "250..", "1000..5000")
+ */
+const parseRange = (value) => {
+  if (!value) return [null, null];
+  const [min, max = ''] = value.split('..');
+  const toNumber = (text) => (text.trim() === '' || !Number.isFinite(Number(text)) ? null : Number(text));
+  return [toNumber(min), toNumber(max)];
+};
+
+const formatRange = (min, max) => (min === null && max === null ? null : `${min ?? ''}..${max ?? ''}`);
+
+/**
+ * Parse a time as unix seconds or an ISO date
+ */
+const parseTime = (value) => {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value)) return Number(value);
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms / 1000;
+};
+
+/**
+ * Camera from the `map` parameter
+ */
+const parseCamera = (value) => {
+  const parts = String(value ?? '').split('/').map(Number);
+  const [zoom, latitude, longitude, bearing = 0, pitch = 0] = parts;
+  if (parts.length < 3 || ![zoom, latitude, longitude, bearing, pitch].every(Number.isFinite)) return null;
+  if (Math.abs(latitude) > 90) return null;
+  return {
+    zoom: Math.min(Math.max(zoom, 0), 20),
+    latitude,
+    longitude: ((longitude + 540) % 360) - 180,
+    bearing,
+    pitch: Math.min(Math.max(pitch, 0), 85)
+  };
+};
+
+/**
+ * Read a link
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {{camera: Object|null, projection: string|null, theme: string|null, flight: string|null,
+ *   replayTime: number|null, filters: Object|null}}
+ *   Missing or invalid parts are null; `filters` is null unless the link sets
+ *   any filter (or the camera, since a shared view includes its filters)
+ */
+export const parseDeepLink = (params) => {
+  const camera = parseCamera(params.get('map'));
+  const flight = params.get('flight')?.trim().toLowerCase() ?? '';
+
+  const hasFilters = camera !== null || FILTER_PARAMS.some(name => params.has(name));
+  let filters = null;
+  if (hasFilters) {
+    const [minAltitude, maxAltitude] = parseRange(params.get('alt'));
+    const [minSpeed, maxSpeed] = parseRange(params.get('speed'));
+    const [minVerticalRate, maxVerticalRate] = parseRange(params.get('vrate'));
+    const sourceLabels = (params.get('source') ?? '').toUpperCase().split(',').map(label => label.trim());
+    filters = normalizeFilters({
+      minAltitude,
+      maxAltitude,
+      minSpeed,
+      maxSpeed,
+      minVerticalRate,
+      maxVerticalRate,
+      countries: params.getAll('country'),
+      state: params.get('state') ?? DEFAULT_FILTERS.state,
+      sources: POSITION_SOURCES.filter(({ label }) => sourceLabels.includes(label)).map(({ code }) => code),
+      squawk: params.get('squawk') ?? '',
+      query: params.get('q') ?? ''
+    });
+  }
+
+  return {
+    camera,
+    projection: PROJECTIONS.includes(params.get('projection')) ? params.get('projection') : null,
+    theme: THEMES.includes(params.get('theme')) ? params.get('theme') : null,
+    flight: /^[0-9a-f]{6}$/.test(flight) ? flight : null,
+    replayTime: parseTime(params.get('t')),
+    filters
+  };
+};
+
+/**
+ * Write a link
+ * Defaults are left out to keep links short.
+ * @param {Object} link
+ * @param {Object|null} link.camera - { zoom, latitude, longitude, bearing, pitch }
+ * @param {string} [link.projection] - 'globe' or 'mercator'
+ * @param {string} [link.theme] - 'dark' or 'light'
+ * @param {string|null} [link.flight] - Selected ICAO24
+ * @param {number|null} [link.replayTime] - Replay time (unix seconds), null when live
+ * @param {Object} [link.filters] - Normalized filters
+ * @returns {string} Query string without "?"
+ */
+export const buildDeepLink = ({ camera, projection = 'globe', theme = 'dark', flight = null, replayTime = null, filters = DEFAULT_FILTERS }) => {
+  const params = new URLSearchParams();
+
+  if (camera) {
+    // About a meter of precision at the equator is plenty
+    const parts = [round(camera.zoom, 2), round(camera.latitude, 5), round(camera.longitude, 5)];
+    const bearing = round(camera.bearing ?? 0, 1);
+    const pitch = round(camera.pitch ?? 0, 1);
+    if (bearing !== 0 || pitch !== 0) parts.push(bearing);
+    if (pitch !== 0) parts.push(pitch);
+    params.set('map', parts.join('/'));
+  }
+  if (projection !== 'globe') params.set('projection', projection);
+  if (theme !== 'dark') params.set('theme', theme);
+  if (flight) params.set('flight', flight);
+  if (Number.isFinite(replayTime)) params.set('t', new Date(Math.floor(replayTime) * 1000).toISOString().replace('.000Z', 'Z'));
+
+  const ranges = [
+    ['alt', filters.minAltitude, filters.maxAltitude],
+    ['speed', filters.minSpeed, filters.maxSpeed],
+    ['vrate', filters.minVerticalRate, filters.maxVerticalRate],
+  ];
+  for (const [name, min, max] of ranges) {
+    const range = formatRange(min, max);
+    if (range) params.set(name, range);
+  }
+  for (const country of filters.countries) params.append('country', country);
+  if (filters.state !== 'all') params.set('state', filters.state);
+  if (filters.sources.length > 0) {
+    params.set('source', POSITION_SOURCES.filter(({ code }) => filters.sources.includes(code)).map(({ label }) => label).join(','));
+  }
+  if (filters.squawk.trim()) params.set('squawk', filters.squawk.trim());
+  if (filters.query.trim()) params.set('q', filters.query.trim());
+
+  // "/", "," and ":" are fine in a query string and easier to read unescaped
+  return params.toString().replace(/%2F/g, '/').replace(/%2C/g, ',').replace(/%3A/g, ':');
+};
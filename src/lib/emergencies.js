@@ -0,0 +1,35 @@
+/**
+ * Emergency detection from transponder codes
+ * 7500 (unlawful interference), 7600 (radio failure) and 7700 (general
+ * emergency) are reserved squawks; SPI is the "ident" pulse a pilot sends
+ * when ATC asks, so it is surfaced with a lower priority.
+ */
+
+/**
+ * Emergency kinds, most severe first
+ * color is used for the map marker and the alerts list
+ */
+export const EMERGENCY_KINDS = {
+  hijack: { squawk: '7500', label: 'Hijack (7500)', priority: 0, color: '#d946ef' },
+  emergency: { squawk: '7700', label: 'Emergency (7700)', priority: 1, color: '#ef4444' },
+  radio: { squawk: '7600', label: 'Radio failure (7600)', priority: 2, color: '#f97316' },
+  ident: { squawk: null, label: 'Ident (SPI)', priority: 3, color: '#facc15' },
+};
+
+const KIND_BY_SQUAWK = Object.fromEntries(
+  Object.entries(EMERGENCY_KINDS)
+    .filter(([, kind]) => kind.squawk)
+    .map(([name, kind]) => [kind.squawk, name])
+);
+
+/**
+ * Emergency kind of a flight
+ * @param {Object} flight - Normalized flight
+ * @returns {string|null} Key of EMERGENCY_KINDS, or null
+ */
+export const getEmergencyKind = (flight) => {
+  const squawk = flight.squawk != null ? String(flight.squawk).trim() : null;
+  if (squawk && KIND_BY_SQUAWK[squawk]) return KIND_BY_SQUAWK[squawk];
+  if (flight.spi) return 'ident';
+  return null;
+};
@@ -0,0 +1,162 @@
+/**
+ * Aircraft state store for message-based feeds (SBS-1, raw Mode-S)
+ * Feeds deliver partial updates one message at a time; the store merges them
+ * per ICAO24 address into complete aircraft states, expires silent aircraft
+ * and keeps a short position history for tracks.
+ */
+
+import { createFlight, createTrack, POSITION_SOURCE } from '@/lib/providers/normalize';
+
+// Minimum spacing between stored history points (seconds)
+const HISTORY_INTERVAL_S = 10;
+
+/**
+ * Merged aircraft states keyed by ICAO24 address
+ */
+export class AircraftStateStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataSource - Value for the data_source field of produced flights
+   * @param {number} options.expireAfter - Forget aircraft silent for this long (seconds)
+   * @param {number} options.maxPositionAge - Hide positions older than this (seconds)
+   * @param {number} options.historyDuration - Keep track points this long (seconds)
+   */
+  constructor({ dataSource, expireAfter = 300, maxPositionAge = 60, historyDuration = 3600 } = {}) {
+    this.dataSource = dataSource;
+    this.expireAfter = expireAfter;
+    this.maxPositionAge = maxPositionAge;
+    this.historyDuration = historyDuration;
+    this.aircraft = new Map();
+    this.lastPrune = 0;
+  }
+
+  /**
+   * Merge a partial update into an aircraft's state
+   * Only fields present in the update are changed. A position (latitude and
+   * longitude together) also refreshes time_position and extends the history.
+   * @param {string} icao24 - ICAO24 address (hex)
+   * @param {Object} fields - Flight fields carried by the message
+   * @param {Object} options
+   * @param {number} options.time - Receive time (unix seconds)
+   * @param {number} options.positionSource - Position source code for positions
+   */
+  update(icao24, fields, { time = Date.now() / 1000, positionSource = POSITION_SOURCE.ADSB } = {}) {
+    const key = icao24.toLowerCase();
+    let state = this.aircraft.get(key);
+    if (!state) {
+      state = { icao24: key, history: [] };
+      this.aircraft.set(key, state);
+    }
+
+    const { latitude, longitude, ...rest } = fields;
+    for (const [field, value] of Object.entries(rest)) {
+      if (value !== null && value !== undefined) {
+        state[field] = value;
+      }
+    }
+
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      state.latitude = latitude;
+      state.longitude = longitude;
+      state.time_position = time;
+      state.position_source = positionSource;
+      this.appendHistory(state, time);
+    }
+
+    state.last_contact = time;
+    this.pruneIfDue(time);
+  }
+
+  /**
+   * Record the current position in the aircraft's history
+   */
+  appendHistory(state, time) {
+    const last = state.history[state.history.length - 1];
+    if (last && time - last.time < HISTORY_INTERVAL_S) return;
+
+    state.history.push({
+      time: Math.round(time),
+      latitude: state.latitude,
+      longitude: state.longitude,
+      baro_altitude: state.on_ground ? null : (state.baro_altitude ?? null),
+      true_track: state.true_track ?? null,
+      on_ground: Boolean(state.on_ground)
+    });
+
+    const cutoff = time - this.historyDuration;
+    while (state.history.length > 0 && state.history[0].time < cutoff) {
+      state.history.shift();
+    }
+  }
+
+  /**
+   * Drop aircraft that have been silent for longer than expireAfter
+   * @param {number} now - Current time (unix seconds)
+   */
+  prune(now = Date.now() / 1000) {
+    for (const [key, state] of this.aircraft) {
+      if (now - state.last_contact > this.expireAfter) {
+        this.aircraft.delete(key);
+      }
+    }
+    this.lastPrune = now;
+  }
+
+  pruneIfDue(now) {
+    if (now - this.lastPrune > 10) {
+      this.prune(now);
+    }
+  }
+
+  /**
+   * Current flights with a recent position
+   * @param {number} now - Current time (unix seconds)
+   * @returns {Array} Normalized flights
+   */
+  getFlights(now = Date.now() / 1000) {
+    this.prune(now);
+
+    const flights = [];
+    for (const state of this.aircraft.values()) {
+      if (state.time_position === undefined || now - state.time_position > this.maxPositionAge) {
+        continue;
+      }
+
+      const { history, ...fields } = state;
+      flights.push(createFlight({
+        ...fields,
+        baro_altitude: state.on_ground ? null : (state.baro_altitude ?? null),
+        on_ground: Boolean(state.on_ground),
+        time_position: Math.round(state.time_position),
+        last_contact: Math.round(state.last_contact),
+        position_age: Math.round((now - state.time_position) * 10) / 10,
+        data_source: this.dataSource
+      }));
+    }
+    return flights;
+  }
+
+  /**
+   * Raw merged state of one aircraft
+   * @param {string} icao24 - ICAO24 address
+   * @returns {Object|undefined} State, or undefined if the aircraft is unknown
+   */
+  get(icao24) {
+    return this.aircraft.get(icao24.toLowerCase());
+  }
+
+  /**
+   * Recorded track of one aircraft
+   * @param {string} icao24 - ICAO24 address
+   * @returns {Object|null} Normalized track, or null if the aircraft is unknown
+   */
+  getTrack(icao24) {
+    const state = this.aircraft.get(icao24.toLowerCase());
+    if (!state || state.history.length === 0) return null;
+    return createTrack({ icao24: state.icao24, callsign: state.callsign ?? null, path: state.history });
+  }
+
+  get size() {
+    return this.aircraft.size;
+  }
+}
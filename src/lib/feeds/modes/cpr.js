@@ -0,0 +1,90 @@
+/**
+ * Compact Position Reporting (CPR) decoding for ADS-B positions
+ * Reference: https://mode-s.org/decode/content/ads-b/3-airborne-position.html
+ *
+ * Positions are sent as 17-bit fractions within latitude/longitude zones that
+ * alternate between "even" and "odd" frames. A global decode needs one frame of
+ * each kind; a local decode needs one frame plus a reference position within
+ * half a zone (about 180 NM airborne, 45 NM on the surface).
+ */
+
+const NZ = 15;
+const CPR_SCALE = 131072; // 2^17
+
+const mod = (a, b) => a - b * Math.floor(a / b);
+
+/**
+ * Number of longitude zones at a latitude
+ */
+export const cprNL = (lat) => {
+  const absLat = Math.abs(lat);
+  if (absLat === 0) return 59;
+  if (absLat === 87) return 2;
+  if (absLat > 87) return 1;
+  const a = 1 - Math.cos(Math.PI / (2 * NZ));
+  const b = Math.cos(Math.PI / 180 * absLat) ** 2;
+  return Math.floor(2 * Math.PI / Math.acos(1 - a / b));
+};
+
+/**
+ * Globally unambiguous decode from an even and an odd frame
+ * Frames are { lat, lon, time } with raw 17-bit CPR values.
+ * Only valid for airborne positions; the frames should be at most 10 s apart.
+ * @param {Object} even - Even frame
+ * @param {Object} odd - Odd frame
+ * @returns {{latitude: number, longitude: number}|null} Position of the newer frame, or null if the frames straddle a zone boundary
+ */
+export const decodeCprGlobal = (even, odd) => {
+  const dLatEven = 360 / 60;
+  const dLatOdd = 360 / 59;
+  const latEvenCpr = even.lat / CPR_SCALE;
+  const latOddCpr = odd.lat / CPR_SCALE;
+  const lonEvenCpr = even.lon / CPR_SCALE;
+  const lonOddCpr = odd.lon / CPR_SCALE;
+
+  const j = Math.floor(59 * latEvenCpr - 60 * latOddCpr + 0.5);
+  let latEven = dLatEven * (mod(j, 60) + latEvenCpr);
+  let latOdd = dLatOdd * (mod(j, 59) + latOddCpr);
+  if (latEven >= 270) latEven -= 360;
+  if (latOdd >= 270) latOdd -= 360;
+
+  // Both frames must lie in the same longitude zone band
+  if (cprNL(latEven) !== cprNL(latOdd)) return null;
+
+  const useOdd = odd.time >= even.time;
+  const latitude = useOdd ? latOdd : latEven;
+  const nl = cprNL(latitude);
+  const ni = Math.max(nl - (useOdd ? 1 : 0), 1);
+  const m = Math.floor(lonEvenCpr * (nl - 1) - lonOddCpr * nl + 0.5);
+  let longitude = (360 / ni) * (mod(m, ni) + (useOdd ? lonOddCpr : lonEvenCpr));
+  if (longitude >= 180) longitude -= 360;
+
+  return { latitude, longitude };
+};
+
+/**
+ * Locally unambiguous decode of a single frame using a nearby reference
+ * @param {Object} frame - { lat, lon, odd } raw CPR frame
+ * @param {number} refLat - Reference latitude
+ * @param {number} refLon - Reference longitude
+ * @param {boolean} surface - Surface position (zones are a quarter of the airborne size)
+ * @returns {{latitude: number, longitude: number}}
+ */
+export const decodeCprLocal = (frame, refLat, refLon, surface = false) => {
+  const span = surface ? 90 : 360;
+  const i = frame.odd ? 1 : 0;
+  const latCpr = frame.lat / CPR_SCALE;
+  const lonCpr = frame.lon / CPR_SCALE;
+
+  const dLat = span / (60 - i);
+  const j = Math.floor(refLat / dLat) + Math.floor(0.5 + mod(refLat, dLat) / dLat - latCpr);
+  const latitude = dLat * (j + latCpr);
+
+  const dLon = span / Math.max(cprNL(latitude) - i, 1);
+  const m = Math.floor(refLon / dLon) + Math.floor(0.5 + mod(refLon, dLon) / dLon - lonCpr);
+  let longitude = dLon * (m + lonCpr);
+  if (longitude >= 180) longitude -= 360;
+  if (longitude < -180) longitude += 360;
+
+  return { latitude, longitude };
+};
@@ -0,0 +1,42 @@
+/**
+ * Mode-S CRC-24 parity
+ * Reference: https://mode-s.org/decode/content/ads-b/8-error-control.html
+ */
+
+const GENERATOR = 0xfff409;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i << 16;
+    for (let bit = 0; bit < 8; bit++) {
+      c = c & 0x800000 ? (c << 1) ^ GENERATOR : c << 1;
+    }
+    table[i] = c & 0xffffff;
+  }
+  return table;
+})();
+
+/**
+ * CRC-24 of the first `length` bytes
+ */
+const crc24 = (bytes, length) => {
+  let crc = 0;
+  for (let i = 0; i < length; i++) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >> 16) ^ bytes[i]) & 0xff]) & 0xffffff;
+  }
+  return crc;
+};
+
+/**
+ * Parity syndrome of a message
+ * Zero for a valid DF11/17/18 message; for address/parity replies
+ * (DF0/4/5/16/20/21) it equals the transmitting aircraft's address.
+ * @param {Uint8Array} bytes - Complete 7 or 14 byte message
+ * @returns {number} 24-bit syndrome
+ */
+export const paritySyndrome = (bytes) => {
+  const n = bytes.length;
+  const parity = (bytes[n - 3] << 16) | (bytes[n - 2] << 8) | bytes[n - 1];
+  return crc24(bytes, n - 3) ^ parity;
+};
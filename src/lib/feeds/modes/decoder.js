@@ -0,0 +1,327 @@
+/**
+ * Mode-S / ADS-B message decoder
+ * Reference: https://mode-s.org/decode/ ("The 1090 Megahertz Riddle")
+ *
+ * Decodes a single 56 or 112 bit frame into flight fields using the same
+ * names and units as /api/flights (meters, m/s, degrees). Positions are
+ * returned as raw CPR frames; resolving them needs earlier frames or a
+ * reference position (see ./cpr.js).
+ */
+
+import { paritySyndrome } from './crc.js';
+import { POSITION_SOURCE } from '../../providers/normalize.js';
+
+const FEET_TO_METERS = 0.3048;
+const KNOTS_TO_MS = 0.514444;
+const FPM_TO_MS = 0.00508;
+
+const CALLSIGN_CHARSET = '#ABCDEFGHIJKLMNOPQRSTUVWXYZ##### ###############0123456789######';
+
+/**
+ * Read bits from a message, numbered from 1 (MSB of the first byte) as in the standard
+ * @param {Uint8Array} bytes - Message
+ * @param {number} first - First bit (1-based, inclusive)
+ * @param {number} last - Last bit (1-based, inclusive)
+ * @returns {number} Unsigned value
+ */
+const getBits = (bytes, first, last) => {
+  let value = 0;
+  for (let bit = first; bit <= last; bit++) {
+    const index = bit - 1;
+    value = value * 2 + ((bytes[index >> 3] >> (7 - (index & 7))) & 1);
+  }
+  return value;
+};
+
+/**
+ * Reorder a 13-bit identity/altitude field into Gillham "ABCD" nibble order
+ * (C1 A1 C2 A2 C4 A4 X B1 D1 B2 D2 B4 D4 -> 0xABCD)
+ */
+const decodeId13 = (id13) => {
+  let gillham = 0;
+  if (id13 & 0x1000) gillham |= 0x0010; // C1
+  if (id13 & 0x0800) gillham |= 0x1000; // A1
+  if (id13 & 0x0400) gillham |= 0x0020; // C2
+  if (id13 & 0x0200) gillham |= 0x2000; // A2
+  if (id13 & 0x0100) gillham |= 0x0040; // C4
+  if (id13 & 0x0080) gillham |= 0x4000; // A4
+  if (id13 & 0x0020) gillham |= 0x0100; // B1
+  if (id13 & 0x0010) gillham |= 0x0001; // D1
+  if (id13 & 0x0008) gillham |= 0x0200; // B2
+  if (id13 & 0x0004) gillham |= 0x0002; // D2
+  if (id13 & 0x0002) gillham |= 0x0400; // B4
+  if (id13 & 0x0001) gillham |= 0x0004; // D4
+  return gillham;
+};
+
+/**
+ * Convert a Gillham-coded (100 ft increment) altitude to hundreds of feet
+ * @returns {number|null} Altitude in hundreds of feet
+ */
+const gillhamToHundreds = (modeA) => {
+  if ((modeA & 0xffff8889) !== 0 || (modeA & 0x00f0) === 0) return null;
+
+  let oneHundreds = 0;
+  if (modeA & 0x0010) oneHundreds ^= 0x007; // C1
+  if (modeA & 0x0020) oneHundreds ^= 0x003; // C2
+  if (modeA & 0x0040) oneHundreds ^= 0x001; // C4
+  if ((oneHundreds & 5) === 5) oneHundreds ^= 2; // Swap 5 and 7
+  if (oneHundreds > 5) return null;
+
+  let fiveHundreds = 0;
+  if (modeA & 0x0002) fiveHundreds ^= 0x0ff; // D2
+  if (modeA & 0x0004) fiveHundreds ^= 0x07f; // D4
+  if (modeA & 0x1000) fiveHundreds ^= 0x03f; // A1
+  if (modeA & 0x2000) fiveHundreds ^= 0x01f; // A2
+  if (modeA & 0x4000) fiveHundreds ^= 0x00f; // A4
+  if (modeA & 0x0100) fiveHundreds ^= 0x007; // B1
+  if (modeA & 0x0200) fiveHundreds ^= 0x003; // B2
+  if (modeA & 0x0400) fiveHundreds ^= 0x001; // B4
+
+  if (fiveHundreds & 1) oneHundreds = 6 - oneHundreds;
+  return fiveHundreds * 5 + oneHundreds - 13;
+};
+
+/**
+ * Decode a 13-bit altitude code (DF0/4/16/20)
+ * @returns {number|null} Altitude in feet
+ */
+const decodeAc13 = (ac13) => {
+  if (ac13 === 0 || ac13 & 0x0040) return null; // Unknown or metric
+  if (ac13 & 0x0010) {
+    const n = ((ac13 & 0x1f80) >> 2) | ((ac13 & 0x0020) >> 1) | (ac13 & 0x000f);
+    return n * 25 - 1000;
+  }
+  const hundreds = gillhamToHundreds(decodeId13(ac13));
+  return hundreds === null ? null : hundreds * 100;
+};
+
+/**
+ * Decode a 12-bit altitude code (ADS-B airborne position)
+ * @returns {number|null} Altitude in feet
+ */
+const decodeAc12 = (ac12) => {
+  if (ac12 === 0) return null;
+  if (ac12 & 0x0010) {
+    const n = ((ac12 & 0x0fe0) >> 1) | (ac12 & 0x000f);
+    return n * 25 - 1000;
+  }
+  // Insert the missing M bit and decode as a 13-bit Gillham code
+  return decodeAc13(((ac12 & 0x0fc0) << 1) | (ac12 & 0x003f));
+};
+
+const decodeSquawk = (id13) => decodeId13(id13).toString(16).padStart(4, '0');
+
+const feetToMeters = (feet) => (feet === null ? null : feet * FEET_TO_METERS);
+
+/**
+ * Ground speed from the surface movement field
+ * @returns {number|null} Speed in knots
+ */
+const decodeMovement = (movement) => {
+  if (movement === 0 || movement > 124) return null;
+  if (movement === 1) return 0;
+  if (movement <= 8) return 0.125 + (movement - 2) * 0.125;
+  if (movement <= 12) return 1 + (movement - 9) * 0.25;
+  if (movement <= 38) return 2 + (movement - 13) * 0.5;
+  if (movement <= 93) return 15 + (movement - 39);
+  if (movement <= 108) return 70 + (movement - 94) * 2;
+  if (movement <= 123) return 100 + (movement - 109) * 5;
+  return 175;
+};
+
+/**
+ * Flight status (FS) field of surveillance replies
+ */
+const decodeFlightStatus = (fs) => ({
+  on_ground: fs === 1 || fs === 3 ? true : (fs === 0 || fs === 2 ? false : null),
+  spi: fs === 4 || fs === 5
+});
+
+/**
+ * Decode the ADS-B message element (bits 33-88 of DF17/18)
+ */
+const decodeExtendedSquitter = (bytes) => {
+  const me = (first, last) => getBits(bytes, 32 + first, 32 + last);
+  const typeCode = me(1, 5);
+  const result = { typeCode, fields: {}, cpr: null };
+
+  if (typeCode >= 1 && typeCode <= 4) {
+    // Aircraft identification
+    let callsign = '';
+    for (let i = 0; i < 8; i++) {
+      callsign += CALLSIGN_CHARSET[me(9 + i * 6, 14 + i * 6)];
+    }
+    result.fields.callsign = callsign.replace(/[#\s]+$/, '').trim() || null;
+  } else if (typeCode >= 5 && typeCode <= 8) {
+    // Surface position
+    const speed = decodeMovement(me(6, 12));
+    result.fields.on_ground = true;
+    result.fields.velocity = speed === null ? null : speed * KNOTS_TO_MS;
+    if (me(13, 13)) {
+      result.fields.true_track = me(14, 20) * 360 / 128;
+    }
+    result.cpr = { odd: me(22, 22) === 1, lat: me(23, 39), lon: me(40, 56), surface: true };
+  } else if ((typeCode >= 9 && typeCode <= 18) || (typeCode >= 20 && typeCode <= 22)) {
+    // Airborne position with barometric (9-18) or GNSS (20-22) altitude
+    const altitude = feetToMeters(decodeAc12(me(9, 20)));
+    result.fields.on_ground = false;
+    result.fields[typeCode <= 18 ? 'baro_altitude' : 'geo_altitude'] = altitude;
+    result.fields.spi = me(6, 7) === 3;
+    result.cpr = { odd: me(22, 22) === 1, lat: me(23, 39), lon: me(40, 56), surface: false };
+  } else if (typeCode === 19) {
+    // Airborne velocity
+    const subtype = me(6, 8);
+    const verticalRate = me(38, 46);
+    if (verticalRate !== 0) {
+      result.fields.vertical_rate = (me(37, 37) ? -1 : 1) * (verticalRate - 1) * 64 * FPM_TO_MS;
+    }
+
+    if (subtype === 1 || subtype === 2) {
+      const vEw = me(15, 24);
+      const vNs = me(26, 35);
+      if (vEw !== 0 && vNs !== 0) {
+        const factor = subtype === 2 ? 4 : 1; // Supersonic
+        const east = (me(14, 14) ? -1 : 1) * (vEw - 1) * factor;
+        const north = (me(25, 25) ? -1 : 1) * (vNs - 1) * factor;
+        result.fields.velocity = Math.hypot(east, north) * KNOTS_TO_MS;
+        result.fields.true_track = (Math.atan2(east, north) * 180 / Math.PI + 360) % 360;
+      }
+    }
+    // Subtypes 3/4 carry heading and airspeed, not ground track; only the vertical rate is used
+  } else if (typeCode === 28 && me(6, 8) === 1) {
+    // Emergency/priority status with Mode A code
+    const id13 = me(12, 24);
+    if (id13 !== 0) {
+      result.fields.squawk = decodeSquawk(id13);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Expected length in bytes for a downlink format
+ */
+export const messageLength = (df) => (df === 16 || df === 17 || df === 18 || df === 19 || df >= 20 ? 14 : 7);
+
+/**
+ * Decode a Mode-S frame
+ * @param {Uint8Array} bytes - 7 or 14 byte message
+ * @returns {Object|null} Decoded message, or null when unsupported or corrupt:
+ *   - df: downlink format
+ *   - icao24: aircraft address (hex)
+ *   - addressFromParity: true when the address was recovered from the parity
+ *     field and is only trustworthy for aircraft already seen
+ *   - positionSource: position source code for any position in the message
+ *   - fields: flight fields carried by the message
+ *   - cpr: raw CPR position frame { odd, lat, lon, surface } or null
+ */
+export function decodeModeS(bytes) {
+  if (bytes.length !== 7 && bytes.length !== 14) return null;
+
+  const df = getBits(bytes, 1, 5);
+  if (messageLength(df) !== bytes.length) return null;
+
+  const syndrome = paritySyndrome(bytes);
+  const address = (value) => value.toString(16).padStart(6, '0');
+
+  switch (df) {
+    case 17:
+    case 18: {
+      if (syndrome !== 0) return null;
+
+      let positionSource = POSITION_SOURCE.ADSB;
+      if (df === 18) {
+        const cf = getBits(bytes, 6, 8);
+        if (cf === 2 || cf === 5) positionSource = POSITION_SOURCE.TISB;
+        else if (cf === 6) positionSource = POSITION_SOURCE.ADSR;
+        else if (cf !== 0 && cf !== 1) return null; // Coarse TIS-B and reserved formats
+      }
+
+      const { typeCode, fields, cpr } = decodeExtendedSquitter(bytes);
+      return {
+        df,
+        typeCode,
+        icao24: address(getBits(bytes, 9, 32)),
+        addressFromParity: false,
+        positionSource,
+        fields,
+        cpr
+      };
+    }
+
+    case 11: {
+      // All-call reply: parity may be overlaid with an interrogator code
+      if ((syndrome & 0xffff80) !== 0) return null;
+      const ca = getBits(bytes, 6, 8);
+      return {
+        df,
+        icao24: address(getBits(bytes, 9, 32)),
+        addressFromParity: false,
+        fields: { on_ground: ca === 4 ? true : (ca === 5 ? false : null) },
+        cpr: null
+      };
+    }
+
+    case 0:
+    case 16: {
+      const altitude = decodeAc13(getBits(bytes, 20, 32));
+      return {
+        df,
+        icao24: address(syndrome),
+        addressFromParity: true,
+        fields: {
+          baro_altitude: feetToMeters(altitude),
+          on_ground: getBits(bytes, 6, 6) === 1
+        },
+        cpr: null
+      };
+    }
+
+    case 4:
+    case 20:
+      return {
+        df,
+        icao24: address(syndrome),
+        addressFromParity: true,
+        fields: {
+          ...decodeFlightStatus(getBits(bytes, 6, 8)),
+          baro_altitude: feetToMeters(decodeAc13(getBits(bytes, 20, 32)))
+        },
+        cpr: null
+      };
+
+    case 5:
+    case 21: {
+      const id13 = getBits(bytes, 20, 32);
+      return {
+        df,
+        icao24: address(syndrome),
+        addressFromParity: true,
+        fields: {
+          ...decodeFlightStatus(getBits(bytes, 6, 8)),
+          squawk: id13 === 0 ? null : decodeSquawk(id13)
+        },
+        cpr: null
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse a hex string into message bytes
+ * @param {string} hex - 14 or 28 hex digits
+ * @returns {Uint8Array|null}
+ */
+export const hexToBytes = (hex) => {
+  if (!/^([0-9a-fA-F]{14}|[0-9a-fA-F]{28})$/.test(hex)) return null;
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
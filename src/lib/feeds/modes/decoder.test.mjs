@@ -0,0 +1,92 @@
+/**
+ * Mode-S decoder checks against recorded frames (fixtures/df17-frames.json)
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { decodeModeS } from './decoder.js';
+import { decodeCprGlobal, decodeCprLocal } from './cpr.js';
+import { createAvrParser, createBeastParser } from './framing.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/df17-frames.json', import.meta.url), 'utf8'));
+
+/**
+ * Frames the AVR parser reads from recorded lines
+ */
+const parseAvr = (...lines) => {
+  const frames = [];
+  const parser = createAvrParser(bytes => frames.push(bytes));
+  parser.push(Buffer.from(lines.map(line => `${line}\n`).join('')));
+  return frames;
+};
+
+const decodeAvr = (line) => {
+  const [bytes] = parseAvr(line);
+  return decodeModeS(bytes);
+};
+
+/**
+ * Compare decoded fields or positions, numbers to the precision the fixture gives them in
+ */
+const assertFields = (actual, expected) => {
+  assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+  for (const [field, value] of Object.entries(expected)) {
+    if (typeof value === 'number') {
+      const decimals = String(value).split('.')[1]?.length ?? 0;
+      assert.ok(Math.abs(actual[field] - value) <= 10 ** -decimals, `${field}: ${actual[field]} is not ${value}`);
+    } else {
+      assert.equal(actual[field], value, field);
+    }
+  }
+};
+
+for (const { name, avr, expected } of fixtures.messages) {
+  test(`decodes ${name}`, () => {
+    const message = decodeAvr(avr);
+    assert.ok(message, 'frame was rejected');
+    assert.equal(message.df, expected.df);
+    assert.equal(message.typeCode, expected.typeCode);
+    assert.equal(message.icao24, expected.icao24);
+    assert.equal(message.addressFromParity, false);
+    assertFields(message.fields, expected.fields);
+    assert.deepEqual(message.cpr, expected.cpr);
+  });
+}
+
+for (const { name, even, odd, expected } of fixtures.cprGlobal) {
+  test(`decodes a CPR pair globally (${name})`, () => {
+    const evenFrame = { ...decodeAvr(even.avr).cpr, time: even.time };
+    const oddFrame = { ...decodeAvr(odd.avr).cpr, time: odd.time };
+    assertFields(decodeCprGlobal(evenFrame, oddFrame), expected);
+  });
+}
+
+for (const { name, avr, reference, surface, expected } of fixtures.cprLocal) {
+  test(`decodes a CPR frame locally (${name})`, () => {
+    const { cpr } = decodeAvr(avr);
+    assertFields(decodeCprLocal(cpr, reference.latitude, reference.longitude, surface), expected);
+  });
+}
+
+for (const { name, avr } of fixtures.corrupt) {
+  test(`rejects ${name}`, () => {
+    assert.equal(decodeAvr(avr), null);
+  });
+}
+
+test('reads the same frames from Beast binary', () => {
+  const lines = fixtures.messages.map(message => message.avr);
+  const avrFrames = parseAvr(...lines);
+
+  // <ESC> '3' <6 byte timestamp> <signal> <14 byte message>, with 0x1a doubled
+  const beast = avrFrames.flatMap((bytes) => {
+    const frame = [0x33, 0, 0, 0, 0, 0, 1, 0x80, ...bytes];
+    return [0x1a, ...frame.flatMap(byte => (byte === 0x1a ? [byte, byte] : [byte]))];
+  });
+
+  const beastFrames = [];
+  createBeastParser(bytes => beastFrames.push(bytes)).push(Uint8Array.from(beast));
+  assert.deepEqual(beastFrames.map(bytes => Array.from(bytes)), avrFrames.map(bytes => Array.from(bytes)));
+});
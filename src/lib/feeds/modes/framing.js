@@ -0,0 +1,126 @@
+/**
+ * Stream framing for raw Mode-S feeds
+ *
+ * Beast binary (dump1090 --net-bo-port, usually 30005):
+ *   0x1a <type> <6 byte timestamp> <1 byte signal> <message>
+ *   type '2' = 7 byte Mode-S short, '3' = 14 byte Mode-S long, '1' = Mode-A/C.
+ *   0x1a bytes inside a frame are escaped by doubling them.
+ *
+ * AVR (dump1090 --net-ro-port, usually 30002), one message per line:
+ *   *8D4840D6202CC371C32CE0576098;
+ *   @0123456789AB8D4840D6202CC371C32CE0576098;  (with 12 digit timestamp)
+ */
+
+import { hexToBytes } from './decoder.js';
+
+const ESCAPE = 0x1a;
+
+// Payload length (after the type byte, before unescaping) by Beast frame type
+const BEAST_PAYLOAD_LENGTH = {
+  0x31: 6 + 1 + 2,  // '1' Mode-A/C
+  0x32: 6 + 1 + 7,  // '2' Mode-S short
+  0x33: 6 + 1 + 14, // '3' Mode-S long
+};
+
+// Timestamp mlat-client uses to mark positions it computed itself
+const MLAT_TIMESTAMP = [0xff, 0x00, 0x4d, 0x4c, 0x41, 0x54];
+
+const isMlatTimestamp = (payload) => MLAT_TIMESTAMP.every((value, index) => payload[index] === value);
+
+/**
+ * Create a streaming Beast binary parser
+ * @param {Function} onMessage - Called with (bytes, { mlat }) for each Mode-S frame
+ * @returns {{push: Function, reset: Function}} Parser
+ */
+export function createBeastParser(onMessage) {
+  let type = null;      // Frame type being read, null while searching for a frame start
+  let expected = 0;
+  let payload = [];
+  let pendingEscape = false;
+
+  const reset = () => {
+    type = null;
+    payload = [];
+    pendingEscape = false;
+  };
+
+  const push = (chunk) => {
+    for (const byte of chunk) {
+      if (type === null) {
+        // Looking for <ESC><type>
+        if (pendingEscape) {
+          pendingEscape = false;
+          if (BEAST_PAYLOAD_LENGTH[byte]) {
+            type = byte;
+            expected = BEAST_PAYLOAD_LENGTH[byte];
+            payload = [];
+          }
+        } else if (byte === ESCAPE) {
+          pendingEscape = true;
+        }
+        continue;
+      }
+
+      if (pendingEscape) {
+        pendingEscape = false;
+        if (byte !== ESCAPE) {
+          // Unescaped ESC inside a frame: the frame was truncated, start over on this one
+          type = BEAST_PAYLOAD_LENGTH[byte] ? byte : null;
+          expected = BEAST_PAYLOAD_LENGTH[byte] || 0;
+          payload = [];
+          continue;
+        }
+      } else if (byte === ESCAPE) {
+        pendingEscape = true;
+        continue;
+      }
+
+      payload.push(byte);
+      if (payload.length === expected) {
+        if (type !== 0x31) {
+          onMessage(Uint8Array.from(payload.slice(7)), { mlat: isMlatTimestamp(payload) });
+        }
+        type = null;
+        payload = [];
+      }
+    }
+  };
+
+  return { push, reset };
+}
+
+/**
+ * Create a streaming AVR (hex line) parser
+ * @param {Function} onMessage - Called with (bytes, { mlat }) for each Mode-S frame
+ * @returns {{push: Function, reset: Function}} Parser
+ */
+export function createAvrParser(onMessage) {
+  let buffer = '';
+
+  const reset = () => {
+    buffer = '';
+  };
+
+  const push = (chunk) => {
+    buffer += chunk.toString('latin1');
+    const lines = buffer.split(/[;\n]/);
+    buffer = lines.pop();
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      let hex = null;
+      if (line.startsWith('*')) {
+        hex = line.slice(1);
+      } else if (line.startsWith('@')) {
+        hex = line.slice(13);
+      }
+
+      const bytes = hex && hexToBytes(hex);
+      if (bytes) {
+        onMessage(bytes, { mlat: false });
+      }
+    }
+  };
+
+  return { push, reset };
+}
@@ -0,0 +1,132 @@
+/**
+ * Raw Mode-S feed (Beast binary or AVR hex over TCP)
+ * Decodes frames, resolves CPR positions and merges the results into an
+ * aircraft state store.
+ */
+
+import { createTcpFeed } from '../tcp-client';
+import { decodeModeS } from './decoder';
+import { decodeCprGlobal, decodeCprLocal } from './cpr';
+import { createBeastParser, createAvrParser } from './framing';
+import { haversineDistance } from '@/lib/geo';
+import { POSITION_SOURCE } from '@/lib/providers/normalize';
+
+const NM_TO_METERS = 1852;
+
+// An even/odd pair further apart than this can't be decoded globally (seconds)
+const MAX_FRAME_GAP_S = 10;
+
+// An aircraft's own last position is used for local decoding while this fresh (seconds)
+const LOCAL_REFERENCE_AGE_S = 30;
+
+// Local decoding against the receiver is only unambiguous within half a zone
+const MAX_LOCAL_RANGE_M = { airborne: 180 * NM_TO_METERS, surface: 45 * NM_TO_METERS };
+
+/**
+ * Create a tracker that turns decoded frames into aircraft state updates
+ * @param {Object} options
+ * @param {AircraftStateStore} options.store - Store receiving the updates
+ * @param {{latitude: number, longitude: number}|null} options.reference - Receiver location, enables
+ *   single-frame (local) decoding and range checks
+ * @param {number} options.maxRange - Reject positions further than this from the receiver (meters)
+ * @returns {{handleMessage: Function}} Tracker
+ */
+export function createModeSTracker({ store, reference = null, maxRange = 600000 }) {
+  const cprFrames = new Map();
+  let messagesSinceCleanup = 0;
+
+  const inRange = (position, limit = maxRange) => (
+    !reference ||
+    haversineDistance(reference.latitude, reference.longitude, position.latitude, position.longitude) <= limit
+  );
+
+  const resolvePosition = (icao24, cpr, time) => {
+    const frames = cprFrames.get(icao24) ?? {};
+    cprFrames.set(icao24, frames);
+
+    const frame = { ...cpr, time };
+    frames[cpr.odd ? 'odd' : 'even'] = frame;
+
+    // Global decode from an even/odd pair (airborne only)
+    const { even, odd } = frames;
+    if (!cpr.surface && even && odd && !even.surface && !odd.surface &&
+        Math.abs(even.time - odd.time) <= MAX_FRAME_GAP_S) {
+      const position = decodeCprGlobal(even, odd);
+      if (position && inRange(position)) return position;
+    }
+
+    // Local decode relative to the aircraft's own recent position
+    const state = store.get(icao24);
+    if (state?.time_position !== undefined && time - state.time_position <= LOCAL_REFERENCE_AGE_S) {
+      return decodeCprLocal(frame, state.latitude, state.longitude, cpr.surface);
+    }
+
+    // Local decode relative to the receiver
+    if (reference) {
+      const position = decodeCprLocal(frame, reference.latitude, reference.longitude, cpr.surface);
+      const limit = cpr.surface ? MAX_LOCAL_RANGE_M.surface : MAX_LOCAL_RANGE_M.airborne;
+      if (inRange(position, limit)) return position;
+    }
+
+    return null;
+  };
+
+  // Forget CPR frames of aircraft the store has expired
+  const cleanupFrames = () => {
+    for (const icao24 of cprFrames.keys()) {
+      if (!store.get(icao24)) cprFrames.delete(icao24);
+    }
+  };
+
+  const handleMessage = (bytes, { mlat = false } = {}) => {
+    const message = decodeModeS(bytes);
+    if (!message) return;
+
+    // Addresses recovered from parity are only trusted for aircraft already seen
+    if (message.addressFromParity && !store.get(message.icao24)) return;
+
+    const time = Date.now() / 1000;
+    const fields = { ...message.fields };
+    if (message.cpr) {
+      const position = resolvePosition(message.icao24, message.cpr, time);
+      if (position) Object.assign(fields, position);
+    }
+
+    store.update(message.icao24, fields, {
+      time,
+      positionSource: mlat ? POSITION_SOURCE.MLAT : (message.positionSource ?? POSITION_SOURCE.ADSB)
+    });
+
+    if (++messagesSinceCleanup >= 5000) {
+      messagesSinceCleanup = 0;
+      cleanupFrames();
+    }
+  };
+
+  return { handleMessage };
+}
+
+/**
+ * Connect to a raw Mode-S feed and merge decoded messages into a store
+ * @param {Object} options
+ * @param {string} options.host - Feed host
+ * @param {number} options.port - Feed port
+ * @param {'beast'|'avr'} options.format - Stream format
+ * @param {AircraftStateStore} options.store - Store receiving the updates
+ * @param {Object|null} options.reference - Receiver location { latitude, longitude }
+ * @returns {Object} Feed handle (see createTcpFeed)
+ */
+export function createModeSFeed({ host, port, format = 'beast', store, reference = null }) {
+  const tracker = createModeSTracker({ store, reference });
+  const parser = format === 'avr'
+    ? createAvrParser(tracker.handleMessage)
+    : createBeastParser(tracker.handleMessage);
+
+  return createTcpFeed({
+    name: `Mode-S ${format.toUpperCase()}`,
+    host,
+    port,
+    onConnect: parser.reset,
+    onData: parser.push
+  });
+}
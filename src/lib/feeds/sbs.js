@@ -0,0 +1,118 @@
+/**
+ * SBS-1 BaseStation feed (CSV over TCP, usually port 30003)
+ * Format reference: http://woodair.net/sbs/article/barebones42_socket_data.htm
+ *
+ * Each MSG line carries a subset of the aircraft state depending on its
+ * transmission type:
+ * - 1: identification (callsign)
+ * - 2: surface position (altitude, speed, track, position)
+ * - 3: airborne position (altitude, position, flags)
+ * - 4: airborne velocity (speed, track, vertical rate)
+ * - 5: surveillance altitude (altitude, flags)
+ * - 6: surveillance ID (altitude, squawk, flags)
+ * - 7: air-to-air (altitude)
+ * - 8: all-call reply (ground flag)
+ */
+
+import { createTcpFeed } from './tcp-client';
+
+const FEET_TO_METERS = 0.3048;
+const KNOTS_TO_MS = 0.514444;
+const FPM_TO_MS = 0.00508;
+
+// Column positions in a MSG line
+const FIELD = {
+  TRANSMISSION_TYPE: 1,
+  HEX_IDENT: 4,
+  CALLSIGN: 10,
+  ALTITUDE: 11,
+  GROUND_SPEED: 12,
+  TRACK: 13,
+  LATITUDE: 14,
+  LONGITUDE: 15,
+  VERTICAL_RATE: 16,
+  SQUAWK: 17,
+  SPI: 20,
+  IS_ON_GROUND: 21,
+};
+
+const parseNumber = (value, factor = 1) => {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number * factor : null;
+};
+
+// Flags are "-1" (true) or "0" (false); empty when not carried
+const parseFlag = (value) => {
+  if (value === undefined || value === '') return null;
+  return value === '-1' || value === '1';
+};
+
+/**
+ * Parse one SBS-1 line
+ * @param {string} line - CSV line
+ * @returns {{icao24: string, transmissionType: number, fields: Object}|null} Update, or null for non-MSG or malformed lines
+ */
+export function parseSbsLine(line) {
+  const parts = line.trim().split(',');
+  if (parts[0] !== 'MSG' || parts.length < 11) return null;
+
+  const transmissionType = Number(parts[FIELD.TRANSMISSION_TYPE]);
+  const icao24 = parts[FIELD.HEX_IDENT]?.trim().toLowerCase();
+  if (!(transmissionType >= 1 && transmissionType <= 8) || !/^[0-9a-f]{6}$/.test(icao24)) {
+    return null;
+  }
+
+  const onGround = transmissionType === 2 ? true : parseFlag(parts[FIELD.IS_ON_GROUND]);
+
+  return {
+    icao24,
+    transmissionType,
+    fields: {
+      callsign: parts[FIELD.CALLSIGN]?.trim() || null,
+      baro_altitude: parseNumber(parts[FIELD.ALTITUDE], FEET_TO_METERS),
+      velocity: parseNumber(parts[FIELD.GROUND_SPEED], KNOTS_TO_MS),
+      true_track: parseNumber(parts[FIELD.TRACK]),
+      latitude: parseNumber(parts[FIELD.LATITUDE]),
+      longitude: parseNumber(parts[FIELD.LONGITUDE]),
+      vertical_rate: parseNumber(parts[FIELD.VERTICAL_RATE], FPM_TO_MS),
+      squawk: parts[FIELD.SQUAWK]?.trim() || null,
+      spi: parseFlag(parts[FIELD.SPI]),
+      on_ground: onGround
+    }
+  };
+}
+
+/**
+ * Connect to an SBS-1 feed and merge its messages into a store
+ * @param {Object} options
+ * @param {string} options.host - Feed host
+ * @param {number} options.port - Feed port
+ * @param {AircraftStateStore} options.store - Store receiving the updates
+ * @returns {Object} Feed handle (see createTcpFeed)
+ */
+export function createSbsFeed({ host, port, store }) {
+  let buffer = '';
+
+  return createTcpFeed({
+    name: 'SBS',
+    host,
+    port,
+    onConnect: () => {
+      buffer = '';
+    },
+    onData: (chunk) => {
+      buffer += chunk.toString('latin1');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      const time = Date.now() / 1000;
+      for (const line of lines) {
+        const message = parseSbsLine(line);
+        if (message) {
+          store.update(message.icao24, message.fields, { time });
+        }
+      }
+    }
+  });
+}
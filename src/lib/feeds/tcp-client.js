@@ -0,0 +1,85 @@
+/**
+ * Reconnecting TCP client for receiver feeds
+ * Keeps a connection to a decoder port open, reconnecting with exponential
+ * backoff when the connection drops or cannot be established.
+ */
+
+import net from 'node:net';
+
+const MAX_RECONNECT_DELAY_MS = 60000;
+
+/**
+ * Connect to a TCP feed
+ * @param {Object} options
+ * @param {string} options.name - Feed name used in logs
+ * @param {string} options.host - Host to connect to
+ * @param {number} options.port - Port to connect to
+ * @param {Function} options.onData - Called with each received Buffer
+ * @param {Function} options.onConnect - Called after each (re)connect, e.g. to reset parser state
+ * @param {number} options.reconnectDelay - Initial reconnect delay in milliseconds
+ * @returns {{stop: Function, isConnected: Function, getLastError: Function}} Feed handle
+ */
+export function createTcpFeed({ name, host, port, onData, onConnect, reconnectDelay = 2000 }) {
+  let socket = null;
+  let connected = false;
+  let lastError = null;
+  let stopped = false;
+  let retryTimer = null;
+  let delay = reconnectDelay;
+
+  const scheduleReconnect = () => {
+    if (stopped || retryTimer) return;
+    console.warn(`[${name}] Disconnected from ${host}:${port}, retrying in ${Math.round(delay / 1000)}s`);
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect();
+    }, delay);
+    // Don't keep the process alive just to reconnect
+    retryTimer.unref?.();
+    delay = Math.min(delay * 2, MAX_RECONNECT_DELAY_MS);
+  };
+
+  const connect = () => {
+    socket = net.createConnection({ host, port });
+    socket.setKeepAlive(true);
+
+    socket.on('connect', () => {
+      connected = true;
+      lastError = null;
+      delay = reconnectDelay;
+      console.log(`[${name}] Connected to ${host}:${port}`);
+      onConnect?.();
+    });
+
+    socket.on('data', (chunk) => {
+      try {
+        onData(chunk);
+      } catch (error) {
+        console.error(`[${name}] Failed to process data:`, error.message);
+      }
+    });
+
+    socket.on('error', (error) => {
+      lastError = error;
+      console.error(`[${name}] Connection error:`, error.message);
+    });
+
+    socket.on('close', () => {
+      connected = false;
+      scheduleReconnect();
+    });
+  };
+
+  connect();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      socket?.destroy();
+    },
+    isConnected: () => connected,
+    // Error from the latest failed attempt, null while connecting or connected
+    getLastError: () => lastError
+  };
+}
@@ -0,0 +1,359 @@
+/**
+ * Compact wire formats for flight lists
+ * Shared by /api/flights (encoding) and useFlightData (decoding).
+ *
+ * columnar - JSON with a field header and one array per field instead of one
+ *   object per aircraft. Lossless.
+ * binary - little-endian buffer with typed-array columns:
+ *     bytes 0-3   magic "AVF1"
+ *     bytes 4-7   header length (uint32)
+ *     header      UTF-8 JSON, space-padded to a multiple of 4 bytes:
+ *                 { body, count, fields, columns: [{ field, type }], values, dictionaries }
+ *     columns     in header order, each `count` elements; 4-byte types first so
+ *                 every column is aligned for a typed-array view
+ *   Coordinates are quantized to 1e-5 degrees (about 1 m), other numbers are
+ *   float32. Free-text fields travel in the header; repetitive ones as
+ *   dictionary indices. Aircraft without a valid ICAO24 are left out, and a
+ *   delta's `updated` changes are rounded the same way as the columns so
+ *   positions don't jitter between full and delta frames.
+ *   decodeBinaryColumns reads the columns as typed arrays (for the map
+ *   layer's flight table); decodeBinary turns them back into flight objects.
+ *
+ * In both formats the response body keeps its other fields (id, time, delta,
+ * updated, removed, ...); only the flight list (`flights`, or `added` for a
+ * delta) is replaced by columns.
+ */
+
+export const WIRE_FORMATS = ['json', 'columnar', 'binary'];
+
+export const BINARY_CONTENT_TYPE = 'application/vnd.avara.flights';
+
+const MAGIC = 'AVF1';
+const COORD_SCALE = 1e5;
+const INT32_NULL = -0x80000000;
+const UINT16_NULL = 0xffff;
+const UINT8_NULL = 0xff;
+const ICAO24_PATTERN = /^[0-9a-f]{6}$/;
+
+// Binary column type per known field; other fields travel as JSON values
+const FIELD_TYPES = {
+  icao24: 'hex24',
+  callsign: 'string',
+  origin_country: 'enum',
+  time_position: 'uint32',
+  last_contact: 'uint32',
+  longitude: 'coord',
+  latitude: 'coord',
+  baro_altitude: 'float32',
+  on_ground: 'bool',
+  velocity: 'float32',
+  true_track: 'float32',
+  vertical_rate: 'float32',
+  sensors: 'json',
+  geo_altitude: 'float32',
+  squawk: 'string',
+  spi: 'bool',
+  position_source: 'uint8',
+  position_age: 'float32',
+  data_source: 'enum',
+};
+
+// Element size of each column type in the binary body (0 = header only)
+const TYPE_SIZES = { hex24: 4, uint32: 4, coord: 4, float32: 4, enum: 2, bool: 1, uint8: 1, string: 0, json: 0 };
+
+/**
+ * Field names present in a flight list, known fields first
+ */
+const collectFields = (flights) => {
+  const fields = new Set(Object.keys(FIELD_TYPES));
+  for (const flight of flights) {
+    for (const field of Object.keys(flight)) {
+      fields.add(field);
+    }
+  }
+  return Array.from(fields);
+};
+
+/**
+ * Name of the list a body carries: `added` for deltas, `flights` otherwise
+ */
+const listField = (body) => (body.delta ? 'added' : 'flights');
+
+/**
+ * Encode a response body in a wire format
+ * @param {Object} body - Response body
+ * @param {string} format - One of WIRE_FORMATS
+ * @returns {Object|Uint8Array} Encoded body (binary returns bytes)
+ */
+export function encodeBody(body, format) {
+  if (format === 'columnar') return encodeColumnar(body);
+  if (format === 'binary') return encodeBinary(body);
+  return body;
+}
+
+/**
+ * Restore flight objects in a parsed JSON body (plain or columnar)
+ * @param {Object} data - Parsed response body
+ * @returns {Object} Body with a plain flight list
+ */
+export function decodeBody(data) {
+  return data.format === 'columnar' ? decodeColumnar(data) : data;
+}
+
+/**
+ * Encode a response body in the columnar format
+ * @param {Object} body - Body with a `flights` (or, for deltas, `added`) list
+ * @returns {Object} Body with `format`, `fields` and `columns` instead of the list
+ */
+export function encodeColumnar(body) {
+  const { [listField(body)]: flights, ...rest } = body;
+  const fields = collectFields(flights);
+  const columns = fields.map(field => flights.map(flight => flight[field] ?? null));
+  return { ...rest, format: 'columnar', fields, columns };
+}
+
+/**
+ * Decode a columnar body back into flight objects
+ * @param {Object} data - Body from encodeColumnar
+ * @returns {Object} Body with the flight list restored
+ */
+export function decodeColumnar(data) {
+  const { format, fields, columns, ...rest } = data;
+  const count = columns[0]?.length ?? 0;
+  const flights = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const flight = {};
+    fields.forEach((field, column) => {
+      flight[field] = columns[column][i];
+    });
+    flights[i] = flight;
+  }
+  return { ...rest, [listField(rest)]: flights };
+}
+
+/**
+ * Encode a response body in the binary format
+ * @param {Object} body - Body with a `flights` (or, for deltas, `added`) list
+ * @returns {Uint8Array} Encoded buffer
+ */
+export function encodeBinary(body) {
+  const { [listField(body)]: list, ...rest } = body;
+  const flights = list.filter(hasValidIcao24);
+  const count = flights.length;
+  if (rest.updated) {
+    rest.updated = rest.updated.filter(hasValidIcao24).map(quantizeChanges);
+  }
+  const fields = collectFields(flights);
+
+  const columns = fields
+    .map(field => ({ field, type: FIELD_TYPES[field] ?? 'json' }))
+    .sort((a, b) => TYPE_SIZES[b.type] - TYPE_SIZES[a.type]);
+
+  const values = {};
+  const dictionaries = {};
+  const binaryColumns = [];
+
+  for (const { field, type } of columns) {
+    const column = flights.map(flight => flight[field] ?? null);
+    if (TYPE_SIZES[type] === 0) {
+      values[field] = column;
+    } else {
+      binaryColumns.push({ type, data: toTypedColumn(type, column, field, dictionaries) });
+    }
+  }
+
+  const encoder = new TextEncoder();
+  let header = encoder.encode(JSON.stringify({ body: rest, count, fields, columns, values, dictionaries }));
+  const padding = (4 - (header.length % 4)) % 4;
+  if (padding) {
+    const padded = new Uint8Array(header.length + padding).fill(0x20);
+    padded.set(header);
+    header = padded;
+  }
+
+  const columnBytes = binaryColumns.reduce((total, column) => total + column.data.byteLength, 0);
+  const output = new Uint8Array(8 + header.length + columnBytes);
+  output.set(encoder.encode(MAGIC), 0);
+  new DataView(output.buffer).setUint32(4, header.length, true);
+  output.set(header, 8);
+
+  let offset = 8 + header.length;
+  for (const { data } of binaryColumns) {
+    output.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), offset);
+    offset += data.byteLength;
+  }
+  return output;
+}
+
+/**
+ * Whether a flight has an ICAO24 address the hex24 column can carry
+ */
+const hasValidIcao24 = (flight) => typeof flight.icao24 === 'string' && ICAO24_PATTERN.test(flight.icao24);
+
+/**
+ * Round delta changes the way the binary columns round them
+ */
+const quantizeChanges = (changes) => {
+  const quantized = { ...changes };
+  for (const [field, value] of Object.entries(changes)) {
+    if (!Number.isFinite(value)) continue;
+    if (FIELD_TYPES[field] === 'coord') {
+      quantized[field] = Math.round(value * COORD_SCALE) / COORD_SCALE;
+    } else if (FIELD_TYPES[field] === 'float32') {
+      quantized[field] = Number(Math.fround(value).toPrecision(7));
+    }
+  }
+  return quantized;
+};
+
+/**
+ * Pack one column into its typed array
+ */
+const toTypedColumn = (type, column, field, dictionaries) => {
+  switch (type) {
+    case 'hex24':
+      return Uint32Array.from(column, value => parseInt(value, 16));
+    case 'uint32':
+      return Uint32Array.from(column, value => value ?? 0);
+    case 'coord':
+      return Int32Array.from(column, value => (Number.isFinite(value) ? Math.round(value * COORD_SCALE) : INT32_NULL));
+    case 'float32':
+      return Float32Array.from(column, value => (Number.isFinite(value) ? value : NaN));
+    case 'enum': {
+      const dictionary = [];
+      const indices = new Map();
+      dictionaries[field] = dictionary;
+      return Uint16Array.from(column, value => {
+        if (value === null) return UINT16_NULL;
+        if (!indices.has(value)) {
+          indices.set(value, dictionary.length);
+          dictionary.push(value);
+        }
+        return indices.get(value);
+      });
+    }
+    case 'bool':
+      return Uint8Array.from(column, value => (value === null ? UINT8_NULL : Number(Boolean(value))));
+    case 'uint8':
+      return Uint8Array.from(column, value => value ?? UINT8_NULL);
+    default:
+      throw new Error(`Unknown column type "${type}"`);
+  }
+};
+
+/**
+ * Decode a binary buffer into typed-array columns without building objects
+ * Numeric columns are views on the buffer; nulls are NaN (float32), 0 (uint32),
+ * -2^31 (coord, before scaling) or 255 (uint8/bool). Use numericColumn for the
+ * numbers and readColumnValue for single values.
+ * @param {ArrayBuffer} buffer - Encoded buffer
+ * @returns {{body: Object, count: number, fields: Array, columns: Object}} Body without
+ *   the flight list, aircraft count, field order and columns keyed by field
+ */
+export function decodeBinaryColumns(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+  if (decoder.decode(bytes.subarray(0, 4)) !== MAGIC) {
+    throw new Error('Not a binary flight buffer');
+  }
+
+  const headerLength = new DataView(buffer).getUint32(4, true);
+  const header = JSON.parse(decoder.decode(bytes.subarray(8, 8 + headerLength)));
+  const { body, count, fields, values, dictionaries } = header;
+
+  const columns = {};
+  let offset = 8 + headerLength;
+  for (const { field, type } of header.columns) {
+    const size = TYPE_SIZES[type];
+    if (size === 0) {
+      columns[field] = { type, data: values[field] };
+      continue;
+    }
+
+    const ArrayType = {
+      hex24: Uint32Array, uint32: Uint32Array, coord: Int32Array, float32: Float32Array,
+      enum: Uint16Array, bool: Uint8Array, uint8: Uint8Array,
+    }[type];
+    columns[field] = { type, data: new ArrayType(buffer, offset, count), dictionary: dictionaries[field] };
+    offset += size * count;
+  }
+
+  return { body, count, fields, columns };
+}
+
+/**
+ * Numbers of a decoded binary column as a typed array, NaN where missing
+ * float32 columns are returned as they are (a view on the buffer).
+ * @param {Object} column - Column from decodeBinaryColumns
+ * @returns {Float32Array|Float64Array}
+ */
+export function numericColumn({ type, data }) {
+  switch (type) {
+    case 'float32':
+      return data;
+    case 'coord':
+      return Float64Array.from(data, value => (value === INT32_NULL ? NaN : value / COORD_SCALE));
+    case 'uint32':
+      return Float64Array.from(data, value => (value === 0 ? NaN : value));
+    case 'bool':
+    case 'uint8':
+      return Float32Array.from(data, value => (value === UINT8_NULL ? NaN : value));
+    default:
+      throw new Error(`Column type "${type}" is not numeric`);
+  }
+}
+
+/**
+ * Read one value from a decoded binary column
+ * @param {Object} column - Column from decodeBinaryColumns
+ * @param {number} index - Row
+ * @returns {*} Value as it was encoded (null when missing)
+ */
+export function readColumnValue({ type, data, dictionary }, index) {
+  const value = data[index];
+  switch (type) {
+    case 'hex24':
+      return value.toString(16).padStart(6, '0');
+    case 'uint32':
+      return value === 0 ? null : value;
+    case 'coord':
+      return value === INT32_NULL ? null : value / COORD_SCALE;
+    case 'float32':
+      // Trim float32 noise (e.g. -3.200000047683716) back to its 7 significant digits
+      return Number.isNaN(value) ? null : Number(value.toPrecision(7));
+    case 'enum':
+      return value === UINT16_NULL ? null : dictionary[value];
+    case 'bool':
+      return value === UINT8_NULL ? null : value === 1;
+    case 'uint8':
+      return value === UINT8_NULL ? null : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Build the response body with flight objects from decoded binary columns
+ * @param {Object} decoded - Result of decodeBinaryColumns
+ * @returns {Object} Body with the flight list restored
+ */
+export function flightsFromColumns({ body, count, fields, columns }) {
+  const flights = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const flight = {};
+    for (const field of fields) {
+      flight[field] = readColumnValue(columns[field], i);
+    }
+    flights[i] = flight;
+  }
+  return { ...body, [listField(body)]: flights };
+}
+
+/**
+ * Decode a binary buffer back into a response body with flight objects
+ * @param {ArrayBuffer} buffer - Encoded buffer
+ * @returns {Object} Body with the flight list restored
+ */
+export function decodeBinary(buffer) {
+  return flightsFromColumns(decodeBinaryColumns(buffer));
+}
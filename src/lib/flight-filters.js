@@ -0,0 +1,239 @@
+/**
+ * Flight filters
+ * Narrow the aircraft shown on the map by altitude band, speed, vertical
+ * rate, country of registration, ground state, position source, squawk and a
+ * query in the flight query language (see flight-query.js).
+ * Every active filter also reports how many aircraft it hides on its own, so
+ * the UI can show what each one costs.
+ */
+
+import { compileCallsignFilter } from './geofences.js';
+import { compileFlightQuery, MAX_QUERY_LENGTH, POSITION_SOURCES } from './flight-query.js';
+
+export { POSITION_SOURCES };
+
+const FEET_TO_METERS = 0.3048;
+const KNOTS_TO_MS = 0.514444;
+const FPM_TO_MS = 0.00508;
+
+export const GROUND_STATES = ['all', 'airborne', 'ground'];
+
+/**
+ * Filters that show everything
+ * Bands are in feet, knots and feet per minute; null means unbounded.
+ */
+export const DEFAULT_FILTERS = {
+  minAltitude: null,
+  maxAltitude: null,
+  minSpeed: null,
+  maxSpeed: null,
+  minVerticalRate: null,
+  maxVerticalRate: null,
+  countries: [],
+  state: 'all',
+  sources: [],
+  squawk: '',
+  query: ''
+};
+
+// Filter fields cleared together by each chip
+export const FILTER_GROUPS = {
+  altitude: ['minAltitude', 'maxAltitude'],
+  speed: ['minSpeed', 'maxSpeed'],
+  verticalRate: ['minVerticalRate', 'maxVerticalRate'],
+  countries: ['countries'],
+  state: ['state'],
+  sources: ['sources'],
+  squawk: ['squawk'],
+  query: ['query'],
+};
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Normalize filters from storage or a URL (unknown fields are dropped)
+ * @param {Object} raw - Filters as stored
+ * @returns {Object} Complete filters
+ */
+export const normalizeFilters = (raw) => {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const codes = new Set(POSITION_SOURCES.map(({ code }) => code));
+  return {
+    minAltitude: toNumberOrNull(source.minAltitude),
+    maxAltitude: toNumberOrNull(source.maxAltitude),
+    minSpeed: toNumberOrNull(source.minSpeed),
+    maxSpeed: toNumberOrNull(source.maxSpeed),
+    minVerticalRate: toNumberOrNull(source.minVerticalRate),
+    maxVerticalRate: toNumberOrNull(source.maxVerticalRate),
+    countries: Array.isArray(source.countries)
+      ? [...new Set(source.countries.filter(country => typeof country === 'string' && country.trim()))]
+      : [],
+    state: GROUND_STATES.includes(source.state) ? source.state : 'all',
+    sources: Array.isArray(source.sources)
+      ? [...new Set(source.sources.map(Number).filter(code => codes.has(code)))]
+      : [],
+    squawk: typeof source.squawk === 'string' ? source.squawk.slice(0, 80) : '',
+    query: typeof source.query === 'string' ? source.query.slice(0, MAX_QUERY_LENGTH) : ''
+  };
+};
+
+const formatNumber = (value) => Math.round(value).toLocaleString();
+
+/**
+ * Label for a band ("Below 10,000 ft", "250–400 kt", "Above 500 ft/min")
+ */
+const describeBand = (min, max, unit) => {
+  if (min !== null && max !== null) return `${formatNumber(min)}–${formatNumber(max)} ${unit}`;
+  if (max !== null) return `Below ${formatNumber(max)} ${unit}`;
+  return `Above ${formatNumber(min)} ${unit}`;
+};
+
+/**
+ * Test for a band on a flight value (SI units); unknown values fail
+ */
+const bandTest = (min, max, factor, read) => (flight) => {
+  const value = read(flight);
+  if (!Number.isFinite(value)) return false;
+  if (min !== null && value < min * factor) return false;
+  if (max !== null && value > max * factor) return false;
+  return true;
+};
+
+/**
+ * Active filters as tests
+ * @param {Object} filters - Normalized filters
+ * @returns {Array<{key: string, label: string, test: Function}>} One entry per active group
+ *   (keys from FILTER_GROUPS); test(flight) is true for aircraft that stay visible
+ */
+export const compileFlightFilters = (filters) => {
+  const active = [];
+
+  if (filters.minAltitude !== null || filters.maxAltitude !== null) {
+    active.push({
+      key: 'altitude',
+      label: describeBand(filters.minAltitude, filters.maxAltitude, 'ft'),
+      // Aircraft on the ground are at 0 ft
+      test: bandTest(filters.minAltitude, filters.maxAltitude, FEET_TO_METERS, flight => (flight.on_ground ? 0 : flight.baro_altitude))
+    });
+  }
+
+  if (filters.minSpeed !== null || filters.maxSpeed !== null) {
+    active.push({
+      key: 'speed',
+      label: describeBand(filters.minSpeed, filters.maxSpeed, 'kt'),
+      test: bandTest(filters.minSpeed, filters.maxSpeed, KNOTS_TO_MS, flight => flight.velocity)
+    });
+  }
+
+  if (filters.minVerticalRate !== null || filters.maxVerticalRate !== null) {
+    active.push({
+      key: 'verticalRate',
+      label: describeBand(filters.minVerticalRate, filters.maxVerticalRate, 'ft/min'),
+      test: bandTest(filters.minVerticalRate, filters.maxVerticalRate, FPM_TO_MS, flight => (flight.on_ground ? 0 : flight.vertical_rate))
+    });
+  }
+
+  if (filters.countries.length > 0) {
+    const countries = new Set(filters.countries);
+    active.push({
+      key: 'countries',
+      label: filters.countries.length === 1 ? filters.countries[0] : `${filters.countries.length} countries`,
+      test: flight => countries.has(flight.origin_country)
+    });
+  }
+
+  if (filters.state !== 'all') {
+    const ground = filters.state === 'ground';
+    active.push({
+      key: 'state',
+      label: ground ? 'On ground' : 'Airborne',
+      test: flight => Boolean(flight.on_ground) === ground
+    });
+  }
+
+  if (filters.sources.length > 0) {
+    const sources = new Set(filters.sources);
+    active.push({
+      key: 'sources',
+      label: POSITION_SOURCES.filter(({ code }) => sources.has(code)).map(({ label }) => label).join(', '),
+      test: flight => sources.has(flight.position_source)
+    });
+  }
+
+  const squawkMatcher = compileCallsignFilter(filters.squawk);
+  if (squawkMatcher) {
+    active.push({
+      key: 'squawk',
+      label: `Squawk ${filters.squawk.trim()}`,
+      test: flight => squawkMatcher(flight.squawk)
+    });
+  }
+
+  // Invalid queries are left out; the query bar shows why
+  let queryTest = null;
+  try {
+    queryTest = compileFlightQuery(filters.query);
+  } catch {
+    queryTest = null;
+  }
+  if (queryTest) {
+    const query = filters.query.trim();
+    active.push({
+      key: 'query',
+      label: query.length > 40 ? `${query.slice(0, 39)}…` : query,
+      test: queryTest
+    });
+  }
+
+  return active;
+};
+
+/**
+ * Apply filters to a snapshot
+ * @param {Array} flights - Flights
+ * @param {Object} filters - Normalized filters
+ * @returns {{flights: Array, active: Array<{key: string, label: string, hidden: number}>, hidden: number}}
+ *   Visible flights, each active filter with the number of aircraft it hides
+ *   by itself, and the number hidden in total
+ */
+export const applyFlightFilters = (flights, filters) => {
+  const tests = compileFlightFilters(filters);
+  if (tests.length === 0) return { flights, active: [], hidden: 0 };
+
+  const hiddenBy = new Array(tests.length).fill(0);
+  const visible = [];
+  for (const flight of flights) {
+    let passes = true;
+    tests.forEach(({ test }, i) => {
+      if (!test(flight)) {
+        hiddenBy[i]++;
+        passes = false;
+      }
+    });
+    if (passes) visible.push(flight);
+  }
+
+  return {
+    flights: visible,
+    active: tests.map(({ key, label }, i) => ({ key, label, hidden: hiddenBy[i] })),
+    hidden: flights.length - visible.length
+  };
+};
+
+/**
+ * Countries in a snapshot with their aircraft counts, most first
+ * @param {Array} flights - Flights
+ * @returns {Array<{country: string, count: number}>}
+ */
+export const countFlightCountries = (flights) => {
+  const counts = new Map();
+  for (const flight of flights) {
+    if (flight.origin_country) counts.set(flight.origin_country, (counts.get(flight.origin_country) ?? 0) + 1);
+  }
+  return Array.from(counts, ([country, count]) => ({ country, count }))
+    .sort((a, b) => b.count - a.count || a.country.localeCompare(b.country));
+};
@@ -0,0 +1,446 @@
+/**
+ * Flight query language
+ * Compiles expressions such as
+ *
+ *   alt > 30000 and country = "Germany" and callsign ~ "^DLH"
+ *
+ * into a predicate over flight objects as returned by /api/flights. Shared by
+ * the map's query bar and the `q` parameter of /api/flights.
+ *
+ * Syntax:
+ * - Comparisons: `field op value` with =, !=, <, <=, >, >=, ~ (regular
+ *   expression, case-insensitive) and !~, or `field in (value, ...)`
+ * - Boolean fields on their own: `ground`, `not ground`
+ * - Combinators: and, or, not (also &&, ||, !) and parentheses; `and` binds
+ *   tighter than `or`
+ * - Values: numbers, "double" or 'single' quoted strings, or bare words
+ *   (`country = Germany`)
+ * - Aircraft without a value for a field fail every comparison on it
+ * - Queries are at most MAX_QUERY_LENGTH characters and nest parentheses and
+ *   `not` at most MAX_QUERY_DEPTH deep
+ */
+
+import { parseCallsign, resolveAirlineCode } from './airlines/index.js';
+
+const METERS_TO_FEET = 3.28084;
+const MS_TO_KNOTS = 1.94384;
+const MS_TO_FPM = 196.850394;
+
+export const MAX_QUERY_LENGTH = 2000;
+export const MAX_QUERY_DEPTH = 32;
+
+// Position sources as reported in `position_source`
+export const POSITION_SOURCES = [
+  { code: 0, label: 'ADS-B' },
+  { code: 1, label: 'ASTERIX' },
+  { code: 2, label: 'MLAT' },
+  { code: 3, label: 'FLARM' },
+  { code: 4, label: 'TIS-B' },
+  { code: 5, label: 'ADS-R' },
+];
+
+/**
+ * Error in a query, with the position it was found at
+ */
+export class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {number} position - Offset in the query (0-based)
+   */
+  constructor(message, position) {
+    super(`${message} (column ${position + 1})`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+// Converted value, or null when the raw one is missing (null * factor would be 0)
+const scaledOrNull = (value, factor) => (Number.isFinite(value) ? value * factor : null);
+
+const trimmedOrNull = (value) => {
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  return text === '' ? null : text;
+};
+
+const sourceLabel = (code) => POSITION_SOURCES.find(source => source.code === code)?.label ?? null;
+
+/**
+ * Queryable fields: type, reader and description
+ * Types: 'number', 'string', 'boolean' and 'airline' (a string compared as
+ * ICAO or IATA airline code).
+ */
+export const QUERY_FIELDS = {
+  callsign: { type: 'string', read: flight => trimmedOrNull(flight.callsign), description: 'Callsign' },
+  icao24: { type: 'string', read: flight => trimmedOrNull(flight.icao24), description: 'ICAO24 address' },
+  country: { type: 'string', read: flight => trimmedOrNull(flight.origin_country), description: 'Country of registration' },
+  squawk: { type: 'string', read: flight => trimmedOrNull(flight.squawk), description: 'Transponder code' },
+  source: { type: 'string', read: flight => sourceLabel(flight.position_source), description: 'Position source (ADS-B, MLAT, FLARM...)' },
+  airline: { type: 'airline', read: flight => parseCallsign(flight.callsign)?.operator ?? null, description: 'Airline ICAO or IATA code' },
+  alt: {
+    type: 'number',
+    read: flight => (flight.on_ground ? 0 : scaledOrNull(flight.baro_altitude, METERS_TO_FEET)),
+    description: 'Barometric altitude (ft)'
+  },
+  geoalt: { type: 'number', read: flight => scaledOrNull(flight.geo_altitude, METERS_TO_FEET), description: 'Geometric altitude (ft)' },
+  speed: { type: 'number', read: flight => scaledOrNull(flight.velocity, MS_TO_KNOTS), description: 'Ground speed (kt)' },
+  vrate: {
+    type: 'number',
+    read: flight => (flight.on_ground ? 0 : scaledOrNull(flight.vertical_rate, MS_TO_FPM)),
+    description: 'Vertical rate (ft/min)'
+  },
+  track: { type: 'number', read: flight => finiteOrNull(flight.true_track), description: 'Track (degrees)' },
+  lat: { type: 'number', read: flight => finiteOrNull(flight.latitude), description: 'Latitude' },
+  lon: { type: 'number', read: flight => finiteOrNull(flight.longitude), description: 'Longitude' },
+  ground: { type: 'boolean', read: flight => Boolean(flight.on_ground), description: 'On the ground' },
+};
+
+const FIELD_ALIASES = {
+  altitude: 'alt',
+  hex: 'icao24',
+  gs: 'speed',
+  velocity: 'speed',
+  vs: 'vrate',
+  heading: 'track',
+  on_ground: 'ground',
+  origin_country: 'country',
+};
+
+const OPERATORS_BY_TYPE = {
+  number: ['=', '!=', '<', '<=', '>', '>=', 'in'],
+  string: ['=', '!=', '~', '!~', 'in'],
+  airline: ['=', '!=', 'in'],
+  boolean: ['=', '!='],
+};
+
+const KEYWORDS = { and: 'and', or: 'or', not: 'not', in: 'in' };
+
+/**
+ * Split a query into tokens ({ type, value, position })
+ * Types: 'word', 'number', 'string', 'op', 'and', 'or', 'not', 'in', '(', ')', ','
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== char) {
+        if (text[i] === '\\' && i + 1 < text.length) i++;
+        value += text[i];
+        i++;
+      }
+      if (i >= text.length) throw new QuerySyntaxError('Unterminated string', start);
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    const two = text.slice(i, i + 2);
+    if (['!=', '<=', '>=', '!~', '=='].includes(two)) {
+      tokens.push({ type: 'op', value: two === '==' ? '=' : two, position: start });
+      i += 2;
+      continue;
+    }
+    if (two === '&&' || two === '||') {
+      tokens.push({ type: two === '&&' ? 'and' : 'or', value: two, position: start });
+      i += 2;
+      continue;
+    }
+    if ('=<>~'.includes(char)) {
+      tokens.push({ type: 'op', value: char, position: start });
+      i++;
+      continue;
+    }
+    if (char === '!') {
+      tokens.push({ type: 'not', value: char, position: start });
+      i++;
+      continue;
+    }
+    if ('(),'.includes(char)) {
+      tokens.push({ type: char, value: char, position: start });
+      i++;
+      continue;
+    }
+
+    const number = /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?(?![\w.-])/i.exec(text.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), raw: number[0], position: start });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = /^[\w.-]+/.exec(text.slice(i));
+    if (word) {
+      const keyword = KEYWORDS[word[0].toLowerCase()];
+      tokens.push({ type: keyword ?? 'word', value: word[0], position: start });
+      i += word[0].length;
+      continue;
+    }
+
+    throw new QuerySyntaxError(`Unexpected character "${char}"`, start);
+  }
+
+  return tokens;
+};
+
+/**
+ * Describe a token for error messages
+ */
+const describeToken = (token) => (token ? `"${token.type === 'string' ? token.value : token.raw ?? token.value}"` : 'end of query');
+
+/**
+ * Parse a query into a syntax tree
+ * Nodes: { type: 'and'|'or', left, right }, { type: 'not', operand },
+ * { type: 'compare', field, op, value }, { type: 'in', field, values },
+ * { type: 'flag', field } (boolean field on its own).
+ * @param {string} text - Query
+ * @param {Object} options
+ * @param {boolean} options.allowRegex - Accept ~ and !~; the server turns them
+ *   off because a user's pattern can backtrack for a very long time
+ * @returns {Object|null} Tree, or null for an empty query
+ * @throws {QuerySyntaxError} With the position of the first problem
+ */
+export const parseFlightQuery = (text, { allowRegex = true } = {}) => {
+  const source = String(text ?? '');
+  if (source.length > MAX_QUERY_LENGTH) {
+    throw new QuerySyntaxError(`Query is longer than ${MAX_QUERY_LENGTH} characters`, MAX_QUERY_LENGTH);
+  }
+  const tokens = tokenize(source);
+  if (tokens.length === 0) return null;
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const endPosition = source.length;
+
+  const expect = (type, message) => {
+    const token = peek();
+    if (token?.type !== type) throw new QuerySyntaxError(`${message}, found ${describeToken(token)}`, token?.position ?? endPosition);
+    return next();
+  };
+
+  const readField = () => {
+    const token = peek();
+    if (token?.type !== 'word') {
+      throw new QuerySyntaxError(`Expected a field name, found ${describeToken(token)}`, token?.position ?? endPosition);
+    }
+    next();
+    const name = FIELD_ALIASES[token.value.toLowerCase()] ?? token.value.toLowerCase();
+    if (!QUERY_FIELDS[name]) {
+      throw new QuerySyntaxError(`Unknown field "${token.value}". Fields: ${Object.keys(QUERY_FIELDS).join(', ')}`, token.position);
+    }
+    return { name, token };
+  };
+
+  // A literal converted for the field it is compared with
+  const readValue = (field, op) => {
+    const token = peek();
+    if (!token || !['number', 'string', 'word'].includes(token.type)) {
+      throw new QuerySyntaxError(`Expected a value after "${op}", found ${describeToken(token)}`, token?.position ?? endPosition);
+    }
+    next();
+
+    const { type } = QUERY_FIELDS[field.name];
+    const raw = token.type === 'number' ? token.raw : token.value;
+
+    if (type === 'number') {
+      const value = token.type === 'number' ? token.value : Number(raw);
+      if (raw === '' || !Number.isFinite(value)) {
+        throw new QuerySyntaxError(`"${raw}" is not a number (${field.name} is numeric)`, token.position);
+      }
+      return value;
+    }
+    if (type === 'boolean') {
+      const value = String(raw).toLowerCase();
+      if (value !== 'true' && value !== 'false') {
+        throw new QuerySyntaxError(`${field.name} is true or false, not "${raw}"`, token.position);
+      }
+      return value === 'true';
+    }
+    if (op === '~' || op === '!~') {
+      try {
+        return new RegExp(raw, 'i');
+      } catch (error) {
+        const reason = error.message.replace(/^Invalid regular expression: \/.*\/\w*: /, '');
+        throw new QuerySyntaxError(`Invalid regular expression "${raw}": ${reason}`, token.position);
+      }
+    }
+    if (type === 'airline') {
+      const codes = resolveAirlineCode(raw);
+      if (codes.length === 0) {
+        throw new QuerySyntaxError(`Unknown airline "${raw}". Use ICAO (DLH) or IATA (LH) codes`, token.position);
+      }
+      return codes;
+    }
+    return String(raw).toUpperCase();
+  };
+
+  const parseComparison = () => {
+    const field = readField();
+    const { type } = QUERY_FIELDS[field.name];
+    const token = peek();
+
+    if (token?.type !== 'op' && token?.type !== 'in') {
+      if (type === 'boolean') return { type: 'flag', field: field.name };
+      throw new QuerySyntaxError(`Expected an operator after "${field.token.value}", found ${describeToken(token)}`, token?.position ?? endPosition);
+    }
+    next();
+
+    const op = token.type === 'in' ? 'in' : token.value;
+    if (!OPERATORS_BY_TYPE[type].includes(op)) {
+      throw new QuerySyntaxError(`Operator "${op}" does not apply to ${field.name}; use ${OPERATORS_BY_TYPE[type].join(' ')}`, token.position);
+    }
+    if (!allowRegex && (op === '~' || op === '!~')) {
+      throw new QuerySyntaxError(`Regular expressions ("${op}") are not accepted here; use = or in`, token.position);
+    }
+
+    if (op === 'in') {
+      expect('(', 'Expected "(" after in');
+      const values = [readValue(field, '(')];
+      while (peek()?.type === ',') {
+        next();
+        values.push(readValue(field, ','));
+      }
+      expect(')', 'Expected "," or ")" in the list');
+      return { type: 'in', field: field.name, values };
+    }
+
+    return { type: 'compare', field: field.name, op, value: readValue(field, op) };
+  };
+
+  let parseOr;
+
+  // Nesting of parentheses and not, bounded so deep queries fail as syntax errors
+  const parsePrimary = (depth = 0) => {
+    const token = peek();
+    if ((token?.type === 'not' || token?.type === '(') && depth >= MAX_QUERY_DEPTH) {
+      throw new QuerySyntaxError(`Query nests deeper than ${MAX_QUERY_DEPTH} levels`, token.position);
+    }
+    if (token?.type === 'not') {
+      next();
+      return { type: 'not', operand: parsePrimary(depth + 1) };
+    }
+    if (token?.type === '(') {
+      next();
+      const expression = parseOr(depth + 1);
+      const closing = peek();
+      if (closing?.type !== ')') {
+        throw new QuerySyntaxError(`Expected ")" to close the "(" at column ${token.position + 1}, found ${describeToken(closing)}`, closing?.position ?? endPosition);
+      }
+      next();
+      return expression;
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = (depth) => {
+    let left = parsePrimary(depth);
+    while (peek()?.type === 'and') {
+      next();
+      left = { type: 'and', left, right: parsePrimary(depth) };
+    }
+    return left;
+  };
+
+  parseOr = (depth = 0) => {
+    let left = parseAnd(depth);
+    while (peek()?.type === 'or') {
+      next();
+      left = { type: 'or', left, right: parseAnd(depth) };
+    }
+    return left;
+  };
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    const token = peek();
+    throw new QuerySyntaxError(`Unexpected ${describeToken(token)}; join conditions with and/or`, token.position);
+  }
+  return tree;
+};
+
+/**
+ * Whether a field value matches one literal
+ */
+const matchesValue = (type, actual, value) => {
+  if (type === 'airline') return value.includes(actual);
+  if (type === 'string') return String(actual).toUpperCase() === value;
+  return actual === value;
+};
+
+const COMPARE = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+};
+
+/**
+ * Turn a syntax tree into a predicate
+ */
+const compileNode = (node) => {
+  switch (node.type) {
+    case 'and': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return flight => left(flight) && right(flight);
+    }
+    case 'or': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return flight => left(flight) || right(flight);
+    }
+    case 'not': {
+      const operand = compileNode(node.operand);
+      return flight => !operand(flight);
+    }
+    case 'flag': {
+      const { read } = QUERY_FIELDS[node.field];
+      return flight => read(flight) === true;
+    }
+    case 'in': {
+      const { type, read } = QUERY_FIELDS[node.field];
+      return (flight) => {
+        const actual = read(flight);
+        return actual !== null && node.values.some(value => matchesValue(type, actual, value));
+      };
+    }
+    default: {
+      const { type, read } = QUERY_FIELDS[node.field];
+      const { op, value } = node;
+      return (flight) => {
+        const actual = read(flight);
+        if (actual === null) return false;
+        if (op === '~') return value.test(actual);
+        if (op === '!~') return !value.test(actual);
+        if (op === '=') return matchesValue(type, actual, value);
+        if (op === '!=') return !matchesValue(type, actual, value);
+        return COMPARE[op](actual, value);
+      };
+    }
+  }
+};
+
+/**
+ * Compile a query into a predicate over flights
+ * @param {string} text - Query
+ * @param {Object} options - See parseFlightQuery
+ * @returns {Function|null} (flight) => boolean, or null for an empty query
+ * @throws {QuerySyntaxError} If the query is invalid
+ */
+export const compileFlightQuery = (text, options) => {
+  const tree = parseFlightQuery(text, options);
+  return tree ? compileNode(tree) : null;
+};
@@ -0,0 +1,113 @@
+/**
+ * Flight search
+ * Ranks flights in a snapshot against free text: callsign, ICAO24 address,
+ * registration and airline. Matching is fuzzy, so "DLH4" finds DLH4AB,
+ * "LH400" finds DLH400 through the IATA code and "lufthansa" finds every
+ * Lufthansa flight.
+ */
+
+import { parseCallsign, resolveAirlineCode, searchAirlines } from './airlines/index.js';
+
+/**
+ * Canonical search text (uppercase letters and digits only)
+ * @param {string} value - Text as typed
+ * @returns {string}
+ */
+export const normalizeSearchText = (value) => String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * How well a query matches a text (both normalized)
+ * Exact matches score highest, then prefixes, substrings and finally the
+ * query's characters appearing in order ("DLH4B" in "DLH4AB"), each
+ * favoring matches that cover more of the text.
+ * @param {string} query - Normalized query
+ * @param {string} text - Normalized text
+ * @returns {number} Score from 0 (no match) to 100
+ */
+export const fuzzyScore = (query, text) => {
+  if (!query || !text) return 0;
+  if (text === query) return 100;
+
+  const coverage = query.length / text.length;
+  if (text.startsWith(query)) return 80 + 10 * coverage;
+
+  const index = text.indexOf(query);
+  if (index !== -1) return 60 + 10 * coverage - Math.min(index, 5);
+
+  // Characters in order; short queries would match almost anything
+  if (query.length < 3 || query[0] !== text[0]) return 0;
+  let gaps = 0;
+  let position = 0;
+  for (const char of query) {
+    const found = text.indexOf(char, position);
+    if (found === -1) return 0;
+    if (found > position) gaps++;
+    position = found + 1;
+  }
+  return Math.max(40 + 10 * coverage - 5 * gaps, 1);
+};
+
+// Airline matches rank below callsign prefixes, weaker airline matches lower
+const AIRLINE_SCORE = 55;
+
+/**
+ * Callsigns a query may stand for when it is an IATA flight number
+ * ("LH400" → ["DLH400"], "BA12" → ["BAW12", "SHT12"])
+ */
+const iataCallsigns = (query) => {
+  const match = /^([A-Z0-9]{2})([0-9][A-Z0-9]{0,4})$/.exec(query);
+  if (!match || !/[A-Z]/.test(match[1])) return [];
+  return resolveAirlineCode(match[1]).map(icao => `${icao}${match[2]}`);
+};
+
+/**
+ * Search a snapshot
+ * @param {Array} flights - Flights
+ * @param {string} query - Text as typed
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.registrations] - icao24 → registration, for aircraft
+ *   whose registration is known (from the aircraft database)
+ * @param {number} [options.limit=8] - Maximum results
+ * @returns {Array<{flight: Object, field: 'callsign'|'icao24'|'registration'|'airline', label: string, score: number}>}
+ *   Best match per flight, best first; `label` is the matched value
+ */
+export const searchFlights = (flights, query, { registrations = new Map(), limit = 8 } = {}) => {
+  const text = normalizeSearchText(query);
+  if (!text) return [];
+
+  const candidates = [text, ...iataCallsigns(text)];
+  const airlineRanks = new Map((text.length >= 2 ? searchAirlines(query, 10) : []).map((airline, rank) => [airline.icao, { airline, rank }]));
+
+  const results = [];
+  for (const flight of flights) {
+    const callsign = flight.callsign?.trim().toUpperCase() || '';
+    const parsed = parseCallsign(callsign);
+    const registration = registrations.get(flight.icao24) ?? parsed?.registration ?? null;
+
+    let best = { field: null, label: null, score: 0 };
+    const consider = (field, label, score) => {
+      if (score > best.score) best = { field, label, score };
+    };
+
+    for (const candidate of candidates) {
+      consider('callsign', callsign, fuzzyScore(candidate, callsign));
+    }
+    consider('icao24', flight.icao24, fuzzyScore(text, flight.icao24.toUpperCase()));
+    if (registration) {
+      // Slightly below an equal callsign match, which is usually the same string
+      consider('registration', registration, fuzzyScore(text, normalizeSearchText(registration)) - 1);
+    }
+    const airlineMatch = parsed?.operator ? airlineRanks.get(parsed.operator) : null;
+    if (airlineMatch) {
+      consider('airline', airlineMatch.airline.name, AIRLINE_SCORE - airlineMatch.rank);
+    }
+
+    if (best.score > 0) results.push({ flight, ...best });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score ||
+      Number(Boolean(a.flight.on_ground)) - Number(Boolean(b.flight.on_ground)) ||
+      (a.flight.callsign || a.flight.icao24).localeCompare(b.flight.callsign || b.flight.icao24))
+    .slice(0, limit);
+};
@@ -0,0 +1,77 @@
+/**
+ * Snapshot broadcaster for /api/flights/stream
+ * Clients watching the same bounding box share one channel. Each channel polls
+ * the shared snapshot cache whenever its snapshot expires and pushes
+ * every new snapshot to all of them, so one upstream fetch fans out to every
+ * open stream.
+ */
+
+import { getSnapshot, getSnapshotKey, SNAPSHOT_TTL_MS } from '@/lib/snapshots';
+
+// Channels live on globalThis so dev-mode module reloads don't orphan open streams
+const channels = globalThis.__avaraFlightChannels ?? (globalThis.__avaraFlightChannels = new Map());
+
+// Slack after a snapshot expires before polling again, so the poll misses the cache
+const POLL_SLACK_MS = 50;
+
+/**
+ * Poll a channel's snapshot, push it to subscribers if it is new and schedule
+ * the next poll for when the snapshot expires
+ */
+const pollChannel = async (channel) => {
+  let nextPollIn = SNAPSHOT_TTL_MS;
+  try {
+    const { snapshot } = await getSnapshot(channel.bbox);
+    nextPollIn = Math.max(snapshot.fetchedAt + SNAPSHOT_TTL_MS - Date.now(), 0) + POLL_SLACK_MS;
+
+    if (snapshot.fetchedAt !== channel.lastSnapshot?.fetchedAt) {
+      channel.lastSnapshot = snapshot;
+      for (const subscriber of channel.subscribers) {
+        subscriber.onSnapshot(snapshot);
+      }
+    }
+  } catch (error) {
+    console.error(`[Flight Stream] Error polling ${channel.key}:`, error.message);
+    for (const subscriber of channel.subscribers) {
+      subscriber.onError(error);
+    }
+  }
+
+  if (channels.get(channel.key) === channel) {
+    channel.timer = setTimeout(() => pollChannel(channel), nextPollIn);
+  }
+};
+
+/**
+ * Subscribe to snapshots for a bounding box
+ * The latest snapshot (if any) is delivered right away.
+ * @param {Object|null} bbox - Bounding box, or null for global
+ * @param {Object} subscriber
+ * @param {Function} subscriber.onSnapshot - Called with each new snapshot
+ * @param {Function} subscriber.onError - Called when a poll fails
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToSnapshots(bbox, subscriber) {
+  const key = getSnapshotKey(bbox);
+  let channel = channels.get(key);
+
+  if (!channel) {
+    channel = { key, bbox, subscribers: new Set(), lastSnapshot: null, timer: null };
+    channels.set(key, channel);
+    pollChannel(channel);
+    console.log(`[Flight Stream] Opened channel ${key}`);
+  } else if (channel.lastSnapshot) {
+    subscriber.onSnapshot(channel.lastSnapshot);
+  }
+
+  channel.subscribers.add(subscriber);
+
+  return () => {
+    channel.subscribers.delete(subscriber);
+    if (channel.subscribers.size === 0 && channels.get(key) === channel) {
+      clearTimeout(channel.timer);
+      channels.delete(key);
+      console.log(`[Flight Stream] Closed channel ${key}`);
+    }
+  };
+}
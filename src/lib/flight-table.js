@@ -0,0 +1,144 @@
+/**
+ * Flight table
+ * Typed-array columns of the numbers the map layer draws from (position,
+ * track, speed, altitude, ground state), one row per aircraft and keyed by
+ * ICAO24. Binary /api/flights frames are copied in column to column from
+ * decodeBinaryColumns without building flight objects; other frames and delta
+ * updates are written aircraft by aircraft. Missing values are NaN.
+ */
+
+import { numericColumn, readColumnValue } from './flight-codec.js';
+
+// Column and array type per field
+export const TABLE_FIELDS = {
+  longitude: Float64Array,
+  latitude: Float64Array,
+  baro_altitude: Float32Array,
+  velocity: Float32Array,
+  true_track: Float32Array,
+  on_ground: Float32Array,
+};
+
+const INITIAL_CAPACITY = 1024;
+
+/**
+ * Table value for a flight field (booleans as 0/1, missing as NaN)
+ */
+const toNumber = (value) => {
+  if (typeof value === 'boolean') return Number(value);
+  return Number.isFinite(value) ? value : NaN;
+};
+
+/**
+ * Create an empty flight table
+ * @returns {Object} Table: { size, columns, row, set, setColumns, remove, clear }
+ */
+export const createFlightTable = () => {
+  let capacity = INITIAL_CAPACITY;
+  let size = 0;
+  // icao24 -> row, and row -> icao24 for moving the last row into a gap
+  const rows = new Map();
+  const keys = [];
+  const columns = Object.fromEntries(
+    Object.entries(TABLE_FIELDS).map(([field, ArrayType]) => [field, new ArrayType(capacity)])
+  );
+
+  const grow = (needed) => {
+    if (needed <= capacity) return;
+    while (capacity < needed) capacity *= 2;
+    for (const [field, ArrayType] of Object.entries(TABLE_FIELDS)) {
+      const column = new ArrayType(capacity);
+      column.set(columns[field].subarray(0, size));
+      columns[field] = column;
+    }
+  };
+
+  /**
+   * Row of an aircraft, added (all NaN) when it isn't in the table yet
+   */
+  const rowFor = (icao24) => {
+    let row = rows.get(icao24);
+    if (row === undefined) {
+      grow(size + 1);
+      row = size++;
+      rows.set(icao24, row);
+      keys[row] = icao24;
+      for (const field of Object.keys(TABLE_FIELDS)) {
+        columns[field][row] = NaN;
+      }
+    }
+    return row;
+  };
+
+  return {
+    get size() {
+      return size;
+    },
+
+    /** Columns keyed by field; only the first `size` rows are in use */
+    columns,
+
+    /**
+     * Row of an aircraft
+     * @param {string} icao24 - Aircraft address
+     * @returns {number|undefined}
+     */
+    row: (icao24) => rows.get(icao24),
+
+    /**
+     * Add an aircraft or update the fields present in `flight` (e.g. delta changes)
+     * @param {Object} flight - Flight or changes with icao24
+     */
+    set: (flight) => {
+      const row = rowFor(flight.icao24);
+      for (const field of Object.keys(TABLE_FIELDS)) {
+        if (field in flight) columns[field][row] = toNumber(flight[field]);
+      }
+    },
+
+    /**
+     * Add or replace the aircraft of a decoded binary frame
+     * @param {Object} decoded - Result of decodeBinaryColumns
+     */
+    setColumns: ({ count, columns: decoded }) => {
+      grow(size + count);
+      const targets = new Uint32Array(count);
+      for (let i = 0; i < count; i++) {
+        targets[i] = rowFor(readColumnValue(decoded.icao24, i));
+      }
+      for (const field of Object.keys(TABLE_FIELDS)) {
+        if (!decoded[field]) continue;
+        const values = numericColumn(decoded[field]);
+        const column = columns[field];
+        targets.forEach((row, i) => {
+          column[row] = values[i];
+        });
+      }
+    },
+
+    /**
+     * Remove an aircraft; the last row moves into its place
+     * @param {string} icao24 - Aircraft address
+     */
+    remove: (icao24) => {
+      const row = rows.get(icao24);
+      if (row === undefined) return;
+      const last = --size;
+      rows.delete(icao24);
+      if (row !== last) {
+        for (const field of Object.keys(TABLE_FIELDS)) {
+          columns[field][row] = columns[field][last];
+        }
+        keys[row] = keys[last];
+        rows.set(keys[row], row);
+      }
+      keys.length = size;
+    },
+
+    clear: () => {
+      rows.clear();
+      keys.length = 0;
+      size = 0;
+    },
+  };
+};
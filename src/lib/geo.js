@@ -0,0 +1,61 @@
+/**
+ * Geodesy helpers (spherical earth model)
+ */
+
+export const EARTH_RADIUS_M = 6371008.8;
+
+const toRadians = (deg) => deg * Math.PI / 180;
+const toDegrees = (rad) => rad * 180 / Math.PI;
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Distance in meters
+ */
+export const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Point reached by travelling a distance along a bearing from a start point
+ * @param {number} lat - Start latitude in degrees
+ * @param {number} lon - Start longitude in degrees
+ * @param {number} bearing - True bearing in degrees
+ * @param {number} distance - Distance in meters
+ * @returns {{latitude: number, longitude: number}}
+ */
+export const destinationPoint = (lat, lon, bearing, distance) => {
+  const delta = distance / EARTH_RADIUS_M;
+  const theta = toRadians(bearing);
+  const phi1 = toRadians(lat);
+  const lambda1 = toRadians(lon);
+
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+  );
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+  );
+
+  return {
+    latitude: toDegrees(phi2),
+    longitude: ((toDegrees(lambda2) + 540) % 360) - 180
+  };
+};
+
+/**
+ * Initial true bearing from one point to another
+ * @returns {number} Bearing in degrees [0, 360)
+ */
+export const initialBearing = (lat1, lon1, lat2, lon2) => {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLambda = toRadians(lon2 - lon1);
+  const y = Math.sin(dLambda) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLambda);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
@@ -0,0 +1,296 @@
+/**
+ * User-drawn geofences (polygons and circles)
+ * A fence is an area plus an optional altitude band and callsign filter, so
+ * it behaves like a volume: an aircraft climbing out of the band or changing
+ * callsign leaves it just like one flying across the edge.
+ *
+ * Fences are plain JSON (persisted in the browser) and are evaluated against
+ * every snapshot to produce enter/exit events.
+ */
+
+import { haversineDistance, destinationPoint } from './geo.js';
+
+export const GEOFENCE_SHAPES = ['polygon', 'circle'];
+
+// Colors handed out to new fences in turn
+export const GEOFENCE_COLORS = ['#38bdf8', '#f472b6', '#a3e635', '#fbbf24', '#c084fc', '#2dd4bf'];
+
+const FEET_TO_METERS = 0.3048;
+
+// Vertices used to draw a circle
+const CIRCLE_STEPS = 64;
+
+const isCoordinate = (value) => (
+  Array.isArray(value) && value.length >= 2 &&
+  Number.isFinite(value[0]) && Number.isFinite(value[1]) && Math.abs(value[1]) <= 90
+);
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Make a polygon ring continuous across the antimeridian
+ * Each vertex's longitude is shifted by whole turns to stay within 180° of
+ * the previous one, so rings may extend past ±180.
+ * @param {Array<[number, number]>} ring - [lon, lat] vertices
+ * @returns {Array<[number, number]>}
+ */
+export const unwrapRing = (ring) => {
+  const result = [];
+  for (const [lon, lat] of ring) {
+    const previous = result[result.length - 1];
+    const unwrapped = previous ? lon - 360 * Math.round((lon - previous[0]) / 360) : lon;
+    result.push([unwrapped, lat]);
+  }
+  return result;
+};
+
+/**
+ * Normalize a fence from storage or an import
+ * @param {Object} raw - Fence as stored
+ * @returns {Object|null} Fence, or null if it is not usable
+ */
+export const normalizeGeofence = (raw) => {
+  if (!raw || typeof raw !== 'object' || !GEOFENCE_SHAPES.includes(raw.shape)) return null;
+
+  const fence = {
+    id: String(raw.id || createGeofenceId()),
+    name: String(raw.name || 'Untitled area').slice(0, 80),
+    shape: raw.shape,
+    color: typeof raw.color === 'string' ? raw.color : GEOFENCE_COLORS[0],
+    enabled: raw.enabled !== false,
+    minAltitude: toNumberOrNull(raw.minAltitude), // feet
+    maxAltitude: toNumberOrNull(raw.maxAltitude), // feet
+    callsigns: String(raw.callsigns ?? '').trim().toUpperCase(),
+    createdAt: Number(raw.createdAt) || 0,
+    updatedAt: Number(raw.updatedAt) || 0
+  };
+
+  if (raw.shape === 'circle') {
+    const radius = toNumberOrNull(raw.radius);
+    if (!isCoordinate(raw.center) || !(radius > 0)) return null;
+    return { ...fence, center: [raw.center[0], raw.center[1]], radius };
+  }
+
+  const coordinates = Array.isArray(raw.coordinates) ? raw.coordinates.filter(isCoordinate) : [];
+  if (coordinates.length < 3) return null;
+  return { ...fence, coordinates: unwrapRing(coordinates.map(([lon, lat]) => [lon, lat])) };
+};
+
+/**
+ * Unique fence id
+ */
+export const createGeofenceId = () => (
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+/**
+ * Create a fence from a drawn shape
+ * @param {Object} geometry - { shape: 'polygon', coordinates } or { shape: 'circle', center, radius (m) }
+ * @param {Object} options
+ * @param {string} options.name - Display name
+ * @param {string} options.color - Outline/fill color
+ * @param {number} options.now - Creation time (ms)
+ * @returns {Object|null} Fence, or null if the geometry is not usable
+ */
+export const createGeofence = (geometry, { name, color, now }) => normalizeGeofence({
+  ...geometry,
+  id: createGeofenceId(),
+  name,
+  color,
+  enabled: true,
+  createdAt: now,
+  updatedAt: now
+});
+
+/**
+ * Ray-casting point-in-polygon test
+ * The longitude is also tried one turn either way so unwrapped rings work.
+ * @param {number} lon - Degrees
+ * @param {number} lat - Degrees
+ * @param {Array<[number, number]>} ring - [lon, lat] vertices (unclosed)
+ */
+export const pointInPolygon = (lon, lat, ring) => {
+  const test = (x) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && x < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  };
+  return test(lon) || test(lon + 360) || test(lon - 360);
+};
+
+/**
+ * Compile a callsign filter ("BAW*, EZY, N1?3") into a matcher
+ * Patterns are comma or space separated; * and ? are wildcards and a
+ * pattern without * matches as a prefix.
+ * @param {string} filter - Filter text
+ * @returns {Function|null} (callsign) => boolean, or null for no filter
+ */
+export const compileCallsignFilter = (filter) => {
+  const patterns = String(filter ?? '').toUpperCase().split(/[\s,]+/).filter(Boolean);
+  if (patterns.length === 0) return null;
+
+  const expressions = patterns.map((pattern) => {
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    return new RegExp(`^${source}${pattern.includes('*') ? '$' : ''}`);
+  });
+
+  return (callsign) => {
+    const value = String(callsign ?? '').trim().toUpperCase();
+    return value !== '' && expressions.some(expression => expression.test(value));
+  };
+};
+
+// Compiled callsign filters by filter text
+const callsignMatchers = new Map();
+
+const getCallsignMatcher = (filter) => {
+  if (!callsignMatchers.has(filter)) callsignMatchers.set(filter, compileCallsignFilter(filter));
+  return callsignMatchers.get(filter);
+};
+
+/**
+ * Whether a flight passes a fence's altitude band and callsign filter
+ * Aircraft without an altitude only pass when no band is set.
+ */
+export const matchesGeofenceFilters = (fence, flight) => {
+  if (fence.minAltitude !== null || fence.maxAltitude !== null) {
+    const altitude = flight.on_ground ? 0 : flight.baro_altitude;
+    if (!Number.isFinite(altitude)) return false;
+    if (fence.minAltitude !== null && altitude < fence.minAltitude * FEET_TO_METERS) return false;
+    if (fence.maxAltitude !== null && altitude > fence.maxAltitude * FEET_TO_METERS) return false;
+  }
+
+  const matcher = getCallsignMatcher(fence.callsigns);
+  return !matcher || matcher(flight.callsign);
+};
+
+/**
+ * Whether a flight is inside a fence (area, altitude band and callsign filter)
+ * @param {Object} fence - Normalized fence
+ * @param {Object} flight - Normalized flight
+ */
+export const isInsideGeofence = (fence, flight) => {
+  if (!Number.isFinite(flight.latitude) || !Number.isFinite(flight.longitude)) return false;
+
+  const inArea = fence.shape === 'circle'
+    ? haversineDistance(fence.center[1], fence.center[0], flight.latitude, flight.longitude) <= fence.radius
+    : pointInPolygon(flight.longitude, flight.latitude, fence.coordinates);
+
+  return inArea && matchesGeofenceFilters(fence, flight);
+};
+
+/**
+ * Outline ring of a fence ([lon, lat] vertices, closed)
+ */
+export const geofenceRing = (fence) => {
+  if (fence.shape === 'circle') {
+    const [lon, lat] = fence.center;
+    const ring = [];
+    for (let i = 0; i < CIRCLE_STEPS; i++) {
+      const point = destinationPoint(lat, lon, (360 * i) / CIRCLE_STEPS, fence.radius);
+      ring.push([point.longitude, point.latitude]);
+    }
+    return unwrapRing([...ring, ring[0]]);
+  }
+  return [...fence.coordinates, fence.coordinates[0]];
+};
+
+/**
+ * Fences as a GeoJSON FeatureCollection for map layers
+ * @param {Array} fences - Normalized fences
+ */
+export const geofencesToGeoJSON = (fences) => ({
+  type: 'FeatureCollection',
+  features: fences.map(fence => ({
+    type: 'Feature',
+    geometry: { type: 'Polygon', coordinates: [geofenceRing(fence)] },
+    properties: { id: fence.id, name: fence.name, color: fence.color, enabled: fence.enabled }
+  }))
+});
+
+/**
+ * Evaluate one snapshot against the fences
+ *
+ * `state` maps fence id → { revision, members: Map(icao24 → last report) }.
+ * A fence seen for the first time (or edited since) is baselined without
+ * events, so reloading the page or changing a filter does not replay every
+ * aircraft already inside. Aircraft missing from a snapshot keep their
+ * membership (regional fetches drop aircraft outside the viewport) until
+ * `lostTimeout` passes, which yields an exit flagged `lost`.
+ *
+ * @param {Array} fences - Normalized fences
+ * @param {Array} flights - Snapshot flights
+ * @param {Map} state - Membership from the previous snapshot
+ * @param {Object} options
+ * @param {number} options.now - Snapshot time (ms)
+ * @param {number} options.lostTimeout - ms before a missing aircraft counts as gone
+ * @returns {{state: Map, events: Array}} New membership and enter/exit events
+ */
+export const evaluateGeofences = (fences, flights, state, { now, lostTimeout }) => {
+  const nextState = new Map();
+  const events = [];
+  const flightsById = new Map(flights.map(flight => [flight.icao24, flight]));
+
+  for (const fence of fences) {
+    if (!fence.enabled) continue;
+
+    const previous = state.get(fence.id);
+    const baseline = !previous || previous.revision !== fence.updatedAt;
+    const members = new Map();
+
+    const addEvent = (type, flight, extra = {}) => {
+      events.push({
+        id: `${fence.id}:${flight.icao24}:${now}:${type}`,
+        type,
+        fenceId: fence.id,
+        fenceName: fence.name,
+        color: fence.color,
+        icao24: flight.icao24,
+        callsign: flight.callsign?.trim() || null,
+        altitude: Number.isFinite(flight.baro_altitude) ? flight.baro_altitude : null,
+        latitude: flight.latitude,
+        longitude: flight.longitude,
+        time: now,
+        ...extra
+      });
+    };
+
+    for (const flight of flights) {
+      if (!isInsideGeofence(fence, flight)) continue;
+      members.set(flight.icao24, { time: now, flight });
+      if (!baseline && !previous.members.has(flight.icao24)) addEvent('enter', flight);
+    }
+
+    if (!baseline) {
+      for (const [icao24, member] of previous.members) {
+        if (members.has(icao24)) continue;
+        const flight = flightsById.get(icao24);
+        if (flight) {
+          addEvent('exit', flight);
+        } else if (now - member.time > lostTimeout) {
+          // Last report inside the fence
+          addEvent('exit', member.flight, { lost: true });
+        } else {
+          members.set(icao24, member);
+        }
+      }
+    }
+
+    nextState.set(fence.id, { revision: fence.updatedAt, members });
+  }
+
+  return { state: nextState, events };
+};
@@ -0,0 +1,35 @@
+/**
+ * JSON values in the browser's localStorage
+ * Reads fall back to a default during server rendering, when storage is
+ * unavailable (private modes, quotas) or when the stored value is corrupt.
+ */
+
+/**
+ * Read a stored value
+ * @param {string} key - Storage key
+ * @param {*} fallback - Returned when nothing usable is stored
+ * @returns {*} Parsed value or the fallback
+ */
+export const readStoredJSON = (key, fallback) => {
+  if (typeof window === 'undefined') return fallback;
+  try {
+    const stored = window.localStorage.getItem(key);
+    return stored === null ? fallback : JSON.parse(stored);
+  } catch (error) {
+    console.warn(`[Storage] Could not read ${key}:`, error.message);
+    return fallback;
+  }
+};
+
+/**
+ * Store a value
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serializable value
+ */
+export const writeStoredJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`[Storage] Could not save ${key}:`, error.message);
+  }
+};
@@ -46,6 +46,20 @@ class RequestCache {
     this.pending = new Map();
   }
 
+  /**
+   * Look up a cached entry without triggering a fetch
+   * @param {string} key - Cache key
+   * @param {number} ttl - Time to live in milliseconds
+   * @returns {{data: *, timestamp: number}|null} Fresh entry or null
+   */
+  peek(key, ttl = 10000) {
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.timestamp < ttl) {
+      return cached;
+    }
+    return null;
+  }
+
   /**
    * Get cached data or execute request
    * @param {string} key - Cache key
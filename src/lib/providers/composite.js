@@ -0,0 +1,79 @@
+/**
+ * Composite flight data provider
+ * Combines several providers (e.g. OpenSky plus a local receiver). Aircraft
+ * seen by more than one provider are merged by ICAO24, preferring the most
+ * recently updated report.
+ */
+
+/**
+ * Merge two reports of the same aircraft
+ * The fresher report wins; fields it lacks (e.g. origin_country from a local
+ * receiver) are filled in from the other one
+ */
+const mergeFlights = (current, candidate) => {
+  const currentTime = current.time_position ?? current.last_contact ?? 0;
+  const candidateTime = candidate.time_position ?? candidate.last_contact ?? 0;
+  const [older, newer] = candidateTime > currentTime ? [current, candidate] : [candidate, current];
+
+  const merged = { ...older };
+  for (const [key, value] of Object.entries(newer)) {
+    if (value !== null && value !== undefined) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+};
+
+/**
+ * Create a provider that merges the results of several providers
+ * @param {Array<Object>} providers - Providers in priority order
+ * @returns {Object} Flight data provider
+ */
+export function createCompositeProvider(providers) {
+  return {
+    name: providers.map(provider => provider.name).join('+'),
+
+    async getFlights(bbox) {
+      const results = await Promise.allSettled(providers.map(provider => provider.getFlights(bbox)));
+
+      const fulfilled = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          console.warn(`[Providers] ${providers[index].name} failed:`, result.reason?.message);
+        }
+      });
+
+      // Only fail when no provider could deliver anything
+      if (fulfilled.length === 0) {
+        throw results[0].reason;
+      }
+
+      const byIcao = new Map();
+      for (const snapshot of fulfilled) {
+        for (const flight of snapshot.flights) {
+          const existing = byIcao.get(flight.icao24);
+          byIcao.set(flight.icao24, existing ? mergeFlights(existing, flight) : flight);
+        }
+      }
+
+      return {
+        flights: Array.from(byIcao.values()),
+        time: Math.max(...fulfilled.map(snapshot => snapshot.time || 0)),
+        source: fulfilled.map(snapshot => snapshot.source).join('+')
+      };
+    },
+
+    async getTrack(icao24, time) {
+      // Use the first provider that has a track for this aircraft
+      let lastError = null;
+      for (const provider of providers) {
+        try {
+          return await provider.getTrack(icao24, time);
+        } catch (error) {
+          lastError = error;
+        }
+      }
+      throw lastError;
+    }
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Shared plumbing for providers backed by a streaming feed (SBS-1, raw Mode-S)
+ * Each feed keeps one connection and one aircraft state store per endpoint;
+ * the provider only reads from the store.
+ */
+
+import { AircraftStateStore } from '@/lib/feeds/aircraft-store';
+import { filterByBounds } from './normalize';
+
+// Feeds live on globalThis so dev-mode module reloads don't open extra connections
+const feeds = globalThis.__avaraFeeds ?? (globalThis.__avaraFeeds = new Map());
+
+/**
+ * Create a provider reading from a shared feed
+ * @param {Object} options
+ * @param {string} options.name - Provider name, also used as data_source and response source
+ * @param {string} options.label - Human readable feed name for error messages
+ * @param {string} options.host - Feed host
+ * @param {number} options.port - Feed port
+ * @param {Function} options.connect - Called with the store, returns the connection handle
+ * @param {number} options.expireAfter - Forget aircraft silent for this long (seconds)
+ * @param {number} options.maxPositionAge - Hide positions older than this (seconds)
+ * @returns {Object} Flight data provider
+ */
+export function createFeedProvider({ name, label, host, port, connect, expireAfter, maxPositionAge }) {
+  const key = `${name}:${host}:${port}`;
+  if (!feeds.has(key)) {
+    const store = new AircraftStateStore({ dataSource: name, expireAfter, maxPositionAge });
+    const connection = connect(store);
+    feeds.set(key, { store, connection });
+  }
+  const feed = feeds.get(key);
+
+  return {
+    name,
+
+    async getFlights(bbox) {
+      // Report a broken feed, but not one that is still connecting
+      const connectionError = feed.connection.getLastError();
+      if (connectionError && feed.store.size === 0) {
+        throw new Error(`Cannot connect to ${label} at ${host}:${port}: ${connectionError.message}`);
+      }
+      const flights = feed.store.getFlights();
+      return { flights: filterByBounds(flights, bbox), time: Math.floor(Date.now() / 1000), source: name };
+    },
+
+    async getTrack(icao24) {
+      const track = feed.store.getTrack(icao24);
+      if (!track) {
+        throw new Error('No track data available for this aircraft');
+      }
+      return { track, source: name };
+    }
+  };
+}
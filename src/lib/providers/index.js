@@ -0,0 +1,89 @@
+/**
+ * Flight data provider registry
+ *
+ * A provider is an object with:
+ * - name: identifier used in logs
+ * - getFlights(bbox): resolves to { flights, time, source } where flights are
+ *   normalized flight objects (see ./normalize.js) and bbox is
+ *   { lamin, lomin, lamax, lomax } or null for everything
+ * - getTrack(icao24, time): resolves to { track, source }; throws when no
+ *   track is available
+ *
+ * The active provider is selected with the FLIGHT_PROVIDER environment
+ * variable (default: opensky). A comma-separated list (e.g. "opensky,receiver")
+ * combines several providers.
+ */
+
+import { createOpenSkyProvider } from './opensky';
+import { createSyntheticProvider } from './synthetic';
+import { createReplayProvider } from './replay';
+import { createReceiverProvider } from './receiver';
+import { createSbsProvider } from './sbs';
+import { createModeSProvider } from './modes';
+import { createCompositeProvider } from './composite';
+
+/**
+ * Receiver location from RECEIVER_LAT / RECEIVER_LON, or null if unset
+ */
+const getReceiverLocation = () => {
+  const latitude = parseFloat(process.env.RECEIVER_LAT);
+  const longitude = parseFloat(process.env.RECEIVER_LON);
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+};
+
+const PROVIDER_FACTORIES = {
+  opensky: () => createOpenSkyProvider(),
+  synthetic: () => createSyntheticProvider({
+    count: Number(process.env.SYNTHETIC_AIRCRAFT) || undefined,
+  }),
+  replay: () => createReplayProvider({ file: process.env.REPLAY_FILE }),
+  receiver: () => createReceiverProvider({
+    url: process.env.RECEIVER_URL,
+    maxPositionAge: Number(process.env.RECEIVER_MAX_POSITION_AGE) || undefined,
+  }),
+  sbs: () => createSbsProvider({
+    host: process.env.SBS_HOST || undefined,
+    port: Number(process.env.SBS_PORT) || undefined,
+    expireAfter: Number(process.env.FEED_EXPIRE_SECONDS) || undefined,
+    maxPositionAge: Number(process.env.FEED_MAX_POSITION_AGE) || undefined,
+  }),
+  modes: () => createModeSProvider({
+    host: process.env.MODES_HOST || undefined,
+    port: Number(process.env.MODES_PORT) || undefined,
+    format: (process.env.MODES_FORMAT || 'beast').toLowerCase(),
+    reference: getReceiverLocation(),
+    expireAfter: Number(process.env.FEED_EXPIRE_SECONDS) || undefined,
+    maxPositionAge: Number(process.env.FEED_MAX_POSITION_AGE) || undefined,
+  }),
+};
+
+/**
+ * Create a provider by name
+ */
+const createProvider = (name) => {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown FLIGHT_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+  return factory();
+};
+
+let activeProvider = null;
+
+/**
+ * Get the configured flight data provider (created once per server process)
+ * @returns {Object} Flight data provider
+ */
+export function getFlightProvider() {
+  if (activeProvider) return activeProvider;
+
+  const names = (process.env.FLIGHT_PROVIDER || 'opensky')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = names.map(createProvider);
+  activeProvider = providers.length === 1 ? providers[0] : createCompositeProvider(providers);
+  console.log(`[Providers] Using ${activeProvider.name} flight data provider`);
+  return activeProvider;
+}
@@ -0,0 +1,47 @@
+/**
+ * Raw Mode-S feed provider
+ * Decodes Beast binary (dump1090 --net-bo-port, usually 30005) or AVR hex
+ * (--net-ro-port, usually 30002) streams directly, without relying on the
+ * decoder's own SBS or JSON output.
+ */
+
+import { createModeSFeed } from '@/lib/feeds/modes';
+import { createFeedProvider } from './feed';
+
+const DEFAULT_PORTS = { beast: 30005, avr: 30002 };
+
+/**
+ * Create the raw Mode-S provider
+ * @param {Object} options
+ * @param {string} options.host - Feed host
+ * @param {number} options.port - Feed port (defaults by format)
+ * @param {'beast'|'avr'} options.format - Stream format
+ * @param {Object|null} options.reference - Receiver location { latitude, longitude }, enables
+ *   single-frame position decoding
+ * @param {number} options.expireAfter - Forget aircraft silent for this long (seconds)
+ * @param {number} options.maxPositionAge - Hide positions older than this (seconds)
+ * @returns {Object} Flight data provider
+ */
+export function createModeSProvider({
+  host = '127.0.0.1',
+  port,
+  format = 'beast',
+  reference = null,
+  expireAfter,
+  maxPositionAge
+} = {}) {
+  if (!DEFAULT_PORTS[format]) {
+    throw new Error(`Unknown Mode-S feed format "${format}" (expected beast or avr)`);
+  }
+  const feedPort = port || DEFAULT_PORTS[format];
+
+  return createFeedProvider({
+    name: 'modes',
+    label: `Mode-S ${format} feed`,
+    host,
+    port: feedPort,
+    expireAfter,
+    maxPositionAge,
+    connect: (store) => createModeSFeed({ host, port: feedPort, format, store, reference })
+  });
+}
@@ -0,0 +1,86 @@
+/**
+ * Normalized flight and track objects shared by all flight data providers
+ * These are the shapes /api/flights and /api/tracks return and the UI consumes
+ */
+
+/**
+ * Position source codes (same numbering as OpenSky state vectors)
+ * TIS-B and ADS-R are only reported by local receivers
+ */
+export const POSITION_SOURCE = {
+  ADSB: 0,
+  ASTERIX: 1,
+  MLAT: 2,
+  FLARM: 3,
+  TISB: 4,
+  ADSR: 5,
+};
+
+/**
+ * Build a flight object with every field the UI expects
+ * Missing fields are set to null so all providers produce the same keys
+ * @param {Object} fields - Known flight fields
+ * @returns {Object} Normalized flight
+ */
+export const createFlight = (fields) => ({
+  icao24: null,
+  callsign: null,
+  origin_country: null,
+  time_position: null,
+  last_contact: null,
+  longitude: null,
+  latitude: null,
+  baro_altitude: null,
+  on_ground: false,
+  velocity: null,
+  true_track: null,
+  vertical_rate: null,
+  sensors: null,
+  geo_altitude: null,
+  squawk: null,
+  spi: false,
+  position_source: null,
+  position_age: null, // Seconds between the position fix and the snapshot
+  data_source: null, // Provider that reported the aircraft
+  ...fields,
+});
+
+/**
+ * Build a track object
+ * @param {Object} fields - icao24, callsign and path (array of track points)
+ * @returns {Object} Normalized track
+ */
+export const createTrack = ({ icao24, callsign = null, path = [] }) => {
+  const points = path.filter(hasPosition);
+  return {
+    icao24,
+    callsign,
+    startTime: points.length > 0 ? points[0].time : null,
+    endTime: points.length > 0 ? points[points.length - 1].time : null,
+    path: points,
+  };
+};
+
+/**
+ * Check whether an object has usable coordinates
+ */
+export const hasPosition = (item) => (
+  item.latitude !== null && item.latitude !== undefined &&
+  item.longitude !== null && item.longitude !== undefined
+);
+
+/**
+ * Keep only flights inside a bounding box
+ * @param {Array} flights - Normalized flights
+ * @param {Object|null} bbox - { lamin, lomin, lamax, lomax } or null for all
+ * @returns {Array} Flights inside the box
+ */
+export const filterByBounds = (flights, bbox) => {
+  if (!bbox) return flights;
+  return flights.filter(flight =>
+    flight.latitude >= bbox.lamin &&
+    flight.latitude <= bbox.lamax &&
+    flight.longitude >= bbox.lomin &&
+    flight.longitude <= bbox.lomax
+  );
+};
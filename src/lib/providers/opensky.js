@@ -0,0 +1,181 @@
+/**
+ * OpenSky Network flight data provider
+ * API Documentation: https://openskynetwork.github.io/opensky-api/rest.html
+ * Authentication: Uses OAuth2 Client Credentials Flow
+ */
+
+import { getAuthHeaders, clearTokenCache } from '@/lib/opensky-oauth';
+import { createFlight, createTrack, hasPosition } from './normalize';
+
+const API_BASE = 'https://opensky-network.org/api';
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Fetch with a timeout so slow upstream responses don't hang the route
+ */
+async function fetchWithTimeout(url, headers) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    return await fetch(url, {
+      headers,
+      cache: 'no-store', // Disable Next.js caching
+      signal: controller.signal
+    });
+  } catch (fetchError) {
+    if (fetchError.name === 'AbortError') {
+      throw new Error('OpenSky API request timed out. The service may be slow or unavailable.');
+    }
+    throw fetchError;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Request an OpenSky endpoint with authentication
+ * Retries once with a fresh token if the cached one is rejected
+ * @param {string} url - Full API URL
+ * @param {string} logPrefix - Prefix for log messages
+ * @returns {Promise<{response: Response, hasAuth: boolean}>}
+ */
+async function requestOpenSky(url, logPrefix) {
+  // Get headers with OAuth2 authentication
+  const headers = await getAuthHeaders();
+  const hasAuth = headers.Authorization !== undefined;
+
+  console.log(`${logPrefix} Fetching from OpenSky (${hasAuth ? 'authenticated' : 'anonymous'}):`, url);
+
+  let response = await fetchWithTimeout(url, headers);
+
+  // If unauthorized and we attempted OAuth2, try once to refresh token and retry
+  if (response.status === 401 && hasAuth) {
+    console.warn(`${logPrefix} Received 401, attempting token refresh and retry`);
+    clearTokenCache();
+    response = await fetchWithTimeout(url, await getAuthHeaders());
+  }
+
+  return { response, hasAuth };
+}
+
+/**
+ * Map an OpenSky state vector array to a flight object
+ * @param {Array} state - State vector
+ * @param {number} time - Snapshot time the state belongs to
+ */
+const stateToFlight = (state, time) => createFlight({
+  icao24: state[0],
+  callsign: state[1]?.trim(),
+  origin_country: state[2],
+  time_position: state[3],
+  last_contact: state[4],
+  longitude: state[5],
+  latitude: state[6],
+  baro_altitude: state[7],
+  on_ground: state[8],
+  velocity: state[9],
+  true_track: state[10],
+  vertical_rate: state[11],
+  sensors: state[12],
+  geo_altitude: state[13],
+  squawk: state[14],
+  spi: state[15],
+  position_source: state[16],
+  position_age: state[3] !== null && Number.isFinite(time) ? Math.max(0, time - state[3]) : null,
+  data_source: 'opensky'
+});
+
+/**
+ * Map an OpenSky track waypoint array to a track point
+ * Waypoints are [time, latitude, longitude, baro_altitude, true_track, on_ground]
+ */
+const waypointToPoint = (point) => ({
+  time: point[0],
+  latitude: point[1],
+  longitude: point[2],
+  baro_altitude: point[3],
+  true_track: point[4],
+  on_ground: point[5]
+});
+
+/**
+ * Create the OpenSky provider
+ * @returns {Object} Flight data provider
+ */
+export function createOpenSkyProvider() {
+  return {
+    name: 'opensky',
+
+    async getFlights(bbox) {
+      let apiUrl = `${API_BASE}/states/all`;
+      if (bbox) {
+        apiUrl += `?lamin=${bbox.lamin}&lomin=${bbox.lomin}&lamax=${bbox.lamax}&lomax=${bbox.lomax}`;
+      }
+
+      const { response, hasAuth } = await requestOpenSky(apiUrl, '[Flight API]');
+
+      if (!response.ok) {
+        const statusText = response.statusText || 'Unknown error';
+        console.error(`[Flight API] OpenSky API error: ${response.status} ${statusText}`);
+
+        // Provide specific error messages for common issues
+        let errorMessage = `OpenSky API returned ${response.status}`;
+        if (response.status === 429) {
+          errorMessage = hasAuth
+            ? 'Rate limit exceeded. You may have hit your authenticated quota; try later.'
+            : 'Rate limit exceeded. Anonymous users are limited to 100 requests/day. Configure OPENSKY_CLIENT_ID/OPENSKY_CLIENT_SECRET.';
+        } else if (response.status === 401) {
+          errorMessage = 'Authentication failed with OAuth2. Verify OPENSKY_CLIENT_ID and OPENSKY_CLIENT_SECRET.';
+        } else if (response.status === 503) {
+          errorMessage = 'OpenSky Network service is temporarily unavailable. Please try again later.';
+        }
+
+        throw new Error(errorMessage);
+      }
+
+      const data = await response.json();
+      console.log(`[Flight API] Successfully fetched ${data.states?.length || 0} flights from OpenSky`);
+
+      return {
+        flights: data.states ? data.states.map(state => stateToFlight(state, data.time)).filter(hasPosition) : [],
+        time: data.time,
+        source: hasAuth ? 'opensky-authenticated' : 'opensky-anonymous'
+      };
+    },
+
+    async getTrack(icao24, time = 0) {
+      const apiUrl = `${API_BASE}/tracks/all?icao24=${icao24}&time=${time}`;
+      const { response, hasAuth } = await requestOpenSky(apiUrl, '[Track API]');
+
+      if (!response.ok) {
+        console.error(`[Track API] OpenSky API error: ${response.status} ${response.statusText}`);
+
+        let errorMessage = `OpenSky API returned ${response.status}`;
+        if (response.status === 404) {
+          errorMessage = 'No track data available for this aircraft';
+        } else if (response.status === 429) {
+          errorMessage = hasAuth
+            ? 'Rate limit exceeded. Try again later.'
+            : 'Rate limit exceeded. Configure authentication for higher limits.';
+        }
+
+        throw new Error(errorMessage);
+      }
+
+      const data = await response.json();
+      console.log(`[Track API] Successfully fetched track with ${data.path?.length || 0} waypoints`);
+
+      const track = createTrack({
+        icao24: data.icao24,
+        callsign: data.callsign,
+        path: data.path ? data.path.map(waypointToPoint) : []
+      });
+
+      // Keep OpenSky's own start/end times, which cover the whole flight
+      return {
+        track: { ...track, startTime: data.startTime, endTime: data.endTime },
+        source: hasAuth ? 'opensky-authenticated' : 'opensky-anonymous'
+      };
+    }
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Local ADS-B receiver provider
+ * Reads the aircraft.json published by dump1090 / dump1090-fa / readsb, either
+ * over HTTP (e.g. http://raspberrypi/tar1090/data/aircraft.json) or from a
+ * local file (e.g. /run/readsb/aircraft.json).
+ *
+ * Format reference: https://github.com/wiedehopf/readsb/blob/dev/README-json.md
+ */
+
+import { readFile } from 'node:fs/promises';
+import { createFlight, filterByBounds, POSITION_SOURCE } from './normalize';
+
+const FEET_TO_METERS = 0.3048;
+const KNOTS_TO_MS = 0.514444;
+const FPM_TO_MS = 0.00508;
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Read aircraft.json from a URL or a file path
+ */
+async function readAircraftJson(location) {
+  if (/^https?:\/\//i.test(location)) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+      const response = await fetch(location, { cache: 'no-store', signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Receiver returned ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Receiver at ${location} did not respond within ${REQUEST_TIMEOUT_MS / 1000} seconds`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  const path = location.replace(/^file:\/\//i, '');
+  return JSON.parse(await readFile(path, 'utf8'));
+}
+
+/**
+ * Work out how the receiver obtained the position
+ * readsb reports the message type in `type`; dump1090-fa lists MLAT-derived
+ * fields in `mlat` and TIS-B derived fields in `tisb`
+ */
+const getPositionSource = (aircraft) => {
+  if (aircraft.mlat?.includes('lat') || aircraft.type === 'mlat') return POSITION_SOURCE.MLAT;
+  if (aircraft.tisb?.includes('lat') || aircraft.type?.startsWith('tisb')) return POSITION_SOURCE.TISB;
+  if (aircraft.type?.startsWith('adsr')) return POSITION_SOURCE.ADSR;
+  return POSITION_SOURCE.ADSB;
+};
+
+const toNumber = (value, factor = 1) => (Number.isFinite(value) ? value * factor : null);
+
+/**
+ * Convert one aircraft.json entry to a flight object
+ * @param {Object} aircraft - Entry from the aircraft array
+ * @param {number} now - Receiver time (unix seconds) the entry is relative to
+ */
+const aircraftToFlight = (aircraft, now) => {
+  const onGround = aircraft.alt_baro === 'ground';
+  const positionAge = toNumber(aircraft.seen_pos);
+  const contactAge = toNumber(aircraft.seen) ?? 0;
+
+  return createFlight({
+    // Non-ICAO addresses (TIS-B, anonymous) are prefixed with '~'
+    icao24: aircraft.hex.replace(/^~/, '').toLowerCase(),
+    callsign: aircraft.flight?.trim() || null,
+    time_position: positionAge !== null ? Math.round(now - positionAge) : null,
+    last_contact: Math.round(now - contactAge),
+    longitude: aircraft.lon,
+    latitude: aircraft.lat,
+    baro_altitude: onGround ? null : toNumber(aircraft.alt_baro, FEET_TO_METERS),
+    on_ground: onGround,
+    velocity: toNumber(aircraft.gs, KNOTS_TO_MS),
+    true_track: toNumber(aircraft.track),
+    vertical_rate: toNumber(aircraft.baro_rate ?? aircraft.geom_rate, FPM_TO_MS),
+    geo_altitude: toNumber(aircraft.alt_geom, FEET_TO_METERS),
+    squawk: aircraft.squawk || null,
+    spi: Boolean(aircraft.spi),
+    position_source: getPositionSource(aircraft),
+    position_age: positionAge,
+    data_source: 'receiver'
+  });
+};
+
+/**
+ * Create the receiver provider
+ * @param {Object} options
+ * @param {string} options.url - aircraft.json URL or file path
+ * @param {number} options.maxPositionAge - Drop positions older than this (seconds)
+ * @returns {Object} Flight data provider
+ */
+export function createReceiverProvider({ url, maxPositionAge = 60 }) {
+  if (!url) {
+    throw new Error('Receiver provider requires RECEIVER_URL to point at aircraft.json');
+  }
+
+  return {
+    name: 'receiver',
+
+    async getFlights(bbox) {
+      const data = await readAircraftJson(url);
+      const now = Number.isFinite(data.now) ? data.now : Date.now() / 1000;
+      const aircraft = Array.isArray(data.aircraft) ? data.aircraft : [];
+
+      const flights = aircraft
+        .filter(entry =>
+          typeof entry.hex === 'string' &&
+          Number.isFinite(entry.lat) &&
+          Number.isFinite(entry.lon) &&
+          !(entry.seen_pos > maxPositionAge)
+        )
+        .map(entry => aircraftToFlight(entry, now));
+
+      console.log(`[Receiver] Read ${flights.length} positioned aircraft (of ${aircraft.length}) from ${url}`);
+
+      return { flights: filterByBounds(flights, bbox), time: Math.floor(now), source: 'receiver' };
+    },
+
+    async getTrack() {
+      // aircraft.json only has current positions; history comes from other providers
+      throw new Error('No track data available for this aircraft');
+    }
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Replay flight data provider
+ * Plays back recorded snapshots from an NDJSON file (optionally gzipped) in a
+ * loop at real-time speed. Each line is a snapshot in the /api/flights
+ * response format: { "time": <unix seconds>, "flights": [...] }.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { gunzipSync } from 'node:zlib';
+import { createFlight, createTrack, filterByBounds } from './normalize';
+
+/**
+ * Load and sort snapshots from a recording
+ * @param {string} file - Path to .ndjson or .ndjson.gz file
+ * @returns {Promise<Array>} Snapshots ordered by time
+ */
+async function loadSnapshots(file) {
+  let buffer = await readFile(file);
+  if (file.endsWith('.gz')) {
+    buffer = gunzipSync(buffer);
+  }
+
+  const snapshots = buffer.toString('utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line))
+    .filter(snapshot => Number.isFinite(snapshot.time) && Array.isArray(snapshot.flights))
+    .sort((a, b) => a.time - b.time);
+
+  if (snapshots.length === 0) {
+    throw new Error(`Replay file ${file} contains no snapshots`);
+  }
+
+  console.log(`[Replay] Loaded ${snapshots.length} snapshots from ${file}`);
+  return snapshots;
+}
+
+/**
+ * Create the replay provider
+ * @param {Object} options
+ * @param {string} options.file - Recording to play back
+ * @returns {Object} Flight data provider
+ */
+export function createReplayProvider({ file }) {
+  if (!file) {
+    throw new Error('Replay provider requires REPLAY_FILE to point at a recording');
+  }
+
+  let snapshotsPromise = null;
+  const startedAt = Date.now();
+
+  const getSnapshots = () => {
+    if (!snapshotsPromise) {
+      snapshotsPromise = loadSnapshots(file).catch(error => {
+        snapshotsPromise = null; // Allow a retry once the file is fixed
+        throw error;
+      });
+    }
+    return snapshotsPromise;
+  };
+
+  /**
+   * Index of the snapshot that corresponds to "now" in the playback loop
+   */
+  const currentIndex = (snapshots) => {
+    const first = snapshots[0].time;
+    const duration = snapshots[snapshots.length - 1].time - first + 1;
+    const playbackTime = first + Math.floor((Date.now() - startedAt) / 1000) % duration;
+
+    let index = 0;
+    while (index + 1 < snapshots.length && snapshots[index + 1].time <= playbackTime) {
+      index++;
+    }
+    return index;
+  };
+
+  return {
+    name: 'replay',
+
+    async getFlights(bbox) {
+      const snapshots = await getSnapshots();
+      const snapshot = snapshots[currentIndex(snapshots)];
+      const flights = snapshot.flights.map(createFlight);
+      return { flights: filterByBounds(flights, bbox), time: snapshot.time, source: 'replay' };
+    },
+
+    async getTrack(icao24) {
+      const snapshots = await getSnapshots();
+      const end = currentIndex(snapshots);
+
+      let callsign = null;
+      const path = [];
+      for (let i = 0; i <= end; i++) {
+        const flight = snapshots[i].flights.find(f => f.icao24 === icao24);
+        if (!flight) continue;
+        callsign = flight.callsign || callsign;
+        path.push({
+          time: flight.time_position ?? snapshots[i].time,
+          latitude: flight.latitude,
+          longitude: flight.longitude,
+          baro_altitude: flight.baro_altitude,
+          true_track: flight.true_track,
+          on_ground: flight.on_ground
+        });
+      }
+
+      if (path.length === 0) {
+        throw new Error('No track data available for this aircraft');
+      }
+
+      return { track: createTrack({ icao24, callsign, path }), source: 'replay' };
+    }
+  };
+}
@@ -0,0 +1,29 @@
+/**
+ * SBS-1 BaseStation feed provider
+ * Keeps a TCP connection to an SBS-1 port (dump1090 --net-sbs-port, usually
+ * 30003) and serves the merged aircraft states it has received.
+ */
+
+import { createSbsFeed } from '@/lib/feeds/sbs';
+import { createFeedProvider } from './feed';
+
+/**
+ * Create the SBS-1 provider
+ * @param {Object} options
+ * @param {string} options.host - Feed host
+ * @param {number} options.port - Feed port
+ * @param {number} options.expireAfter - Forget aircraft silent for this long (seconds)
+ * @param {number} options.maxPositionAge - Hide positions older than this (seconds)
+ * @returns {Object} Flight data provider
+ */
+export function createSbsProvider({ host = '127.0.0.1', port = 30003, expireAfter, maxPositionAge } = {}) {
+  return createFeedProvider({
+    name: 'sbs',
+    label: 'SBS-1 feed',
+    host,
+    port,
+    expireAfter,
+    maxPositionAge,
+    connect: (store) => createSbsFeed({ host, port, store })
+  });
+}
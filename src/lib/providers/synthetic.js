@@ -0,0 +1,131 @@
+/**
+ * Synthetic flight data provider
+ * Simulates a fixed fleet of aircraft flying constant headings, for offline
+ * development and demos. Positions are derived from the clock, so every
+ * request sees the same consistent picture without any stored state.
+ */
+
+import { destinationPoint, initialBearing } from '@/lib/geo';
+import { createFlight, createTrack, filterByBounds, POSITION_SOURCE } from './normalize';
+
+const TRACK_DURATION_S = 30 * 60;
+const TRACK_STEP_S = 60;
+
+/**
+ * Small deterministic PRNG so the simulated fleet is stable across restarts
+ */
+const mulberry32 = (seed) => () => {
+  seed |= 0;
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Generate the fleet definition
+ */
+const createFleet = (count, seed) => {
+  const random = mulberry32(seed);
+  return Array.from({ length: count }, (_, index) => {
+    const onGround = random() < 0.05;
+    return {
+      icao24: `f${index.toString(16).padStart(5, '0')}`,
+      callsign: `SIM${String(index + 1).padStart(4, '0')}`,
+      // Keep away from the poles where constant headings spiral
+      latitude: random() * 120 - 60,
+      longitude: random() * 360 - 180,
+      heading: random() * 360,
+      velocity: onGround ? 0 : 120 + random() * 140,
+      altitude: onGround ? 0 : 1000 + Math.round(random() * 11000),
+      // Octal 1000-5777, clear of the emergency codes
+      squawk: (0o1000 + Math.floor(random() * 0o5000)).toString(8),
+      onGround
+    };
+  });
+};
+
+/**
+ * Position of a simulated aircraft at a given time
+ */
+const positionAt = (aircraft, elapsedSeconds) => {
+  if (aircraft.onGround) {
+    return { latitude: aircraft.latitude, longitude: aircraft.longitude };
+  }
+  return destinationPoint(aircraft.latitude, aircraft.longitude, aircraft.heading, aircraft.velocity * elapsedSeconds);
+};
+
+/**
+ * Current heading along the great circle (drifts from the initial heading)
+ */
+const trackAt = (aircraft, elapsedSeconds) => {
+  if (aircraft.onGround) return aircraft.heading;
+  const here = positionAt(aircraft, elapsedSeconds);
+  const ahead = positionAt(aircraft, elapsedSeconds + 1);
+  return initialBearing(here.latitude, here.longitude, ahead.latitude, ahead.longitude);
+};
+
+/**
+ * Create the synthetic provider
+ * @param {Object} options
+ * @param {number} options.count - Number of simulated aircraft
+ * @param {number} options.seed - Seed for the fleet layout
+ * @returns {Object} Flight data provider
+ */
+export function createSyntheticProvider({ count = 500, seed = 1 } = {}) {
+  const fleet = createFleet(count, seed);
+  const startedAt = Math.floor(Date.now() / 1000);
+
+  const flightAt = (aircraft, now) => createFlight({
+    icao24: aircraft.icao24,
+    callsign: aircraft.callsign,
+    origin_country: 'Simulation',
+    time_position: now,
+    last_contact: now,
+    ...positionAt(aircraft, now - startedAt),
+    baro_altitude: aircraft.altitude,
+    geo_altitude: aircraft.altitude,
+    on_ground: aircraft.onGround,
+    velocity: aircraft.velocity,
+    true_track: trackAt(aircraft, now - startedAt),
+    vertical_rate: 0,
+    squawk: aircraft.squawk,
+    position_source: POSITION_SOURCE.ADSB,
+    position_age: 0,
+    data_source: 'synthetic'
+  });
+
+  return {
+    name: 'synthetic',
+
+    async getFlights(bbox) {
+      const now = Math.floor(Date.now() / 1000);
+      const flights = fleet.map(aircraft => flightAt(aircraft, now));
+      return { flights: filterByBounds(flights, bbox), time: now, source: 'synthetic' };
+    },
+
+    async getTrack(icao24) {
+      const aircraft = fleet.find(a => a.icao24 === icao24);
+      if (!aircraft) {
+        throw new Error('No track data available for this aircraft');
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const path = [];
+      for (let time = now - TRACK_DURATION_S; time <= now; time += TRACK_STEP_S) {
+        path.push({
+          time,
+          ...positionAt(aircraft, time - startedAt),
+          baro_altitude: aircraft.altitude,
+          true_track: trackAt(aircraft, time - startedAt),
+          on_ground: aircraft.onGround
+        });
+      }
+
+      return {
+        track: createTrack({ icao24, callsign: aircraft.callsign, path }),
+        source: 'synthetic'
+      };
+    }
+  };
+}
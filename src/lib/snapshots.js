@@ -0,0 +1,210 @@
+/**
+ * Shared flight snapshots
+ * One time-stamped snapshot is kept per bounding box, and concurrent requests
+ * for the same box wait on a single upstream call instead of each hitting the
+ * provider. Used by /api/flights and the /api/flights/stream broadcaster.
+ *
+ * Every snapshot has an id, and the last few snapshots per box are kept so a
+ * client can ask for only what changed since the snapshot it already has.
+ */
+
+import { getFlightProvider } from '@/lib/providers';
+import { requestCache } from '@/lib/performance';
+
+// How long a snapshot is served from cache before the provider is asked again
+export const SNAPSHOT_TTL_MS = Number(process.env.FLIGHT_CACHE_TTL_MS) || 10000;
+
+// A box's history is dropped once its newest snapshot was fetched longer ago
+// than this, so per-box entries don't pile up. Boxes still being requested are
+// refetched every SNAPSHOT_TTL_MS and stay well inside it.
+const SNAPSHOT_RETENTION_MS = SNAPSHOT_TTL_MS * 6;
+
+// Recent snapshots kept per box as bases for deltas
+const SNAPSHOT_HISTORY_LENGTH = 6;
+
+// Snapshot history per cache key, oldest first
+const snapshotHistory = new Map();
+
+/**
+ * Parse the optional bounding box from query parameters
+ * @param {URLSearchParams} searchParams
+ * @returns {{lamin: number, lomin: number, lamax: number, lomax: number}|null}
+ */
+export function parseBoundingBox(searchParams) {
+  const values = ['lamin', 'lomin', 'lamax', 'lomax'].map(name => searchParams.get(name));
+  if (values.some(value => value === null || value === '')) {
+    return null;
+  }
+
+  const [lamin, lomin, lamax, lomax] = values.map(Number);
+  if (![lamin, lomin, lamax, lomax].every(Number.isFinite)) {
+    return null;
+  }
+
+  return { lamin, lomin, lamax, lomax };
+}
+
+/**
+ * Cache key for a bounding box, rounded so equivalent boxes share a snapshot
+ */
+export function getSnapshotKey(bbox) {
+  if (!bbox) return 'flights:global';
+  const { lamin, lomin, lamax, lomax } = bbox;
+  return `flights:${[lamin, lomin, lamax, lomax].map(v => v.toFixed(2)).join(',')}`;
+}
+
+/**
+ * Get the shared snapshot for a bounding box
+ * Serves the cached snapshot while it is fresh; otherwise fetches (or joins an
+ * upstream request another client already started).
+ * @param {Object|null} bbox - Optional bounding box
+ * @returns {Promise<{snapshot: Object, cached: boolean}>} Snapshot
+ *   ({ id, flights, time, source, fetchedAt }) and whether it came from cache
+ */
+export async function getSnapshot(bbox) {
+  const snapshotKey = getSnapshotKey(bbox);
+
+  requestCache.cleanup(SNAPSHOT_RETENTION_MS);
+  pruneHistory();
+
+  const cached = requestCache.peek(snapshotKey, SNAPSHOT_TTL_MS);
+  if (cached) {
+    return { snapshot: cached.data, cached: true };
+  }
+
+  const snapshot = await requestCache.get(snapshotKey, () => fetchSnapshot(bbox), SNAPSHOT_TTL_MS);
+  return { snapshot, cached: false };
+}
+
+/**
+ * Build the response body for a snapshot
+ * With `since` naming a snapshot still in the history for this box, only the
+ * changes are returned; otherwise (unknown or expired id) the full list.
+ *
+ * Full:  { delta: false, id, flights, time, count, source, fetchedAt }
+ * Delta: { delta: true, id, since, added, updated, removed, time, count, source, fetchedAt }
+ *   added   - complete flights that are new since the base snapshot
+ *   updated - partial flights: icao24 plus the fields that changed
+ *   removed - icao24 addresses no longer present
+ * @param {Object|null} bbox - Bounding box the snapshot was taken for
+ * @param {Object} snapshot - Snapshot from getSnapshot
+ * @param {string|null} since - Id of the snapshot the client already has
+ * @returns {Object} Response body
+ */
+export function buildSnapshotBody(bbox, snapshot, since = null) {
+  const body = {
+    id: snapshot.id,
+    time: snapshot.time,
+    count: snapshot.flights.length,
+    source: snapshot.source,
+    fetchedAt: snapshot.fetchedAt
+  };
+
+  const base = since ? findSnapshot(getSnapshotKey(bbox), since) : null;
+  if (!base) {
+    return { delta: false, ...body, flights: snapshot.flights };
+  }
+
+  return { delta: true, ...body, since, ...diffSnapshots(base, snapshot) };
+}
+
+/**
+ * Look up a snapshot in a box's history
+ */
+function findSnapshot(key, id) {
+  return snapshotHistory.get(key)?.find(snapshot => snapshot.id === id) ?? null;
+}
+
+/**
+ * Changes between two snapshots, computed once per pair and shared by all clients
+ */
+function diffSnapshots(base, current) {
+  if (base === current) {
+    return { added: [], updated: [], removed: [] };
+  }
+
+  current.deltas ??= new Map();
+  if (current.deltas.has(base.id)) {
+    return current.deltas.get(base.id);
+  }
+
+  const baseFlights = new Map(base.flights.map(flight => [flight.icao24, flight]));
+  const added = [];
+  const updated = [];
+
+  for (const flight of current.flights) {
+    const previous = baseFlights.get(flight.icao24);
+    baseFlights.delete(flight.icao24);
+
+    if (!previous) {
+      added.push(flight);
+      continue;
+    }
+
+    const changes = diffFlight(previous, flight);
+    if (changes) {
+      updated.push(changes);
+    }
+  }
+
+  const delta = { added, updated, removed: Array.from(baseFlights.keys()) };
+  current.deltas.set(base.id, delta);
+  return delta;
+}
+
+/**
+ * Changed fields of one flight, or null if nothing changed
+ */
+function diffFlight(previous, flight) {
+  let changes = null;
+  for (const [field, value] of Object.entries(flight)) {
+    if (!sameValue(previous[field], value)) {
+      changes ??= { icao24: flight.icao24 };
+      changes[field] = value;
+    }
+  }
+  return changes;
+}
+
+const sameValue = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, index) => value === b[index]);
+  }
+  return Object.is(a, b);
+};
+
+/**
+ * Drop the history of boxes whose newest snapshot was fetched longer ago than
+ * SNAPSHOT_RETENTION_MS
+ */
+function pruneHistory() {
+  const cutoff = Date.now() - SNAPSHOT_RETENTION_MS;
+  for (const [key, history] of snapshotHistory) {
+    if (history[history.length - 1].fetchedAt < cutoff) {
+      snapshotHistory.delete(key);
+    }
+  }
+}
+
+/**
+ * Fetch a fresh snapshot from the configured provider and record it in the
+ * box's history
+ * @param {Object|null} bbox - Optional bounding box
+ * @returns {Promise<{id: string, flights: Array, time: number, source: string, fetchedAt: number}>}
+ */
+async function fetchSnapshot(bbox) {
+  const result = await getFlightProvider().getFlights(bbox);
+  const fetchedAt = Date.now();
+  // Time-based ids stay unique across server restarts, unlike a counter
+  const snapshot = { ...result, id: fetchedAt.toString(36), fetchedAt };
+
+  const key = getSnapshotKey(bbox);
+  const history = snapshotHistory.get(key) ?? [];
+  history.push(snapshot);
+  if (history.length > SNAPSHOT_HISTORY_LENGTH) {
+    history.shift();
+  }
+  snapshotHistory.set(key, history);
+
+  return snapshot;
+}
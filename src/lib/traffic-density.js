@@ -0,0 +1,65 @@
+/**
+ * Traffic density
+ * Bins aircraft positions into a latitude/longitude grid so many snapshots can
+ * be summed into one heatmap (see /api/history/density). Each cell keeps the
+ * number of aircraft seen and the same number weighted towards low altitude,
+ * where approach and departure corridors show up.
+ */
+
+// Aircraft at or below this altitude (m, about 10,000 ft) count fully in the
+// low-altitude weighting; higher ones fade out towards LOW_ALTITUDE_TOP
+export const LOW_ALTITUDE_CEILING = 3000;
+export const LOW_ALTITUDE_TOP = 12000;
+const HIGH_ALTITUDE_WEIGHT = 0.05;
+
+/**
+ * Low-altitude weight of an aircraft (1 on the ground or low, small at cruise)
+ * @param {Object} flight - Normalized flight
+ * @returns {number} 0.05..1
+ */
+export const lowAltitudeWeight = (flight) => {
+  if (flight.on_ground || !Number.isFinite(flight.baro_altitude)) return 1;
+  if (flight.baro_altitude <= LOW_ALTITUDE_CEILING) return 1;
+  const t = Math.min((flight.baro_altitude - LOW_ALTITUDE_CEILING) / (LOW_ALTITUDE_TOP - LOW_ALTITUDE_CEILING), 1);
+  return 1 - t * (1 - HIGH_ALTITUDE_WEIGHT);
+};
+
+/**
+ * Grid accumulating aircraft positions
+ * @param {number} cellSize - Cell size in degrees
+ * @returns {{add: Function, cells: Function}} add(flights) counts one snapshot;
+ *   cells(snapshots) returns [lon, lat, count, low] per cell (cell centers),
+ *   averaged over the given number of snapshots
+ */
+export const createDensityGrid = (cellSize) => {
+  const cells = new Map();
+
+  const add = (flights) => {
+    for (const flight of flights) {
+      if (!Number.isFinite(flight.latitude) || !Number.isFinite(flight.longitude)) continue;
+      const row = Math.floor((flight.latitude + 90) / cellSize);
+      const column = Math.floor((flight.longitude + 180) / cellSize);
+      const key = row * 100000 + column;
+      const cell = cells.get(key);
+      const low = lowAltitudeWeight(flight);
+      if (cell) {
+        cell.count++;
+        cell.low += low;
+      } else {
+        cells.set(key, { row, column, count: 1, low });
+      }
+    }
+  };
+
+  const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+  return {
+    add,
+    cells: (snapshots = 1) => Array.from(cells.values(), ({ row, column, count, low }) => [
+      round((column + 0.5) * cellSize - 180, 4),
+      round((row + 0.5) * cellSize - 90, 4),
+      round(count / snapshots),
+      round(low / snapshots)
+    ])
+  };
+};
@@ -0,0 +1,212 @@
+/**
+ * Aircraft watchlist
+ * Entries watch either one airframe (ICAO24 address) or a callsign. Each
+ * snapshot updates a live status per entry and raises events when a watched
+ * aircraft appears, takes off, lands or goes out of coverage.
+ */
+
+import { boundsContain } from './bounds.js';
+
+export const WATCH_TYPES = ['icao24', 'callsign'];
+
+export const WATCHLIST_FORMAT_VERSION = 1;
+
+const ICAO24_PATTERN = /^[0-9a-f]{6}$/;
+
+/**
+ * Canonical form of a watched value (lowercase address, uppercase callsign)
+ */
+const normalizeValue = (type, value) => {
+  const text = String(value ?? '').trim();
+  if (type === 'icao24') {
+    const icao24 = text.toLowerCase();
+    return ICAO24_PATTERN.test(icao24) ? icao24 : null;
+  }
+  const callsign = text.toUpperCase();
+  return /^[A-Z0-9-]{2,8}$/.test(callsign) ? callsign : null;
+};
+
+/**
+ * Entry id (one entry per type and value)
+ */
+export const watchEntryId = (type, value) => `${type}:${normalizeValue(type, value)}`;
+
+/**
+ * Normalize an entry from storage or an import
+ * Bare strings are accepted: six hex digits watch an aircraft, anything
+ * else a callsign.
+ * @param {Object|string} raw - Entry as stored
+ * @returns {Object|null} Entry ({ id, type, value, label, addedAt }), or null if unusable
+ */
+export const normalizeWatchEntry = (raw) => {
+  if (typeof raw === 'string') {
+    const type = ICAO24_PATTERN.test(raw.trim().toLowerCase()) ? 'icao24' : 'callsign';
+    return normalizeWatchEntry({ type, value: raw });
+  }
+  if (!raw || typeof raw !== 'object' || !WATCH_TYPES.includes(raw.type)) return null;
+
+  const value = normalizeValue(raw.type, raw.value);
+  if (!value) return null;
+
+  return {
+    id: `${raw.type}:${value}`,
+    type: raw.type,
+    value,
+    label: raw.label ? String(raw.label).trim().slice(0, 40) : null,
+    addedAt: Number(raw.addedAt) || 0
+  };
+};
+
+/**
+ * Parse an exported watchlist
+ * @param {string} text - JSON ({ version, entries } or a bare array)
+ * @returns {{entries: Array, skipped: number}} Usable entries and the count of unusable ones
+ * @throws {Error} If the text is not a watchlist
+ */
+export const parseWatchlist = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  const rawEntries = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(rawEntries)) {
+    throw new Error('File does not contain a watchlist');
+  }
+  if (!Array.isArray(data) && data.version > WATCHLIST_FORMAT_VERSION) {
+    throw new Error(`Watchlist format version ${data.version} is newer than this app supports`);
+  }
+
+  const entries = rawEntries.map(normalizeWatchEntry).filter(Boolean);
+  return { entries, skipped: rawEntries.length - entries.length };
+};
+
+/**
+ * Watchlist as exported JSON
+ * @param {Array} entries - Entries
+ * @param {number} now - Export time (ms)
+ */
+export const serializeWatchlist = (entries, now) => JSON.stringify({
+  version: WATCHLIST_FORMAT_VERSION,
+  exportedAt: new Date(now).toISOString(),
+  entries: entries.map(({ type, value, label, addedAt }) => ({ type, value, label, addedAt }))
+}, null, 2);
+
+/**
+ * Index flights by address and callsign
+ */
+const indexFlights = (flights) => {
+  const byIcao24 = new Map();
+  const byCallsign = new Map();
+  for (const flight of flights) {
+    byIcao24.set(flight.icao24, flight);
+    const callsign = flight.callsign?.trim().toUpperCase();
+    if (callsign && !byCallsign.has(callsign)) byCallsign.set(callsign, flight);
+  }
+  return { byIcao24, byCallsign };
+};
+
+/**
+ * Whether a position lies in the area the data covers (null = whole world)
+ */
+const isCovered = (coverage, latitude, longitude) => (
+  coverage === null ||
+  (Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    boundsContain(coverage, { lamin: latitude, lamax: latitude, lomin: longitude, lomax: longitude }))
+);
+
+/**
+ * Update entry statuses from one snapshot
+ *
+ * Statuses: 'unseen' (not seen yet), 'airborne', 'ground', 'outside'
+ * (dropped out of the data while outside the fetched area, so nothing is
+ * known) and 'lost' (missing for `lostTimeout` from an area the data covers).
+ * An entry's first evaluation only records its status, so loading the page
+ * or starring an aircraft does not raise events.
+ *
+ * @param {Object} statuses - Entry id → status from the previous snapshot
+ * @param {Array} entries - Watchlist entries
+ * @param {Array} flights - Snapshot flights
+ * @param {Object} options
+ * @param {number} options.now - Snapshot time (ms)
+ * @param {Object|null} options.coverage - Fetched box ({ lamin, lomin, lamax, lomax }), null for global
+ * @param {number} options.lostTimeout - ms missing before an aircraft counts as out of coverage
+ * @returns {{statuses: Object, events: Array}} New statuses and events
+ *   (type 'appeared', 'takeoff', 'landed' or 'lost')
+ */
+export const updateWatchStatuses = (statuses, entries, flights, { now, coverage, lostTimeout }) => {
+  const { byIcao24, byCallsign } = indexFlights(flights);
+  const nextStatuses = {};
+  const events = [];
+
+  for (const entry of entries) {
+    const previous = statuses[entry.id];
+    const flight = entry.type === 'icao24' ? byIcao24.get(entry.value) : byCallsign.get(entry.value);
+
+    const addEvent = (type, details) => {
+      events.push({
+        id: `${entry.id}:${now}:${type}`,
+        type,
+        entryId: entry.id,
+        label: entry.label || entry.value,
+        icao24: details.icao24,
+        callsign: details.callsign,
+        latitude: details.latitude,
+        longitude: details.longitude,
+        time: now
+      });
+    };
+
+    if (flight) {
+      const status = {
+        status: flight.on_ground ? 'ground' : 'airborne',
+        icao24: flight.icao24,
+        callsign: flight.callsign?.trim() || null,
+        latitude: flight.latitude,
+        longitude: flight.longitude,
+        altitude: Number.isFinite(flight.baro_altitude) ? flight.baro_altitude : null,
+        velocity: Number.isFinite(flight.velocity) ? flight.velocity : null,
+        lastSeen: now,
+        since: previous?.status === (flight.on_ground ? 'ground' : 'airborne') ? previous.since : now
+      };
+      nextStatuses[entry.id] = status;
+
+      if (!previous) continue;
+      if (previous.status === 'unseen' || previous.status === 'lost') {
+        addEvent('appeared', status);
+      } else if (previous.status === 'ground' && status.status === 'airborne') {
+        addEvent('takeoff', status);
+      } else if (previous.status === 'airborne' && status.status === 'ground') {
+        addEvent('landed', status);
+      }
+      continue;
+    }
+
+    if (!previous || previous.status === 'unseen') {
+      nextStatuses[entry.id] = { status: 'unseen', since: previous?.since ?? now };
+      continue;
+    }
+    // Out of view aircraft stay so until seen again (panning back over the
+    // last position says nothing about where they went)
+    if (previous.status === 'lost' || previous.status === 'outside') {
+      nextStatuses[entry.id] = previous;
+      continue;
+    }
+
+    // Missing: aircraft last seen outside the fetched area are just out of view
+    if (!isCovered(coverage, previous.latitude, previous.longitude)) {
+      nextStatuses[entry.id] = { ...previous, status: 'outside', since: now };
+      continue;
+    }
+    if (now - previous.lastSeen > lostTimeout) {
+      nextStatuses[entry.id] = { ...previous, status: 'lost', since: now };
+      addEvent('lost', previous);
+      continue;
+    }
+    nextStatuses[entry.id] = previous;
+  }
+
+  return { statuses: nextStatuses, events };
+};